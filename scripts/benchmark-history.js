@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Benchmark for the chord history store over a long traversal
+ * Applies 10,000 transformations one at a time through utils/historyTree as
+ * useChordHistory does, undoing, redoing and stepping back onto new branches
+ * along the way as the buttons do, and times each block of 1,000. Each step
+ * also reads what the hook reads on every change: the root, the current
+ * node, its depth and whether it can redo. The later blocks must not be
+ * markedly slower than the earlier ones: the exit code is 1 if they are.
+ *
+ * Run with `npm run bench:history`. The app modules are loaded through Vite
+ * so they resolve exactly as they do in the browser, and the heap retained
+ * by the history is reported when Node runs with --expose-gc.
+ */
+
+import { createServer } from 'vite';
+
+const TRANSFORMATIONS = 10000;
+const BLOCK_SIZE = 1000;
+
+// Slowest allowed ratio of the second half of the walk to the first, each
+// taken as its median block so garbage collection pauses do not count
+const MAX_SLOWDOWN = 2;
+
+// A walk that keeps moving across the Tonnetz rather than oscillating
+const WORD = ['R', 'L', 'R', 'L', 'P', 'R', 'L', 'P', 'L', 'R'];
+
+/**
+ * Walks the Tonnetz through the history store
+ * @param {Object} modules - utils/historyTree and utils/musicUtils
+ * @returns {{blockTimes: number[], cursor: Object}} Milliseconds per block, and the final cursor
+ */
+const walk = ({ historyTree, musicUtils }) => {
+  const { applyTransform, identifyChord, normalize, voiceChord } = musicUtils;
+  const {
+    createHistoryCursor, extendCursor, moveCursor, getCurrentNode, getRootNode,
+    getPreviousNode, getNextNode, getChildren, getDepth
+  } = historyTree;
+
+  let count = 0;
+  const createNode = (voicing, op) => ({
+    id: `node-${count++}`,
+    notes: normalize(voicing),
+    voicing,
+    label: identifyChord(voicing).label,
+    op
+  });
+
+  // Follows an existing child, or adds a node below the current one, as applyTransformations does
+  const transform = (cursor, op) => {
+    const current = getCurrentNode(cursor);
+    const existing = getChildren(cursor.store, current).find(child => child.op === op);
+    if (existing) return moveCursor(cursor, existing);
+
+    const result = applyTransform(current.voicing, op, { voiced: true });
+    if (result.isSelfMap) return cursor;
+    const node = createNode(result.notes, op);
+    return extendCursor(cursor, [{ node, edge: { from: current, to: node, type: op } }]);
+  };
+
+  // Reads what the hook reads on every change
+  const read = (cursor) => {
+    const current = getCurrentNode(cursor);
+    return `${getRootNode(cursor.store).label} → ${current.label} ${getDepth(cursor.store, current)} ${cursor.currentId !== cursor.tipId}`;
+  };
+
+  let cursor = createHistoryCursor([createNode(voiceChord([0, 4, 7]), 'Start')], []);
+  const step = (next) => {
+    if (next) cursor = next;
+    read(cursor);
+  };
+
+  const blockTimes = [];
+  let blockStart = performance.now();
+
+  for (let i = 1; i <= TRANSFORMATIONS; i++) {
+    step(transform(cursor, WORD[i % WORD.length]));
+
+    if (i % 50 === 0) {
+      const previous = getPreviousNode(cursor);
+      if (previous) step(moveCursor(cursor, previous));
+      const next = getNextNode(cursor);
+      if (next) step(moveCursor(cursor, next));
+    }
+
+    // Step back a few chords so the next transformation starts a branch
+    if (i % 250 === 0) {
+      for (let k = 0; k < 3; k++) {
+        const previous = getPreviousNode(cursor);
+        if (previous) step(moveCursor(cursor, previous));
+      }
+    }
+
+    if (i % BLOCK_SIZE === 0) {
+      const now = performance.now();
+      blockTimes.push(now - blockStart);
+      blockStart = now;
+    }
+  }
+
+  return { blockTimes, cursor };
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const server = await createServer({
+  configFile: false,
+  logLevel: 'error',
+  appType: 'custom',
+  server: { middlewareMode: true, hmr: false },
+  optimizeDeps: { noDiscovery: true, include: [] },
+});
+
+try {
+  const modules = {
+    historyTree: await server.ssrLoadModule('/src/utils/historyTree.js'),
+    musicUtils: await server.ssrLoadModule('/src/utils/musicUtils.js'),
+  };
+  const { getHistoryNodes, getHistoryEdges, getBranch, getTipNode } = modules.historyTree;
+
+  // The first walk warms up the JIT; the second is measured
+  walk(modules);
+  globalThis.gc?.();
+  const heapBefore = process.memoryUsage().heapUsed;
+  const { blockTimes, cursor } = walk(modules);
+  globalThis.gc?.();
+  const heapAfter = process.memoryUsage().heapUsed;
+
+  blockTimes.forEach((ms, i) => {
+    const range = `${i * BLOCK_SIZE + 1}-${(i + 1) * BLOCK_SIZE}`;
+    console.log(`transformations ${range.padEnd(11)} ${ms.toFixed(2).padStart(7)} ms  (${(ms * 1000 / BLOCK_SIZE).toFixed(2)} µs each)`);
+  });
+
+  const nodes = getHistoryNodes(cursor.store).length;
+  const retained = heapAfter - heapBefore;
+  const edges = getHistoryEdges(cursor.store).length;
+  const branch = getBranch(cursor.store, getTipNode(cursor)).length;
+  console.log(`\n${nodes} nodes, ${edges} edges, active branch of ${branch}`);
+  console.log(`heap retained ${(retained / 1024 / 1024).toFixed(1)} MB (${Math.round(retained / nodes)} bytes per node)`);
+
+  const half = blockTimes.length / 2;
+  const slowdown = median(blockTimes.slice(half)) / median(blockTimes.slice(0, half));
+  console.log(`second half / first half (median block): ${slowdown.toFixed(2)}x (limit ${MAX_SLOWDOWN}x)`);
+  if (slowdown > MAX_SLOWDOWN) process.exitCode = 1;
+} finally {
+  await server.close();
+}
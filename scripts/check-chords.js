@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Checks the names identifyChord gives a set of voicings
+ * Covers triads and sevenths in every inversion, and extended chords voiced
+ * over their root, which must not read as slash chords or polychords. The
+ * exit code is 1 if any name differs from the one expected.
+ *
+ * Run with `npm run check:chords`. The app modules are loaded through Vite
+ * so they resolve exactly as they do in the browser.
+ */
+
+import { createServer } from 'vite';
+
+// Pitch classes, bass pitch class (null for unknown) and the expected label
+const VOICINGS = [
+  [[0, 4, 7], null, 'C'],
+  [[9, 0, 4], null, 'Am'],
+  [[0, 4, 7], 4, 'C/E'],
+  [[0, 3, 7], 3, 'Cm/Eb'],
+  [[0, 4, 7], 7, 'C/G'],
+  [[0, 4, 7, 10], 10, 'C7/Bb'],
+  [[0, 4, 7, 11, 2], 2, 'Cmaj9/D'],
+  [[0, 3, 7, 10, 2], 3, 'Cm9/Eb'],
+  [[0, 2, 4, 7], 2, 'Cadd9/D'],
+  [[0, 5, 7, 10, 2], 7, 'C9sus4/G'],
+  [[0, 4, 7, 10, 2, 9], 0, 'C13'],
+  [[10, 3, 5, 8, 0, 7], 10, 'Bb13sus4'],
+  [[0, 4, 7, 10, 2, 6, 9], 0, 'C13#11'],
+  [[0, 4, 7, 10, 1, 6], 0, 'C7b9#11'],
+  [[0, 4, 6, 10, 2], 0, 'C9b5'],
+  [[0, 4, 8, 10, 2], 0, 'C9#5'],
+  [[7, 11, 2, 5, 8, 4], 7, 'G13b9'],
+  [[0, 4, 10, 1, 3, 8], 0, 'C7alt'],
+  [[0, 4, 7, 1], 0, 'C(addb9)'],
+  [[0, 4, 7, 1, 5, 8], 0, 'C#|C'],
+];
+
+const server = await createServer({
+  configFile: false,
+  logLevel: 'error',
+  appType: 'custom',
+  server: { middlewareMode: true, hmr: false },
+  optimizeDeps: { noDiscovery: true, include: [] },
+});
+
+try {
+  const { identifyChord, getNoteLabel } = await server.ssrLoadModule('/src/utils/musicUtils.js');
+
+  let failures = 0;
+  VOICINGS.forEach(([notes, bass, expected]) => {
+    const { label } = identifyChord(notes, bass === null ? {} : { bass });
+    const voicing = `${notes.map(getNoteLabel).join(' ')}${bass === null ? '' : ` over ${getNoteLabel(bass)}`}`;
+    const passed = label === expected;
+    if (!passed) failures++;
+    console.log(`${passed ? 'ok  ' : 'FAIL'} ${voicing.padEnd(32)} ${label}${passed ? '' : ` (expected ${expected})`}`);
+  });
+
+  console.log(`\n${VOICINGS.length - failures} of ${VOICINGS.length} voicings named as expected`);
+  if (failures > 0) process.exitCode = 1;
+} finally {
+  await server.close();
+}
@@ -4,20 +4,49 @@
  * @module App
  */
 
-import React, { useState, useCallback, lazy, Suspense } from 'react';
-import { Sigma } from 'lucide-react';
+import React, { useState, useCallback, useEffect, useMemo, lazy, Suspense } from 'react';
+import { Sigma, X, Library } from 'lucide-react';
 
 // UI Components
 import { Tabs, TabsList, TabsTrigger } from './components/ui';
+import MidiInputControls from './components/MidiInputControls';
+import MidiOutputControls from './components/MidiOutputControls';
+import InstrumentControls from './components/InstrumentControls';
+import TuningControls from './components/TuningControls';
+import ShareButton from './components/ShareButton';
+import SessionLibrary from './components/SessionLibrary';
+import Button from './components/ui/Button';
 
 // Custom Hooks
-import { useChordHistory, useKeyboardShortcuts, useAudio } from './hooks';
+import {
+  useChordHistory,
+  useKeyboardShortcuts,
+  useAudio,
+  useMidiInput,
+  useMidiOutput,
+  useShareLink,
+  useSessionLibrary,
+  useTransport
+} from './hooks';
 
 // Utils
-import { getNegativeNote, normalize } from './utils/musicUtils';
+import { reflectPitch, getAxisIndex, mod, normalize, identifyChord } from './utils/musicUtils';
+import { getShareableTraversal } from './utils/shareLink';
+import { deserializeSnapshot } from './utils/sessionLibrary';
+import { cn } from './utils/cn';
 
 // Constants
-import { STRINGS } from './constants';
+import {
+  STRINGS,
+  PATH_ANIMATION_STEP_MS,
+  DEFAULT_NEGATIVE_AXIS,
+  DEFAULT_PROGRESSION,
+  DEFAULT_METER,
+  PLAYBACK_DEFAULTS,
+  VOICING_DEFAULTS,
+  DEFAULT_INSTRUMENTS,
+  TUNING_DEFAULTS
+} from './constants';
 
 // Lazy load heavy components for better initial load
 const TonnetzControls = lazy(() => import('./components/TonnetzControls'));
@@ -43,7 +72,21 @@ const LoadingFallback = () => (
 /**
  * Header component with mode switcher
  */
-const Header = React.memo(({ mode, onModeChange }) => (
+const Header = React.memo(({
+  mode,
+  onModeChange,
+  midi,
+  midiOutput,
+  speakers,
+  instrumentIds,
+  onSelectInstrument,
+  tuning,
+  onTuningChange,
+  shareStatus,
+  onShare,
+  isLibraryOpen,
+  onToggleLibrary
+}) => (
   <header className="border-b border-zinc-800 bg-zinc-950/50 backdrop-blur supports-[backdrop-filter]:bg-zinc-950/50 px-2 sm:px-4 h-12 sm:h-14 flex items-center justify-between z-50 sticky top-0">
     <div className="flex items-center gap-1.5 sm:gap-2 font-bold text-base sm:text-lg tracking-tight">
       <Sigma className="text-emerald-500" size={18} />
@@ -57,71 +100,181 @@ const Header = React.memo(({ mode, onModeChange }) => (
       </TabsList>
     </Tabs>
     
-    <div className="w-4 sm:w-6 md:w-20" /> {/* Spacer for centering */}
+    <div className="flex items-center gap-3">
+      <Button
+        variant="ghost"
+        size="sm"
+        onClick={onToggleLibrary}
+        title={STRINGS.LIBRARY_HINT}
+        className={cn("h-8 px-2 text-xs", isLibraryOpen ? "text-zinc-100 bg-zinc-800" : "text-zinc-400")}
+      >
+        <Library size={14} />
+        <span className="hidden sm:inline ml-1.5">{STRINGS.LIBRARY}</span>
+      </Button>
+      <ShareButton status={shareStatus} onShare={onShare} />
+      <InstrumentControls
+        instruments={speakers.instruments}
+        selected={instrumentIds}
+        onSelect={onSelectInstrument}
+        onLoadSoundFont={speakers.loadSoundFont}
+        playbackError={speakers.instrumentError}
+        className="hidden sm:block"
+      />
+      <TuningControls tuning={tuning} onChange={onTuningChange} className="hidden sm:block" />
+      <div className="hidden md:flex items-center gap-3">
+        <MidiInputControls midi={midi} />
+        <MidiOutputControls midiOutput={midiOutput} />
+      </div>
+    </div>
   </header>
 ));
 
 Header.displayName = 'Header';
 
+/**
+ * Banner explaining why a shared link could not be opened
+ */
+const ShareLinkError = React.memo(({ error, onDismiss }) => (
+  <div className="flex items-center gap-3 px-4 py-2 border-b border-red-900/50 bg-red-950/30 text-xs text-red-300">
+    <span className="flex-1">
+      {STRINGS.SHARE_INVALID}: {error.message} (character {error.position + 1})
+    </span>
+    <button
+      onClick={onDismiss}
+      className="text-red-400 hover:text-red-200"
+      title={STRINGS.DISMISS}
+    >
+      <X size={14} />
+    </button>
+  </div>
+));
+
+ShareLinkError.displayName = 'ShareLinkError';
+
 /**
  * Tonnetz Mode content
  */
 const TonnetzMode = React.memo(({ 
   chordHistory, 
-  audio 
+  audio,
+  transport,
+  renderWav
 }) => {
   const {
     currentChord,
+    voicing,
     chordInfo,
     history,
     edges,
+    currentNode,
+    branch,
+    branchIndex,
+    alternatives,
     viewBox,
     canUndo,
     canRedo,
     applyTransformation,
+    applyWord,
     undo,
     redo,
     reset,
     setChord,
-    goToNode
+    goToNode,
+    selectBranch
   } = chordHistory;
 
   const { playChord, isPlaying, stopAll } = audio;
 
+  // Remaining operations of a path being animated from the path finder
+  const [pendingPath, setPendingPath] = useState([]);
+
   // Handle chord playback
   const handlePlayChord = useCallback(() => {
     if (isPlaying) {
       stopAll();
     } else {
-      playChord(currentChord);
+      playChord(voicing);
     }
-  }, [isPlaying, playChord, stopAll, currentChord]);
+  }, [isPlaying, playChord, stopAll, voicing]);
 
   // Handle transformation with audio playback
   const handleTransform = useCallback((type) => {
     const newNode = applyTransformation(type);
     // Play the newly transformed chord
-    if (newNode && newNode.notes) {
-      playChord(newNode.notes);
+    if (newNode && newNode.voicing) {
+      playChord(newNode.voicing);
     }
   }, [applyTransformation, playChord]);
 
+  // Handle a transformation word, playing the chord it ends on
+  const handleApplyWord = useCallback((word) => {
+    const result = applyWord(word);
+    if (result.node?.voicing) {
+      playChord(result.node.voicing);
+    }
+    return result;
+  }, [applyWord, playChord]);
+
+  // Start animating a path, optionally jumping to its source chord first
+  const handleAnimatePath = useCallback((path, sourceNotes) => {
+    if (sourceNotes) {
+      setChord(sourceNotes);
+    }
+    setPendingPath(path);
+  }, [setChord]);
+
+  // Step through the pending path one transformation at a time
+  useEffect(() => {
+    if (pendingPath.length === 0) return;
+
+    const timeoutId = setTimeout(() => {
+      handleTransform(pendingPath[0]);
+      setPendingPath(pendingPath.slice(1));
+    }, PATH_ANIMATION_STEP_MS);
+
+    return () => clearTimeout(timeoutId);
+  }, [pendingPath, handleTransform]);
+
   // Handle clicking on a node in the visualizer
   const handleNodeClick = useCallback((node) => {
     const targetNode = goToNode(node);
-    if (targetNode && targetNode.notes) {
-      playChord(targetNode.notes);
+    if (targetNode && targetNode.voicing) {
+      playChord(targetNode.voicing);
     }
   }, [goToNode, playChord]);
 
+  // Play the active branch from its root through the transport
+  const handlePlayBranch = useCallback(() => {
+    transport.load(branch.map(node => ({ voicing: node.voicing, key: node.id, notes: node.notes })), {
+      source: 'traversal'
+    });
+    transport.play();
+  }, [transport, branch]);
+
+  // Handle switching to another branch, playing the chord if it moved
+  const handleSelectBranch = useCallback((node) => {
+    const targetNode = selectBranch(node);
+    if (targetNode && targetNode.voicing) {
+      playChord(targetNode.voicing);
+    }
+  }, [selectBranch, playChord]);
+
   return (
     <div className="flex flex-1 flex-col md:flex-row w-full h-full min-h-0">
       <Suspense fallback={<LoadingFallback />}>
         <TonnetzControls
           chordInfo={chordInfo}
           currentChord={normalize(currentChord)}
-          history={history}
+          voicing={voicing}
+          branch={branch}
+          branchIndex={branchIndex}
+          alternatives={alternatives}
+          onNodeClick={handleNodeClick}
+          onSelectBranch={handleSelectBranch}
           onTransform={handleTransform}
+          onApplyWord={handleApplyWord}
+          onAnimatePath={handleAnimatePath}
+          isAnimatingPath={pendingPath.length > 0}
           onReset={reset}
           onUndo={undo}
           onRedo={redo}
@@ -130,6 +283,8 @@ const TonnetzMode = React.memo(({
           onPlayChord={handlePlayChord}
           isPlaying={isPlaying}
           onSetChord={setChord}
+          onRenderWav={renderWav}
+          tempo={transport.tempo}
         />
       </Suspense>
       
@@ -137,9 +292,13 @@ const TonnetzMode = React.memo(({
         <TonnetzVisualiser
           history={history}
           edges={edges}
+          branch={branch}
+          currentNode={currentNode}
           viewBox={viewBox}
           currentChord={normalize(currentChord)}
           onNodeClick={handleNodeClick}
+          transport={transport}
+          onPlayBranch={handlePlayBranch}
         />
       </Suspense>
     </div>
@@ -154,66 +313,43 @@ TonnetzMode.displayName = 'TonnetzMode';
 const NegativeHarmonyMode = React.memo(({ 
   negKey, 
   setNegKey, 
+  negAxis,
+  setNegAxis,
+  progression,
+  setProgression,
+  meter,
+  setMeter,
+  tempo,
+  setTempo,
   melodyHistory, 
   onPianoClick,
-  audio
+  onReplayTraversal,
+  transport,
+  renderWav
 }) => {
-  const { playProgression, isPlaying, stopAll } = audio;
-  const [playingIndex, setPlayingIndex] = useState(-1);
-  const [playingType, setPlayingType] = useState(null); // 'original' or 'negative'
-
-  // Handle original progression playback
-  const handlePlayOriginal = useCallback((chords) => {
-    if (isPlaying && playingType === 'original') {
-      stopAll();
-      setPlayingIndex(-1);
-      setPlayingType(null);
-    } else {
-      if (isPlaying) stopAll();
-      setPlayingType('original');
-      playProgression(chords, 100, (index) => {
-        if (index === -1) {
-          setPlayingType(null);
-        }
-        setPlayingIndex(index);
-      });
-    }
-  }, [isPlaying, playingType, playProgression, stopAll]);
-
-  // Handle negative progression playback
-  const handlePlayNegative = useCallback((chords) => {
-    if (isPlaying && playingType === 'negative') {
-      stopAll();
-      setPlayingIndex(-1);
-      setPlayingType(null);
-    } else {
-      if (isPlaying) stopAll();
-      setPlayingType('negative');
-      playProgression(chords, 100, (index) => {
-        if (index === -1) {
-          setPlayingType(null);
-        }
-        setPlayingIndex(index);
-      });
-    }
-  }, [isPlaying, playingType, playProgression, stopAll]);
-
   return (
     <div className="flex-1 flex flex-col md:flex-row w-full h-full min-h-0 overflow-y-auto md:overflow-hidden">
       <Suspense fallback={<LoadingFallback />}>
         <ChordProgressionConverter
           keyRoot={negKey}
           onKeyChange={setNegKey}
-          onPlayOriginal={handlePlayOriginal}
-          onPlayNegative={handlePlayNegative}
-          isPlayingOriginal={isPlaying && playingType === 'original'}
-          isPlayingNegative={isPlaying && playingType === 'negative'}
-          playingIndex={playingIndex}
+          axis={negAxis}
+          onAxisChange={setNegAxis}
+          progression={progression}
+          onProgressionChange={setProgression}
+          meter={meter}
+          onMeterChange={setMeter}
+          tempo={tempo}
+          onTempoChange={setTempo}
+          transport={transport}
+          onRenderWav={renderWav}
+          onReplayTraversal={onReplayTraversal}
         />
       </Suspense>
       
       <Suspense fallback={<LoadingFallback />}>
         <NegativeHarmonyPiano
+          axisIndex={getAxisIndex(negAxis, negKey)}
           keyRoot={negKey}
           melodyHistory={melodyHistory}
           onPianoClick={onPianoClick}
@@ -234,11 +370,67 @@ const App = () => {
   
   // Negative Harmony state
   const [negKey, setNegKey] = useState(0);
+  const [negAxis, setNegAxis] = useState(DEFAULT_NEGATIVE_AXIS);
+  const negAxisIndex = getAxisIndex(negAxis, negKey);
   const [melodyHistory, setMelodyHistory] = useState([]);
+  const [progression, setProgression] = useState(DEFAULT_PROGRESSION);
+  const [negMeter, setNegMeter] = useState(DEFAULT_METER);
+  const [negTempo, setNegTempo] = useState(PLAYBACK_DEFAULTS.tempo);
+
+  // Library panel; a session opened from a share link is not replaced by the autosave
+  const [isLibraryOpen, setIsLibraryOpen] = useState(false);
+  const [openedFromLink] = useState(() => window.location.hash.length > 1);
+
+  // Instrument each mode plays through the speakers
+  const [instrumentIds, setInstrumentIds] = useState(DEFAULT_INSTRUMENTS);
+  const handleSelectInstrument = useCallback((instrumentMode, id) => {
+    setInstrumentIds(prev => ({ ...prev, [instrumentMode]: id }));
+  }, []);
   
+  // Tuning of the speakers; Scala files are loaded into it
+  const [tuning, setTuning] = useState({
+    system: TUNING_DEFAULTS.system,
+    reference: TUNING_DEFAULTS.reference,
+    scale: null,
+    keyboardMap: null
+  });
+
   // Custom hooks
   const chordHistory = useChordHistory();
-  const audio = useAudio({ volume: 0.3 });
+  const { rootNode, currentNode, getPath, snapshot } = chordHistory;
+
+  // Tunings are built on the key centre, or on the root of the first chord of a traversal
+  const tuningKey = mode === 'negative' ? negKey : identifyChord(rootNode.notes).root ?? 0;
+  const speakerTuning = useMemo(() => ({ ...tuning, key: tuningKey }), [tuning, tuningKey]);
+  const speakers = useAudio({ volume: 0.3, instrument: instrumentIds[mode], tuning: speakerTuning });
+  const midiOutput = useMidiOutput();
+
+  /**
+   * Playback shared by the speakers and MIDI output: each side of the
+   * reflection plays through MIDI when it is routed to a port, otherwise
+   * through the speakers
+   */
+  const audio = useMemo(() => {
+    const backend = (side) => (midiOutput.isRouted(side) ? midiOutput : speakers);
+    return {
+      playNote: (note, octave, duration, side = 'original') =>
+        backend(side).playNote(note, octave, duration, side),
+      playChord: (voicing, duration, startTime, side = 'original') =>
+        backend(side).playChord(voicing, duration, startTime, side),
+      playClick: (startTime, isAccent, side = 'original') =>
+        backend(side).playClick(startTime, isAccent, side),
+      getCurrentTime: (side = 'original') => backend(side).getCurrentTime(),
+      prepare: (voicings, side = 'original') => backend(side).prepare(voicings),
+      stopAll: () => {
+        speakers.stopAll();
+        midiOutput.stopAll();
+      },
+      isPlaying: speakers.isPlaying || midiOutput.isPlaying
+    };
+  }, [speakers, midiOutput]);
+
+  // Sequenced playback of progressions and traversals
+  const transport = useTransport({ player: audio });
 
   /**
    * Handles piano key click in negative harmony mode
@@ -246,50 +438,155 @@ const App = () => {
    * @param {number} note - Full note value (can be > 11 for higher octaves)
    */
   const handlePianoClick = useCallback((note) => {
-    // Calculate the base octave (0-11 = octave 4, 12-23 = octave 5, etc.)
-    const baseOctave = 4 + Math.floor(note / 12);
-    const normalizedNote = note % 12;
-    
-    // Get the negative note (always returns 0-11)
-    const negNote = getNegativeNote(normalizedNote, negKey);
+    // Mirror the note in register across the axis (0-11 = octave 4, 12-23 = octave 5, etc.)
+    const reflected = reflectPitch(note, negAxisIndex);
     
-    // Calculate negative note's octave
-    // If the input note is high (above the axis), the negative should be lower, and vice versa
-    // The axis is between the tonic and dominant (e.g., E/Eb for C major)
-    // For simplicity, we keep the negative note in the same general register
-    // but may shift by an octave to keep it musically sensible
-    const axisPoint = (negKey + 3.5) % 12; // Midpoint of axis (between E and Eb for C)
-    const inputDistanceFromAxis = normalizedNote - axisPoint;
-    const outputDistanceFromAxis = negNote - axisPoint;
-    
-    // If input was above axis and output is below (or vice versa), adjust octave
-    let negOctave = baseOctave;
-    if (inputDistanceFromAxis > 0 && outputDistanceFromAxis < 0) {
-      // Input was above axis, output is below - keep same octave
-      negOctave = baseOctave;
-    } else if (inputDistanceFromAxis < 0 && outputDistanceFromAxis > 0) {
-      // Input was below axis, output is above - keep same octave
-      negOctave = baseOctave;
-    }
-    
-    setMelodyHistory(prev => [...prev.slice(-9), { input: note, output: negNote + (negOctave - 4) * 12 }]);
+    setMelodyHistory(prev => [...prev.slice(-9), { input: note, output: reflected }]);
     
     // Play the negative/reflected note at the correct octave
-    audio.playNote(negNote, negOctave, 0.5);
-  }, [negKey, audio]);
+    audio.playNote(mod(reflected), 4 + Math.floor(reflected / 12), 0.5, 'reflected');
+
+    // The input is only echoed when it has a MIDI port of its own
+    if (midiOutput.isRouted('original')) {
+      midiOutput.playNote(mod(note), 4 + Math.floor(note / 12), 0.5, 'original');
+    }
+  }, [negAxisIndex, audio, midiOutput]);
 
   /**
-   * Handles P/L/R transformation keyboard shortcuts
+   * Handles P/L/R and compound transformation keyboard shortcuts
    */
   const handleTransformShortcut = useCallback((type) => {
     if (mode !== 'tonnetz') return;
     
     const newNode = chordHistory.applyTransformation(type);
-    if (newNode && newNode.notes) {
-      audio.playChord(newNode.notes);
+    if (newNode && newNode.voicing) {
+      audio.playChord(newNode.voicing);
     }
   }, [mode, chordHistory, audio]);
 
+  /**
+   * Routes MIDI note-ons to the piano, relative to middle C like the on-screen keys
+   * @param {number} pitch - MIDI pitch
+   */
+  const handleMidiNote = useCallback((pitch) => {
+    handlePianoClick(pitch - VOICING_DEFAULTS.center);
+  }, [handlePianoClick]);
+
+  /**
+   * Sets a chord held on a MIDI keyboard as the new starting chord, lowest note first
+   * @param {number[]} pitches - Sounding MIDI pitches, ascending
+   */
+  const handleMidiChord = useCallback((pitches) => {
+    chordHistory.setChord([...new Set(pitches.map(pitch => mod(pitch)))]);
+  }, [chordHistory]);
+
+  /**
+   * Loads an imported chord sequence as a Tonnetz traversal and plays it
+   * through, following each chord on the lattice
+   * @param {Object[]} steps - Chords with the words connecting them (see getTraversalSteps)
+   */
+  const handleReplayTraversal = useCallback((steps) => {
+    const nodes = chordHistory.loadSequence(steps);
+    setMode('tonnetz');
+    transport.load(nodes.map(node => ({ voicing: node.voicing, key: node.id, notes: node.notes })), {
+      source: 'traversal'
+    });
+    transport.play();
+  }, [chordHistory, transport]);
+
+  /**
+   * Applies the settings of a shared link
+   * A word without a chord is applied to the current starting chord.
+   * @param {Object} shared - Settings from decodeShareFragment
+   */
+  const handleRestoreShared = useCallback((shared) => {
+    if (shared.mode) setMode(shared.mode);
+    if (shared.keyRoot !== undefined) setNegKey(shared.keyRoot);
+    if (shared.axis) setNegAxis(shared.axis);
+    if (shared.progression !== undefined) setProgression(shared.progression);
+    if (shared.meter) setNegMeter(shared.meter);
+    if (shared.tempo) setNegTempo(shared.tempo);
+    if (shared.chord || shared.ops) {
+      chordHistory.setTraversal(shared.chord ?? rootNode.notes, shared.ops ?? []);
+    }
+  }, [chordHistory, rootNode]);
+
+  /**
+   * Builds everything a share link carries; the traversal is the active
+   * branch up to the current chord, walked only when a link is made
+   */
+  const getSession = useCallback(() => ({
+    mode,
+    ...getShareableTraversal(getPath()),
+    keyRoot: negKey,
+    axis: negAxis,
+    progression,
+    meter: negMeter,
+    tempo: negTempo
+  }), [mode, getPath, negKey, negAxis, progression, negMeter, negTempo]);
+
+  const shareLink = useShareLink({ getSession, onRestore: handleRestoreShared });
+
+  /**
+   * Restores the session autosaved before the last reload or crash
+   * @param {Object} saved - Autosaved session with its traversal as a snapshot
+   */
+  const handleRestoreAutosave = useCallback((saved) => {
+    setMode(saved.mode);
+    setNegKey(saved.keyRoot);
+    setNegAxis(saved.axis);
+    setProgression(saved.progression);
+    setNegMeter(saved.meter ?? DEFAULT_METER);
+    setNegTempo(saved.tempo ?? PLAYBACK_DEFAULTS.tempo);
+    chordHistory.restoreSnapshot(saved.snapshot);
+  }, [chordHistory]);
+
+  const library = useSessionLibrary({
+    session: useMemo(() => ({
+      mode,
+      snapshot,
+      progression,
+      keyRoot: negKey,
+      axis: negAxis,
+      meter: negMeter,
+      tempo: negTempo
+    }), [mode, snapshot, progression, negKey, negAxis, negMeter, negTempo]),
+    onRestoreAutosave: handleRestoreAutosave,
+    restoreAutosave: !openedFromLink
+  });
+
+  /**
+   * Opens a library entry in the mode it belongs to
+   * @param {Object} entry - Library entry
+   */
+  const handleLoadEntry = useCallback((entry) => {
+    if (entry.kind === 'traversal') {
+      chordHistory.restoreSnapshot(deserializeSnapshot(entry.data));
+      setMode('tonnetz');
+    } else {
+      setProgression(entry.data.progression);
+      setNegKey(entry.data.keyRoot);
+      setNegAxis(entry.data.axis);
+      setNegMeter(entry.data.meter ?? DEFAULT_METER);
+      setNegTempo(entry.data.tempo ?? PLAYBACK_DEFAULTS.tempo);
+      setMode('negative');
+    }
+    setIsLibraryOpen(false);
+  }, [chordHistory]);
+
+  /**
+   * Names offered for entries saved without one
+   */
+  const defaultEntryNames = useMemo(() => ({
+    traversal: `${rootNode.label} → ${currentNode.label}`,
+    progression: progression.trim() || STRINGS.PROGRESSION
+  }), [rootNode, currentNode, progression]);
+
+  const midi = useMidiInput({
+    onNoteOn: mode === 'negative' ? handleMidiNote : undefined,
+    onChord: mode === 'tonnetz' ? handleMidiChord : undefined
+  });
+
   // Keyboard shortcuts
   useKeyboardShortcuts({
     onNotePlay: mode === 'negative' ? handlePianoClick : undefined,
@@ -301,13 +598,44 @@ const App = () => {
 
   return (
     <div className="h-screen w-screen bg-zinc-950 text-zinc-50 font-sans flex flex-col overflow-hidden selection:bg-emerald-500/30 selection:text-emerald-200">
-      <Header mode={mode} onModeChange={setMode} />
+      <Header
+        mode={mode}
+        onModeChange={setMode}
+        midi={midi}
+        midiOutput={midiOutput}
+        speakers={speakers}
+        instrumentIds={instrumentIds}
+        onSelectInstrument={handleSelectInstrument}
+        tuning={tuning}
+        onTuningChange={setTuning}
+        shareStatus={shareLink.status}
+        onShare={shareLink.share}
+        isLibraryOpen={isLibraryOpen}
+        onToggleLibrary={() => setIsLibraryOpen(open => !open)}
+      />
+      {isLibraryOpen && (
+        <SessionLibrary
+          entries={library.entries}
+          error={library.error}
+          defaultNames={defaultEntryNames}
+          onSave={library.saveEntry}
+          onLoad={handleLoadEntry}
+          onDelete={library.deleteEntry}
+          onExport={library.exportEntries}
+          onImport={library.importEntries}
+          onClose={() => setIsLibraryOpen(false)}
+          className="fixed right-2 top-14 z-50"
+        />
+      )}
+      {shareLink.error && <ShareLinkError error={shareLink.error} onDismiss={shareLink.dismissError} />}
 
       <main className="flex flex-1 overflow-hidden min-h-0">
         {mode === 'tonnetz' && (
           <TonnetzMode 
             chordHistory={chordHistory}
             audio={audio}
+            transport={transport}
+            renderWav={speakers.renderWav}
           />
         )}
 
@@ -315,9 +643,19 @@ const App = () => {
           <NegativeHarmonyMode
             negKey={negKey}
             setNegKey={setNegKey}
+            negAxis={negAxis}
+            setNegAxis={setNegAxis}
+            progression={progression}
+            setProgression={setProgression}
+            meter={negMeter}
+            setMeter={setNegMeter}
+            tempo={negTempo}
+            setTempo={setNegTempo}
             melodyHistory={melodyHistory}
             onPianoClick={handlePianoClick}
-            audio={audio}
+            onReplayTraversal={handleReplayTraversal}
+            transport={transport}
+            renderWav={speakers.renderWav}
           />
         )}
       </main>
@@ -3,25 +3,63 @@
  * @module components/ChordProgressionConverter
  */
 
-import React, { memo, useState, useCallback, useMemo } from 'react';
+import React, { memo, useState, useCallback, useMemo, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import { cn } from '../utils/cn';
-import { NOTES, PRESET_PROGRESSIONS, STRINGS } from '../constants';
-import { parseChordString, getNegativeChord, identifyChord } from '../utils/musicUtils';
+import { NOTES, PRESET_PROGRESSIONS, METERS, TRANSPORT_DEFAULTS, STRINGS } from '../constants';
+import {
+  parseChordSymbol,
+  splitProgression,
+  getProgressionRhythm,
+  invertChord,
+  getAxisIndex,
+  identifyChord,
+  voiceChord,
+  getVoiceLeading,
+  getProgressionVoiceLeading,
+  describeVoiceLeading
+} from '../utils/musicUtils';
+import { progressionToMidiFile, downloadMidiFile } from '../utils/midiFile';
+import { progressionToMusicXml, downloadMusicXml } from '../utils/musicXml';
+import { downloadWavFile } from '../utils/wavFile';
+import {
+  spellChord,
+  spellChordLabel,
+  nameFromSpelling,
+  readSpelledNote,
+  getKeyCenter,
+  getReflectedCenter
+} from '../utils/spelling';
+import NegativeAxisEditor from './NegativeAxisEditor';
+import MidiFileImport from './MidiFileImport';
+import TransportControls from './TransportControls';
+import WavExport from './WavExport';
+import { useTransportEvents } from '../hooks/useTransport';
 import { Card, CardHeader, CardTitle, CardContent } from './ui/Card';
 import Button from './ui/Button';
 import Badge from './ui/Badge';
-import { Textarea, Select, SelectTrigger, SelectContent, SelectItem, Separator } from './ui/Form';
+import { Textarea, Input, Select, SelectTrigger, SelectContent, SelectItem, Separator } from './ui/Form';
 import { 
   RefreshCcw, 
   Calculator, 
   ArrowRight, 
   Play, 
-  Square,
+  Pause,
   Volume2,
-  VolumeX
+  VolumeX,
+  Download,
+  FileText
 } from 'lucide-react';
 
+/**
+ * What the WAV export renders: either side, or both for A/B listening
+ */
+const WAV_SOURCES = [
+  { id: 'original', label: STRINGS.WAV_SOURCE_ORIGINAL },
+  { id: 'negative', label: STRINGS.WAV_SOURCE_NEGATIVE },
+  { id: 'ab', label: STRINGS.WAV_SOURCE_AB, hint: STRINGS.WAV_SOURCE_AB_HINT },
+];
+
 /**
  * Key selector grid component
  */
@@ -99,26 +137,127 @@ PresetSelector.propTypes = {
   selectedPreset: PropTypes.string,
 };
 
+/**
+ * Semitones moved into a chord from the previous one, with the moves spelled
+ * as the chords are
+ */
+const VoiceLeadingTag = memo(({ voiceLeading }) => (voiceLeading ? (
+  <span
+    className="block text-[10px] font-mono text-zinc-600"
+    title={voiceLeading.description}
+  >
+    +{voiceLeading.taxicab}{STRINGS.SEMITONES_SHORT}
+  </span>
+) : null));
+
+VoiceLeadingTag.displayName = 'VoiceLeadingTag';
+
+VoiceLeadingTag.propTypes = {
+  voiceLeading: PropTypes.shape({
+    taxicab: PropTypes.number,
+    moves: PropTypes.array,
+    description: PropTypes.string,
+  }),
+};
+
+/**
+ * Side-by-side voice-leading totals of the original and negative progressions
+ * The smoother value of each measure is highlighted
+ */
+const VoiceLeadingSummary = memo(({ original, negative }) => {
+  const rows = [
+    { label: STRINGS.VL_TAXICAB, key: 'taxicab', format: v => v },
+    { label: STRINGS.VL_EUCLIDEAN, key: 'euclidean', format: v => v.toFixed(2) },
+    { label: STRINGS.VL_SMOOTHNESS, key: 'smoothness', format: v => v },
+  ];
+
+  return (
+    <Card className="bg-zinc-900/30 border-zinc-800">
+      <CardHeader className="p-4 pb-2">
+        <CardTitle className="text-xs font-bold text-zinc-400 uppercase tracking-wider">
+          {STRINGS.VOICE_LEADING}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="p-4 pt-0">
+        <div className="grid grid-cols-3 gap-y-1 text-xs">
+          <span />
+          <span className="text-right text-zinc-500 uppercase text-[10px] font-semibold">In</span>
+          <span className="text-right text-zinc-500 uppercase text-[10px] font-semibold">Out</span>
+          {rows.map(({ label, key, format }) => (
+            <React.Fragment key={key}>
+              <span className="text-zinc-500">{label}</span>
+              <span className={cn(
+                "text-right font-mono",
+                original[key] < negative[key] ? "text-zinc-100 font-bold" : "text-zinc-400"
+              )}>
+                {format(original[key])}
+              </span>
+              <span className={cn(
+                "text-right font-mono",
+                negative[key] < original[key] ? "text-emerald-300 font-bold" : "text-emerald-600"
+              )}>
+                {format(negative[key])}
+              </span>
+            </React.Fragment>
+          ))}
+        </div>
+      </CardContent>
+    </Card>
+  );
+});
+
+VoiceLeadingSummary.displayName = 'VoiceLeadingSummary';
+
+const progressionVoiceLeadingShape = PropTypes.shape({
+  taxicab: PropTypes.number,
+  euclidean: PropTypes.number,
+  smoothness: PropTypes.number,
+});
+
+VoiceLeadingSummary.propTypes = {
+  original: progressionVoiceLeadingShape.isRequired,
+  negative: progressionVoiceLeadingShape.isRequired,
+};
+
 /**
  * Single chord conversion result display
  */
-const ChordResult = memo(({ original, negLabel, isPlaying, onPlay }) => (
-  <div className={cn(
-    "flex items-center justify-between p-3 rounded-lg border transition-all duration-200",
-    isPlaying 
-      ? "border-emerald-500/50 bg-emerald-950/20" 
-      : "border-zinc-800 bg-zinc-900/50 hover:bg-zinc-900"
-  )}>
+const ChordResult = memo(({ original, negLabel, negAlternatives, originalMotion, negMotion, bar, beat, beats, isPlaying, onPlay }) => (
+  <div
+    className={cn(
+      "flex items-center justify-between p-3 rounded-lg border transition-all duration-200",
+      isPlaying 
+        ? "border-emerald-500/50 bg-emerald-950/20" 
+        : "border-zinc-800 bg-zinc-900/50 hover:bg-zinc-900",
+      onPlay && "cursor-pointer"
+    )}
+    onClick={onPlay}
+  >
     <div className="w-1/3">
       <span className="block text-[10px] text-zinc-500 uppercase font-semibold">In</span>
       <span className="font-bold text-zinc-300">{original}</span>
+      <VoiceLeadingTag voiceLeading={originalMotion} />
     </div>
     
-    <ArrowRight size={14} className="text-zinc-700" />
+    <div className="flex flex-col items-center gap-0.5">
+      <span className="text-[10px] font-mono text-zinc-600" title={`${STRINGS.BAR} ${bar}, ${STRINGS.BEAT} ${beat}`}>
+        {bar}:{beat}
+      </span>
+      <ArrowRight size={14} className="text-zinc-700" />
+      <span className="text-[10px] text-zinc-500">
+        {beats} {beats === 1 ? STRINGS.BEAT : STRINGS.BEATS}
+      </span>
+    </div>
     
     <div className="w-1/3 text-right">
       <span className="block text-[10px] text-zinc-500 uppercase font-semibold">Out</span>
       <span className="font-bold text-emerald-400">{negLabel}</span>
+      {negAlternatives?.length > 0 && (
+        <span className="block text-[10px] text-zinc-500 truncate" title={negAlternatives.join(', ')}>
+          or {negAlternatives.join(', ')}
+        </span>
+      )}
+      <VoiceLeadingTag voiceLeading={negMotion} />
     </div>
   </div>
 ));
@@ -128,88 +267,303 @@ ChordResult.displayName = 'ChordResult';
 ChordResult.propTypes = {
   original: PropTypes.string.isRequired,
   negLabel: PropTypes.string.isRequired,
+  negAlternatives: PropTypes.arrayOf(PropTypes.string),
+  originalMotion: PropTypes.object,
+  negMotion: PropTypes.object,
+  bar: PropTypes.number.isRequired,
+  beat: PropTypes.number.isRequired,
+  beats: PropTypes.number.isRequired,
   isPlaying: PropTypes.bool,
   onPlay: PropTypes.func,
 };
 
+/**
+ * Time signature and tempo of the progression
+ */
+const RhythmControls = memo(({ meter, onMeterChange, tempo, onTempoChange }) => (
+  <div className="flex flex-wrap items-center gap-3">
+    <label className="flex items-center gap-1.5 text-xs text-zinc-500" title={STRINGS.TIME_SIGNATURE_HINT}>
+      {STRINGS.TIME_SIGNATURE}
+      <Select
+        value={`${meter.beats}/${meter.unit}`}
+        onValueChange={(value) => onMeterChange(METERS.find(m => `${m.beats}/${m.unit}` === value))}
+        className="w-20"
+      >
+        <SelectTrigger className="h-7 text-xs px-2 bg-zinc-900/50 border-zinc-800">
+          <span className="font-mono text-zinc-300">{meter.beats}/{meter.unit}</span>
+        </SelectTrigger>
+        <SelectContent>
+          {METERS.map(m => (
+            <SelectItem key={`${m.beats}/${m.unit}`} value={`${m.beats}/${m.unit}`} className="text-xs font-mono">
+              {m.beats}/{m.unit}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+    </label>
+    <label className="flex items-center gap-1.5 text-xs text-zinc-500">
+      {STRINGS.TEMPO}
+      <Input
+        type="number"
+        min={TRANSPORT_DEFAULTS.minTempo}
+        max={TRANSPORT_DEFAULTS.maxTempo}
+        value={tempo}
+        onChange={(e) => {
+          const bpm = parseInt(e.target.value, 10);
+          if (Number.isInteger(bpm)) onTempoChange(bpm);
+        }}
+        className="h-7 w-16 px-2 text-xs bg-zinc-900/50"
+      />
+      {STRINGS.BPM}
+    </label>
+  </div>
+));
+
+RhythmControls.displayName = 'RhythmControls';
+
+RhythmControls.propTypes = {
+  meter: PropTypes.shape({ beats: PropTypes.number, unit: PropTypes.number }).isRequired,
+  onMeterChange: PropTypes.func.isRequired,
+  tempo: PropTypes.number.isRequired,
+  onTempoChange: PropTypes.func.isRequired,
+};
+
 /**
  * Main Chord Progression Converter component
  */
 const ChordProgressionConverter = memo(({ 
   keyRoot,
   onKeyChange,
-  onPlayOriginal,
-  onPlayNegative,
-  isPlayingOriginal,
-  isPlayingNegative,
-  playingIndex,
+  axis,
+  onAxisChange,
+  progression,
+  onProgressionChange,
+  meter,
+  onMeterChange,
+  tempo,
+  onTempoChange,
+  transport,
+  onRenderWav,
+  onReplayTraversal,
   className 
 }) => {
-  const [progInput, setProgInput] = useState("Cmaj7 Am9 Dm7 G7");
   const [progOutput, setProgOutput] = useState([]);
+  // Negative progression in the notation of the input, and the meter it was converted in
+  const [negProgression, setNegProgression] = useState('');
+  const [outputMeter, setOutputMeter] = useState(meter);
+  const [playingIndex, setPlayingIndex] = useState(-1);
   const [selectedPreset, setSelectedPreset] = useState(null);
   
+  /**
+   * Chords of the input laid out in beats, then parsed, as the user types
+   */
+  const rhythm = useMemo(
+    () => getProgressionRhythm(splitProgression(progression), meter.beats),
+    [progression, meter.beats]
+  );
+  const symbols = useMemo(
+    () => (rhythm.chords ?? []).map(symbol => ({ ...symbol, ...parseChordSymbol(symbol.text) })),
+    [rhythm]
+  );
+
+  /**
+   * A bar that does not fit the meter, or else the first invalid symbol,
+   * with its error position relative to the whole input
+   */
+  const inputError = useMemo(() => {
+    if (rhythm.error) {
+      const { position, length } = rhythm.error;
+      return { ...rhythm.error, symbol: progression.slice(position, position + length) };
+    }
+    const invalid = symbols.find(symbol => symbol.error);
+    if (!invalid) return null;
+    return {
+      ...invalid.error,
+      position: invalid.position + invalid.error.position,
+      symbol: invalid.text
+    };
+  }, [rhythm, symbols, progression]);
+
+  /**
+   * Inversion index of the selected axis
+   */
+  const axisIndex = useMemo(() => getAxisIndex(axis, keyRoot), [axis, keyRoot]);
+
   /**
    * Converts the input progression to negative harmony
+   * Negative chords are spelled around the reflection of the key, as in the
+   * MusicXML export.
    */
   const handleConvert = useCallback(() => {
-    const chords = progInput.split(/[\s,]+/).filter(s => s.trim().length > 0);
-    
-    const result = chords.map(str => {
-      const notes = parseChordString(str);
-      if (!notes) {
-        return { original: str, notes: [], negNotes: [], negLabel: '?' };
+    const center = getKeyCenter(keyRoot);
+    const reflectedCenter = getReflectedCenter(center, axisIndex);
+    const result = symbols.map(({ text, chord, start, beats }) => {
+      if (!chord) {
+        return { original: text, notes: [], negNotes: [], negLabel: '?', start, beats };
       }
       
-      const negNotes = getNegativeChord(notes, keyRoot);
-      const negInfo = identifyChord(negNotes);
+      const { notes } = chord;
+      const negNotes = invertChord(notes, axisIndex);
+      // Slash chords keep their (reflected) bass, which is the first note
+      const bass = chord.bass === null ? undefined : negNotes[0];
+      const negInfo = identifyChord(negNotes, { bass });
+      const spelling = spellChord(negNotes, { center: reflectedCenter, bass });
+      // The original is spelled from its root as typed, as in the MusicXML export
+      const originalSpelling = spellChord(notes, {
+        center,
+        root: readSpelledNote(text) ?? undefined,
+        bass: chord.bass === null ? undefined : notes[0]
+      });
       
       return { 
-        original: str, 
+        original: text, 
         notes, 
         negNotes, 
-        negLabel: negInfo.label 
+        isSlashChord: chord.bass !== null,
+        negLabel: spellChordLabel(negInfo.label, spelling),
+        negAlternatives: negInfo.candidates.slice(1, 3).map(c => spellChordLabel(c.label, spelling)),
+        spelling: originalSpelling,
+        negSpelling: spelling,
+        start,
+        beats
       };
     });
+
+    // Each chord symbol swapped for its reflection, keeping the bar lines and holds
+    const negText = symbols.reduceRight((text, { position, text: symbol }, i) =>
+      text.slice(0, position) + result[i].negLabel + text.slice(position + symbol.length), progression);
     
     setProgOutput(result);
-  }, [progInput, keyRoot]);
+    setNegProgression(negText.replace(/\s+/g, ' ').trim());
+    setOutputMeter(meter);
+    // Chords loaded from the previous output no longer match the rows
+    if (transport?.source === 'original' || transport?.source === 'negative') {
+      transport.stop();
+    }
+  }, [symbols, progression, meter, keyRoot, axisIndex, transport]);
 
   /**
    * Handles preset selection
    */
   const handlePresetSelect = useCallback((preset) => {
-    setProgInput(preset);
+    onProgressionChange(preset);
     setSelectedPreset(preset);
-  }, []);
+  }, [onProgressionChange]);
 
   /**
-   * Compact output string (memoized)
+   * Voice leading into each result from the previous parsed chord, described
+   * in the spelling of both chords, and the totals for both progressions
    */
-  const compactOutput = useMemo(() => 
-    progOutput.map(r => r.negLabel).join("  "),
-    [progOutput]
-  );
+  const voiceLeading = useMemo(() => {
+    const describe = (from, to, fromSpelling, toSpelling) => {
+      const motion = getVoiceLeading(from, to);
+      const names = { nameFrom: nameFromSpelling(fromSpelling), nameTo: nameFromSpelling(toSpelling) };
+      return { ...motion, description: describeVoiceLeading(motion, names) };
+    };
+    const rows = progOutput.map((item, i) => {
+      const prev = progOutput.slice(0, i).findLast(p => p.notes.length > 0);
+      if (!prev || item.notes.length === 0) return { original: null, negative: null };
+      return {
+        original: describe(prev.notes, item.notes, prev.spelling, item.spelling),
+        negative: describe(prev.negNotes, item.negNotes, prev.negSpelling, item.negSpelling)
+      };
+    });
+    return {
+      rows,
+      original: getProgressionVoiceLeading(progOutput.map(p => p.notes)),
+      negative: getProgressionVoiceLeading(progOutput.map(p => p.negNotes))
+    };
+  }, [progOutput]);
 
   /**
-   * Handles play original progression
+   * Downloads the original and negative progressions as a MIDI file
    */
-  const handlePlayOriginal = useCallback(() => {
-    if (progOutput.length > 0) {
-      const chords = progOutput.map(p => p.notes).filter(n => n.length > 0);
-      onPlayOriginal?.(chords);
+  const handleExport = useCallback(() => {
+    downloadMidiFile(progressionToMidiFile(progOutput, { tempo, meter: outputMeter }), 'negative-harmony.mid');
+  }, [progOutput, tempo, outputMeter]);
+
+  /**
+   * Downloads the original and negative progressions as spelled notation,
+   * barred in the meter they were converted in
+   */
+  const handleExportNotation = useCallback(() => {
+    downloadMusicXml(progressionToMusicXml(progOutput, { keyRoot, axisIndex, meter: outputMeter, tempo }), 'negative-harmony.musicxml');
+  }, [progOutput, keyRoot, axisIndex, tempo, outputMeter]);
+
+  /**
+   * Sets the tempo within the range the transport plays
+   * @param {number} bpm - Beats per minute
+   */
+  const handleTempoChange = useCallback((bpm) => {
+    onTempoChange(Math.max(TRANSPORT_DEFAULTS.minTempo, Math.min(TRANSPORT_DEFAULTS.maxTempo, bpm)));
+  }, [onTempoChange]);
+
+  /**
+   * Transport chords of each side, keyed by their row; unparsed rows rest
+   */
+  const playback = useMemo(() => {
+    const toChords = (field) => progOutput.map((item, i) => ({
+      voicing: item[field].length > 0 ? voiceChord(item[field]) : [],
+      beats: item.beats,
+      key: i
+    }));
+    return {
+      original: { chords: toChords('notes'), side: 'original' },
+      negative: { chords: toChords('negNotes'), side: 'reflected' }
+    };
+  }, [progOutput]);
+
+  const playingSource = transport?.state === 'playing' ? transport.source : null;
+  const loadedSource = transport && playback[transport.source] ? transport.source : null;
+
+  // Keep the tempo of a loaded side in step with the controls
+  const setTransportTempo = transport?.setTempo;
+  useEffect(() => {
+    if (loadedSource) setTransportTempo(tempo);
+  }, [loadedSource, tempo, setTransportTempo]);
+
+  // Follow the chord the transport is playing
+  useTransportEvents(transport, useCallback((event) => {
+    if (event.type === 'position') {
+      setPlayingIndex(playback[event.source] ? event.chord?.key ?? -1 : -1);
     }
-  }, [progOutput, onPlayOriginal]);
+  }, [playback]));
 
   /**
-   * Handles play negative progression
+   * Loads one side of the progression into the transport and plays it
+   * Pressing the side that is playing pauses it.
+   * @param {'original'|'negative'} source - Side to play
    */
-  const handlePlayNegative = useCallback(() => {
-    if (progOutput.length > 0) {
-      const chords = progOutput.map(p => p.negNotes).filter(n => n.length > 0);
-      onPlayNegative?.(chords);
+  const handlePlay = useCallback((source) => {
+    if (playingSource === source) {
+      transport.pause();
+      return;
     }
-  }, [progOutput, onPlayNegative]);
+    if (transport.source !== source || transport.state === 'stopped') {
+      transport.load(playback[source].chords, { source, side: playback[source].side, beatsPerBar: outputMeter.beats });
+      transport.setTempo(tempo);
+    }
+    transport.play();
+  }, [transport, playingSource, playback, outputMeter, tempo]);
+
+  /**
+   * Renders one side, or both side by side, to a WAV file at the tempo of the controls
+   * @param {'original'|'negative'|'ab'} source - Side to render; 'ab' puts the original left and the negative right
+   * @param {{sampleRate: number, bitDepth: number}} format - WAV format
+   * @returns {Promise<{error: {message: string}|null}>} Why it could not be rendered
+   */
+  const handleRenderWav = useCallback(async (source, format) => {
+    const sequences = source === 'ab'
+      ? [{ chords: playback.original.chords, channel: 0 }, { chords: playback.negative.chords, channel: 1 }]
+      : [{ chords: playback[source].chords }];
+    const { bytes, error } = await onRenderWav(sequences, { tempo, ...format });
+    if (bytes) downloadWavFile(bytes, `negative-harmony-${source}.wav`);
+    return { error };
+  }, [onRenderWav, playback, tempo]);
+
+  const handlePlayOriginal = useCallback(() => handlePlay('original'), [handlePlay]);
+  const handlePlayNegative = useCallback(() => handlePlay('negative'), [handlePlay]);
+
 
   return (
     <div className={cn(
@@ -220,6 +574,9 @@ const ChordProgressionConverter = memo(({
         {/* Key Selector */}
         <KeySelector selectedKey={keyRoot} onKeyChange={onKeyChange} />
 
+        {/* Axis Editor */}
+        <NegativeAxisEditor axis={axis} keyRoot={keyRoot} onAxisChange={onAxisChange} />
+
         <Separator />
 
         {/* Progression Input */}
@@ -238,18 +595,43 @@ const ChordProgressionConverter = memo(({
 
           {/* Manual input */}
           <Textarea
-            value={progInput}
-            onChange={(e) => setProgInput(e.target.value)}
+            value={progression}
+            onChange={(e) => onProgressionChange(e.target.value)}
             placeholder={STRINGS.PLACEHOLDER_PROGRESSION}
-            className="font-mono text-base bg-zinc-900/50 border-zinc-800 focus:border-emerald-500/50"
+            className={cn(
+              "font-mono text-base bg-zinc-900/50 focus:border-emerald-500/50",
+              inputError ? "border-red-900/70" : "border-zinc-800"
+            )}
             rows={3}
+            spellCheck={false}
+            aria-invalid={Boolean(inputError)}
           />
+          <p className="px-1 text-[10px] text-zinc-600">{STRINGS.RHYTHM_HINT}</p>
+
+          <RhythmControls meter={meter} onMeterChange={onMeterChange} tempo={tempo} onTempoChange={handleTempoChange} />
+
+          {/* Offending token of the first invalid chord symbol */}
+          {inputError && (
+            <div className="px-1 space-y-1">
+              <div className="font-mono text-xs text-zinc-400 whitespace-pre-wrap break-all">
+                {progression.slice(0, inputError.position)}
+                <span className="text-red-400 underline decoration-wavy decoration-red-500">
+                  {progression.slice(inputError.position, inputError.position + inputError.length) || ' '}
+                </span>
+                {progression.slice(inputError.position + inputError.length)}
+              </div>
+              <p className="text-xs text-red-400">
+                {inputError.symbol}: {inputError.message}
+              </p>
+            </div>
+          )}
 
           {/* Action buttons */}
           <div className="flex gap-2">
             <Button 
               onClick={handleConvert} 
               variant="accent" 
+              disabled={Boolean(rhythm.error)}
               className="flex-1 font-semibold shadow-emerald-900/20"
             >
               <RefreshCcw className="mr-2 h-4 w-4" /> 
@@ -262,24 +644,54 @@ const ChordProgressionConverter = memo(({
             <div className="flex flex-col sm:flex-row gap-2">
               <Button
                 onClick={handlePlayOriginal}
-                variant={isPlayingOriginal ? "destructive" : "secondary"}
+                variant={playingSource === 'original' ? "destructive" : "secondary"}
                 className="flex-1 h-11 sm:h-10"
-                disabled={!onPlayOriginal}
+                disabled={!transport}
               >
-                {isPlayingOriginal ? <Square size={14} className="mr-2" /> : <Play size={14} className="mr-2" />}
+                {playingSource === 'original' ? <Pause size={14} className="mr-2" /> : <Play size={14} className="mr-2" />}
                 Original
               </Button>
               <Button
                 onClick={handlePlayNegative}
-                variant={isPlayingNegative ? "destructive" : "outline"}
+                variant={playingSource === 'negative' ? "destructive" : "outline"}
                 className="flex-1 h-11 sm:h-10 border-emerald-700 text-emerald-400 hover:bg-emerald-950/50"
-                disabled={!onPlayNegative}
+                disabled={!transport}
               >
-                {isPlayingNegative ? <Square size={14} className="mr-2" /> : <Play size={14} className="mr-2" />}
+                {playingSource === 'negative' ? <Pause size={14} className="mr-2" /> : <Play size={14} className="mr-2" />}
                 Negative
               </Button>
+              <Button
+                onClick={handleExport}
+                variant="ghost"
+                className="h-11 sm:h-10 text-zinc-400"
+                title={STRINGS.EXPORT_MIDI_HINT}
+              >
+                <Download size={14} className="mr-2" />
+                {STRINGS.EXPORT}
+              </Button>
+              <Button
+                onClick={handleExportNotation}
+                variant="ghost"
+                className="h-11 sm:h-10 text-zinc-400"
+                title={STRINGS.EXPORT_MUSICXML_HINT}
+              >
+                <FileText size={14} className="mr-2" />
+                {STRINGS.EXPORT_MUSICXML}
+              </Button>
+              {onRenderWav && <WavExport sources={WAV_SOURCES} onRender={handleRenderWav} />}
             </div>
           )}
+
+          {/* Transport of the side last played */}
+          {progOutput.length > 0 && transport && (
+            <TransportControls
+              transport={transport}
+              source={loadedSource ?? 'original'}
+              onLoad={loadedSource ? undefined : handlePlayOriginal}
+              tempo={tempo}
+              onTempoChange={handleTempoChange}
+            />
+          )}
         </div>
 
         {/* Output */}
@@ -294,11 +706,16 @@ const ChordProgressionConverter = memo(({
               </CardHeader>
               <CardContent className="p-4 pt-0">
                 <div className="font-mono text-emerald-400 text-lg font-bold leading-relaxed break-words">
-                  {compactOutput}
+                  {negProgression}
                 </div>
               </CardContent>
             </Card>
 
+            {/* Smoothness of both progressions */}
+            {voiceLeading.original.steps.length > 0 && (
+              <VoiceLeadingSummary original={voiceLeading.original} negative={voiceLeading.negative} />
+            )}
+
             {/* Individual chord results */}
             <div className="space-y-2 max-h-[300px] overflow-y-auto pr-2 scrollbar-thin scrollbar-thumb-zinc-800">
               {progOutput.map((item, i) => (
@@ -306,12 +723,24 @@ const ChordProgressionConverter = memo(({
                   key={i}
                   original={item.original}
                   negLabel={item.negLabel}
+                  negAlternatives={item.negAlternatives}
+                  originalMotion={voiceLeading.rows[i].original}
+                  negMotion={voiceLeading.rows[i].negative}
+                  bar={Math.floor(item.start / outputMeter.beats) + 1}
+                  beat={(item.start % outputMeter.beats) + 1}
+                  beats={item.beats}
                   isPlaying={playingIndex === i}
+                  onPlay={loadedSource ? () => transport.seek(i) : undefined}
                 />
               ))}
             </div>
           </div>
         )}
+
+        <Separator />
+
+        {/* Standard MIDI File import */}
+        <MidiFileImport axisIndex={axisIndex} onReplay={onReplayTraversal} />
       </div>
     </div>
   );
@@ -322,11 +751,33 @@ ChordProgressionConverter.displayName = 'ChordProgressionConverter';
 ChordProgressionConverter.propTypes = {
   keyRoot: PropTypes.number.isRequired,
   onKeyChange: PropTypes.func.isRequired,
-  onPlayOriginal: PropTypes.func,
-  onPlayNegative: PropTypes.func,
-  isPlayingOriginal: PropTypes.bool,
-  isPlayingNegative: PropTypes.bool,
-  playingIndex: PropTypes.number,
+  axis: PropTypes.shape({
+    mode: PropTypes.string.isRequired,
+    pitch: PropTypes.number,
+    pair: PropTypes.arrayOf(PropTypes.number),
+  }).isRequired,
+  onAxisChange: PropTypes.func.isRequired,
+  progression: PropTypes.string.isRequired,
+  onProgressionChange: PropTypes.func.isRequired,
+  meter: PropTypes.shape({
+    beats: PropTypes.number.isRequired,
+    unit: PropTypes.number.isRequired,
+  }).isRequired,
+  onMeterChange: PropTypes.func.isRequired,
+  tempo: PropTypes.number.isRequired,
+  onTempoChange: PropTypes.func.isRequired,
+  transport: PropTypes.shape({
+    state: PropTypes.string.isRequired,
+    source: PropTypes.string,
+    load: PropTypes.func.isRequired,
+    play: PropTypes.func.isRequired,
+    pause: PropTypes.func.isRequired,
+    seek: PropTypes.func.isRequired,
+    setTempo: PropTypes.func.isRequired,
+    subscribe: PropTypes.func.isRequired,
+  }),
+  onRenderWav: PropTypes.func,
+  onReplayTraversal: PropTypes.func,
   className: PropTypes.string,
 };
 
@@ -0,0 +1,180 @@
+/**
+ * @fileoverview Instrument selection: the sound each mode plays through the
+ * speakers, and SoundFont loading
+ * @module components/InstrumentControls
+ */
+
+import React, { memo, useState, useRef, useEffect, useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { cn } from '../utils/cn';
+import { STRINGS } from '../constants';
+import { Select, SelectTrigger, SelectContent, SelectItem } from './ui/Form';
+import { Piano, FolderOpen } from 'lucide-react';
+
+const MODES = [
+  { mode: 'tonnetz', label: STRINGS.MODE_TONNETZ },
+  { mode: 'negative', label: STRINGS.MODE_NEGATIVE },
+];
+
+/**
+ * Instrument selector for one mode
+ */
+const InstrumentRow = memo(({ label, value, groups, onChange }) => {
+  const selected = groups.flatMap(group => group.instruments).find(instrument => instrument.id === value);
+
+  return (
+    <div className="flex items-center gap-2">
+      <span className="w-28 text-xs font-semibold text-zinc-400 truncate">{label}</span>
+      <Select value={value} onValueChange={onChange} className="flex-1 min-w-0">
+        <SelectTrigger className="h-7 text-xs px-2 bg-zinc-900/50 border-zinc-800">
+          <span className="truncate text-zinc-300">{selected?.name}</span>
+        </SelectTrigger>
+        <SelectContent className="max-h-64 overflow-y-auto">
+          {groups.map(group => (
+            <div key={group.name}>
+              <div className="px-3 pt-2 pb-1 text-[10px] uppercase tracking-wider text-zinc-600 truncate">
+                {group.name}
+              </div>
+              {group.instruments.map(instrument => (
+                <SelectItem key={instrument.id} value={instrument.id} className="text-xs truncate">
+                  {instrument.name}
+                </SelectItem>
+              ))}
+            </div>
+          ))}
+        </SelectContent>
+      </Select>
+    </div>
+  );
+});
+
+InstrumentRow.displayName = 'InstrumentRow';
+
+InstrumentRow.propTypes = {
+  label: PropTypes.string.isRequired,
+  value: PropTypes.string.isRequired,
+  groups: PropTypes.arrayOf(PropTypes.shape({
+    name: PropTypes.string,
+    instruments: PropTypes.arrayOf(PropTypes.shape({ id: PropTypes.string, name: PropTypes.string })),
+  })).isRequired,
+  onChange: PropTypes.func.isRequired,
+};
+
+/**
+ * Instrument button with a panel choosing the sound of each mode
+ */
+const InstrumentControls = memo(({ instruments, selected, onSelect, onLoadSoundFont, playbackError = null, className }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [error, setError] = useState(null);
+  const panelRef = useRef(null);
+  const inputRef = useRef(null);
+
+  // Close the panel when clicking outside
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClickOutside = (e) => {
+      if (panelRef.current && !panelRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  /**
+   * Built-in instruments, then each SoundFont's presets under its file name
+   */
+  const groups = useMemo(() => {
+    const byGroup = new Map();
+    instruments.forEach((instrument) => {
+      const name = instrument.group ?? STRINGS.INSTRUMENT_BUILT_IN;
+      if (!byGroup.has(name)) byGroup.set(name, []);
+      byGroup.get(name).push(instrument);
+    });
+    return [...byGroup].map(([name, list]) => ({ name, instruments: list }));
+  }, [instruments]);
+
+  /**
+   * Loads the chosen SoundFont
+   */
+  const handleFileChange = useCallback((e) => {
+    const chosen = e.target.files?.[0];
+    e.target.value = '';
+    if (!chosen) return;
+
+    onLoadSoundFont(chosen).then(({ error: readError }) => {
+      setError(readError ? `${chosen.name}: ${readError.message} (byte ${readError.position})` : null);
+    });
+  }, [onLoadSoundFont]);
+
+  return (
+    <div ref={panelRef} className={cn("relative", className)}>
+      <button
+        type="button"
+        onClick={() => setIsOpen(prev => !prev)}
+        className={cn(
+          "flex items-center gap-1 h-7 px-2 rounded-md border border-zinc-800 text-xs hover:bg-zinc-900 transition-colors",
+          playbackError ? "text-amber-400" : "text-zinc-400"
+        )}
+        title={playbackError ? `${playbackError.message} — ${STRINGS.INSTRUMENT_FALLBACK}` : STRINGS.INSTRUMENT_HINT}
+      >
+        <Piano size={14} /> {STRINGS.INSTRUMENT}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 top-full mt-1 z-50 w-80 p-3 space-y-2 rounded-md border border-zinc-800 bg-zinc-950 shadow-lg">
+          {MODES.map(({ mode, label }) => (
+            <InstrumentRow
+              key={mode}
+              label={label}
+              value={selected[mode]}
+              groups={groups}
+              onChange={(id) => onSelect(mode, id)}
+            />
+          ))}
+          <button
+            type="button"
+            onClick={() => inputRef.current?.click()}
+            className="flex items-center gap-1.5 h-7 px-2 rounded-md text-xs text-zinc-400 hover:bg-zinc-900 hover:text-zinc-200"
+            title={STRINGS.INSTRUMENT_SOUNDFONT_HINT}
+          >
+            <FolderOpen size={12} /> {STRINGS.INSTRUMENT_LOAD_SOUNDFONT}
+          </button>
+          <input
+            ref={inputRef}
+            type="file"
+            accept=".sf2"
+            onChange={handleFileChange}
+            className="hidden"
+          />
+          {error && <p className="text-xs text-red-400">{error}</p>}
+          {playbackError && (
+            <p className="text-xs text-amber-400">{playbackError.message} — {STRINGS.INSTRUMENT_FALLBACK}</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+});
+
+InstrumentControls.displayName = 'InstrumentControls';
+
+InstrumentControls.propTypes = {
+  instruments: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    group: PropTypes.string,
+  })).isRequired,
+  selected: PropTypes.shape({
+    tonnetz: PropTypes.string,
+    negative: PropTypes.string,
+  }).isRequired,
+  onSelect: PropTypes.func.isRequired,
+  onLoadSoundFont: PropTypes.func.isRequired,
+  playbackError: PropTypes.shape({
+    message: PropTypes.string.isRequired,
+  }),
+  className: PropTypes.string,
+};
+
+export default InstrumentControls;
@@ -0,0 +1,236 @@
+/**
+ * @fileoverview Standard MIDI File import: chord segmentation, reflection and Tonnetz replay
+ * @module components/MidiFileImport
+ */
+
+import React, { memo, useState, useCallback, useMemo, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { cn } from '../utils/cn';
+import { STRINGS, MIDI_SEGMENT_MODES, MIDI_IMPORT_DEFAULTS } from '../constants';
+import { readMidiFile, downloadMidiFile } from '../utils/midiFile';
+import {
+  extractNotes,
+  segmentNotes,
+  reflectSegment,
+  reflectMidiFile,
+  getTraversalSteps
+} from '../utils/midiAnalysis';
+import Button from './ui/Button';
+import Badge from './ui/Badge';
+import { Select, SelectTrigger, SelectContent, SelectItem } from './ui/Form';
+import { FileMusic, FolderOpen, Download, Waypoints, ArrowRight } from 'lucide-react';
+
+/**
+ * Window lengths offered in 'window' mode, in beats
+ */
+const WINDOW_BEATS = [0.5, 1, 2, 4];
+
+/**
+ * One imported chord with its reflection and the word reaching it
+ */
+const SegmentRow = memo(({ beat, label, reflectedLabel, ops, isJump }) => (
+  <div className="flex items-center gap-2 px-2 py-1 rounded-md bg-zinc-900/40 text-xs">
+    <span className="w-10 font-mono text-[10px] text-zinc-600">{beat}</span>
+    <span
+      className={cn(
+        "w-12 font-mono text-[10px] font-bold",
+        isJump ? "text-red-400" : "text-amber-500"
+      )}
+      title={ops ? ops.join(' ') : undefined}
+    >
+      {isJump ? STRINGS.JUMP : ops?.join('')}
+    </span>
+    <span className="flex-1 font-mono font-bold text-zinc-300 truncate">{label}</span>
+    <ArrowRight size={10} className="text-zinc-700 shrink-0" />
+    <span className="flex-1 font-mono font-bold text-emerald-400 truncate">{reflectedLabel}</span>
+  </div>
+));
+
+SegmentRow.displayName = 'SegmentRow';
+
+SegmentRow.propTypes = {
+  beat: PropTypes.string.isRequired,
+  label: PropTypes.string.isRequired,
+  reflectedLabel: PropTypes.string.isRequired,
+  ops: PropTypes.arrayOf(PropTypes.string),
+  isJump: PropTypes.bool,
+};
+
+/**
+ * Loads a .mid file, splits it into chords, and offers the reflected piece
+ * as a download and the chord sequence as a Tonnetz traversal
+ */
+const MidiFileImport = memo(({ axisIndex, onReplay, className }) => {
+  const inputRef = useRef(null);
+  const [file, setFile] = useState(null);
+  const [error, setError] = useState(null);
+  const [mode, setMode] = useState(MIDI_IMPORT_DEFAULTS.mode);
+  const [windowBeats, setWindowBeats] = useState(MIDI_IMPORT_DEFAULTS.windowBeats);
+
+  /**
+   * Reads the chosen file
+   */
+  const handleFileChange = useCallback((e) => {
+    const chosen = e.target.files?.[0];
+    e.target.value = '';
+    if (!chosen) return;
+
+    chosen.arrayBuffer().then((buffer) => {
+      const { midi, error: readError } = readMidiFile(buffer);
+      setFile(midi ? { name: chosen.name, midi } : null);
+      setError(readError ? `${readError.message} (byte ${readError.position})` : null);
+    });
+  }, []);
+
+  /**
+   * Chords of the piece with the words connecting them
+   */
+  const analysis = useMemo(() => {
+    if (!file) return null;
+    const segments = segmentNotes(extractNotes(file.midi), file.midi.ppq, { mode, windowBeats });
+    return { segments, steps: getTraversalSteps(segments) };
+  }, [file, mode, windowBeats]);
+
+  const reflected = useMemo(
+    () => analysis?.segments.map(segment => reflectSegment(segment, axisIndex)) ?? [],
+    [analysis, axisIndex]
+  );
+
+  /**
+   * Downloads the whole piece reflected across the current axis
+   */
+  const handleDownloadReflected = useCallback(() => {
+    const name = file.name.replace(/\.midi?$/i, '');
+    downloadMidiFile(reflectMidiFile(file.midi, axisIndex), `${name}-negative.mid`);
+  }, [file, axisIndex]);
+
+  const handleReplay = useCallback(() => {
+    onReplay?.(analysis.steps);
+  }, [analysis, onReplay]);
+
+  const jumps = analysis?.steps.filter(step => step.isJump).length ?? 0;
+
+  return (
+    <div className={cn("space-y-3", className)}>
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-medium text-zinc-400 uppercase tracking-wider flex items-center gap-2">
+          <FileMusic size={14} /> {STRINGS.MIDI_IMPORT}
+        </h3>
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={() => inputRef.current?.click()}
+          className="h-7 text-xs px-2 text-zinc-400"
+          title={STRINGS.MIDI_IMPORT_HINT}
+        >
+          <FolderOpen size={12} className="mr-1" /> {STRINGS.MIDI_IMPORT_OPEN}
+        </Button>
+        <input
+          ref={inputRef}
+          type="file"
+          accept=".mid,.midi,audio/midi"
+          onChange={handleFileChange}
+          className="hidden"
+        />
+      </div>
+
+      {error && <p className="text-xs text-red-400">{error}</p>}
+
+      {file && analysis && (
+        <>
+          <div className="flex items-center gap-2">
+            <span className="flex-1 text-xs text-zinc-300 truncate" title={file.name}>{file.name}</span>
+            <Badge variant="secondary" className="text-[10px] h-5">
+              {analysis.segments.length} {STRINGS.MIDI_IMPORT_CHORDS} · {jumps} {STRINGS.MIDI_IMPORT_JUMPS}
+            </Badge>
+          </div>
+
+          {/* Segmentation */}
+          <div className="flex items-center gap-1.5">
+            {MIDI_SEGMENT_MODES.map(segmentMode => (
+              <button
+                key={segmentMode.id}
+                onClick={() => setMode(segmentMode.id)}
+                title={segmentMode.description}
+                className={cn(
+                  "h-7 px-2.5 rounded-md text-xs font-medium border transition-colors",
+                  mode === segmentMode.id
+                    ? "bg-zinc-800 border-zinc-700 text-zinc-100"
+                    : "bg-zinc-900 border-zinc-800 text-zinc-500 hover:text-zinc-300"
+                )}
+              >
+                {segmentMode.label}
+              </button>
+            ))}
+            {mode === 'window' && (
+              <Select
+                value={String(windowBeats)}
+                onValueChange={(value) => setWindowBeats(Number(value))}
+                className="w-[96px]"
+              >
+                <SelectTrigger className="h-7 text-xs px-2 bg-zinc-900/50 border-zinc-800">
+                  <span className="text-zinc-300">{windowBeats} {STRINGS.MIDI_IMPORT_BEATS}</span>
+                </SelectTrigger>
+                <SelectContent>
+                  {WINDOW_BEATS.map(beats => (
+                    <SelectItem key={beats} value={String(beats)} className="text-xs">
+                      {beats} {STRINGS.MIDI_IMPORT_BEATS}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            )}
+          </div>
+
+          {analysis.segments.length === 0 ? (
+            <p className="text-xs text-zinc-500">{STRINGS.MIDI_IMPORT_EMPTY}</p>
+          ) : (
+            <>
+              <div className="space-y-1 max-h-[240px] overflow-y-auto pr-2 scrollbar-thin scrollbar-thumb-zinc-800">
+                {analysis.segments.map((segment, i) => (
+                  <SegmentRow
+                    key={segment.start}
+                    beat={(segment.start / file.midi.ppq + 1).toFixed(1)}
+                    label={segment.label}
+                    reflectedLabel={reflected[i].label}
+                    ops={analysis.steps[i].ops}
+                    isJump={analysis.steps[i].isJump}
+                  />
+                ))}
+              </div>
+
+              <div className="flex gap-2">
+                <Button
+                  onClick={handleDownloadReflected}
+                  variant="outline"
+                  className="flex-1 h-9 text-xs border-emerald-700 text-emerald-400 hover:bg-emerald-950/50"
+                  title={STRINGS.MIDI_REFLECTED_HINT}
+                >
+                  <Download size={14} className="mr-2" /> {STRINGS.EXPORT}
+                </Button>
+                <Button
+                  onClick={handleReplay}
+                  variant="secondary"
+                  className="flex-1 h-9 text-xs"
+                  disabled={!onReplay}
+                >
+                  <Waypoints size={14} className="mr-2" /> {STRINGS.REPLAY_TONNETZ}
+                </Button>
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+});
+
+MidiFileImport.displayName = 'MidiFileImport';
+
+MidiFileImport.propTypes = {
+  axisIndex: PropTypes.number.isRequired,
+  onReplay: PropTypes.func,
+  className: PropTypes.string,
+};
+
+export default MidiFileImport;
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Compact MIDI input settings: device, channel and pedal state
+ * @module components/MidiInputControls
+ */
+
+import React, { memo } from 'react';
+import PropTypes from 'prop-types';
+import { cn } from '../utils/cn';
+import { STRINGS } from '../constants';
+import { getMidiLabel } from '../utils/musicUtils';
+import { Select, SelectTrigger, SelectContent, SelectItem } from './ui/Form';
+import { KeyboardMusic } from 'lucide-react';
+
+/**
+ * Select value for "every device" / "every channel"
+ */
+const ALL = 'all';
+
+const CHANNELS = Array.from({ length: 16 }, (_, i) => i);
+
+/**
+ * MIDI input settings shown in the header
+ */
+const MidiInputControls = memo(({ midi, className }) => {
+  const {
+    isSupported,
+    isReady,
+    error,
+    inputs,
+    heldNotes,
+    sustain,
+    deviceId,
+    setDeviceId,
+    channel,
+    setChannel
+  } = midi;
+
+  if (!isSupported) {
+    return (
+      <div className={cn("text-zinc-600", className)} title={STRINGS.MIDI_UNSUPPORTED}>
+        <KeyboardMusic size={16} />
+      </div>
+    );
+  }
+
+  const device = inputs.find(input => input.id === deviceId);
+  const status = error || (inputs.length === 0 ? STRINGS.MIDI_NO_DEVICES : null);
+
+  return (
+    <div className={cn("flex items-center gap-1.5", className)}>
+      <div
+        className="relative text-zinc-400"
+        title={status || `${STRINGS.MIDI_INPUT}: ${heldNotes.map(getMidiLabel).join(' ')}`}
+      >
+        <KeyboardMusic size={16} />
+        <span className={cn(
+          "absolute -top-0.5 -right-0.5 w-1.5 h-1.5 rounded-full",
+          error ? "bg-red-500" : isReady && inputs.length > 0
+            ? heldNotes.length > 0 ? "bg-emerald-400" : "bg-emerald-700"
+            : "bg-zinc-600"
+        )} />
+      </div>
+
+      <Select
+        value={deviceId ?? ALL}
+        onValueChange={(value) => setDeviceId(value === ALL ? null : value)}
+        className="w-[120px]"
+      >
+        <SelectTrigger className="h-7 text-xs px-2 bg-zinc-900/50 border-zinc-800">
+          <span className="truncate text-zinc-300">{device?.name ?? STRINGS.MIDI_ALL_DEVICES}</span>
+        </SelectTrigger>
+        <SelectContent>
+          <SelectItem value={ALL} className="text-xs">{STRINGS.MIDI_ALL_DEVICES}</SelectItem>
+          {inputs.map(input => (
+            <SelectItem key={input.id} value={input.id} className="text-xs truncate">
+              {input.name}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+
+      <Select
+        value={channel === null ? ALL : String(channel)}
+        onValueChange={(value) => setChannel(value === ALL ? null : Number(value))}
+        className="w-[68px]"
+      >
+        <SelectTrigger className="h-7 text-xs px-2 bg-zinc-900/50 border-zinc-800">
+          <span className="text-zinc-300">
+            {channel === null ? STRINGS.MIDI_OMNI : `${STRINGS.MIDI_CHANNEL} ${channel + 1}`}
+          </span>
+        </SelectTrigger>
+        <SelectContent className="max-h-64 overflow-y-auto">
+          <SelectItem value={ALL} className="text-xs">{STRINGS.MIDI_OMNI}</SelectItem>
+          {CHANNELS.map(ch => (
+            <SelectItem key={ch} value={String(ch)} className="text-xs">
+              {STRINGS.MIDI_CHANNEL} {ch + 1}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+
+      <span className={cn(
+        "text-[10px] font-mono font-bold uppercase",
+        sustain ? "text-amber-400" : "text-zinc-700"
+      )}>
+        {STRINGS.MIDI_SUSTAIN}
+      </span>
+    </div>
+  );
+});
+
+MidiInputControls.displayName = 'MidiInputControls';
+
+MidiInputControls.propTypes = {
+  midi: PropTypes.shape({
+    isSupported: PropTypes.bool,
+    isReady: PropTypes.bool,
+    error: PropTypes.string,
+    inputs: PropTypes.arrayOf(PropTypes.shape({ id: PropTypes.string, name: PropTypes.string })),
+    heldNotes: PropTypes.arrayOf(PropTypes.number),
+    sustain: PropTypes.bool,
+    deviceId: PropTypes.string,
+    setDeviceId: PropTypes.func,
+    channel: PropTypes.number,
+    setChannel: PropTypes.func,
+  }).isRequired,
+  className: PropTypes.string,
+};
+
+export default MidiInputControls;
@@ -0,0 +1,161 @@
+/**
+ * @fileoverview MIDI output routing: a port and channel for each side of the reflection
+ * @module components/MidiOutputControls
+ */
+
+import React, { memo, useState, useRef, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { cn } from '../utils/cn';
+import { STRINGS } from '../constants';
+import { Select, SelectTrigger, SelectContent, SelectItem } from './ui/Form';
+import { Cable } from 'lucide-react';
+
+/**
+ * Select value for "not routed"
+ */
+const OFF = 'off';
+
+const CHANNELS = Array.from({ length: 16 }, (_, i) => i);
+
+const SIDES = [
+  { side: 'original', label: STRINGS.MIDI_ROUTE_ORIGINAL, colour: 'text-blue-400' },
+  { side: 'reflected', label: STRINGS.MIDI_ROUTE_REFLECTED, colour: 'text-emerald-400' },
+];
+
+/**
+ * Port and channel selectors for one side
+ */
+const RouteRow = memo(({ label, colour, route, outputs, onChange }) => {
+  const port = outputs.find(output => output.id === route.portId);
+
+  return (
+    <div className="flex items-center gap-2">
+      <span className={cn("w-16 text-xs font-semibold", colour)}>{label}</span>
+      <Select
+        value={route.portId ?? OFF}
+        onValueChange={(value) => onChange({ portId: value === OFF ? null : value })}
+        className="flex-1 min-w-0"
+      >
+        <SelectTrigger className="h-7 text-xs px-2 bg-zinc-900/50 border-zinc-800">
+          <span className="truncate text-zinc-300">{port?.name ?? STRINGS.MIDI_OFF}</span>
+        </SelectTrigger>
+        <SelectContent>
+          <SelectItem value={OFF} className="text-xs">{STRINGS.MIDI_OFF}</SelectItem>
+          {outputs.map(output => (
+            <SelectItem key={output.id} value={output.id} className="text-xs truncate">
+              {output.name}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      <Select
+        value={String(route.channel)}
+        onValueChange={(value) => onChange({ channel: Number(value) })}
+        className="w-[68px]"
+      >
+        <SelectTrigger className="h-7 text-xs px-2 bg-zinc-900/50 border-zinc-800">
+          <span className="text-zinc-300">{STRINGS.MIDI_CHANNEL} {route.channel + 1}</span>
+        </SelectTrigger>
+        <SelectContent className="max-h-64 overflow-y-auto">
+          {CHANNELS.map(ch => (
+            <SelectItem key={ch} value={String(ch)} className="text-xs">
+              {STRINGS.MIDI_CHANNEL} {ch + 1}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+    </div>
+  );
+});
+
+RouteRow.displayName = 'RouteRow';
+
+RouteRow.propTypes = {
+  label: PropTypes.string.isRequired,
+  colour: PropTypes.string,
+  route: PropTypes.shape({
+    portId: PropTypes.string,
+    channel: PropTypes.number,
+  }).isRequired,
+  outputs: PropTypes.arrayOf(PropTypes.shape({ id: PropTypes.string, name: PropTypes.string })).isRequired,
+  onChange: PropTypes.func.isRequired,
+};
+
+/**
+ * MIDI output button with a routing panel
+ * Sides that are not routed keep playing through the speakers.
+ */
+const MidiOutputControls = memo(({ midiOutput, className }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const panelRef = useRef(null);
+  const { isSupported, error, outputs, routes, setRoute, isRouted } = midiOutput;
+
+  // Close the panel when clicking outside
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClickOutside = (e) => {
+      if (panelRef.current && !panelRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  if (!isSupported) return null;
+
+  const isActive = isRouted('original') || isRouted('reflected');
+
+  return (
+    <div ref={panelRef} className={cn("relative", className)}>
+      <button
+        type="button"
+        onClick={() => setIsOpen(prev => !prev)}
+        className={cn(
+          "flex items-center gap-1 h-7 px-2 rounded-md border text-xs transition-colors",
+          isActive
+            ? "border-emerald-800 text-emerald-400 bg-emerald-950/30"
+            : "border-zinc-800 text-zinc-400 hover:bg-zinc-900"
+        )}
+        title={STRINGS.MIDI_OUTPUT}
+      >
+        <Cable size={14} /> {STRINGS.MIDI_OUTPUT}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 top-full mt-1 z-50 w-80 p-3 space-y-2 rounded-md border border-zinc-800 bg-zinc-950 shadow-lg">
+          {error && <p className="text-xs text-red-400">{error}</p>}
+          {!error && outputs.length === 0 && (
+            <p className="text-xs text-zinc-500">{STRINGS.MIDI_NO_DEVICES}</p>
+          )}
+          {SIDES.map(({ side, label, colour }) => (
+            <RouteRow
+              key={side}
+              label={label}
+              colour={colour}
+              route={routes[side]}
+              outputs={outputs}
+              onChange={(route) => setRoute(side, route)}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+});
+
+MidiOutputControls.displayName = 'MidiOutputControls';
+
+MidiOutputControls.propTypes = {
+  midiOutput: PropTypes.shape({
+    isSupported: PropTypes.bool,
+    error: PropTypes.string,
+    outputs: PropTypes.arrayOf(PropTypes.shape({ id: PropTypes.string, name: PropTypes.string })),
+    routes: PropTypes.object,
+    setRoute: PropTypes.func,
+    isRouted: PropTypes.func,
+  }).isRequired,
+  className: PropTypes.string,
+};
+
+export default MidiOutputControls;
@@ -0,0 +1,205 @@
+/**
+ * @fileoverview Negative harmony axis editor drawn on the chromatic circle
+ * @module components/NegativeAxisEditor
+ */
+
+import React, { memo, useMemo, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { cn } from '../utils/cn';
+import { NEGATIVE_AXIS_MODES, STRINGS } from '../constants';
+import { getNoteLabel, getAxisIndex, getAxisPoints, invertNote, describeAxis } from '../utils/musicUtils';
+import { FlipHorizontal2 } from 'lucide-react';
+
+/**
+ * Circle geometry in SVG units
+ */
+const SIZE = 200;
+const CENTER = SIZE / 2;
+const RADIUS = 70;
+
+/**
+ * Position on the chromatic circle, with C at the top and pitch rising clockwise
+ * @param {number} position - Circle position in semitones (may be fractional)
+ * @param {number} [radius=RADIUS] - Distance from the centre
+ * @returns {{x: number, y: number}} SVG point
+ */
+const circlePoint = (position, radius = RADIUS) => {
+  const angle = (position / 12) * 2 * Math.PI - Math.PI / 2;
+  return { x: CENTER + radius * Math.cos(angle), y: CENTER + radius * Math.sin(angle) };
+};
+
+const PITCH_CLASSES = Array.from({ length: 12 }, (_, pc) => pc);
+
+/**
+ * Chromatic circle showing the axis, the pairs of notes it swaps and the
+ * pitches it passes through
+ */
+const ChromaticCircle = memo(({ index, keyRoot, selected, onPitchClick }) => {
+  const [start, end] = getAxisPoints(index).map(point => circlePoint(point, RADIUS + 16));
+
+  // Each pair of notes exchanged by the inversion, drawn once
+  const pairs = PITCH_CLASSES
+    .map(pc => [pc, invertNote(pc, index)])
+    .filter(([a, b]) => a < b);
+
+  return (
+    <svg viewBox={`0 0 ${SIZE} ${SIZE}`} className="w-full max-w-[220px] mx-auto select-none">
+      <circle cx={CENTER} cy={CENTER} r={RADIUS} fill="none" stroke="#27272a" strokeWidth="1.5" />
+
+      {pairs.map(([a, b]) => {
+        const p1 = circlePoint(a);
+        const p2 = circlePoint(b);
+        return (
+          <line
+            key={`${a}-${b}`}
+            x1={p1.x}
+            y1={p1.y}
+            x2={p2.x}
+            y2={p2.y}
+            stroke="#065f46"
+            strokeWidth="1"
+            strokeDasharray="3 3"
+          />
+        );
+      })}
+
+      <line
+        x1={start.x}
+        y1={start.y}
+        x2={end.x}
+        y2={end.y}
+        stroke="#10b981"
+        strokeWidth="2"
+      />
+
+      {PITCH_CLASSES.map(pc => {
+        const { x, y } = circlePoint(pc);
+        const isFixed = invertNote(pc, index) === pc;
+        const isSelected = selected.includes(pc);
+        return (
+          <g
+            key={pc}
+            onClick={onPitchClick ? () => onPitchClick(pc) : undefined}
+            className={onPitchClick ? 'cursor-pointer' : undefined}
+          >
+            <circle
+              cx={x}
+              cy={y}
+              r={11}
+              fill={isSelected ? '#059669' : isFixed ? '#064e3b' : '#18181b'}
+              stroke={pc === keyRoot ? '#e4e4e7' : '#3f3f46'}
+              strokeWidth={pc === keyRoot ? 1.5 : 1}
+            />
+            <text
+              x={x}
+              y={y + 3.5}
+              textAnchor="middle"
+              fontSize="9"
+              fill={isSelected || isFixed ? '#ecfdf5' : '#a1a1aa'}
+              className="font-bold pointer-events-none"
+            >
+              {getNoteLabel(pc)}
+            </text>
+          </g>
+        );
+      })}
+
+      <text
+        x={CENTER}
+        y={CENTER + 4}
+        textAnchor="middle"
+        fontSize="12"
+        fill="#34d399"
+        className="font-mono font-bold"
+      >
+        I{index}
+      </text>
+    </svg>
+  );
+});
+
+ChromaticCircle.displayName = 'ChromaticCircle';
+
+ChromaticCircle.propTypes = {
+  index: PropTypes.number.isRequired,
+  keyRoot: PropTypes.number.isRequired,
+  selected: PropTypes.arrayOf(PropTypes.number).isRequired,
+  onPitchClick: PropTypes.func,
+};
+
+/**
+ * Axis editor: mode selector and chromatic circle
+ * In the chromatic mode a click places the axis through that pitch; in the
+ * custom mode the last two clicked pitches are swapped by the axis.
+ */
+const NegativeAxisEditor = memo(({ axis, keyRoot, onAxisChange, className }) => {
+  const index = useMemo(() => getAxisIndex(axis, keyRoot), [axis, keyRoot]);
+  const activeMode = NEGATIVE_AXIS_MODES.find(m => m.id === axis.mode) ?? NEGATIVE_AXIS_MODES[0];
+
+  const handlePitchClick = useCallback((pc) => {
+    if (axis.mode === 'chromatic') {
+      onAxisChange({ ...axis, pitch: pc });
+    } else if (axis.mode === 'custom') {
+      onAxisChange({ ...axis, pair: [axis.pair[1], pc] });
+    }
+  }, [axis, onAxisChange]);
+
+  const selected = axis.mode === 'chromatic' ? [axis.pitch] : axis.mode === 'custom' ? axis.pair : [];
+  const isEditable = axis.mode === 'chromatic' || axis.mode === 'custom';
+
+  return (
+    <div className={cn("space-y-3", className)}>
+      <h3 className="text-sm font-medium text-zinc-400 uppercase tracking-wider flex items-center gap-2">
+        <FlipHorizontal2 size={14} /> {STRINGS.AXIS}
+      </h3>
+
+      <div className="grid grid-cols-2 gap-1.5">
+        {NEGATIVE_AXIS_MODES.map(mode => (
+          <button
+            key={mode.id}
+            onClick={() => onAxisChange({ ...axis, mode: mode.id })}
+            title={mode.description}
+            className={cn(
+              "h-8 rounded-md text-xs font-semibold border transition-all duration-200 active:scale-95",
+              axis.mode === mode.id
+                ? "bg-emerald-600 border-emerald-500 text-white"
+                : "bg-zinc-900 border-zinc-800 text-zinc-400 hover:bg-zinc-800 hover:text-zinc-200"
+            )}
+          >
+            {mode.label}
+          </button>
+        ))}
+      </div>
+
+      <ChromaticCircle
+        index={index}
+        keyRoot={keyRoot}
+        selected={selected}
+        onPitchClick={isEditable ? handlePitchClick : undefined}
+      />
+
+      <p className="text-xs text-zinc-500 text-center">
+        <span className="font-mono text-emerald-400">{describeAxis(index)}</span>
+        {' · '}
+        {axis.mode === 'chromatic'
+          ? STRINGS.AXIS_PITCH_HINT
+          : axis.mode === 'custom' ? STRINGS.AXIS_PAIR_HINT : activeMode.description}
+      </p>
+    </div>
+  );
+});
+
+NegativeAxisEditor.displayName = 'NegativeAxisEditor';
+
+NegativeAxisEditor.propTypes = {
+  axis: PropTypes.shape({
+    mode: PropTypes.string.isRequired,
+    pitch: PropTypes.number,
+    pair: PropTypes.arrayOf(PropTypes.number),
+  }).isRequired,
+  keyRoot: PropTypes.number.isRequired,
+  onAxisChange: PropTypes.func.isRequired,
+  className: PropTypes.string,
+};
+
+export default NegativeAxisEditor;
@@ -6,8 +6,16 @@
 import React, { memo, useCallback, useMemo, useState } from 'react';
 import PropTypes from 'prop-types';
 import { cn } from '../utils/cn';
-import { KEYBOARD_KEYS, NOTES, STRINGS } from '../constants';
-import { mod, getNoteLabel, getNegativeNote, getNoteLabelWithOctave } from '../utils/musicUtils';
+import { KEYBOARD_KEYS, NOTES, STRINGS, VOICING_DEFAULTS } from '../constants';
+import { mod, invertNote, describeAxis } from '../utils/musicUtils';
+import {
+  spellMelody,
+  formatSpelledNote,
+  formatSpelledPitch,
+  getWrittenOctave,
+  getKeyCenter,
+  getReflectedCenter
+} from '../utils/spelling';
 import { Card, CardContent } from './ui/Card';
 import Badge from './ui/Badge';
 import { Separator } from './ui/Form';
@@ -28,6 +36,7 @@ const PianoKey = memo(({
   keyData, 
   isInput, 
   isOutput, 
+  isAxis,
   onClick,
   isFirst,
   isLast 
@@ -76,6 +85,10 @@ const PianoKey = memo(({
       )}>
         {keyData.label}
       </div>
+      {/* The axis passes through this pitch */}
+      {isAxis && (
+        <div className="absolute top-1 left-1/2 -translate-x-1/2 w-1.5 h-1.5 rounded-full bg-emerald-500" />
+      )}
     </div>
   );
 });
@@ -90,6 +103,7 @@ PianoKey.propTypes = {
   }).isRequired,
   isInput: PropTypes.bool,
   isOutput: PropTypes.bool,
+  isAxis: PropTypes.bool,
   onClick: PropTypes.func.isRequired,
   isFirst: PropTypes.bool,
   isLast: PropTypes.bool,
@@ -97,8 +111,9 @@ PianoKey.propTypes = {
 
 /**
  * Mirror display showing input/output note comparison
+ * Notes are semitones from C4, shown as spelled by the piano.
  */
-const MirrorDisplay = memo(({ inputNote, outputNote }) => {
+const MirrorDisplay = memo(({ inputNote, outputNote, inputSpelling, outputSpelling }) => {
   const hasNotes = inputNote !== null;
   
   return (
@@ -113,8 +128,12 @@ const MirrorDisplay = memo(({ inputNote, outputNote }) => {
               ? 'bg-blue-500/10 text-blue-400 border-blue-500/50 shadow-[0_0_30px_rgba(59,130,246,0.2)] scale-105' 
               : 'bg-zinc-900 text-zinc-700 border-zinc-800'
           )}>
-            <span className="text-4xl sm:text-5xl">{hasNotes ? getNoteLabel(inputNote) : '?'}</span>
-            {hasNotes && <span className="text-sm text-blue-400/70">{4 + Math.floor(inputNote / 12)}</span>}
+            <span className="text-4xl sm:text-5xl">{hasNotes ? formatSpelledNote(inputSpelling) : '?'}</span>
+            {hasNotes && (
+              <span className="text-sm text-blue-400/70">
+                {getWrittenOctave(VOICING_DEFAULTS.center + inputNote, inputSpelling)}
+              </span>
+            )}
           </div>
           <span className="text-xs uppercase tracking-widest text-blue-500 font-bold">
             {STRINGS.INPUT}
@@ -134,8 +153,12 @@ const MirrorDisplay = memo(({ inputNote, outputNote }) => {
               ? 'bg-emerald-500/10 text-emerald-400 border-emerald-500/50 shadow-[0_0_30px_rgba(16,185,129,0.2)] scale-105' 
               : 'bg-zinc-900 text-zinc-700 border-zinc-800'
           )}>
-            <span className="text-4xl sm:text-5xl">{hasNotes ? getNoteLabel(outputNote) : '?'}</span>
-            {hasNotes && <span className="text-sm text-emerald-400/70">{4 + Math.floor(outputNote / 12)}</span>}
+            <span className="text-4xl sm:text-5xl">{hasNotes ? formatSpelledNote(outputSpelling) : '?'}</span>
+            {hasNotes && (
+              <span className="text-sm text-emerald-400/70">
+                {getWrittenOctave(VOICING_DEFAULTS.center + outputNote, outputSpelling)}
+              </span>
+            )}
           </div>
           <span className="text-xs uppercase tracking-widest text-emerald-500 font-bold">
             {STRINGS.REFLECTION}
@@ -148,16 +171,24 @@ const MirrorDisplay = memo(({ inputNote, outputNote }) => {
 
 MirrorDisplay.displayName = 'MirrorDisplay';
 
+const spelledNoteShape = PropTypes.shape({ step: PropTypes.string, alter: PropTypes.number });
+
 MirrorDisplay.propTypes = {
   inputNote: PropTypes.number,
   outputNote: PropTypes.number,
+  inputSpelling: spelledNoteShape,
+  outputSpelling: spelledNoteShape,
 };
 
 /**
  * Main Negative Harmony Piano component
+ * Notes are mirrored across the axis of the inversion I_n given by axisIndex.
+ * The melody is spelled in keyRoot, and its reflection in the mirrored key,
+ * with chromatic notes following the direction of each line.
  */
 const NegativeHarmonyPiano = memo(({ 
-  keyRoot, 
+  axisIndex, 
+  keyRoot,
   melodyHistory, 
   onPianoClick,
   className 
@@ -170,6 +201,18 @@ const NegativeHarmonyPiano = memo(({
     [melodyHistory]
   );
 
+  // Spell both lines of the melody
+  const spelling = useMemo(() => {
+    const center = getKeyCenter(keyRoot);
+    return {
+      inputs: spellMelody(melodyHistory.map(entry => entry.input), center),
+      outputs: spellMelody(melodyHistory.map(entry => entry.output), getReflectedCenter(center, axisIndex))
+    };
+  }, [melodyHistory, keyRoot, axisIndex]);
+
+  // Index of the first entry shown in the history trail
+  const trailStart = Math.max(0, melodyHistory.length - 8);
+
   // Get the keyboard keys based on expand state
   const activeKeys = useMemo(() => 
     isExpanded ? KEYBOARD_KEYS_2_OCTAVES : KEYBOARD_KEYS,
@@ -178,13 +221,15 @@ const NegativeHarmonyPiano = memo(({
 
   // Determine which keys are highlighted
   const getKeyState = useCallback((note) => {
-    if (!lastEntry) return { isInput: false, isOutput: false };
+    const isAxis = invertNote(note, axisIndex) === mod(note);
+    if (!lastEntry) return { isInput: false, isOutput: false, isAxis };
     
     return {
       isInput: mod(lastEntry.input) === mod(note),
-      isOutput: mod(lastEntry.output) === mod(note)
+      isOutput: mod(lastEntry.output) === mod(note),
+      isAxis
     };
-  }, [lastEntry]);
+  }, [lastEntry, axisIndex]);
 
   return (
     <div className={cn(
@@ -205,6 +250,9 @@ const NegativeHarmonyPiano = memo(({
             <p className="text-zinc-500 mt-1 text-sm sm:text-base">
               {STRINGS.PLAY_NOTES_HINT}
             </p>
+            <p className="text-xs text-zinc-500 mt-1">
+              {STRINGS.AXIS}: <span className="font-mono text-emerald-400">I{axisIndex} ({describeAxis(axisIndex)})</span>
+            </p>
           </div>
           
           {/* Keyboard shortcuts hint */}
@@ -238,6 +286,8 @@ const NegativeHarmonyPiano = memo(({
         <MirrorDisplay 
           inputNote={lastEntry?.input ?? null}
           outputNote={lastEntry?.output ?? null}
+          inputSpelling={spelling.inputs[spelling.inputs.length - 1]}
+          outputSpelling={spelling.outputs[spelling.outputs.length - 1]}
         />
 
         {/* Interactive Piano */}
@@ -269,7 +319,7 @@ const NegativeHarmonyPiano = memo(({
           <div className="flex justify-center select-none pb-6 overflow-x-auto">
             <div className="flex">
               {activeKeys.map((k, i) => {
-                const { isInput, isOutput } = getKeyState(k.note);
+                const { isInput, isOutput, isAxis } = getKeyState(k.note);
                 
                 return (
                   <PianoKey
@@ -277,6 +327,7 @@ const NegativeHarmonyPiano = memo(({
                     keyData={k}
                     isInput={isInput}
                     isOutput={isOutput}
+                    isAxis={isAxis}
                     onClick={onPianoClick}
                     isFirst={i === 0}
                     isLast={i === activeKeys.length - 1}
@@ -299,9 +350,13 @@ const NegativeHarmonyPiano = memo(({
                   i === melodyHistory.slice(-8).length - 1 && "ring-1 ring-zinc-600"
                 )}
               >
-                <span className="text-blue-400">{getNoteLabelWithOctave(entry.input)}</span>
+                <span className="text-blue-400">
+                  {formatSpelledPitch(VOICING_DEFAULTS.center + entry.input, spelling.inputs[trailStart + i])}
+                </span>
                 <span className="text-zinc-600">→</span>
-                <span className="text-emerald-400">{getNoteLabelWithOctave(entry.output)}</span>
+                <span className="text-emerald-400">
+                  {formatSpelledPitch(VOICING_DEFAULTS.center + entry.output, spelling.outputs[trailStart + i])}
+                </span>
               </div>
             ))}
           </div>
@@ -314,6 +369,7 @@ const NegativeHarmonyPiano = memo(({
 NegativeHarmonyPiano.displayName = 'NegativeHarmonyPiano';
 
 NegativeHarmonyPiano.propTypes = {
+  axisIndex: PropTypes.number.isRequired,
   keyRoot: PropTypes.number.isRequired,
   melodyHistory: PropTypes.arrayOf(PropTypes.shape({
     input: PropTypes.number,
@@ -0,0 +1,238 @@
+/**
+ * @fileoverview Library panel: save, find, load and delete traversals and progressions
+ * @module components/SessionLibrary
+ */
+
+import React, { memo, useState, useCallback, useMemo, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { cn } from '../utils/cn';
+import { STRINGS } from '../constants';
+import { parseTags } from '../utils/sessionLibrary';
+import { Card, CardHeader, CardTitle, CardContent } from './ui/Card';
+import Button from './ui/Button';
+import Badge from './ui/Badge';
+import { Input, Separator } from './ui/Form';
+import { Library, Save, Trash2, Download, Upload, Waypoints, ListMusic, X } from 'lucide-react';
+
+/**
+ * One saved entry
+ */
+const EntryRow = memo(({ entry, onLoad, onDelete, onTagClick }) => (
+  <div className="group flex items-start gap-2 px-2 py-1.5 rounded-md bg-zinc-900/40 hover:bg-zinc-900">
+    <span className={cn("mt-0.5 shrink-0", entry.kind === 'traversal' ? "text-blue-400" : "text-emerald-400")}>
+      {entry.kind === 'traversal' ? <Waypoints size={14} /> : <ListMusic size={14} />}
+    </span>
+    <div className="flex-1 min-w-0">
+      <button
+        onClick={() => onLoad(entry)}
+        className="block w-full text-left"
+        title={STRINGS.LIBRARY_LOAD}
+      >
+        <span className="block text-xs font-medium text-zinc-200 truncate">{entry.name}</span>
+        <span className="block text-[10px] text-zinc-500">
+          {entry.kind === 'traversal' ? STRINGS.LIBRARY_TRAVERSAL : STRINGS.LIBRARY_PROGRESSION}
+          {' · '}
+          {new Date(entry.createdAt).toLocaleString()}
+        </span>
+      </button>
+      {entry.tags.length > 0 && (
+        <div className="flex flex-wrap gap-1 mt-1">
+          {entry.tags.map(tag => (
+            <button key={tag} onClick={() => onTagClick(tag)}>
+              <Badge variant="secondary" className="text-[10px] h-4 px-1.5">{tag}</Badge>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+    <button
+      onClick={() => onDelete(entry.id)}
+      className="shrink-0 text-zinc-600 hover:text-red-400 opacity-0 group-hover:opacity-100 transition-opacity"
+      title={STRINGS.LIBRARY_DELETE}
+    >
+      <Trash2 size={12} />
+    </button>
+  </div>
+));
+
+EntryRow.displayName = 'EntryRow';
+
+EntryRow.propTypes = {
+  entry: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    kind: PropTypes.oneOf(['traversal', 'progression']).isRequired,
+    name: PropTypes.string.isRequired,
+    tags: PropTypes.arrayOf(PropTypes.string).isRequired,
+    createdAt: PropTypes.string.isRequired,
+  }).isRequired,
+  onLoad: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+  onTagClick: PropTypes.func.isRequired,
+};
+
+/**
+ * Library panel
+ * A blank name saves under the default name of what is being saved.
+ */
+const SessionLibrary = memo(({
+  entries,
+  error,
+  defaultNames,
+  onSave,
+  onLoad,
+  onDelete,
+  onExport,
+  onImport,
+  onClose,
+  className
+}) => {
+  const inputRef = useRef(null);
+  const [name, setName] = useState('');
+  const [tags, setTags] = useState('');
+  const [filter, setFilter] = useState('');
+  const [importResult, setImportResult] = useState(null);
+
+  const handleSave = useCallback((kind) => {
+    onSave(kind, { name: name.trim() || defaultNames[kind], tags: parseTags(tags) });
+    setName('');
+    setTags('');
+  }, [name, tags, defaultNames, onSave]);
+
+  /**
+   * Reads the chosen library file
+   */
+  const handleFileChange = useCallback((e) => {
+    const chosen = e.target.files?.[0];
+    e.target.value = '';
+    if (!chosen) return;
+    chosen.text().then(text => setImportResult(onImport(text)));
+  }, [onImport]);
+
+  /**
+   * Entries whose name or one of whose tags contains the filter text
+   */
+  const visibleEntries = useMemo(() => {
+    const needle = filter.trim().toLowerCase();
+    if (!needle) return entries;
+    return entries.filter(entry => entry.name.toLowerCase().includes(needle)
+      || entry.tags.some(tag => tag.toLowerCase().includes(needle)));
+  }, [entries, filter]);
+
+  return (
+    <Card className={cn("w-80 max-w-[calc(100vw-1rem)] bg-zinc-950 border-zinc-800 shadow-2xl", className)}>
+      <CardHeader className="pb-2 flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="text-sm font-medium text-zinc-400 uppercase tracking-wider flex items-center gap-2">
+          <Library size={14} /> {STRINGS.LIBRARY}
+        </CardTitle>
+        <button onClick={onClose} className="text-zinc-500 hover:text-zinc-200" title={STRINGS.DISMISS}>
+          <X size={14} />
+        </button>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {error && <p className="text-xs text-amber-400" title={error}>{STRINGS.LIBRARY_UNAVAILABLE}</p>}
+
+        {/* Save */}
+        <div className="space-y-2">
+          <Input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder={STRINGS.LIBRARY_NAME}
+            className="h-8 text-xs"
+          />
+          <Input
+            value={tags}
+            onChange={(e) => setTags(e.target.value)}
+            placeholder={STRINGS.LIBRARY_TAGS}
+            className="h-8 text-xs"
+          />
+          <div className="flex gap-2">
+            <Button onClick={() => handleSave('traversal')} variant="secondary" className="flex-1 h-8 text-xs px-2">
+              <Save size={12} className="mr-1.5" /> {STRINGS.LIBRARY_SAVE_TRAVERSAL}
+            </Button>
+            <Button onClick={() => handleSave('progression')} variant="secondary" className="flex-1 h-8 text-xs px-2">
+              <Save size={12} className="mr-1.5" /> {STRINGS.LIBRARY_SAVE_PROGRESSION}
+            </Button>
+          </div>
+        </div>
+
+        <Separator className="bg-zinc-800" />
+
+        {/* Entries */}
+        <Input
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          placeholder={STRINGS.LIBRARY_FILTER}
+          className="h-8 text-xs"
+        />
+        <div className="space-y-1 max-h-[320px] overflow-y-auto pr-1 scrollbar-thin scrollbar-thumb-zinc-800">
+          {visibleEntries.length === 0 ? (
+            <p className="text-xs text-zinc-500 py-2 text-center">
+              {entries.length === 0 ? STRINGS.LIBRARY_EMPTY : STRINGS.LIBRARY_NO_MATCHES}
+            </p>
+          ) : visibleEntries.map(entry => (
+            <EntryRow
+              key={entry.id}
+              entry={entry}
+              onLoad={onLoad}
+              onDelete={onDelete}
+              onTagClick={setFilter}
+            />
+          ))}
+        </div>
+
+        <Separator className="bg-zinc-800" />
+
+        {/* Import / export */}
+        <div className="flex gap-2">
+          <Button
+            onClick={onExport}
+            variant="ghost"
+            className="flex-1 h-8 text-xs px-2 text-zinc-400"
+            disabled={entries.length === 0}
+          >
+            <Download size={12} className="mr-1.5" /> {STRINGS.LIBRARY_EXPORT}
+          </Button>
+          <Button
+            onClick={() => inputRef.current?.click()}
+            variant="ghost"
+            className="flex-1 h-8 text-xs px-2 text-zinc-400"
+          >
+            <Upload size={12} className="mr-1.5" /> {STRINGS.LIBRARY_IMPORT}
+          </Button>
+          <input
+            ref={inputRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={handleFileChange}
+            className="hidden"
+          />
+        </div>
+        {importResult && (
+          <p className={cn("text-xs", importResult.error ? "text-red-400" : "text-emerald-400")}>
+            {importResult.error ? importResult.error.message : `${STRINGS.LIBRARY_IMPORTED} ${importResult.count}`}
+          </p>
+        )}
+      </CardContent>
+    </Card>
+  );
+});
+
+SessionLibrary.displayName = 'SessionLibrary';
+
+SessionLibrary.propTypes = {
+  entries: PropTypes.arrayOf(PropTypes.object).isRequired,
+  error: PropTypes.string,
+  defaultNames: PropTypes.shape({
+    traversal: PropTypes.string.isRequired,
+    progression: PropTypes.string.isRequired,
+  }).isRequired,
+  onSave: PropTypes.func.isRequired,
+  onLoad: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+  onExport: PropTypes.func.isRequired,
+  onImport: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+  className: PropTypes.string,
+};
+
+export default SessionLibrary;
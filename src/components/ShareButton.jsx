@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Button copying a link to the current session
+ * @module components/ShareButton
+ */
+
+import React, { memo } from 'react';
+import PropTypes from 'prop-types';
+import { cn } from '../utils/cn';
+import { STRINGS } from '../constants';
+import Button from './ui/Button';
+import { Link2, Check } from 'lucide-react';
+
+/**
+ * Share button showing the result of the last copy
+ */
+const ShareButton = memo(({ status, onShare, className }) => (
+  <Button
+    variant="ghost"
+    size="sm"
+    onClick={onShare}
+    title={status === 'failed' ? STRINGS.SHARE_COPY_FAILED : STRINGS.SHARE_HINT}
+    className={cn(
+      "h-8 px-2 text-xs",
+      status === 'copied' ? "text-emerald-400" : status === 'failed' ? "text-amber-400" : "text-zinc-400",
+      className
+    )}
+  >
+    {status === 'copied' ? <Check size={14} /> : <Link2 size={14} />}
+    <span className="hidden sm:inline ml-1.5">
+      {status === 'copied' ? STRINGS.SHARE_COPIED : status === 'failed' ? STRINGS.SHARE_COPY_FAILED : STRINGS.SHARE}
+    </span>
+  </Button>
+));
+
+ShareButton.displayName = 'ShareButton';
+
+ShareButton.propTypes = {
+  status: PropTypes.oneOf(['copied', 'failed']),
+  onShare: PropTypes.func.isRequired,
+  className: PropTypes.string,
+};
+
+export default ShareButton;
@@ -3,14 +3,20 @@
  * @module components/TonnetzControls
  */
 
-import React, { memo, useRef, useEffect, useCallback } from 'react';
+import React, { memo, useRef, useEffect, useCallback, useState, useMemo } from 'react';
 import PropTypes from 'prop-types';
 import { cn } from '../utils/cn';
-import { NOTES, STRINGS } from '../constants';
+import { NOTES, STRINGS, PRIMITIVE_TRANSFORMS, COMPOUND_TRANSFORMS } from '../constants';
+import { mod, parseTransformWord, getMidiLabel, getVoiceLeading, describeVoiceLeading } from '../utils/musicUtils';
+import { formatSpelledNote, formatSpelledPitch, nameFromSpelling } from '../utils/spelling';
+import { historyToMidiFile, downloadMidiFile } from '../utils/midiFile';
+import { downloadWavFile } from '../utils/wavFile';
 import Button from './ui/Button';
 import Badge from './ui/Badge';
+import TonnetzPathFinder from './TonnetzPathFinder';
+import WavExport from './WavExport';
 import { Card, CardHeader, CardTitle, CardContent } from './ui/Card';
-import { Select, SelectTrigger, SelectValue, SelectContent, SelectItem } from './ui/Form';
+import { Input, Select, SelectTrigger, SelectValue, SelectContent, SelectItem } from './ui/Form';
 import { 
   ArrowRight, 
   History, 
@@ -20,7 +26,11 @@ import {
   Redo2,
   Play,
   Square,
-  RotateCcw
+  RotateCcw,
+  CornerDownLeft,
+  Download,
+  ChevronLeft,
+  ChevronRight
 } from 'lucide-react';
 
 /**
@@ -120,48 +130,63 @@ StartingChordSelector.propTypes = {
 
 /**
  * Current chord display card
+ * Notes are written as chordInfo spells them, falling back to the default names.
  */
-const CurrentChordCard = memo(({ chordInfo, notes, onPlay, isPlaying }) => (
-  <Card className="border-blue-900/30 bg-blue-950/10">
-    <CardHeader className="pb-2">
-      <CardTitle className="text-sm font-medium text-blue-400 uppercase tracking-wider flex items-center gap-2">
-        <Music size={14} /> {STRINGS.CURRENT_CHORD}
-      </CardTitle>
-    </CardHeader>
-    <CardContent>
-      <div className="flex items-center justify-between mb-4">
-        <div className="text-4xl font-bold text-zinc-50 tracking-tight">
-          {chordInfo.label}
-        </div>
-        {onPlay && (
-          <Button
-            onClick={onPlay}
-            variant={isPlaying ? "destructive" : "secondary"}
-            size="icon"
-            className="h-10 w-10"
-          >
-            {isPlaying ? <Square size={16} /> : <Play size={16} />}
-          </Button>
-        )}
-      </div>
-      <div className="flex flex-wrap gap-2">
-        {notes.map((note, i) => (
-          <div
-            key={i}
-            className={cn(
-              "w-10 h-10 rounded-md flex items-center justify-center",
-              "text-sm font-bold shadow-lg border border-blue-500/50",
-              "ring-2 ring-blue-900/20 bg-blue-600",
-              "transition-transform duration-200 hover:scale-110"
+const CurrentChordCard = memo(({ chordInfo, notes, voicing, onPlay, isPlaying }) => {
+  const spellingOf = (pc) => chordInfo.spelling?.[notes.indexOf(mod(pc))];
+
+  return (
+    <Card className="border-blue-900/30 bg-blue-950/10">
+      <CardHeader className="pb-2">
+        <CardTitle className="text-sm font-medium text-blue-400 uppercase tracking-wider flex items-center gap-2">
+          <Music size={14} /> {STRINGS.CURRENT_CHORD}
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        <div className="flex items-center justify-between mb-4">
+          <div className="text-4xl font-bold text-zinc-50 tracking-tight">
+            {chordInfo.label}
+            {chordInfo.candidates?.length > 1 && (
+              <div className="text-xs font-normal text-zinc-500 tracking-normal mt-1">
+                or {chordInfo.candidates.slice(1, 3).map(c => c.label).join(', ')}
+              </div>
             )}
-          >
-            {NOTES[note]}
           </div>
-        ))}
-      </div>
-    </CardContent>
-  </Card>
-));
+          {onPlay && (
+            <Button
+              onClick={onPlay}
+              variant={isPlaying ? "destructive" : "secondary"}
+              size="icon"
+              className="h-10 w-10"
+            >
+              {isPlaying ? <Square size={16} /> : <Play size={16} />}
+            </Button>
+          )}
+        </div>
+        <div className="flex flex-wrap gap-2">
+          {notes.map((note, i) => (
+            <div
+              key={i}
+              className={cn(
+                "w-10 h-10 rounded-md flex items-center justify-center",
+                "text-sm font-bold shadow-lg border border-blue-500/50",
+                "ring-2 ring-blue-900/20 bg-blue-600",
+                "transition-transform duration-200 hover:scale-110"
+              )}
+            >
+              {spellingOf(note) ? formatSpelledNote(spellingOf(note)) : NOTES[note]}
+            </div>
+          ))}
+        </div>
+        {voicing && (
+          <div className="mt-3 text-xs text-zinc-500 font-mono">
+            {voicing.map(pitch => (spellingOf(pitch) ? formatSpelledPitch(pitch, spellingOf(pitch)) : getMidiLabel(pitch))).join(' ')}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+});
 
 CurrentChordCard.displayName = 'CurrentChordCard';
 
@@ -169,8 +194,11 @@ CurrentChordCard.propTypes = {
   chordInfo: PropTypes.shape({
     label: PropTypes.string,
     type: PropTypes.string,
+    candidates: PropTypes.arrayOf(PropTypes.shape({ label: PropTypes.string })),
+    spelling: PropTypes.arrayOf(PropTypes.shape({ step: PropTypes.string, alter: PropTypes.number })),
   }).isRequired,
   notes: PropTypes.arrayOf(PropTypes.number).isRequired,
+  voicing: PropTypes.arrayOf(PropTypes.number),
   onPlay: PropTypes.func,
   isPlaying: PropTypes.bool,
 };
@@ -178,11 +206,14 @@ CurrentChordCard.propTypes = {
 /**
  * Transformation button component
  */
-const TransformButton = memo(({ type, label, color, onClick }) => {
+const TransformButton = memo(({ type, label, color, onClick, decomposition }) => {
   const colorClasses = {
     indigo: "hover:border-indigo-500/50 hover:bg-indigo-950/30 text-indigo-400",
     emerald: "hover:border-emerald-500/50 hover:bg-emerald-950/30 text-emerald-400",
     rose: "hover:border-rose-500/50 hover:bg-rose-950/30 text-rose-400",
+    amber: "hover:border-amber-500/50 hover:bg-amber-950/30 text-amber-400",
+    violet: "hover:border-violet-500/50 hover:bg-violet-950/30 text-violet-400",
+    cyan: "hover:border-cyan-500/50 hover:bg-cyan-950/30 text-cyan-400",
   };
 
   return (
@@ -190,12 +221,17 @@ const TransformButton = memo(({ type, label, color, onClick }) => {
       onClick={() => onClick(type)}
       variant="outline"
       className={cn(
-        "h-20 sm:h-24 flex-col gap-2 transition-all duration-200",
+        "flex-col transition-all duration-200",
+        decomposition ? "h-16 sm:h-20 gap-1" : "h-20 sm:h-24 gap-2",
         colorClasses[color]
       )}
+      title={decomposition ? `${label} = ${decomposition.join('')}` : label}
     >
-      <span className="text-2xl font-bold">{type}</span>
+      <span className={cn("font-bold", decomposition ? "text-xl" : "text-2xl")}>{type}</span>
       <span className="text-[10px] text-zinc-500 uppercase">{label}</span>
+      {decomposition && (
+        <span className="text-[9px] font-mono text-zinc-600">{decomposition.join('')}</span>
+      )}
     </Button>
   );
 });
@@ -203,24 +239,167 @@ const TransformButton = memo(({ type, label, color, onClick }) => {
 TransformButton.displayName = 'TransformButton';
 
 TransformButton.propTypes = {
-  type: PropTypes.oneOf(['P', 'L', 'R']).isRequired,
+  type: PropTypes.oneOf([...PRIMITIVE_TRANSFORMS, ...Object.keys(COMPOUND_TRANSFORMS)]).isRequired,
   label: PropTypes.string.isRequired,
-  color: PropTypes.oneOf(['indigo', 'emerald', 'rose']).isRequired,
+  color: PropTypes.oneOf(['indigo', 'emerald', 'rose', 'amber', 'violet', 'cyan']).isRequired,
   onClick: PropTypes.func.isRequired,
+  decomposition: PropTypes.arrayOf(PropTypes.string),
+};
+
+/**
+ * Transformation word input, e.g. "(PL)^3" or "RL*4"
+ * Validates as you type and highlights the offending character on error
+ */
+const TransformWordInput = memo(({ onApply }) => {
+  const [word, setWord] = useState('');
+
+  const { ops, error } = useMemo(
+    () => (word.trim() ? parseTransformWord(word) : { ops: null, error: null }),
+    [word]
+  );
+
+  const handleSubmit = useCallback((e) => {
+    e.preventDefault();
+    if (!ops) return;
+    const result = onApply(word);
+    if (!result?.error) setWord('');
+  }, [onApply, word, ops]);
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <label className="text-xs font-semibold text-zinc-500 uppercase tracking-wider px-1 flex items-center justify-between">
+        {STRINGS.TRANSFORM_WORD}
+        {ops && (
+          <span className="font-mono normal-case tracking-normal text-zinc-600">
+            {ops.length} {ops.length === 1 ? 'step' : 'steps'}
+          </span>
+        )}
+      </label>
+      <div className="flex gap-2">
+        <Input
+          value={word}
+          onChange={(e) => setWord(e.target.value)}
+          placeholder={STRINGS.PLACEHOLDER_TRANSFORM_WORD}
+          spellCheck={false}
+          aria-invalid={Boolean(error)}
+          className={cn(
+            "font-mono bg-zinc-900/50",
+            error ? "border-red-900/70" : "border-zinc-700"
+          )}
+        />
+        <Button
+          type="submit"
+          variant="outline"
+          disabled={!ops}
+          className="h-10 px-3 bg-zinc-900/50 border-zinc-700 hover:bg-zinc-800"
+          title={STRINGS.APPLY}
+        >
+          <CornerDownLeft size={14} />
+        </Button>
+      </div>
+      {error && (
+        <div className="px-1 space-y-1">
+          <div className="font-mono text-xs text-zinc-400 whitespace-pre overflow-x-auto">
+            {word.slice(0, error.position)}
+            <span className="text-red-400 underline decoration-wavy decoration-red-500">
+              {word.slice(error.position, error.position + error.length) || ' '}
+            </span>
+            {word.slice(error.position + error.length)}
+          </div>
+          <p className="text-xs text-red-400">
+            {error.message} (position {error.position + 1})
+          </p>
+        </div>
+      )}
+    </form>
+  );
+});
+
+TransformWordInput.displayName = 'TransformWordInput';
+
+TransformWordInput.propTypes = {
+  onApply: PropTypes.func.isRequired,
+};
+
+/**
+ * Switches between the branches leaving the same chord
+ */
+const BranchSwitcher = memo(({ alternatives, node, onSelect }) => {
+  const index = alternatives.indexOf(node);
+  const count = alternatives.length;
+
+  return (
+    <div className="flex items-center text-[9px] font-mono text-amber-500/80 mt-0.5">
+      <button
+        onClick={() => onSelect(alternatives[(index + count - 1) % count])}
+        className="hover:text-amber-300"
+        title={STRINGS.BRANCH_PREVIOUS}
+      >
+        <ChevronLeft size={10} />
+      </button>
+      <span>{index + 1}/{count}</span>
+      <button
+        onClick={() => onSelect(alternatives[(index + 1) % count])}
+        className="hover:text-amber-300"
+        title={STRINGS.BRANCH_NEXT}
+      >
+        <ChevronRight size={10} />
+      </button>
+    </div>
+  );
+});
+
+BranchSwitcher.displayName = 'BranchSwitcher';
+
+BranchSwitcher.propTypes = {
+  alternatives: PropTypes.arrayOf(PropTypes.object).isRequired,
+  node: PropTypes.object.isRequired,
+  onSelect: PropTypes.func.isRequired,
 };
 
+/**
+ * The WAV export renders the active branch
+ */
+const WAV_SOURCES = [{ id: 'traversal', label: STRINGS.WAV_SOURCE_TRAVERSAL }];
+
 /**
  * History/traversal path display
+ * Shows the active branch; each step shows the semitones moved by the voice
+ * leading into it, and steps where the history branches can be switched.
+ * Chords after the current one are those redo steps through.
  */
-const TraversalPath = memo(({ history, onClear }) => {
-  const pathRef = useRef(null);
+const TraversalPath = memo(({ branch, branchIndex, alternatives, onNodeClick, onSelectBranch, onClear, onRenderWav, tempo }) => {
+  const currentRef = useRef(null);
+
+  // Voice leading into each chord, its moves spelled as the chords are
+  const voiceLeadings = useMemo(() => branch.map((step, i) => {
+    if (i === 0) return null;
+    const motion = getVoiceLeading(branch[i - 1].notes, step.notes);
+    const names = { nameFrom: nameFromSpelling(branch[i - 1].spelling), nameTo: nameFromSpelling(step.spelling) };
+    return { ...motion, description: describeVoiceLeading(motion, names) };
+  }), [branch]);
+
+  const handleExport = useCallback(() => {
+    downloadMidiFile(historyToMidiFile(branch, { tempo }), 'tonnetz-traversal.mid');
+  }, [branch, tempo]);
+
+  /**
+   * Renders the branch to a WAV file, a chord a beat like the transport plays it
+   * @param {string} source - Only 'traversal'
+   * @param {{sampleRate: number, bitDepth: number}} format - WAV format
+   * @returns {Promise<{error: {message: string}|null}>} Why it could not be rendered
+   */
+  const handleRenderWav = useCallback(async (source, format) => {
+    const chords = branch.map(step => ({ voicing: step.voicing }));
+    const { bytes, error } = await onRenderWav([{ chords }], { tempo, ...format });
+    if (bytes) downloadWavFile(bytes, 'tonnetz-traversal.wav');
+    return { error };
+  }, [branch, onRenderWav, tempo]);
 
-  // Auto-scroll to end when history changes
+  // Keep the current chord in view as it moves
   useEffect(() => {
-    if (pathRef.current) {
-      pathRef.current.scrollLeft = pathRef.current.scrollWidth;
-    }
-  }, [history]);
+    currentRef.current?.scrollIntoView?.({ block: 'nearest', inline: 'nearest' });
+  }, [branch, branchIndex]);
 
   return (
     <div className="flex-1 min-h-[120px] sm:min-h-[150px] flex flex-col">
@@ -228,51 +407,79 @@ const TraversalPath = memo(({ history, onClear }) => {
         <h3 className="text-xs font-semibold text-zinc-500 uppercase flex items-center gap-2">
           <History size={12} /> {STRINGS.TRAVERSAL_PATH}
         </h3>
-        <Button
-          variant="ghost"
-          size="sm"
-          onClick={onClear}
-          className="h-6 text-xs px-2 text-zinc-500 hover:text-red-400"
-        >
-          <Trash2 size={12} className="mr-1" /> {STRINGS.CLEAR}
-        </Button>
+        <div className="flex items-center gap-1">
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={handleExport}
+            className="h-6 text-xs px-2 text-zinc-500 hover:text-zinc-200"
+            title={STRINGS.EXPORT_MIDI_HINT}
+          >
+            <Download size={12} className="mr-1" /> {STRINGS.EXPORT}
+          </Button>
+          {onRenderWav && <WavExport sources={WAV_SOURCES} onRender={handleRenderWav} compact />}
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={onClear}
+            className="h-6 text-xs px-2 text-zinc-500 hover:text-red-400"
+          >
+            <Trash2 size={12} className="mr-1" /> {STRINGS.CLEAR}
+          </Button>
+        </div>
       </div>
 
       <div
-        ref={pathRef}
         className={cn(
           "flex-1 rounded-xl border border-zinc-800 bg-zinc-900/50 p-4",
           "overflow-x-auto flex items-center gap-3",
           "scrollbar-thin scrollbar-thumb-zinc-700 scrollbar-track-transparent"
         )}
       >
-        {history.map((step, i) => (
+        {branch.map((step, i) => (
           <React.Fragment key={step.id}>
             {i > 0 && (
-              <div className="flex flex-col items-center min-w-[20px]">
+              <div
+                className="flex flex-col items-center min-w-[20px]"
+                title={voiceLeadings[i]?.description}
+              >
                 <span className="text-[9px] font-mono text-zinc-600 mb-0.5">
                   {step.op}
                 </span>
                 <ArrowRight size={12} className="text-zinc-700" />
+                {voiceLeadings[i] && (
+                  <span className="text-[9px] font-mono text-zinc-600 mt-0.5">
+                    {voiceLeadings[i].taxicab}{STRINGS.SEMITONES_SHORT}
+                  </span>
+                )}
+                {alternatives[i].length > 1 && (
+                  <BranchSwitcher alternatives={alternatives[i]} node={step} onSelect={onSelectBranch} />
+                )}
               </div>
             )}
-            <Badge
-              variant={i === history.length - 1 ? "default" : "secondary"}
-              className={cn(
-                "flex flex-col items-center justify-center h-[50px] min-w-[60px] py-1 px-2",
-                "transition-all duration-200",
-                i === history.length - 1 
-                  ? "ring-2 ring-zinc-500 ring-offset-2 ring-offset-zinc-950" 
-                  : "opacity-70 hover:opacity-100"
-              )}
+            <button
+              ref={i === branchIndex ? currentRef : undefined}
+              onClick={() => onNodeClick(step)}
+              className="shrink-0"
             >
-              <span className="text-[10px] font-normal opacity-70">
-                {step.type?.slice(0, 3)}
-              </span>
-              <span className="text-sm font-bold">
-                {step.label?.split(' ')[0]}
-              </span>
-            </Badge>
+              <Badge
+                variant={i === branchIndex ? "default" : "secondary"}
+                className={cn(
+                  "flex flex-col items-center justify-center h-[50px] min-w-[60px] py-1 px-2",
+                  "transition-all duration-200",
+                  i === branchIndex
+                    ? "ring-2 ring-zinc-500 ring-offset-2 ring-offset-zinc-950"
+                    : i > branchIndex ? "opacity-40 hover:opacity-100" : "opacity-70 hover:opacity-100"
+                )}
+              >
+                <span className="text-[10px] font-normal opacity-70">
+                  {step.type?.slice(0, 3)}
+                </span>
+                <span className="text-sm font-bold">
+                  {step.label?.split(' ')[0]}
+                </span>
+              </Badge>
+            </button>
           </React.Fragment>
         ))}
       </div>
@@ -283,13 +490,21 @@ const TraversalPath = memo(({ history, onClear }) => {
 TraversalPath.displayName = 'TraversalPath';
 
 TraversalPath.propTypes = {
-  history: PropTypes.arrayOf(PropTypes.shape({
+  branch: PropTypes.arrayOf(PropTypes.shape({
     id: PropTypes.string,
     label: PropTypes.string,
     type: PropTypes.string,
     op: PropTypes.string,
+    notes: PropTypes.arrayOf(PropTypes.number),
+    voicing: PropTypes.arrayOf(PropTypes.number),
   })).isRequired,
+  branchIndex: PropTypes.number.isRequired,
+  alternatives: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.object)).isRequired,
+  onNodeClick: PropTypes.func.isRequired,
+  onSelectBranch: PropTypes.func.isRequired,
   onClear: PropTypes.func.isRequired,
+  onRenderWav: PropTypes.func,
+  tempo: PropTypes.number,
 };
 
 /**
@@ -298,8 +513,16 @@ TraversalPath.propTypes = {
 const TonnetzControls = memo(({
   chordInfo,
   currentChord,
-  history,
+  voicing,
+  branch,
+  branchIndex,
+  alternatives,
+  onNodeClick,
+  onSelectBranch,
   onTransform,
+  onApplyWord,
+  onAnimatePath,
+  isAnimatingPath,
   onReset,
   onUndo,
   onRedo,
@@ -308,6 +531,8 @@ const TonnetzControls = memo(({
   onPlayChord,
   isPlaying,
   onSetChord,
+  onRenderWav,
+  tempo,
   className
 }) => (
   <div className={cn(
@@ -328,6 +553,7 @@ const TonnetzControls = memo(({
     <CurrentChordCard 
       chordInfo={chordInfo} 
       notes={currentChord}
+      voicing={voicing}
       onPlay={onPlayChord}
       isPlaying={isPlaying}
     />
@@ -385,8 +611,60 @@ const TonnetzControls = memo(({
       />
     </div>
 
+    {/* Compound transformation buttons */}
+    <div className="space-y-2">
+      <h3 className="text-xs font-semibold text-zinc-500 uppercase tracking-wider px-1">
+        {STRINGS.COMPOUND_TRANSFORMS}
+      </h3>
+      <div className="grid grid-cols-3 gap-3">
+        <TransformButton 
+          type="N" 
+          label={STRINGS.TRANSFORM_N} 
+          color="amber" 
+          decomposition={COMPOUND_TRANSFORMS.N.steps}
+          onClick={onTransform} 
+        />
+        <TransformButton 
+          type="S" 
+          label={STRINGS.TRANSFORM_S} 
+          color="violet" 
+          decomposition={COMPOUND_TRANSFORMS.S.steps}
+          onClick={onTransform} 
+        />
+        <TransformButton 
+          type="H" 
+          label={STRINGS.TRANSFORM_H} 
+          color="cyan" 
+          decomposition={COMPOUND_TRANSFORMS.H.steps}
+          onClick={onTransform} 
+        />
+      </div>
+    </div>
+
+    {/* Transformation word */}
+    {onApplyWord && <TransformWordInput onApply={onApplyWord} />}
+
+    {/* Shortest path finder */}
+    {onAnimatePath && (
+      <TonnetzPathFinder
+        currentChord={currentChord}
+        currentLabel={chordInfo.label}
+        onAnimatePath={onAnimatePath}
+        isAnimating={isAnimatingPath}
+      />
+    )}
+
     {/* Traversal history */}
-    <TraversalPath history={history} onClear={onReset} />
+    <TraversalPath
+      branch={branch}
+      branchIndex={branchIndex}
+      alternatives={alternatives}
+      onNodeClick={onNodeClick}
+      onSelectBranch={onSelectBranch}
+      onClear={onReset}
+      onRenderWav={onRenderWav}
+      tempo={tempo}
+    />
   </div>
 ));
 
@@ -398,8 +676,16 @@ TonnetzControls.propTypes = {
     type: PropTypes.string,
   }).isRequired,
   currentChord: PropTypes.arrayOf(PropTypes.number).isRequired,
-  history: PropTypes.array.isRequired,
+  voicing: PropTypes.arrayOf(PropTypes.number),
+  branch: PropTypes.array.isRequired,
+  branchIndex: PropTypes.number.isRequired,
+  alternatives: PropTypes.array.isRequired,
+  onNodeClick: PropTypes.func.isRequired,
+  onSelectBranch: PropTypes.func.isRequired,
   onTransform: PropTypes.func.isRequired,
+  onApplyWord: PropTypes.func,
+  onAnimatePath: PropTypes.func,
+  isAnimatingPath: PropTypes.bool,
   onReset: PropTypes.func.isRequired,
   onUndo: PropTypes.func.isRequired,
   onRedo: PropTypes.func.isRequired,
@@ -408,6 +694,8 @@ TonnetzControls.propTypes = {
   onPlayChord: PropTypes.func,
   isPlaying: PropTypes.bool,
   onSetChord: PropTypes.func,
+  onRenderWav: PropTypes.func,
+  tempo: PropTypes.number,
   className: PropTypes.string,
 };
 
@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Triangular Tonnetz lattice layer for the Tonnetz visualiser
+ * @module components/TonnetzLattice
+ */
+
+import React, { memo, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { CHORD_COLOURS } from '../constants';
+import { getNoteLabel, arraysEqual } from '../utils/musicUtils';
+import { getVisibleLattice, locateNodeFace } from '../utils/tonnetzGeometry';
+
+/**
+ * Collects the points each edge of the traversal passes through, including
+ * the intermediate P/L/R waypoints of compound edges
+ * @param {Object[]} edges - Edges between nodes
+ * @returns {Array<{id: string, points: Object[]}>} One segment per edge, keyed by the node it reaches
+ */
+const getTraversalSegments = (edges) =>
+  edges.map(edge => ({ id: edge.to.id, points: [edge.from, ...(edge.steps ?? [edge.to])] }));
+
+/**
+ * Lattice layer: pitch-class vertices, triad faces and the traversal path
+ * Everything is derived from the view box, so the lattice keeps tiling
+ * however far the view is panned. Branches off the active one are faded.
+ */
+const TonnetzLattice = memo(({ lattice, viewBox, history, edges, branchIds, currentNode, currentChord }) => {
+  const { vertices, faces } = useMemo(
+    () => getVisibleLattice(lattice, viewBox),
+    [lattice, viewBox]
+  );
+
+  const segments = useMemo(() => getTraversalSegments(edges), [edges]);
+
+  // Faces the traversal has passed through, on any branch
+  const visitedFaceKeys = useMemo(() => new Set(
+    [history[0], ...segments.flatMap(segment => segment.points)]
+      .filter(Boolean)
+      .map(point => locateNodeFace(lattice, point))
+      .filter(Boolean)
+      .map(face => face.key)
+  ), [lattice, history, segments]);
+
+  // Face of the current node, or of the most recent visit to the current chord
+  const activeFace = useMemo(() => {
+    if (!currentChord) return null;
+    const node = currentNode?.notes && arraysEqual(currentNode.notes, currentChord)
+      ? currentNode
+      : [...history].reverse().find(n => n.notes && arraysEqual(n.notes, currentChord));
+    return node ? locateNodeFace(lattice, node) : null;
+  }, [lattice, history, currentNode, currentChord]);
+
+  const activeColours = activeFace ? CHORD_COLOURS[activeFace.type] : null;
+
+  return (
+    <g className="lattice">
+      {/* Triangle faces */}
+      <g className="faces">
+        {faces.map(face => {
+          const isActive = activeFace?.key === face.key;
+          const isCurrentChord = currentChord && arraysEqual(face.notes, currentChord);
+          const isVisited = visitedFaceKeys.has(face.key);
+          const colours = CHORD_COLOURS[face.type];
+
+          let fillOpacity = 0;
+          if (isActive) fillOpacity = 0.55;
+          else if (isVisited) fillOpacity = 0.2;
+          else if (isCurrentChord) fillOpacity = 0.1;
+
+          return (
+            <polygon
+              key={face.key}
+              points={face.vertices.map(v => `${v.x},${v.y}`).join(' ')}
+              fill={colours.fill}
+              fillOpacity={fillOpacity}
+              stroke="#27272a"
+              strokeWidth="1"
+            />
+          );
+        })}
+      </g>
+
+      {/* Traversal path through adjacent faces */}
+      {segments.map(segment => (
+        <polyline
+          key={segment.id}
+          points={segment.points.map(p => `${p.x},${p.y}`).join(' ')}
+          fill="none"
+          stroke="#10b981"
+          strokeOpacity={branchIds.has(segment.id) ? 0.7 : 0.25}
+          strokeWidth="2"
+          strokeLinejoin="round"
+        />
+      ))}
+
+      {/* Pitch-class vertices */}
+      <g className="vertices">
+        {vertices.map(vertex => {
+          const isInActiveFace = Boolean(activeFace?.vertices.some(v => v.i === vertex.i && v.j === vertex.j));
+
+          return (
+            <g key={vertex.key}>
+              <circle
+                cx={vertex.x}
+                cy={vertex.y}
+                r={10}
+                fill={isInActiveFace ? activeColours.stroke : '#18181b'}
+                stroke={isInActiveFace ? '#fff' : '#3f3f46'}
+                strokeWidth="1"
+              />
+              <text
+                x={vertex.x}
+                y={vertex.y + 3.5}
+                textAnchor="middle"
+                fill={isInActiveFace ? '#fff' : '#a1a1aa'}
+                fontSize="9"
+                className="font-bold select-none pointer-events-none"
+              >
+                {getNoteLabel(vertex.pc)}
+              </text>
+            </g>
+          );
+        })}
+      </g>
+    </g>
+  );
+});
+
+TonnetzLattice.displayName = 'TonnetzLattice';
+
+TonnetzLattice.propTypes = {
+  lattice: PropTypes.shape({
+    origin: PropTypes.shape({ x: PropTypes.number, y: PropTypes.number }),
+    pc: PropTypes.number,
+    side: PropTypes.number,
+  }).isRequired,
+  viewBox: PropTypes.shape({
+    x: PropTypes.number,
+    y: PropTypes.number,
+    w: PropTypes.number,
+    h: PropTypes.number,
+  }).isRequired,
+  history: PropTypes.array.isRequired,
+  edges: PropTypes.array.isRequired,
+  branchIds: PropTypes.instanceOf(Set).isRequired,
+  currentNode: PropTypes.object,
+  currentChord: PropTypes.arrayOf(PropTypes.number),
+};
+
+export default TonnetzLattice;
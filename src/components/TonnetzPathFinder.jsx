@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Shortest transformation path finder between two triads
+ * @module components/TonnetzPathFinder
+ */
+
+import React, { memo, useState, useMemo, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { cn } from '../utils/cn';
+import { STRINGS } from '../constants';
+import { getConsonantTriads, findShortestPaths, chordKey, isConsonantTriad } from '../utils/musicUtils';
+import Button from './ui/Button';
+import { Select, SelectTrigger, SelectContent, SelectItem } from './ui/Form';
+import { Route, Play } from 'lucide-react';
+
+/**
+ * The 24 major and minor triads offered as targets
+ */
+const TRIADS = getConsonantTriads();
+
+/**
+ * Sentinel value for "start from the current chord"
+ */
+const CURRENT = 'current';
+
+/**
+ * Triad selector grid
+ */
+const TriadSelect = memo(({ label, value, onChange, allowCurrent, currentLabel }) => {
+  const selected = TRIADS.find(t => chordKey(t.notes) === value);
+
+  return (
+    <div className="flex-1 space-y-1 min-w-0">
+      <span className="text-[10px] text-zinc-500 uppercase font-semibold">{label}</span>
+      <Select value={value} onValueChange={onChange}>
+        <SelectTrigger className="w-full h-9 bg-zinc-900/50 border-zinc-700">
+          <span className="text-zinc-200 truncate">
+            {value === CURRENT ? `${currentLabel} (current)` : selected?.label}
+          </span>
+        </SelectTrigger>
+        <SelectContent>
+          {allowCurrent && (
+            <SelectItem value={CURRENT} className="text-zinc-400">
+              {STRINGS.CURRENT_CHORD}
+            </SelectItem>
+          )}
+          <div className="grid grid-cols-4 gap-1 p-2">
+            {TRIADS.map(triad => (
+              <SelectItem
+                key={triad.label}
+                value={chordKey(triad.notes)}
+                className={cn(
+                  "text-center justify-center",
+                  value === chordKey(triad.notes) && "bg-zinc-700"
+                )}
+              >
+                {triad.label}
+              </SelectItem>
+            ))}
+          </div>
+        </SelectContent>
+      </Select>
+    </div>
+  );
+});
+
+TriadSelect.displayName = 'TriadSelect';
+
+TriadSelect.propTypes = {
+  label: PropTypes.string.isRequired,
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  allowCurrent: PropTypes.bool,
+  currentLabel: PropTypes.string,
+};
+
+/**
+ * Path finder panel
+ * Finds every shortest P/L/R (optionally compound) word between two triads
+ * and hands the chosen word to onAnimatePath
+ */
+const TonnetzPathFinder = memo(({
+  currentChord,
+  currentLabel,
+  onAnimatePath,
+  isAnimating,
+  className
+}) => {
+  const [source, setSource] = useState(CURRENT);
+  const [target, setTarget] = useState(chordKey([1, 6, 9])); // F#m
+  const [includeCompound, setIncludeCompound] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const sourceNotes = useMemo(
+    () => (source === CURRENT ? currentChord : TRIADS.find(t => chordKey(t.notes) === source).notes),
+    [source, currentChord]
+  );
+  const targetNotes = useMemo(() => TRIADS.find(t => chordKey(t.notes) === target).notes, [target]);
+  const sourceIsValid = isConsonantTriad(sourceNotes);
+
+  // A result only stays visible while it still describes the selected chords
+  const query = `${chordKey(sourceNotes)}>${target}:${includeCompound}`;
+  const visibleResult = result?.query === query ? result : null;
+
+  const handleFind = useCallback(() => {
+    const found = findShortestPaths(sourceNotes, targetNotes, { includeCompound });
+    setResult(found && { ...found, query });
+  }, [sourceNotes, targetNotes, includeCompound, query]);
+
+  const handleAnimate = useCallback((path) => {
+    onAnimatePath(path, source === CURRENT ? null : sourceNotes);
+  }, [onAnimatePath, source, sourceNotes]);
+
+  return (
+    <div className={cn("space-y-2", className)}>
+      <h3 className="text-xs font-semibold text-zinc-500 uppercase tracking-wider px-1 flex items-center gap-2">
+        <Route size={12} /> {STRINGS.FIND_PATH}
+      </h3>
+
+      <div className="flex gap-2 items-end">
+        <TriadSelect
+          label={STRINGS.PATH_FROM}
+          value={source}
+          onChange={setSource}
+          allowCurrent
+          currentLabel={currentLabel}
+        />
+        <TriadSelect
+          label={STRINGS.PATH_TO}
+          value={target}
+          onChange={setTarget}
+        />
+      </div>
+
+      <div className="flex items-center justify-between gap-2">
+        <label className="flex items-center gap-2 text-xs text-zinc-400 cursor-pointer select-none">
+          <input
+            type="checkbox"
+            checked={includeCompound}
+            onChange={(e) => setIncludeCompound(e.target.checked)}
+            className="accent-emerald-500"
+          />
+          {STRINGS.INCLUDE_COMPOUND}
+        </label>
+        <Button
+          onClick={handleFind}
+          variant="outline"
+          size="sm"
+          disabled={!sourceIsValid}
+          className="h-8 bg-zinc-900/50 border-zinc-700 hover:bg-zinc-800"
+          title={sourceIsValid ? undefined : 'Paths are only defined between major and minor triads'}
+        >
+          <Route size={14} className="mr-1.5" /> {STRINGS.FIND_PATH}
+        </Button>
+      </div>
+
+      {visibleResult && (
+        <div className="rounded-lg border border-zinc-800 bg-zinc-900/50 p-3 space-y-2">
+          <div className="text-xs text-zinc-400">
+            {visibleResult.distance === 0
+              ? 'Source and target are the same triad.'
+              : `${visibleResult.paths.length} shortest ${visibleResult.paths.length === 1 ? 'path' : 'paths'} of length ${visibleResult.distance}`}
+          </div>
+          {visibleResult.distance > 0 && (
+            <div className="flex flex-wrap gap-1.5">
+              {visibleResult.paths.map(path => (
+                <Button
+                  key={path.join('')}
+                  onClick={() => handleAnimate(path)}
+                  variant="secondary"
+                  size="sm"
+                  disabled={isAnimating}
+                  className="h-7 px-2 font-mono text-xs"
+                  title="Animate this path"
+                >
+                  <Play size={10} className="mr-1" /> {path.join('')}
+                </Button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+});
+
+TonnetzPathFinder.displayName = 'TonnetzPathFinder';
+
+TonnetzPathFinder.propTypes = {
+  currentChord: PropTypes.arrayOf(PropTypes.number).isRequired,
+  currentLabel: PropTypes.string,
+  onAnimatePath: PropTypes.func.isRequired,
+  isAnimating: PropTypes.bool,
+  className: PropTypes.string,
+};
+
+export default TonnetzPathFinder;
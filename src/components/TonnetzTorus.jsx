@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Toroidal Tonnetz layer: the traversal folded onto one fundamental domain
+ * @module components/TonnetzTorus
+ */
+
+import React, { memo, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { CHORD_COLOURS, STRINGS } from '../constants';
+import { getNoteLabel, chordKey, getVoiceLeading } from '../utils/musicUtils';
+import { getVisibleLattice, foldToTorus, getTorusBounds } from '../utils/tonnetzGeometry';
+
+/**
+ * Periodic translates tried when drawing an edge, enough to cover any
+ * edge shorter than the domain
+ */
+const TRANSLATES = [-1, 0, 1].flatMap(k1 => [-1, 0, 1].map(k2 => [k1, k2]));
+
+/**
+ * Torus layer: domain outline, the 24 triangles inside it and every edge
+ * of the traversal, drawn across the boundary where it wraps around
+ */
+const TonnetzTorus = memo(({ torus, edges }) => {
+  const bounds = useMemo(() => getTorusBounds(torus), [torus]);
+  const domainPoints = torus.corners.map(c => `${c.x},${c.y}`).join(' ');
+
+  // Faces and vertices of the domain (clipped to the outline when drawn)
+  const { vertices, faces } = useMemo(
+    () => getVisibleLattice(torus.lattice, bounds),
+    [torus, bounds]
+  );
+
+  // One segment per distinct chord pair, folded into the domain
+  const foldedEdges = useMemo(() => {
+    const byPair = new Map();
+    edges.forEach(edge => {
+      const key = `${chordKey(edge.from.notes)}>${chordKey(edge.to.notes)}`;
+      if (byPair.has(key)) return;
+
+      const start = foldToTorus(torus, edge.from);
+      const dx = edge.to.x - edge.from.x;
+      const dy = edge.to.y - edge.from.y;
+      const label = foldToTorus(torus, { x: edge.from.x + dx / 2, y: edge.from.y + dy / 2 });
+      const end = foldToTorus(torus, edge.to);
+      const wraps = Math.hypot(start.x + dx - end.x, start.y + dy - end.y) > 1e-6;
+
+      const voiceLeading = getVoiceLeading(edge.from.notes, edge.to.notes);
+
+      byPair.set(key, { key, type: edge.type, start, dx, dy, label, wraps, voiceLeading });
+    });
+    return [...byPair.values()];
+  }, [torus, edges]);
+
+  const [period1, period2] = torus.periods;
+
+  return (
+    <g className="torus">
+      <defs>
+        <clipPath id="torus-domain">
+          <polygon points={domainPoints} />
+        </clipPath>
+      </defs>
+
+      {/* Triangles of the fundamental domain */}
+      <g clipPath="url(#torus-domain)">
+        {faces.map(face => (
+          <polygon
+            key={face.key}
+            points={face.vertices.map(v => `${v.x},${v.y}`).join(' ')}
+            fill={CHORD_COLOURS[face.type].fill}
+            fillOpacity="0.06"
+            stroke="#27272a"
+            strokeWidth="1"
+          />
+        ))}
+
+        {/* Edges, including the pieces that re-enter from the opposite side */}
+        {foldedEdges.map(edge => TRANSLATES.map(([k1, k2]) => {
+          const x1 = edge.start.x + k1 * period1.x + k2 * period2.x;
+          const y1 = edge.start.y + k1 * period1.y + k2 * period2.y;
+          return (
+            <line
+              key={`${edge.key}:${k1},${k2}`}
+              x1={x1}
+              y1={y1}
+              x2={x1 + edge.dx}
+              y2={y1 + edge.dy}
+              stroke={edge.wraps ? '#10b981' : '#52525b'}
+              strokeWidth="2"
+              strokeDasharray="4 4"
+            />
+          );
+        }))}
+      </g>
+
+      {/* Domain outline: opposite sides are identified */}
+      <polygon
+        points={domainPoints}
+        fill="none"
+        stroke="#3f3f46"
+        strokeWidth="1.5"
+        strokeDasharray="6 3"
+      />
+
+      {/* Pitch classes on the domain boundary and interior */}
+      <g clipPath="url(#torus-domain)">
+        {vertices.map(vertex => (
+          <text
+            key={vertex.key}
+            x={vertex.x}
+            y={vertex.y + 3}
+            textAnchor="middle"
+            fill="#52525b"
+            fontSize="8"
+            className="select-none pointer-events-none"
+          >
+            {getNoteLabel(vertex.pc)}
+          </text>
+        ))}
+      </g>
+
+      {/* Transformation labels */}
+      {foldedEdges.map(edge => (
+        <text
+          key={`${edge.key}:label`}
+          x={edge.label.x}
+          y={edge.label.y - 6}
+          textAnchor="middle"
+          fill="#71717a"
+          fontSize="9"
+          className="font-bold select-none pointer-events-none"
+        >
+          {edge.type}
+          {edge.voiceLeading && (
+            <tspan fill="#52525b" fontSize="7" className="font-mono font-normal">
+              {' '}{edge.voiceLeading.taxicab}{STRINGS.SEMITONES_SHORT}
+            </tspan>
+          )}
+        </text>
+      ))}
+    </g>
+  );
+});
+
+TonnetzTorus.displayName = 'TonnetzTorus';
+
+TonnetzTorus.propTypes = {
+  torus: PropTypes.shape({
+    lattice: PropTypes.object,
+    corners: PropTypes.arrayOf(PropTypes.shape({ x: PropTypes.number, y: PropTypes.number })),
+    periods: PropTypes.arrayOf(PropTypes.shape({ x: PropTypes.number, y: PropTypes.number })),
+  }).isRequired,
+  edges: PropTypes.array.isRequired,
+};
+
+export default TonnetzTorus;
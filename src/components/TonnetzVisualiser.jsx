@@ -7,7 +7,16 @@ import React, { memo, useMemo, useCallback, useRef, useEffect, useState } from '
 import PropTypes from 'prop-types';
 import { cn } from '../utils/cn';
 import { CHORD_COLOURS, STRINGS } from '../constants';
+import { createLattice, createTorus, foldHistory, getTorusBounds, getCommaDrift, findAnchorNode } from '../utils/tonnetzGeometry';
+import { getVoiceLeading, describeVoiceLeading, normalize } from '../utils/musicUtils';
+import { nameFromSpelling } from '../utils/spelling';
+import { countBranches } from '../utils/historyTree';
+import { useTransportEvents } from '../hooks/useTransport';
 import Badge from './ui/Badge';
+import { Tabs, TabsList, TabsTrigger } from './ui/Tabs';
+import TonnetzLattice from './TonnetzLattice';
+import TonnetzTorus from './TonnetzTorus';
+import TransportControls from './TransportControls';
 
 /**
  * SVG Grid Pattern component
@@ -41,11 +50,67 @@ const GridPattern = memo(() => (
 
 GridPattern.displayName = 'GridPattern';
 
+/**
+ * Expanded P/L/R decomposition of a compound edge
+ */
+const CompoundSteps = memo(({ from, steps }) => {
+  const points = [from, ...steps];
+
+  return (
+    <g className="pointer-events-none">
+      <polyline
+        points={points.map(p => `${p.x},${p.y}`).join(' ')}
+        fill="none"
+        stroke="#f59e0b"
+        strokeOpacity="0.6"
+        strokeWidth="1.5"
+        strokeDasharray="2 3"
+      />
+      {steps.map((step, i) => (
+        <g key={i}>
+          {i < steps.length - 1 && (
+            <circle cx={step.x} cy={step.y} r={4} fill="#18181b" stroke="#f59e0b" strokeWidth="1" />
+          )}
+          <text
+            x={(points[i].x + step.x) / 2}
+            y={(points[i].y + step.y) / 2 - 6}
+            textAnchor="middle"
+            fill="#f59e0b"
+            fontSize="8"
+            className="font-bold select-none"
+          >
+            {step.op}
+          </text>
+        </g>
+      ))}
+    </g>
+  );
+});
+
+CompoundSteps.displayName = 'CompoundSteps';
+
+CompoundSteps.propTypes = {
+  from: PropTypes.shape({ x: PropTypes.number, y: PropTypes.number }).isRequired,
+  steps: PropTypes.arrayOf(PropTypes.shape({
+    op: PropTypes.string,
+    x: PropTypes.number,
+    y: PropTypes.number,
+  })).isRequired,
+};
+
 /**
  * Edge/connection component between nodes
+ * Compound edges (N, S, H) are drawn as a single edge and can be expanded
+ * into their P/L/R steps by clicking the label. Jumps between chords that
+ * no short P/L/R word connects are drawn in red, and edges off the active
+ * branch are faded.
+ * The semitones moved by the voice leading are shown under the line.
  */
-const Edge = memo(({ from, to, type, isAnimating }) => {
+const Edge = memo(({ from, to, type, steps, isJump, isAnimating, isOffBranch }) => {
   const [dashOffset, setDashOffset] = useState(0);
+  const [isExpanded, setIsExpanded] = useState(false);
+  const isCompound = Boolean(steps);
+  const voiceLeading = useMemo(() => getVoiceLeading(from.notes, to.notes), [from.notes, to.notes]);
   
   useEffect(() => {
     if (isAnimating) {
@@ -56,35 +121,62 @@ const Edge = memo(({ from, to, type, isAnimating }) => {
     }
   }, [isAnimating]);
 
+  const handleLabelClick = useCallback((e) => {
+    e.stopPropagation();
+    setIsExpanded(prev => !prev);
+  }, []);
+
+  const handleLabelPointerDown = useCallback((e) => {
+    e.stopPropagation();
+  }, []);
+
   const pathLength = Math.sqrt(
     Math.pow(to.x - from.x, 2) + Math.pow(to.y - from.y, 2)
   );
 
   return (
-    <g className="transition-opacity duration-300">
+    <g className="transition-opacity duration-300" opacity={isOffBranch ? 0.35 : 1}>
       {/* Main line */}
       <line
         x1={from.x}
         y1={from.y}
         x2={to.x}
         y2={to.y}
-        stroke="#52525b"
+        stroke={isJump ? "#991b1b" : isCompound ? "#b45309" : "#52525b"}
         strokeWidth="2"
-        strokeDasharray="4 4"
+        strokeDasharray={isJump ? "2 6" : isCompound ? "8 4" : "4 4"}
         strokeDashoffset={isAnimating ? dashOffset : 0}
         className="transition-all duration-300"
       />
+      {/* Expanded decomposition */}
+      {isCompound && isExpanded && <CompoundSteps from={from} steps={steps} />}
       {/* Transformation label */}
       <text
         x={(from.x + to.x) / 2}
         y={(from.y + to.y) / 2 - 8}
         textAnchor="middle"
-        fill="#71717a"
+        fill={isJump ? "#f87171" : isCompound ? "#f59e0b" : "#71717a"}
         fontSize="10"
-        className="font-bold select-none"
+        className={cn("font-bold select-none", isCompound && "cursor-pointer")}
+        onClick={isCompound ? handleLabelClick : undefined}
+        onPointerDown={isCompound ? handleLabelPointerDown : undefined}
       >
-        {type}
+        {isJump ? STRINGS.JUMP : isCompound && !isExpanded ? `${type} ▸` : type}
       </text>
+      {/* Voice-leading distance */}
+      {voiceLeading && (
+        <text
+          x={(from.x + to.x) / 2}
+          y={(from.y + to.y) / 2 + 14}
+          textAnchor="middle"
+          fill="#52525b"
+          fontSize="8"
+          className="font-mono select-none"
+        >
+          <title>{describeVoiceLeading(voiceLeading, { nameFrom: nameFromSpelling(from.spelling), nameTo: nameFromSpelling(to.spelling) })}</title>
+          {voiceLeading.taxicab}{STRINGS.SEMITONES_SHORT}
+        </text>
+      )}
     </g>
   );
 });
@@ -92,16 +184,34 @@ const Edge = memo(({ from, to, type, isAnimating }) => {
 Edge.displayName = 'Edge';
 
 Edge.propTypes = {
-  from: PropTypes.shape({ x: PropTypes.number, y: PropTypes.number }).isRequired,
-  to: PropTypes.shape({ x: PropTypes.number, y: PropTypes.number }).isRequired,
+  from: PropTypes.shape({
+    x: PropTypes.number,
+    y: PropTypes.number,
+    notes: PropTypes.arrayOf(PropTypes.number),
+  }).isRequired,
+  to: PropTypes.shape({
+    x: PropTypes.number,
+    y: PropTypes.number,
+    notes: PropTypes.arrayOf(PropTypes.number),
+  }).isRequired,
   type: PropTypes.string.isRequired,
+  steps: PropTypes.arrayOf(PropTypes.shape({
+    op: PropTypes.string,
+    x: PropTypes.number,
+    y: PropTypes.number,
+  })),
+  isJump: PropTypes.bool,
   isAnimating: PropTypes.bool,
+  isOffBranch: PropTypes.bool,
 };
 
 /**
  * Chord node component
+ * In torus mode repeated visits are collapsed into one node with a visit counter
+ * Nodes off the active branch are faded; the chord the transport is playing is ringed.
+ * A comma drift, when shown, is marked in cents above the node.
  */
-const ChordNode = memo(({ node, isActive, onClick }) => {
+const ChordNode = memo(({ node, isActive, isOffBranch, isPlayhead, visits, drift, onClick }) => {
   const colors = CHORD_COLOURS[node.type] || CHORD_COLOURS.Unknown;
   
   const handleClick = useCallback((e) => {
@@ -121,6 +231,7 @@ const ChordNode = memo(({ node, isActive, onClick }) => {
       )}
       onClick={handleClick}
       onPointerDown={handlePointerDown}
+      opacity={isOffBranch ? 0.45 : 1}
       style={{ pointerEvents: 'auto' }}
     >
       {/* Glow effect for active node */}
@@ -135,6 +246,20 @@ const ChordNode = memo(({ node, isActive, onClick }) => {
         />
       )}
       
+      {/* Playhead ring */}
+      {isPlayhead && (
+        <circle
+          cx={node.x}
+          cy={node.y}
+          r={isActive ? 22 : 13}
+          fill="none"
+          stroke="#34d399"
+          strokeWidth="2"
+          strokeDasharray="4 3"
+          className="pointer-events-none"
+        />
+      )}
+
       {/* Main node circle */}
       <circle
         cx={node.x}
@@ -190,6 +315,44 @@ const ChordNode = memo(({ node, isActive, onClick }) => {
           {node.label?.split(' ')[0]}
         </text>
       )}
+
+      {/* Comma drift */}
+      {drift !== null && drift !== undefined && Math.abs(drift) >= 0.05 && (
+        <text
+          x={node.x}
+          y={node.y - (isActive ? 22 : 13)}
+          textAnchor="middle"
+          fill="#fbbf24"
+          fontSize="8"
+          className="font-mono select-none pointer-events-none"
+        >
+          {drift > 0 ? '+' : '−'}{Math.abs(drift).toFixed(1)}¢
+        </text>
+      )}
+
+      {/* Visit counter */}
+      {visits > 1 && (
+        <g className="pointer-events-none">
+          <circle
+            cx={node.x + 12}
+            cy={node.y - 12}
+            r={7}
+            fill="#09090b"
+            stroke="#10b981"
+            strokeWidth="1"
+          />
+          <text
+            x={node.x + 12}
+            y={node.y - 9}
+            textAnchor="middle"
+            fill="#10b981"
+            fontSize="8"
+            className="font-bold select-none"
+          >
+            {visits}
+          </text>
+        </g>
+      )}
     </g>
   );
 });
@@ -204,6 +367,10 @@ ChordNode.propTypes = {
     type: PropTypes.string,
   }).isRequired,
   isActive: PropTypes.bool,
+  isOffBranch: PropTypes.bool,
+  isPlayhead: PropTypes.bool,
+  visits: PropTypes.number,
+  drift: PropTypes.number,
   onClick: PropTypes.func,
 };
 
@@ -214,16 +381,65 @@ ChordNode.propTypes = {
 const TonnetzVisualiser = memo(({ 
   history, 
   edges, 
+  branch,
+  currentNode,
   viewBox,
   currentChord,
   onViewBoxChange,
   onNodeClick,
+  transport,
+  onPlayBranch,
   className 
 }) => {
   const svgRef = useRef(null);
   const [isPanning, setIsPanning] = useState(false);
   const [panStart, setPanStart] = useState({ x: 0, y: 0 });
   const [localViewBox, setLocalViewBox] = useState(viewBox);
+  const [viewMode, setViewMode] = useState('graph');
+  const [showCommas, setShowCommas] = useState(false);
+
+  // The lattice is anchored on the first triad so its triangle is centred on it;
+  // without one, on the triad nearest the first node
+  const anchorNode = useMemo(() => findAnchorNode(history), [history]);
+  const lattice = useMemo(() => createLattice(anchorNode), [anchorNode]);
+  const isAnchorFallback = anchorNode !== history[0] || !lattice.anchor.isExact;
+
+  // The torus folds every node onto one fundamental domain around the anchor
+  const isTorus = viewMode === 'torus';
+  const torus = useMemo(() => createTorus(lattice, anchorNode), [lattice, anchorNode]);
+  const torusViewBox = useMemo(() => {
+    const bounds = getTorusBounds(torus);
+    const padding = lattice.distance;
+    return {
+      x: bounds.x - padding,
+      y: bounds.y - padding,
+      w: bounds.w + padding * 2,
+      h: bounds.h + padding * 2
+    };
+  }, [torus, lattice]);
+  const displayNodes = useMemo(
+    () => (isTorus ? foldHistory(torus, history) : history),
+    [isTorus, torus, history]
+  );
+  const activeViewBox = isTorus ? torusViewBox : localViewBox;
+
+  // Comma drift of each node in a just Tonnetz; the torus identifies what drifts apart
+  const drifts = useMemo(
+    () => (showCommas && !isTorus ? new Map(history.map(node => [node.id, getCommaDrift(lattice, node)])) : null),
+    [showCommas, isTorus, history, lattice]
+  );
+
+  // Nodes of the active branch; the others are drawn faded
+  const branchIds = useMemo(() => new Set(branch.map(node => node.id)), [branch]);
+  const branchCount = useMemo(() => countBranches(history, edges), [history, edges]);
+
+  // Chord the transport is playing from the traversal, keyed by node id
+  const [playhead, setPlayhead] = useState(null);
+  useTransportEvents(transport, useCallback((event) => {
+    if (event.type === 'position') {
+      setPlayhead(event.source === 'traversal' ? event.chord : null);
+    }
+  }, []));
   
   // Sync local viewBox with prop when it changes externally
   useEffect(() => {
@@ -232,13 +448,14 @@ const TonnetzVisualiser = memo(({
   
   // Memoize viewBox string
   const viewBoxString = useMemo(() => 
-    `${localViewBox.x} ${localViewBox.y} ${localViewBox.w} ${localViewBox.h}`,
-    [localViewBox]
+    `${activeViewBox.x} ${activeViewBox.y} ${activeViewBox.w} ${activeViewBox.h}`,
+    [activeViewBox]
   );
 
   // Handle mouse/touch down for panning
   const handlePointerDown = useCallback((e) => {
     if (e.button !== 0 && e.pointerType === 'mouse') return; // Only left click for mouse
+    if (isTorus) return; // The torus view is fixed on the fundamental domain
     setIsPanning(true);
     setPanStart({ 
       x: e.clientX, 
@@ -247,7 +464,7 @@ const TonnetzVisualiser = memo(({
       vbY: localViewBox.y
     });
     e.currentTarget.setPointerCapture(e.pointerId);
-  }, [localViewBox]);
+  }, [localViewBox, isTorus]);
 
   // Handle mouse/touch move for panning
   const handlePointerMove = useCallback((e) => {
@@ -285,7 +502,7 @@ const TonnetzVisualiser = memo(({
   const handleWheel = useCallback((e) => {
     e.preventDefault();
     const svg = svgRef.current;
-    if (!svg) return;
+    if (!svg || isTorus) return;
     
     const rect = svg.getBoundingClientRect();
     const mouseX = e.clientX - rect.left;
@@ -305,33 +522,59 @@ const TonnetzVisualiser = memo(({
     const newY = svgY - (mouseY / rect.height) * newH;
     
     setLocalViewBox({ x: newX, y: newY, w: newW, h: newH });
-  }, [localViewBox]);
+  }, [localViewBox, isTorus]);
 
   // Center view on current chord
   const centerOnCurrent = useCallback(() => {
-    if (history.length > 0) {
-      const current = history[history.length - 1];
-      setLocalViewBox(prev => ({
-        ...prev,
-        x: current.x - prev.w / 2,
-        y: current.y - prev.h / 2
-      }));
-    }
-  }, [history]);
+    setLocalViewBox(prev => ({
+      ...prev,
+      x: currentNode.x - prev.w / 2,
+      y: currentNode.y - prev.h / 2
+    }));
+  }, [currentNode]);
 
   return (
     <div className={cn(
       "flex-1 relative bg-zinc-950 overflow-hidden min-h-[300px] md:min-h-0",
       className
     )}>
-      {/* Status badge */}
-      <div className="absolute top-3 left-3 sm:top-4 sm:left-4 z-10">
+      {/* Status badge and view mode */}
+      <div className="absolute top-3 left-3 sm:top-4 sm:left-4 z-10 flex flex-col items-start gap-2">
         <Badge 
           variant="secondary" 
           className="bg-zinc-900/80 backdrop-blur text-zinc-500 border-zinc-800 text-xs"
         >
           {history.length} nodes • {edges.length} edges
+          {branchCount > 1 && ` • ${branchCount} ${STRINGS.BRANCHES}`}
         </Badge>
+        <Tabs value={viewMode} onValueChange={setViewMode} className="w-auto">
+          <TabsList className="h-8 bg-zinc-900/80 backdrop-blur">
+            <TabsTrigger value="graph" className="text-xs px-2 py-1">{STRINGS.VIEW_GRAPH}</TabsTrigger>
+            <TabsTrigger value="lattice" className="text-xs px-2 py-1">{STRINGS.VIEW_LATTICE}</TabsTrigger>
+            <TabsTrigger value="torus" className="text-xs px-2 py-1">{STRINGS.VIEW_TORUS}</TabsTrigger>
+          </TabsList>
+        </Tabs>
+        {!isTorus && (
+          <button
+            type="button"
+            onClick={() => setShowCommas(prev => !prev)}
+            className={cn(
+              "h-6 px-2 rounded text-[10px] border backdrop-blur transition-colors",
+              showCommas ? "border-amber-700 text-amber-400 bg-amber-950/30" : "border-zinc-800 text-zinc-500 bg-zinc-900/80 hover:bg-zinc-900"
+            )}
+            title={STRINGS.COMMA_DRIFT_HINT}
+          >
+            {STRINGS.COMMA_DRIFT}
+          </button>
+        )}
+        {(viewMode !== 'graph' || showCommas) && (
+          <span
+            className={cn("text-[10px]", isAnchorFallback ? "text-amber-400" : "text-zinc-600")}
+            title={lattice.anchor.isExact ? STRINGS.LATTICE_ANCHOR_HINT : STRINGS.LATTICE_ANCHOR_NEAREST_HINT}
+          >
+            {STRINGS.LATTICE_ANCHOR} {lattice.anchor.label}
+          </span>
+        )}
       </div>
 
       {/* Legend */}
@@ -347,10 +590,20 @@ const TonnetzVisualiser = memo(({
         ))}
       </div>
 
+      {/* Traversal transport */}
+      {transport && (
+        <TransportControls
+          transport={transport}
+          source="traversal"
+          onLoad={onPlayBranch}
+          className="absolute bottom-3 right-3 sm:bottom-4 sm:right-4 z-10 w-72 max-w-[calc(100%-1.5rem)] bg-zinc-950/90 backdrop-blur"
+        />
+      )}
+
       {/* Pan/zoom hint */}
       <div className="absolute bottom-3 left-3 sm:bottom-4 sm:left-4 z-10">
         <span className="text-[10px] text-zinc-600">
-          Drag to pan • Scroll to zoom
+          {isTorus ? STRINGS.TORUS_HINT : 'Drag to pan • Scroll to zoom'}
         </span>
       </div>
 
@@ -360,7 +613,7 @@ const TonnetzVisualiser = memo(({
         viewBox={viewBoxString}
         className={cn(
           "w-full h-full transition-all duration-200",
-          isPanning ? "cursor-grabbing" : "cursor-grab"
+          isTorus ? "cursor-default" : isPanning ? "cursor-grabbing" : "cursor-grab"
         )}
         onPointerDown={handlePointerDown}
         onPointerMove={handlePointerMove}
@@ -372,39 +625,67 @@ const TonnetzVisualiser = memo(({
       >
         <GridPattern />
         
-        {/* Background grid */}
-        <rect
-          x={viewBox.x - 1000}
-          y={viewBox.y - 1000}
-          width={viewBox.w + 2000}
-          height={viewBox.h + 2000}
-          fill="url(#grid)"
-        />
+        {isTorus && <TonnetzTorus torus={torus} edges={edges} />}
+
+        {viewMode === 'lattice' && (
+          <TonnetzLattice
+            lattice={lattice}
+            viewBox={localViewBox}
+            history={history}
+            edges={edges}
+            branchIds={branchIds}
+            currentNode={currentNode}
+            currentChord={currentChord}
+          />
+        )}
 
-        {/* Render edges */}
-        <g className="edges">
-          {edges.map((edge, i) => (
-            <Edge
-              key={i}
-              from={edge.from}
-              to={edge.to}
-              type={edge.type}
-              isAnimating={i === edges.length - 1}
+        {viewMode === 'graph' && (
+          <>
+            {/* Background grid */}
+            <rect
+              x={viewBox.x - 1000}
+              y={viewBox.y - 1000}
+              width={viewBox.w + 2000}
+              height={viewBox.h + 2000}
+              fill="url(#grid)"
             />
-          ))}
-        </g>
+
+            {/* Render edges */}
+            <g className="edges">
+              {edges.map(edge => (
+                <Edge
+                  key={edge.to.id}
+                  from={edge.from}
+                  to={edge.to}
+                  type={edge.type}
+                  steps={edge.steps}
+                  isJump={edge.isJump}
+                  isAnimating={edge.to === currentNode}
+                  isOffBranch={!branchIds.has(edge.to.id)}
+                />
+              ))}
+            </g>
+          </>
+        )}
 
         {/* Render nodes */}
         <g className="nodes">
-          {history.map((node, i) => {
+          {displayNodes.map((node) => {
             // Check if this node matches the current chord
             const isActive = currentChord && node.notes && 
               JSON.stringify([...node.notes].sort()) === JSON.stringify([...currentChord].sort());
+            // A folded torus node stands for every visit of its chord
+            const isPlayhead = Boolean(playhead) && (node.id === playhead.key ||
+              (isTorus && normalize(node.notes).join(',') === normalize(playhead.notes).join(',')));
             return (
               <ChordNode
                 key={node.id}
                 node={node}
                 isActive={isActive}
+                isOffBranch={!isTorus && !branchIds.has(node.id)}
+                isPlayhead={isPlayhead}
+                visits={node.visits}
+                drift={drifts?.get(node.id)}
                 onClick={onNodeClick}
               />
             );
@@ -430,7 +711,13 @@ TonnetzVisualiser.propTypes = {
     from: PropTypes.object,
     to: PropTypes.object,
     type: PropTypes.string,
+    steps: PropTypes.array,
+    isJump: PropTypes.bool,
+  })).isRequired,
+  branch: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string,
   })).isRequired,
+  currentNode: PropTypes.object.isRequired,
   viewBox: PropTypes.shape({
     x: PropTypes.number,
     y: PropTypes.number,
@@ -440,6 +727,10 @@ TonnetzVisualiser.propTypes = {
   currentChord: PropTypes.arrayOf(PropTypes.number),
   onViewBoxChange: PropTypes.func,
   onNodeClick: PropTypes.func,
+  transport: PropTypes.shape({
+    subscribe: PropTypes.func.isRequired,
+  }),
+  onPlayBranch: PropTypes.func,
   className: PropTypes.string,
 };
 
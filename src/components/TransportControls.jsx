@@ -0,0 +1,237 @@
+/**
+ * @fileoverview Transport bar: play, pause, stop, seek, loop, tempo and count-in
+ * @module components/TransportControls
+ */
+
+import React, { memo, useState, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { cn } from '../utils/cn';
+import { STRINGS, TRANSPORT_DEFAULTS } from '../constants';
+import { useTransportEvents } from '../hooks/useTransport';
+import Button from './ui/Button';
+import { Input } from './ui/Form';
+import { Play, Pause, Square, Repeat, Timer } from 'lucide-react';
+
+/**
+ * One dot per beat of the bar, lit as each beat sounds
+ */
+const BeatIndicator = memo(({ transport, beatsPerBar }) => {
+  const [beat, setBeat] = useState(null);
+
+  useTransportEvents(transport, useCallback((event) => {
+    if (event.type === 'beat') setBeat(event);
+    if (event.type === 'state' && event.state !== 'playing') setBeat(null);
+  }, []));
+
+  return (
+    <div className="flex items-center gap-1" aria-hidden="true">
+      {Array.from({ length: beatsPerBar }, (_, i) => (
+        <span
+          key={i}
+          className={cn(
+            "w-1.5 h-1.5 rounded-full transition-colors duration-75",
+            beat?.beatInBar !== i ? "bg-zinc-800" : beat.isCountIn ? "bg-amber-400" : "bg-emerald-400"
+          )}
+        />
+      ))}
+    </div>
+  );
+});
+
+BeatIndicator.displayName = 'BeatIndicator';
+
+BeatIndicator.propTypes = {
+  transport: PropTypes.shape({ subscribe: PropTypes.func.isRequired }).isRequired,
+  beatsPerBar: PropTypes.number.isRequired,
+};
+
+/**
+ * Chord number input, 1-based on screen
+ */
+const ChordNumberInput = memo(({ label, value, max, onChange }) => (
+  <label className="flex items-center gap-1 text-[10px] text-zinc-500">
+    {label}
+    <Input
+      type="number"
+      min={1}
+      max={max}
+      value={value + 1}
+      onChange={(e) => {
+        const number = parseInt(e.target.value, 10);
+        if (Number.isInteger(number)) onChange(number - 1);
+      }}
+      className="h-6 w-12 px-1 text-xs bg-zinc-900/50"
+    />
+  </label>
+));
+
+ChordNumberInput.displayName = 'ChordNumberInput';
+
+ChordNumberInput.propTypes = {
+  label: PropTypes.string.isRequired,
+  value: PropTypes.number.isRequired,
+  max: PropTypes.number.isRequired,
+  onChange: PropTypes.func.isRequired,
+};
+
+/**
+ * Transport bar for one source of chords
+ * Playing from stopped, or while another source is loaded, calls onLoad so
+ * the owner can load its current chords and start them. An owner that keeps
+ * its own tempo passes it with onTempoChange.
+ */
+const TransportControls = memo(({ transport, source, onLoad, tempo: ownTempo, onTempoChange, className }) => {
+  const { state, length, loop, countIn, index } = transport;
+  const tempo = ownTempo ?? transport.tempo;
+  const setTempo = onTempoChange ?? transport.setTempo;
+  const isLoaded = !source || transport.source === source;
+  const isPlaying = isLoaded && state === 'playing';
+  const canSeek = isLoaded && length > 0;
+
+  const handlePlay = useCallback(() => {
+    if (isPlaying) {
+      transport.pause();
+    } else if (onLoad && (!isLoaded || state === 'stopped')) {
+      onLoad();
+    } else {
+      transport.play();
+    }
+  }, [transport, isPlaying, isLoaded, state, onLoad]);
+
+  const handleToggleLoop = useCallback(() => {
+    transport.setLoop(loop ? null : { start: 0, end: length - 1 });
+  }, [transport, loop, length]);
+
+  const handleToggleCountIn = useCallback(() => {
+    transport.setCountIn(countIn > 0 ? 0 : 1);
+  }, [transport, countIn]);
+
+  return (
+    <div className={cn("space-y-2 rounded-md border border-zinc-800 bg-zinc-900/40 p-2", className)}>
+      <div className="flex items-center gap-1.5">
+        <Button
+          size="sm"
+          variant={isPlaying ? "secondary" : "accent"}
+          onClick={handlePlay}
+          disabled={!onLoad && length === 0}
+          className="h-7 w-7 p-0"
+          title={isPlaying ? STRINGS.PAUSE : STRINGS.PLAY}
+        >
+          {isPlaying ? <Pause size={14} /> : <Play size={14} />}
+        </Button>
+        <Button
+          size="sm"
+          variant="ghost"
+          onClick={transport.stop}
+          disabled={!isLoaded || state === 'stopped'}
+          className="h-7 w-7 p-0 text-zinc-400"
+          title={STRINGS.STOP}
+        >
+          <Square size={12} />
+        </Button>
+
+        <input
+          type="range"
+          min={0}
+          max={Math.max(0, length - 1)}
+          value={canSeek ? Math.max(0, index) : 0}
+          onChange={(e) => transport.seek(Number(e.target.value))}
+          disabled={!canSeek}
+          className="flex-1 min-w-0 accent-emerald-500"
+          title={STRINGS.TRANSPORT_POSITION}
+        />
+        <span className="w-10 text-right font-mono text-[10px] text-zinc-500">
+          {canSeek && index >= 0 ? `${index + 1}/${length}` : `–/${isLoaded ? length : '–'}`}
+        </span>
+        <BeatIndicator transport={transport} beatsPerBar={isLoaded ? transport.beatsPerBar : TRANSPORT_DEFAULTS.beatsPerBar} />
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <label className="flex items-center gap-1 text-[10px] text-zinc-500" title={STRINGS.TEMPO}>
+          <Timer size={12} />
+          <Input
+            type="number"
+            min={TRANSPORT_DEFAULTS.minTempo}
+            max={TRANSPORT_DEFAULTS.maxTempo}
+            value={tempo}
+            onChange={(e) => {
+              const bpm = parseInt(e.target.value, 10);
+              if (Number.isInteger(bpm)) setTempo(bpm);
+            }}
+            className="h-6 w-14 px-1 text-xs bg-zinc-900/50"
+          />
+          {STRINGS.BPM}
+        </label>
+        <button
+          type="button"
+          onClick={handleToggleCountIn}
+          className={cn(
+            "h-6 px-2 rounded text-[10px] border transition-colors",
+            countIn > 0 ? "border-amber-700 text-amber-400 bg-amber-950/30" : "border-zinc-800 text-zinc-500 hover:bg-zinc-900"
+          )}
+          title={STRINGS.COUNT_IN_HINT}
+        >
+          {STRINGS.COUNT_IN}
+        </button>
+        <button
+          type="button"
+          onClick={handleToggleLoop}
+          disabled={!canSeek}
+          className={cn(
+            "flex items-center gap-1 h-6 px-2 rounded text-[10px] border transition-colors disabled:opacity-40",
+            loop && isLoaded ? "border-emerald-700 text-emerald-400 bg-emerald-950/30" : "border-zinc-800 text-zinc-500 hover:bg-zinc-900"
+          )}
+          title={STRINGS.LOOP_HINT}
+        >
+          <Repeat size={10} /> {STRINGS.LOOP}
+        </button>
+        {loop && isLoaded && (
+          <>
+            <ChordNumberInput
+              label={STRINGS.LOOP_FROM}
+              value={loop.start}
+              max={length}
+              onChange={(start) => transport.setLoop({ start, end: Math.max(start, loop.end) })}
+            />
+            <ChordNumberInput
+              label={STRINGS.LOOP_TO}
+              value={loop.end}
+              max={length}
+              onChange={(end) => transport.setLoop({ start: Math.min(end, loop.start), end })}
+            />
+          </>
+        )}
+      </div>
+    </div>
+  );
+});
+
+TransportControls.displayName = 'TransportControls';
+
+TransportControls.propTypes = {
+  transport: PropTypes.shape({
+    state: PropTypes.oneOf(['stopped', 'playing', 'paused']).isRequired,
+    source: PropTypes.string,
+    length: PropTypes.number.isRequired,
+    tempo: PropTypes.number.isRequired,
+    loop: PropTypes.shape({ start: PropTypes.number, end: PropTypes.number }),
+    countIn: PropTypes.number.isRequired,
+    beatsPerBar: PropTypes.number.isRequired,
+    index: PropTypes.number.isRequired,
+    play: PropTypes.func.isRequired,
+    pause: PropTypes.func.isRequired,
+    stop: PropTypes.func.isRequired,
+    seek: PropTypes.func.isRequired,
+    setTempo: PropTypes.func.isRequired,
+    setLoop: PropTypes.func.isRequired,
+    setCountIn: PropTypes.func.isRequired,
+    subscribe: PropTypes.func.isRequired,
+  }).isRequired,
+  source: PropTypes.string,
+  onLoad: PropTypes.func,
+  tempo: PropTypes.number,
+  onTempoChange: PropTypes.func,
+  className: PropTypes.string,
+};
+
+export default TransportControls;
@@ -0,0 +1,210 @@
+/**
+ * @fileoverview Tuning selection: tuning system, reference pitch and Scala
+ * scale and keyboard mapping import
+ * @module components/TuningControls
+ */
+
+import React, { memo, useState, useRef, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { cn } from '../utils/cn';
+import { STRINGS, TUNING_SYSTEMS, TUNING_DEFAULTS } from '../constants';
+import { parseScalaScale, parseKeyboardMap } from '../utils/tuning';
+import { Input, Select, SelectTrigger, SelectContent, SelectItem } from './ui/Form';
+import { SlidersHorizontal, FolderOpen, X } from 'lucide-react';
+
+/**
+ * Button opening a file picker
+ */
+const FileButton = memo(({ label, hint, accept, onFile }) => {
+  const inputRef = useRef(null);
+
+  const handleChange = useCallback((e) => {
+    const chosen = e.target.files?.[0];
+    e.target.value = '';
+    if (chosen) onFile(chosen);
+  }, [onFile]);
+
+  return (
+    <>
+      <button
+        type="button"
+        onClick={() => inputRef.current?.click()}
+        className="flex items-center gap-1.5 h-7 px-2 rounded-md text-xs text-zinc-400 hover:bg-zinc-900 hover:text-zinc-200"
+        title={hint}
+      >
+        <FolderOpen size={12} /> {label}
+      </button>
+      <input ref={inputRef} type="file" accept={accept} onChange={handleChange} className="hidden" />
+    </>
+  );
+});
+
+FileButton.displayName = 'FileButton';
+
+FileButton.propTypes = {
+  label: PropTypes.string.isRequired,
+  hint: PropTypes.string.isRequired,
+  accept: PropTypes.string.isRequired,
+  onFile: PropTypes.func.isRequired,
+};
+
+/**
+ * Tuning button with a panel choosing how the speakers are tuned
+ * Loading a Scala scale selects it; the Scala system is offered once one is loaded.
+ */
+const TuningControls = memo(({ tuning, onChange, className }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [error, setError] = useState(null);
+  const panelRef = useRef(null);
+
+  // Close the panel when clicking outside
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClickOutside = (e) => {
+      if (panelRef.current && !panelRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const systems = TUNING_SYSTEMS.filter(system => system.id !== 'scala' || tuning.scale);
+  const selected = TUNING_SYSTEMS.find(system => system.id === tuning.system);
+
+  /**
+   * Sets the reference pitch within the range offered
+   * @param {number} hz - Frequency of A4
+   */
+  const handleReferenceChange = useCallback((hz) => {
+    const reference = Math.max(TUNING_DEFAULTS.minReference, Math.min(TUNING_DEFAULTS.maxReference, hz));
+    onChange({ ...tuning, reference });
+  }, [tuning, onChange]);
+
+  /**
+   * Reads a Scala scale and plays in it
+   */
+  const handleScaleFile = useCallback((file) => {
+    file.text().then((text) => {
+      const { scale, error: parseError } = parseScalaScale(text);
+      if (parseError) {
+        setError(`${file.name}: ${parseError.message} (${STRINGS.TUNING_LINE} ${parseError.line})`);
+        return;
+      }
+      setError(null);
+      onChange({ ...tuning, system: 'scala', scale: { ...scale, name: file.name } });
+    });
+  }, [tuning, onChange]);
+
+  /**
+   * Reads a Scala keyboard mapping for the scale
+   */
+  const handleMappingFile = useCallback((file) => {
+    file.text().then((text) => {
+      const { keyboardMap, error: parseError } = parseKeyboardMap(text);
+      if (parseError) {
+        setError(`${file.name}: ${parseError.message} (${STRINGS.TUNING_LINE} ${parseError.line})`);
+        return;
+      }
+      setError(null);
+      onChange({ ...tuning, keyboardMap: { ...keyboardMap, name: file.name } });
+    });
+  }, [tuning, onChange]);
+
+  return (
+    <div ref={panelRef} className={cn("relative", className)}>
+      <button
+        type="button"
+        onClick={() => setIsOpen(prev => !prev)}
+        className="flex items-center gap-1 h-7 px-2 rounded-md border border-zinc-800 text-xs text-zinc-400 hover:bg-zinc-900 transition-colors"
+        title={STRINGS.TUNING_HINT}
+      >
+        <SlidersHorizontal size={14} /> {STRINGS.TUNING}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 top-full mt-1 z-50 w-80 p-3 space-y-2 rounded-md border border-zinc-800 bg-zinc-950 shadow-lg">
+          <div className="flex items-center gap-2">
+            <span className="w-16 text-xs font-semibold text-zinc-400">{STRINGS.TUNING_SYSTEM}</span>
+            <Select value={tuning.system} onValueChange={(system) => onChange({ ...tuning, system })} className="flex-1 min-w-0">
+              <SelectTrigger className="h-7 text-xs px-2 bg-zinc-900/50 border-zinc-800">
+                <span className="truncate text-zinc-300">{selected?.name}</span>
+              </SelectTrigger>
+              <SelectContent>
+                {systems.map(system => (
+                  <SelectItem key={system.id} value={system.id} className="text-xs">
+                    {system.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <label className="flex items-center gap-2 text-xs text-zinc-500">
+            <span className="w-16 font-semibold text-zinc-400">{STRINGS.TUNING_REFERENCE}</span>
+            <Input
+              type="number"
+              min={TUNING_DEFAULTS.minReference}
+              max={TUNING_DEFAULTS.maxReference}
+              step={0.1}
+              value={tuning.reference}
+              onChange={(e) => {
+                const hz = parseFloat(e.target.value);
+                if (Number.isFinite(hz)) handleReferenceChange(hz);
+              }}
+              className="h-7 w-20 px-2 text-xs bg-zinc-900/50"
+            />
+            {STRINGS.TUNING_HZ}
+          </label>
+
+          {tuning.scale && (
+            <p className="text-xs text-zinc-400 truncate" title={tuning.scale.description}>
+              {tuning.scale.name} · {tuning.scale.cents.length} {STRINGS.TUNING_NOTES}
+              {tuning.scale.description && <span className="text-zinc-600"> · {tuning.scale.description}</span>}
+            </p>
+          )}
+          {tuning.keyboardMap && (
+            <div className="flex items-center gap-1 text-xs text-zinc-400">
+              <span className="flex-1 truncate">{tuning.keyboardMap.name}</span>
+              <button
+                type="button"
+                onClick={() => onChange({ ...tuning, keyboardMap: null })}
+                className="p-1 rounded text-zinc-500 hover:text-zinc-200 hover:bg-zinc-900"
+                title={STRINGS.TUNING_CLEAR_MAPPING}
+              >
+                <X size={12} />
+              </button>
+            </div>
+          )}
+
+          <div className="flex flex-wrap gap-1">
+            <FileButton label={STRINGS.TUNING_LOAD_SCALE} hint={STRINGS.TUNING_SCALE_HINT} accept=".scl" onFile={handleScaleFile} />
+            <FileButton label={STRINGS.TUNING_LOAD_MAPPING} hint={STRINGS.TUNING_MAPPING_HINT} accept=".kbm" onFile={handleMappingFile} />
+          </div>
+          {error && <p className="text-xs text-red-400">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+});
+
+TuningControls.displayName = 'TuningControls';
+
+TuningControls.propTypes = {
+  tuning: PropTypes.shape({
+    system: PropTypes.string.isRequired,
+    reference: PropTypes.number.isRequired,
+    scale: PropTypes.shape({
+      name: PropTypes.string,
+      description: PropTypes.string,
+      cents: PropTypes.arrayOf(PropTypes.number),
+    }),
+    keyboardMap: PropTypes.shape({
+      name: PropTypes.string,
+    }),
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+  className: PropTypes.string,
+};
+
+export default TuningControls;
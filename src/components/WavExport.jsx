@@ -0,0 +1,155 @@
+/**
+ * @fileoverview WAV export: renders chords offline to an audio file
+ * @module components/WavExport
+ */
+
+import React, { memo, useState, useRef, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { cn } from '../utils/cn';
+import { STRINGS, WAV_EXPORT } from '../constants';
+import Button from './ui/Button';
+import { Select, SelectTrigger, SelectContent, SelectItem } from './ui/Form';
+import { FileAudio, Loader2 } from 'lucide-react';
+
+/**
+ * Labels a bit depth; 32 bits are floating point
+ * @param {number} bitDepth - Bits per sample
+ * @returns {string} Label
+ */
+const bitDepthLabel = bitDepth => (bitDepth === 32 ? `32 ${STRINGS.WAV_BIT_DEPTH_FLOAT}` : `${bitDepth}`);
+
+/**
+ * Format selector with a label
+ */
+const FormatRow = memo(({ label, value, options, format, onChange }) => (
+  <div className="flex items-center gap-2">
+    <span className="w-24 text-xs font-semibold text-zinc-400">{label}</span>
+    <Select value={String(value)} onValueChange={(selected) => onChange(Number(selected))} className="flex-1">
+      <SelectTrigger className="h-7 text-xs px-2 bg-zinc-900/50 border-zinc-800">
+        <span className="font-mono text-zinc-300">{format(value)}</span>
+      </SelectTrigger>
+      <SelectContent>
+        {options.map(option => (
+          <SelectItem key={option} value={String(option)} className="text-xs font-mono">
+            {format(option)}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  </div>
+));
+
+FormatRow.displayName = 'FormatRow';
+
+FormatRow.propTypes = {
+  label: PropTypes.string.isRequired,
+  value: PropTypes.number.isRequired,
+  options: PropTypes.arrayOf(PropTypes.number).isRequired,
+  format: PropTypes.func.isRequired,
+  onChange: PropTypes.func.isRequired,
+};
+
+/**
+ * WAV button with a panel choosing the format and what to render
+ * Each source renders with one click; the owner renders and downloads it,
+ * resolving with the error if there was one.
+ */
+const WavExport = memo(({ sources, onRender, compact = false, className }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [sampleRate, setSampleRate] = useState(WAV_EXPORT.sampleRate);
+  const [bitDepth, setBitDepth] = useState(WAV_EXPORT.bitDepth);
+  const [rendering, setRendering] = useState(null);
+  const [error, setError] = useState(null);
+  const panelRef = useRef(null);
+
+  // Close the panel when clicking outside
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClickOutside = (e) => {
+      if (panelRef.current && !panelRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  /**
+   * Renders one source in the chosen format
+   * @param {string} sourceId - Source to render
+   */
+  const handleRender = useCallback((sourceId) => {
+    setRendering(sourceId);
+    setError(null);
+    onRender(sourceId, { sampleRate, bitDepth }).then(({ error: renderError }) => {
+      setRendering(null);
+      setError(renderError?.message ?? null);
+    });
+  }, [onRender, sampleRate, bitDepth]);
+
+  return (
+    <div ref={panelRef} className={cn("relative", className)}>
+      <Button
+        variant="ghost"
+        size={compact ? "sm" : "default"}
+        onClick={() => setIsOpen(prev => !prev)}
+        className={compact ? "h-6 text-xs px-2 text-zinc-500 hover:text-zinc-200" : "w-full h-11 sm:h-10 text-zinc-400"}
+        title={STRINGS.EXPORT_WAV_HINT}
+      >
+        <FileAudio size={compact ? 12 : 14} className={compact ? "mr-1" : "mr-2"} />
+        {STRINGS.EXPORT_WAV}
+      </Button>
+
+      {isOpen && (
+        <div className="absolute right-0 top-full mt-1 z-50 w-64 p-3 space-y-2 rounded-md border border-zinc-800 bg-zinc-950 shadow-lg">
+          <FormatRow
+            label={STRINGS.WAV_SAMPLE_RATE}
+            value={sampleRate}
+            options={WAV_EXPORT.sampleRates}
+            format={rate => `${rate} Hz`}
+            onChange={setSampleRate}
+          />
+          <FormatRow
+            label={STRINGS.WAV_BIT_DEPTH}
+            value={bitDepth}
+            options={WAV_EXPORT.bitDepths}
+            format={bitDepthLabel}
+            onChange={setBitDepth}
+          />
+          <div className="flex flex-wrap gap-1.5 pt-1">
+            {sources.map(({ id, label, hint }) => (
+              <Button
+                key={id}
+                size="sm"
+                variant="secondary"
+                onClick={() => handleRender(id)}
+                disabled={rendering !== null}
+                className="h-7 text-xs px-2"
+                title={hint}
+              >
+                {rendering === id && <Loader2 size={12} className="mr-1 animate-spin" />}
+                {rendering === id ? STRINGS.WAV_RENDERING : label}
+              </Button>
+            ))}
+          </div>
+          {error && <p className="text-xs text-red-400">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+});
+
+WavExport.displayName = 'WavExport';
+
+WavExport.propTypes = {
+  sources: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    label: PropTypes.string.isRequired,
+    hint: PropTypes.string,
+  })).isRequired,
+  onRender: PropTypes.func.isRequired,
+  compact: PropTypes.bool,
+  className: PropTypes.string,
+};
+
+export default WavExport;
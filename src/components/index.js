@@ -9,5 +9,14 @@ export * from './ui';
 // Feature Components
 export { default as TonnetzVisualiser } from './TonnetzVisualiser';
 export { default as TonnetzControls } from './TonnetzControls';
+export { default as TonnetzPathFinder } from './TonnetzPathFinder';
 export { default as NegativeHarmonyPiano } from './NegativeHarmonyPiano';
 export { default as ChordProgressionConverter } from './ChordProgressionConverter';
+export { default as NegativeAxisEditor } from './NegativeAxisEditor';
+export { default as MidiFileImport } from './MidiFileImport';
+export { default as ShareButton } from './ShareButton';
+export { default as SessionLibrary } from './SessionLibrary';
+export { default as InstrumentControls } from './InstrumentControls';
+export { default as TransportControls } from './TransportControls';
+export { default as WavExport } from './WavExport';
+export { default as TuningControls } from './TuningControls';
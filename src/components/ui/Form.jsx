@@ -1,5 +1,5 @@
 /**
- * @fileoverview Form components (Textarea, Select)
+ * @fileoverview Form components (Textarea, Input, Select)
  * @module components/ui/Form
  */
 
@@ -34,6 +34,34 @@ Textarea.propTypes = {
   className: PropTypes.string,
 };
 
+/**
+ * Single-line text input with the same styling as Textarea
+ */
+const Input = memo(forwardRef(({ className, type = 'text', ...props }, ref) => (
+  <input
+    ref={ref}
+    type={type}
+    className={cn(
+      "flex h-10 w-full rounded-md border border-zinc-800",
+      "bg-zinc-950 px-3 py-2 text-sm ring-offset-background",
+      "placeholder:text-zinc-500",
+      "focus-visible:outline-none focus-visible:ring-2",
+      "focus-visible:ring-zinc-400 focus-visible:ring-offset-2",
+      "disabled:cursor-not-allowed disabled:opacity-50",
+      "transition-colors duration-200",
+      className
+    )}
+    {...props}
+  />
+)));
+
+Input.displayName = 'Input';
+
+Input.propTypes = {
+  className: PropTypes.string,
+  type: PropTypes.string,
+};
+
 /**
  * Custom Select component with dropdown
  */
@@ -226,6 +254,7 @@ Separator.propTypes = {
 
 export { 
   Textarea, 
+  Input,
   Select, 
   SelectTrigger, 
   SelectValue, 
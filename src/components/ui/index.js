@@ -7,4 +7,4 @@ export { default as Button } from './Button';
 export { Card, CardHeader, CardTitle, CardDescription, CardContent, CardFooter } from './Card';
 export { default as Badge } from './Badge';
 export { Tabs, TabsList, TabsTrigger, TabsContent } from './Tabs';
-export { Textarea, Select, SelectTrigger, SelectValue, SelectContent, SelectItem, Separator } from './Form';
+export { Textarea, Input, Select, SelectTrigger, SelectValue, SelectContent, SelectItem, Separator } from './Form';
@@ -71,23 +71,109 @@ export const CHORD_DEFINITIONS = [
   { name: 'Minor 9', suffix: 'm9', intervals: [0, 3, 7, 10, 14] },
   { name: 'Major 9', suffix: 'maj9', intervals: [0, 4, 7, 11, 14] },
   { name: 'Dominant 9', suffix: '9', intervals: [0, 4, 7, 10, 14] },
+  { name: 'Power', suffix: '5', intervals: [0, 7] },
+  { name: 'Major 6', suffix: '6', intervals: [0, 4, 7, 9] },
+  { name: 'Minor 6', suffix: 'm6', intervals: [0, 3, 7, 9] },
+  { name: 'Major 6/9', suffix: '6/9', intervals: [0, 4, 7, 9, 14] },
+  { name: 'Minor Major 7', suffix: 'mmaj7', intervals: [0, 3, 7, 11] },
+  { name: 'Augmented 7', suffix: '7#5', intervals: [0, 4, 8, 10] },
+  { name: 'Augmented Major 7', suffix: 'maj7#5', intervals: [0, 4, 8, 11] },
+  { name: 'Major 7 #11', suffix: 'maj7#11', intervals: [0, 4, 7, 11, 18] },
+  { name: 'Dominant 7 Sus 4', suffix: '7sus4', intervals: [0, 5, 7, 10] },
+  { name: 'Dominant 9 Sus 4', suffix: '9sus4', intervals: [0, 5, 7, 10, 14] },
+  { name: 'Dominant 9 b5', suffix: '9b5', intervals: [0, 4, 6, 10, 14] },
+  { name: 'Dominant 9 #5', suffix: '9#5', intervals: [0, 4, 8, 10, 14] },
+  { name: 'Minor Add 9', suffix: 'madd9', intervals: [0, 3, 7, 14] },
+  { name: 'Add 11', suffix: 'add11', intervals: [0, 4, 7, 17] },
+  { name: 'Dominant 7 b9', suffix: '7b9', intervals: [0, 4, 7, 10, 13] },
+  { name: 'Dominant 7 #9', suffix: '7#9', intervals: [0, 4, 7, 10, 15] },
+  { name: 'Dominant 7 #11', suffix: '7#11', intervals: [0, 4, 7, 10, 18] },
+  { name: 'Dominant 7 b13', suffix: '7b13', intervals: [0, 4, 7, 10, 20] },
+  { name: 'Dominant 7 b9 #11', suffix: '7b9#11', intervals: [0, 4, 7, 10, 13, 18] },
+  { name: 'Altered', suffix: '7alt', intervals: [0, 4, 10, 13, 15, 20] },
+  { name: 'Dominant 11', suffix: '11', intervals: [0, 4, 7, 10, 14, 17] },
+  { name: 'Minor 11', suffix: 'm11', intervals: [0, 3, 7, 10, 14, 17] },
+  { name: 'Dominant 13', suffix: '13', intervals: [0, 4, 7, 10, 14, 21] },
+  { name: 'Dominant 13 Sus 4', suffix: '13sus4', intervals: [0, 5, 7, 10, 14, 21] },
+  { name: 'Dominant 13 #11', suffix: '13#11', intervals: [0, 4, 7, 10, 14, 18, 21] },
+  { name: 'Dominant 13 b9', suffix: '13b9', intervals: [0, 4, 7, 10, 13, 21] },
+  { name: 'Major 13', suffix: 'maj13', intervals: [0, 4, 7, 11, 14, 21] },
+  { name: 'Minor 13', suffix: 'm13', intervals: [0, 3, 7, 10, 14, 21] },
 ];
 
+/**
+ * Names of each interval above the root when it appears as an added tone
+ * Indexed by semitones (0-11)
+ * @constant {string[]}
+ */
+export const ADDED_TONE_NAMES = ['1', 'b9', '9', '#9', '3', '11', '#11', '5', 'b13', '13', 'b7', '7'];
+
+// ============================================================================
+// TRANSFORMATIONS
+// ============================================================================
+
+/**
+ * Primitive Neo-Riemannian operations
+ * @constant {string[]}
+ */
+export const PRIMITIVE_TRANSFORMS = ['P', 'L', 'R'];
+
+/**
+ * Compound Neo-Riemannian operations (Cohn 1997) and their decomposition
+ * Steps are applied left to right, e.g. H = LPL means L, then P, then L
+ * @constant {Object<string, {name: string, steps: string[]}>}
+ */
+export const COMPOUND_TRANSFORMS = {
+  N: { name: 'Nebenverwandt', steps: ['R', 'L', 'P'] },
+  S: { name: 'Slide', steps: ['L', 'P', 'R'] },
+  H: { name: 'Hexatonic Pole', steps: ['L', 'P', 'L'] },
+};
+
+/**
+ * Negative harmony axis modes
+ * Each axis is an inversion I_n (note -> n - note); keyOffset gives n as
+ * 2 * key + keyOffset for the key-relative modes.
+ * @constant {Array<{id: string, label: string, keyOffset?: number, description: string}>}
+ */
+export const NEGATIVE_AXIS_MODES = [
+  { id: 'tonic-dominant', label: 'Tonic–Dominant', keyOffset: 7, description: 'Swaps tonic and dominant' },
+  { id: 'tonic-mediant', label: 'Tonic–Mediant', keyOffset: 4, description: 'Swaps tonic and major third' },
+  { id: 'chromatic', label: 'Through a pitch', description: 'Axis passes through a single pitch' },
+  { id: 'custom', label: 'Custom', description: 'Swaps any two pitch classes' },
+];
+
+/**
+ * Default negative harmony axis
+ * pitch is used by the chromatic mode and pair by the custom mode
+ * @constant {{mode: string, pitch: number, pair: number[]}}
+ */
+export const DEFAULT_NEGATIVE_AXIS = {
+  mode: 'tonic-dominant',
+  pitch: 0,
+  pair: [0, 7]
+};
+
 /**
  * Preset chord progressions for quick selection
  * @constant {Array<{name: string, chords: string, description: string}>}
  */
 export const PRESET_PROGRESSIONS = [
-  { name: 'ii-V-I (Jazz)', chords: 'Dm7 G7 Cmaj7', description: 'Classic jazz cadence' },
+  { name: 'ii-V-I (Jazz)', chords: '| Dm7 . G7 . | Cmaj7 - - - |', description: 'Classic jazz cadence' },
   { name: 'I-vi-IV-V (50s)', chords: 'C Am F G', description: '50s doo-wop progression' },
   { name: 'I-IV-V-I (Blues)', chords: 'C F G C', description: 'Basic blues structure' },
   { name: 'I-V-vi-IV (Pop)', chords: 'C G Am F', description: 'Modern pop standard' },
   { name: 'vi-IV-I-V (Emo)', chords: 'Am F C G', description: 'Emotional pop progression' },
-  { name: 'ii-V-I-VI (Turnaround)', chords: 'Dm7 G7 Cmaj7 A7', description: 'Jazz turnaround' },
+  { name: 'ii-V-I-VI (Turnaround)', chords: '| Cmaj7 A7 | Dm7 G7 |', description: 'Jazz turnaround' },
   { name: 'I-bVII-IV (Rock)', chords: 'C Bb F', description: 'Classic rock sound' },
   { name: 'Coltrane Changes', chords: 'Cmaj7 Eb7 Abmaj7 B7 Emaj7 G7', description: 'Giant Steps' },
 ];
 
+/**
+ * Progression shown in the converter before anything is typed
+ * @constant {string}
+ */
+export const DEFAULT_PROGRESSION = 'Cmaj7 Am9 Dm7 G7';
+
 // ============================================================================
 // KEYBOARD MAPPING
 // ============================================================================
@@ -105,37 +191,255 @@ export const KEYBOARD_NOTE_MAP = {
 // ============================================================================
 
 /**
- * Base frequencies for notes in octave 4 (A4 = 440Hz standard)
- * @constant {Object<string, number>}
+ * Tuning systems for speaker playback (see utils/tuning)
+ * Every system but equal temperament is built on the key centre, whose
+ * tonic keeps its equal-tempered pitch; a Scala scale needs a file loaded.
+ * @constant {Array<{id: string, name: string}>}
+ */
+export const TUNING_SYSTEMS = [
+  { id: 'equal', name: '12-TET' },
+  { id: 'just', name: '5-limit just' },
+  { id: 'pythagorean', name: 'Pythagorean' },
+  { id: 'meantone', name: '1/4-comma meantone' },
+  { id: 'scala', name: 'Scala file' }
+];
+
+/**
+ * Default tuning and the range of the reference pitch
+ * @constant {Object}
  */
-export const NOTE_FREQUENCIES = {
-  'C': 261.63,
-  'C#': 277.18,
-  'D': 293.66,
-  'Eb': 311.13,
-  'E': 329.63,
-  'F': 349.23,
-  'F#': 369.99,
-  'G': 392.00,
-  'Ab': 415.30,
-  'A': 440.00,
-  'Bb': 466.16,
-  'B': 493.88
+export const TUNING_DEFAULTS = {
+  system: 'equal',
+  reference: 440,     // A4 in Hz
+  minReference: 400,
+  maxReference: 480
 };
 
+/**
+ * 5-limit just ratios of each semitone above the tonic
+ * @constant {number[]}
+ */
+export const JUST_RATIOS = [1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8];
+
+/**
+ * Fifths below the tonic where Pythagorean and meantone chains start; the
+ * chain runs from the minor third to the augmented fifth (Eb to G# in C)
+ * @constant {number}
+ */
+export const FIFTHS_CHAIN_START = -3;
+
 /**
  * Default audio settings
- * @constant {Object}
+ * Envelopes belong to each instrument (see INSTRUMENTS).
+ * @constant {{volume: number, noteDuration: number}}
  */
 export const AUDIO_DEFAULTS = {
   volume: 0.3,
-  attackTime: 0.02,
-  decayTime: 0.1,
-  sustainLevel: 0.3,
-  releaseTime: 0.5,
   noteDuration: 0.8
 };
 
+/**
+ * Built-in instruments for speaker playback
+ * Every instrument has a gain, balancing it against the others, and an
+ * envelope: times in seconds, the sustain a fraction of the peak. The release
+ * falls within the note and takes at most half of it. The other fields
+ * depend on the kind:
+ * - additive: amplitudes of the harmonics, the fundamental first
+ * - subtractive: two detuned oscillators through a resonant low-pass filter,
+ *   whose cutoff (a multiple of the note frequency) falls from peak to
+ *   cutoff over its decay time
+ * - modal: a struck string, rendered offline one key zone at a time as
+ *   decaying modes (see utils/instruments)
+ * SoundFont presets are added as 'sample' instruments when a file is loaded.
+ * @constant {Array<Object>}
+ */
+export const INSTRUMENTS = [
+  {
+    id: 'sine',
+    name: 'Sine',
+    kind: 'additive',
+    gain: 1,
+    partials: [1],
+    envelope: { attackTime: 0.02, decayTime: 0.1, sustainLevel: 0.3, releaseTime: 0.5 }
+  },
+  {
+    id: 'organ',
+    name: 'Drawbar Organ',
+    kind: 'additive',
+    gain: 0.5,
+    partials: [1, 0.8, 0.5, 0.4, 0, 0.3, 0, 0.25],
+    envelope: { attackTime: 0.01, decayTime: 0.05, sustainLevel: 0.8, releaseTime: 0.08 }
+  },
+  {
+    id: 'pad',
+    name: 'Analog Pad',
+    kind: 'subtractive',
+    gain: 0.3,
+    waveform: 'sawtooth',
+    detune: 8,  // Cents either side
+    filter: { cutoff: 2, peak: 6, q: 2, decayTime: 0.6 },
+    envelope: { attackTime: 0.15, decayTime: 0.3, sustainLevel: 0.7, releaseTime: 0.3 }
+  },
+  {
+    id: 'pluck',
+    name: 'Pluck',
+    kind: 'subtractive',
+    gain: 0.35,
+    waveform: 'square',
+    detune: 4,
+    filter: { cutoff: 1, peak: 12, q: 4, decayTime: 0.25 },
+    envelope: { attackTime: 0.003, decayTime: 0.4, sustainLevel: 0.15, releaseTime: 0.2 }
+  },
+  {
+    id: 'piano',
+    name: 'Piano',
+    kind: 'modal',
+    gain: 0.9,
+    modes: 24,              // Partials per string
+    inharmonicity: 0.0004,  // Stretch of the upper partials (B)
+    hammerPosition: 1 / 7,  // Strike point as a fraction of the string
+    unisonDetune: 0.6,      // Cents between the two strings of a note
+    decayTime: 6,           // Seconds for the fundamental of middle C to fall 60 dB
+    modeDamping: 0.25,      // How much faster each higher partial decays
+    zoneWidth: 3,           // Semitones rendered from one string
+    renderSeconds: 4,
+    envelope: { attackTime: 0.002, decayTime: 0, sustainLevel: 1, releaseTime: 0.25 }
+  }
+];
+
+/**
+ * Instrument each mode plays through the speakers
+ * @constant {Object<'tonnetz'|'negative', string>}
+ */
+export const DEFAULT_INSTRUMENTS = {
+  tonnetz: 'piano',
+  negative: 'piano'
+};
+
+/**
+ * Progression playback and export timing
+ * Each chord sounds for legato of its length in beats.
+ * @constant {{tempo: number, legato: number}}
+ */
+export const PLAYBACK_DEFAULTS = {
+  tempo: 100,   // BPM
+  legato: 0.9   // Fraction of its length each chord sounds for
+};
+
+/**
+ * Time signatures the converter offers; the tempo counts beats of the unit
+ * @constant {Array<{beats: number, unit: number}>}
+ */
+export const METERS = [
+  { beats: 2, unit: 4 },
+  { beats: 3, unit: 4 },
+  { beats: 4, unit: 4 },
+  { beats: 5, unit: 4 },
+  { beats: 6, unit: 8 },
+  { beats: 7, unit: 8 },
+  { beats: 12, unit: 8 },
+];
+
+/**
+ * Time signature of a new progression
+ * @constant {{beats: number, unit: number}}
+ */
+export const DEFAULT_METER = { beats: 4, unit: 4 };
+
+/**
+ * Transport settings (see utils/transport)
+ * @constant {Object}
+ */
+export const TRANSPORT_DEFAULTS = {
+  lookAheadMs: 25,     // How often the scheduler wakes
+  scheduleAhead: 0.1,  // Seconds of playback handed to the player ahead of its clock
+  startDelay: 0.05,    // Seconds from pressing play to the first beat
+  beatsPerBar: 4,
+  countInBars: 0,      // Off; the count-in toggle counts one bar
+  minTempo: 20,
+  maxTempo: 300
+};
+
+/**
+ * Count-in clicks: pitches through the speakers, and General MIDI
+ * percussion (channel 10) through a MIDI port
+ * @constant {Object}
+ */
+export const METRONOME = {
+  pitch: 84,
+  accentPitch: 96,  // First beat of the bar
+  duration: 0.06,
+  midiChannel: 9,
+  midiPitch: 77,    // Low wood block
+  midiAccentPitch: 76
+};
+
+/**
+ * Offline rendering to WAV files
+ * @constant {Object}
+ */
+export const WAV_EXPORT = {
+  sampleRates: [22050, 44100, 48000, 96000],
+  bitDepths: [16, 24, 32],  // 32 is floating point
+  sampleRate: 44100,
+  bitDepth: 16,
+  tailSeconds: 0.5          // Left after the last chord for its release
+};
+
+/**
+ * Default voicing settings for chords built from pitch classes
+ * @constant {{center: number}}
+ */
+export const VOICING_DEFAULTS = {
+  center: 60  // MIDI middle C (C4); the bass is voiced nearest this pitch
+};
+
+// ============================================================================
+// MIDI CONSTANTS
+// ============================================================================
+
+/**
+ * Default MIDI input and output settings
+ * @constant {{chordSettleMs: number, minChordSize: number, sustainController: number, velocity: number}}
+ */
+export const MIDI_DEFAULTS = {
+  chordSettleMs: 80,      // Wait after the last note-on before reading the held chord
+  minChordSize: 3,        // Distinct pitch classes needed to count as a chord
+  sustainController: 64,  // Damper pedal (CC64); values >= 64 are down
+  velocity: 96            // Note-on velocity for MIDI output
+};
+
+/**
+ * Default MIDI output routes for each side of the reflection
+ * A route with no port is silent; channels are 0-15.
+ * @constant {Object<'original'|'reflected', {portId: string|null, channel: number}>}
+ */
+export const DEFAULT_MIDI_ROUTES = {
+  original: { portId: null, channel: 0 },
+  reflected: { portId: null, channel: 1 }
+};
+
+/**
+ * Segmentation modes for imported MIDI files
+ * @constant {Array<{id: string, label: string, description: string}>}
+ */
+export const MIDI_SEGMENT_MODES = [
+  { id: 'onset', label: 'Onsets', description: 'A new chord wherever notes start together' },
+  { id: 'window', label: 'Window', description: 'One chord per fixed time window' }
+];
+
+/**
+ * Default settings for analysing imported MIDI files
+ * @constant {{mode: string, windowBeats: number, onsetToleranceBeats: number, maxWordLength: number, percussionChannel: number}}
+ */
+export const MIDI_IMPORT_DEFAULTS = {
+  mode: 'onset',
+  windowBeats: 1,               // Length of a window in 'window' mode
+  onsetToleranceBeats: 1 / 16,  // Onsets this close count as one attack; shorter overlaps are ignored
+  maxWordLength: 3,             // Longest P/L/R word still counted as parsimonious (N = RLP)
+  percussionChannel: 9          // General MIDI drums (channel 10), left out of the analysis
+};
+
 // ============================================================================
 // UI CONSTANTS
 // ============================================================================
@@ -146,6 +450,12 @@ export const AUDIO_DEFAULTS = {
  */
 export const TONNETZ_NODE_DISTANCE = 60;
 
+/**
+ * Delay between steps when animating a path from the path finder (ms)
+ * @constant {number}
+ */
+export const PATH_ANIMATION_STEP_MS = 600;
+
 /**
  * Default viewbox for Tonnetz SVG
  * @constant {Object}
@@ -162,6 +472,45 @@ export const INITIAL_CHORD = {
   type: 'Major'
 };
 
+// ============================================================================
+// SHARE LINKS
+// ============================================================================
+
+/**
+ * Version written into share links; links from other versions are rejected
+ * @constant {number}
+ */
+export const SHARE_LINK_VERSION = 1;
+
+/**
+ * How long the share button shows its result before resetting (ms)
+ * @constant {number}
+ */
+export const SHARE_FEEDBACK_MS = 2000;
+
+// ============================================================================
+// SESSION LIBRARY
+// ============================================================================
+
+/**
+ * Session library storage and autosave settings
+ * @constant {Object}
+ */
+export const LIBRARY_DEFAULTS = {
+  databaseName: 'neo-riemannian-library',
+  databaseVersion: 1,
+  autosaveDelayMs: 1000,  // Quiet time after a change before autosaving
+};
+
+/**
+ * Format name and version written into exported library files
+ * @constant {{format: string, version: number}}
+ */
+export const LIBRARY_FILE_FORMAT = {
+  format: 'neo-riemannian-library',
+  version: 1
+};
+
 /**
  * Chord type colours for visualisation
  * @constant {Object<string, {fill: string, stroke: string}>}
@@ -186,6 +535,9 @@ export const STRINGS = {
   MODE_NEGATIVE: 'Negative Harmony',
   CURRENT_CHORD: 'Current Chord',
   TRAVERSAL_PATH: 'Traversal Path',
+  BRANCH_PREVIOUS: 'Previous branch',
+  BRANCH_NEXT: 'Next branch',
+  BRANCHES: 'branches',
   CLEAR: 'Clear',
   CONVERT_PROGRESSION: 'Convert Progression',
   COMPACT_OUTPUT: 'Compact Output',
@@ -197,13 +549,135 @@ export const STRINGS = {
   TRANSFORM_P: 'Parallel',
   TRANSFORM_L: 'Leading',
   TRANSFORM_R: 'Relative',
+  TRANSFORM_N: 'Nebenverwandt',
+  TRANSFORM_S: 'Slide',
+  TRANSFORM_H: 'Hex Pole',
+  COMPOUND_TRANSFORMS: 'Compound',
+  TRANSFORM_WORD: 'Transformation Word',
+  APPLY: 'Apply',
+  PLACEHOLDER_TRANSFORM_WORD: "e.g., (PL)^3, RL*4, N'",
+  FIND_PATH: 'Find Path',
+  PATH_FROM: 'From',
+  PATH_TO: 'To',
+  INCLUDE_COMPOUND: 'Allow N, S, H',
   PLAY: 'Play',
   STOP: 'Stop',
   UNDO: 'Undo',
   REDO: 'Redo',
   EXPORT: 'Export',
+  EXPORT_MIDI_HINT: 'Download as a Standard MIDI File',
+  EXPORT_MUSICXML: 'MusicXML',
+  EXPORT_MUSICXML_HINT: 'Download both progressions as notation (MusicXML) for MuseScore, Sibelius or Finale',
+  EXPORT_WAV: 'WAV',
+  EXPORT_WAV_HINT: 'Render to an audio file with the selected sound',
+  WAV_SAMPLE_RATE: 'Sample rate',
+  WAV_BIT_DEPTH: 'Bit depth',
+  WAV_BIT_DEPTH_FLOAT: 'float',
+  WAV_RENDER: 'Render',
+  WAV_RENDERING: 'Rendering…',
+  WAV_SOURCE_ORIGINAL: 'Original',
+  WAV_SOURCE_NEGATIVE: 'Negative',
+  WAV_SOURCE_AB: 'A/B stereo',
+  WAV_SOURCE_TRAVERSAL: 'Active branch',
+  TUNING: 'Tuning',
+  TUNING_HINT: 'Tuning of the speakers and WAV export; MIDI output stays in equal temperament',
+  TUNING_SYSTEM: 'System',
+  TUNING_REFERENCE: 'A4',
+  TUNING_HZ: 'Hz',
+  TUNING_LOAD_SCALE: 'Load .scl',
+  TUNING_SCALE_HINT: 'Play a Scala scale (.scl) built on the key centre',
+  TUNING_LOAD_MAPPING: 'Load .kbm',
+  TUNING_MAPPING_HINT: 'Map the Scala scale to keys with a keyboard mapping (.kbm), which sets its own reference pitch',
+  TUNING_CLEAR_MAPPING: 'Clear mapping',
+  TUNING_NOTES: 'notes',
+  TUNING_LINE: 'line',
+  COMMA_DRIFT: 'Commas',
+  COMMA_DRIFT_HINT: 'Show how far each root has drifted from equal temperament in a just Tonnetz, in cents from the chord the lattice is anchored on',
+  WAV_SOURCE_AB_HINT: 'Original in the left channel, negative in the right',
+  MIDI_IMPORT: 'MIDI File',
+  MIDI_IMPORT_OPEN: 'Open .mid',
+  MIDI_IMPORT_HINT: 'Load a Standard MIDI File to analyse and reflect it',
+  MIDI_IMPORT_EMPTY: 'No notes found in this file',
+  MIDI_IMPORT_WINDOW: 'Window',
+  MIDI_IMPORT_BEATS: 'beats',
+  MIDI_IMPORT_CHORDS: 'chords',
+  MIDI_IMPORT_JUMPS: 'jumps',
+  MIDI_REFLECTED_HINT: 'Download the piece reflected across the current axis',
+  REPLAY_TONNETZ: 'Replay in Tonnetz',
+  JUMP: 'Jump',
   PRESET_SELECT: 'Select Preset',
-  PLACEHOLDER_PROGRESSION: 'e.g., Cmaj7 Am9 Dm7 G7',
+  PLACEHOLDER_PROGRESSION: 'e.g., | Dm7 . G7 . | Cmaj7 - - - |',
   PLAY_NOTES_HINT: 'Play notes to visualize their negative reflection.',
+  VIEW_GRAPH: 'Graph',
+  VIEW_LATTICE: 'Lattice',
+  VIEW_TORUS: 'Torus',
+  TORUS_HINT: 'Opposite sides of the domain are identified',
+  LATTICE_ANCHOR: 'Anchored on',
+  LATTICE_ANCHOR_HINT: 'The lattice is centred on the first major or minor triad in the history',
+  LATTICE_ANCHOR_NEAREST_HINT: 'No chord in the history is a major or minor triad, so the lattice is centred on the triad sharing most notes with the first chord',
   PAN_ZOOM_DISABLED: 'Pan & Zoom Disabled (Demo)',
+  VOICE_LEADING: 'Voice Leading',
+  AXIS: 'Reflection Axis',
+  AXIS_PITCH_HINT: 'Click a pitch to place the axis through it',
+  AXIS_PAIR_HINT: 'Click two pitches to swap them',
+  MIDI_INPUT: 'MIDI In',
+  MIDI_ALL_DEVICES: 'All devices',
+  MIDI_NO_DEVICES: 'No MIDI devices',
+  MIDI_UNSUPPORTED: 'Web MIDI is not supported in this browser',
+  MIDI_OMNI: 'Omni',
+  MIDI_CHANNEL: 'Ch',
+  MIDI_SUSTAIN: 'Ped',
+  MIDI_OUTPUT: 'MIDI Out',
+  MIDI_OFF: 'Off',
+  MIDI_ROUTE_ORIGINAL: 'Original',
+  MIDI_ROUTE_REFLECTED: 'Reflected',
+  PAUSE: 'Pause',
+  TRANSPORT_POSITION: 'Seek to a chord',
+  TEMPO: 'Tempo',
+  BPM: 'BPM',
+  COUNT_IN: 'Count-in',
+  COUNT_IN_HINT: 'Count a bar in before playing',
+  LOOP: 'Loop',
+  LOOP_HINT: 'Repeat the chords between these two',
+  LOOP_FROM: 'From chord',
+  LOOP_TO: 'To chord',
+  TIME_SIGNATURE: 'Time',
+  TIME_SIGNATURE_HINT: 'Time signature: bars share their beats between the chords in them',
+  RHYTHM_HINT: '| marks a bar line; each . or - holds the chord before it for another beat',
+  BAR: 'Bar',
+  BEAT: 'beat',
+  BEATS: 'beats',
+  INSTRUMENT: 'Sound',
+  INSTRUMENT_HINT: 'Instrument each mode plays through the speakers',
+  INSTRUMENT_BUILT_IN: 'Built in',
+  INSTRUMENT_LOAD_SOUNDFONT: 'Load SoundFont',
+  INSTRUMENT_SOUNDFONT_HINT: 'Play the presets of a SoundFont (.sf2) file on this computer',
+  INSTRUMENT_FALLBACK: 'playing a sine voice instead',
+  SEMITONES_SHORT: 'st',
+  VL_TAXICAB: 'Semitones moved',
+  VL_EUCLIDEAN: 'Euclidean',
+  VL_SMOOTHNESS: 'Largest leap',
+  SHARE: 'Share',
+  SHARE_HINT: 'Copy a link to the current chord, traversal, key and progression',
+  SHARE_COPIED: 'Link copied',
+  SHARE_COPY_FAILED: 'Copy the link from the address bar',
+  SHARE_INVALID: 'This link could not be opened',
+  DISMISS: 'Dismiss',
+  LIBRARY: 'Library',
+  LIBRARY_HINT: 'Saved traversals and progressions',
+  LIBRARY_NAME: 'Name',
+  LIBRARY_TAGS: 'Tags, separated by commas',
+  LIBRARY_SAVE_TRAVERSAL: 'Save traversal',
+  LIBRARY_SAVE_PROGRESSION: 'Save progression',
+  LIBRARY_FILTER: 'Filter by name or tag',
+  LIBRARY_EMPTY: 'Nothing saved yet',
+  LIBRARY_NO_MATCHES: 'No entries match',
+  LIBRARY_LOAD: 'Load',
+  LIBRARY_DELETE: 'Delete',
+  LIBRARY_EXPORT: 'Export JSON',
+  LIBRARY_IMPORT: 'Import JSON',
+  LIBRARY_IMPORTED: 'Imported',
+  LIBRARY_UNAVAILABLE: 'Storage is unavailable; nothing will be saved',
+  LIBRARY_TRAVERSAL: 'Traversal',
+  LIBRARY_PROGRESSION: 'Progression',
 };
@@ -6,3 +6,8 @@
 export { useChordHistory } from './useChordHistory';
 export { useKeyboardShortcuts } from './useKeyboardShortcuts';
 export { useAudio } from './useAudio';
+export { useMidiInput } from './useMidiInput';
+export { useMidiOutput } from './useMidiOutput';
+export { useShareLink } from './useShareLink';
+export { useSessionLibrary } from './useSessionLibrary';
+export { useTransport, useTransportEvents } from './useTransport';
@@ -3,24 +3,54 @@
  * @module hooks/useAudio
  */
 
-import { useRef, useCallback, useState, useEffect } from 'react';
-import { getNoteFrequency } from '../utils/musicUtils';
-import { AUDIO_DEFAULTS } from '../constants';
+import { useRef, useCallback, useState, useEffect, useMemo } from 'react';
+import { getMidiPitch } from '../utils/musicUtils';
+import { getTunedFrequency } from '../utils/tuning';
+import { readSoundFont } from '../utils/soundFont';
+import { createVoice, prepareInstrument, getSoundFontInstruments, findInstrument } from '../utils/instruments';
+import { getTimeline, playProgressionOnce } from '../utils/transport';
+import { encodeWavFile } from '../utils/wavFile';
+import { AUDIO_DEFAULTS, METRONOME, INSTRUMENTS, PLAYBACK_DEFAULTS, WAV_EXPORT, TUNING_DEFAULTS } from '../constants';
+
+/**
+ * Tuning used when none is given
+ */
+const DEFAULT_TUNING = { system: TUNING_DEFAULTS.system, reference: TUNING_DEFAULTS.reference };
 
 /**
  * Custom hook for audio playback using Web Audio API
+ * Notes sound through an instrument (see utils/instruments): the built-in
+ * ones, or the presets of SoundFonts loaded with loadSoundFont, at the
+ * frequencies of the tuning (see utils/tuning).
  * @param {Object} options - Audio options
  * @param {number} options.volume - Master volume (0-1)
+ * @param {string} [options.instrument] - Id of the instrument to play; the first built-in if unknown
+ * @param {Object} [options.tuning] - Tuning to play in; equal temperament at A4 = 440 Hz by default
  * @returns {Object} Audio control functions and state
  */
 export const useAudio = (options = {}) => {
-  const { volume = AUDIO_DEFAULTS.volume } = options;
+  const { volume = AUDIO_DEFAULTS.volume, instrument: instrumentId = INSTRUMENTS[0].id, tuning = DEFAULT_TUNING } = options;
   
   const audioContextRef = useRef(null);
   const gainNodeRef = useRef(null);
-  const activeOscillatorsRef = useRef([]);
+  const activeVoicesRef = useRef([]);
+  // Bumped by stopAll, so a note still getting ready when it ran never starts
+  const generationRef = useRef(0);
+  // Transport playing a progression from playProgression; stopAll disposes of it
+  const progressionRef = useRef(null);
   const [isPlaying, setIsPlaying] = useState(false);
+  const [instrumentError, setInstrumentError] = useState(null);
   const [isSupported, setIsSupported] = useState(true);
+  const [soundFonts, setSoundFonts] = useState([]);
+
+  /**
+   * Built-in instruments followed by the presets of every loaded SoundFont
+   */
+  const instruments = useMemo(
+    () => [...INSTRUMENTS, ...soundFonts.flatMap(({ fileName, soundFont }) => getSoundFontInstruments(soundFont, fileName))],
+    [soundFonts]
+  );
+  const instrument = findInstrument(instruments, instrumentId);
 
   /**
    * Initializes the audio context (lazy initialization)
@@ -59,6 +89,77 @@ export const useAudio = (options = {}) => {
     return ctx;
   }, [initAudio]);
 
+  /**
+   * Starts the voice of one note, the same way live and when rendering
+   * @param {BaseAudioContext} ctx - Audio context
+   * @param {AudioNode} destination - Node the voice plays into
+   * @param {Object} voiceInstrument - Instrument to play
+   * @param {number} pitch - MIDI pitch
+   * @param {number} duration - Duration in seconds
+   * @param {number} startTime - Context time to start
+   * @param {Function} [onEnded] - Called once the voice has stopped
+   * @returns {Object|null} Voice, or null for a key the tuning leaves out
+   */
+  const startVoice = useCallback((ctx, destination, voiceInstrument, pitch, duration, startTime, onEnded) => {
+    const frequency = getTunedFrequency(pitch, tuning);
+    if (frequency === null) return null;
+    return createVoice(ctx, destination, voiceInstrument, {
+      pitch,
+      frequency,
+      startTime,
+      duration,
+      level: volume,
+      onEnded
+    });
+  }, [volume, tuning]);
+
+  /**
+   * Starts a voice for each pitch and tracks it until it ends
+   * @param {AudioContext} ctx - Running audio context
+   * @param {number[]} pitches - MIDI pitches
+   * @param {number} duration - Duration in seconds
+   * @param {number} startTime - AudioContext time to start
+   * @param {Object} [voiceInstrument] - Instrument to play; the selected one by default
+   * @returns {Object[]} Voices started
+   */
+  const startVoices = useCallback((ctx, pitches, duration, startTime, voiceInstrument = instrument) => {
+    const voices = pitches.flatMap((pitch) => {
+      const voice = startVoice(ctx, gainNodeRef.current, voiceInstrument, pitch, duration, startTime, () => {
+        activeVoicesRef.current = activeVoicesRef.current.filter(v => v !== voice);
+        if (activeVoicesRef.current.length === 0) {
+          setIsPlaying(false);
+        }
+      });
+      return voice ? [voice] : [];
+    });
+    activeVoicesRef.current.push(...voices);
+    if (activeVoicesRef.current.length === 0) {
+      setIsPlaying(false);
+    }
+    return voices;
+  }, [instrument, startVoice]);
+
+  /**
+   * Gets the instrument ready to play some pitches
+   * A piano that cannot be rendered falls back to a sine voice; the failure
+   * is returned, and kept in instrumentError until the instrument next
+   * prepares.
+   * @param {BaseAudioContext} ctx - Audio context
+   * @param {number[]} pitches - MIDI pitches
+   * @returns {Promise<{error: {message: string}|null}>} Why the instrument could not be prepared, if it could not
+   */
+  const prepare = useCallback(async (ctx, pitches) => {
+    try {
+      await prepareInstrument(instrument, pitches, ctx.sampleRate);
+      setInstrumentError(null);
+      return { error: null };
+    } catch (error) {
+      const failure = { message: `${instrument.name}: ${error.message}` };
+      setInstrumentError(prev => (prev?.message === failure.message ? prev : failure));
+      return { error: failure };
+    }
+  }, [instrument]);
+
   /**
    * Plays a single note
    * @param {number} note - Note value (0-11)
@@ -67,194 +168,101 @@ export const useAudio = (options = {}) => {
    * @returns {Function} Stop function for this note
    */
   const playNote = useCallback(async (note, octave = 4, duration = AUDIO_DEFAULTS.noteDuration) => {
+    const generation = generationRef.current;
     const ctx = await resumeAudio();
     if (!ctx) return () => {};
 
-    const frequency = getNoteFrequency(note, octave);
-    
-    const oscillator = ctx.createOscillator();
-    const noteGain = ctx.createGain();
-    
-    oscillator.type = 'sine';
-    oscillator.frequency.value = frequency;
-    
-    // ADSR envelope
-    const now = ctx.currentTime;
-    const { attackTime, decayTime, sustainLevel, releaseTime } = AUDIO_DEFAULTS;
-    
-    noteGain.gain.setValueAtTime(0, now);
-    noteGain.gain.linearRampToValueAtTime(volume, now + attackTime);
-    noteGain.gain.linearRampToValueAtTime(sustainLevel * volume, now + attackTime + decayTime);
-    noteGain.gain.setValueAtTime(sustainLevel * volume, now + duration - releaseTime);
-    noteGain.gain.linearRampToValueAtTime(0, now + duration);
-    
-    oscillator.connect(noteGain);
-    noteGain.connect(gainNodeRef.current);
-    
-    oscillator.start(now);
-    oscillator.stop(now + duration + 0.1);
-    
-    activeOscillatorsRef.current.push(oscillator);
-    
-    oscillator.onended = () => {
-      activeOscillatorsRef.current = activeOscillatorsRef.current.filter(o => o !== oscillator);
-      if (activeOscillatorsRef.current.length === 0) {
-        setIsPlaying(false);
-      }
-    };
+    const pitch = getMidiPitch(note, octave);
+    await prepare(ctx, [pitch]);
+    if (generation !== generationRef.current) return () => {};
+    setIsPlaying(true);
 
-    return () => {
-      try {
-        oscillator.stop();
-      } catch (e) {
-        // Already stopped
-      }
-    };
-  }, [resumeAudio, volume]);
+    const [voice] = startVoices(ctx, [pitch], duration, ctx.currentTime);
+    return voice?.stop ?? (() => {});
+  }, [resumeAudio, prepare, startVoices]);
 
   /**
-   * Plays a chord (multiple notes simultaneously) at a specific time
-   * @param {number[]} notes - Array of note values
-   * @param {number} octave - Base octave
+   * Plays a chord voicing (multiple notes simultaneously) at a specific time
+   * @param {number[]} voicing - MIDI pitches to sound (see voiceChord)
    * @param {number} duration - Duration in seconds
    * @param {number} startTime - AudioContext time to start (optional)
    */
-  const playChord = useCallback(async (notes, octave = 4, duration = AUDIO_DEFAULTS.noteDuration, startTime = null) => {
+  const playChord = useCallback(async (voicing, duration = AUDIO_DEFAULTS.noteDuration, startTime = null) => {
+    const generation = generationRef.current;
     const ctx = await resumeAudio();
     if (!ctx) return () => {};
-    
+
+    await prepare(ctx, voicing);
+    if (generation !== generationRef.current) return () => {};
     setIsPlaying(true);
     
     const now = startTime !== null ? startTime : ctx.currentTime;
-    const { attackTime, decayTime, sustainLevel, releaseTime } = AUDIO_DEFAULTS;
-    
-    const oscillators = notes.map((note, i) => {
-      // Spread notes across octaves if needed
-      const noteOctave = octave + Math.floor(i / 4);
-      const frequency = getNoteFrequency(note, noteOctave);
-      
-      const oscillator = ctx.createOscillator();
-      const noteGain = ctx.createGain();
-      
-      oscillator.type = 'sine';
-      oscillator.frequency.value = frequency;
-      
-      // ADSR envelope
-      noteGain.gain.setValueAtTime(0, now);
-      noteGain.gain.linearRampToValueAtTime(volume, now + attackTime);
-      noteGain.gain.linearRampToValueAtTime(sustainLevel * volume, now + attackTime + decayTime);
-      noteGain.gain.setValueAtTime(sustainLevel * volume, now + duration - releaseTime);
-      noteGain.gain.linearRampToValueAtTime(0, now + duration);
-      
-      oscillator.connect(noteGain);
-      noteGain.connect(gainNodeRef.current);
-      
-      oscillator.start(now);
-      oscillator.stop(now + duration + 0.1);
-      
-      activeOscillatorsRef.current.push(oscillator);
-      
-      oscillator.onended = () => {
-        activeOscillatorsRef.current = activeOscillatorsRef.current.filter(o => o !== oscillator);
-        if (activeOscillatorsRef.current.length === 0) {
-          setIsPlaying(false);
-        }
-      };
-      
-      return oscillator;
-    });
+    const voices = startVoices(ctx, voicing, duration, now);
 
     return () => {
-      oscillators.forEach(osc => {
-        try {
-          osc.stop();
-        } catch (e) {
-          // Already stopped
-        }
-      });
+      voices.forEach(voice => voice.stop());
       setIsPlaying(false);
     };
-  }, [resumeAudio, volume]);
+  }, [resumeAudio, prepare, startVoices]);
+
+  /**
+   * Gets the clock chords are scheduled against
+   * @returns {number} AudioContext time in seconds (0 before the context exists)
+   */
+  const getCurrentTime = useCallback(() => audioContextRef.current?.currentTime ?? 0, []);
 
   /**
-   * Plays a chord progression with precise timing using Web Audio scheduler
-   * @param {Array<number[]>} progression - Array of chord note arrays
-   * @param {number} tempo - BPM
-   * @param {Function} onChordChange - Callback when chord changes
+   * Starts the audio context and renders anything the instrument needs, so
+   * chords scheduled afterwards start on time
+   * @param {Array<number[]>} voicings - Chord voicings about to be played
+   * @returns {Promise<boolean>} Whether audio is available
    */
-  const playProgression = useCallback(async (progression, tempo = 120, onChordChange) => {
+  const prepareChords = useCallback(async (voicings) => {
     const ctx = await resumeAudio();
-    if (!ctx) return () => {};
+    if (!ctx) return false;
+    await prepare(ctx, voicings.flat());
+    return true;
+  }, [resumeAudio, prepare]);
 
+  /**
+   * Plays a metronome click
+   * @param {number} startTime - AudioContext time to start
+   * @param {boolean} isAccent - Whether it is the first beat of the bar
+   */
+  const playClick = useCallback((startTime, isAccent) => {
+    const ctx = audioContextRef.current;
+    if (!ctx) return;
     setIsPlaying(true);
-    
-    const beatDuration = 60 / tempo;
-    const chordDuration = beatDuration * 0.9; // 90% of beat for legato feel
-    const startTime = ctx.currentTime + 0.05; // Small buffer for scheduling
-    
-    let stopped = false;
-    const scheduledTimeouts = [];
-
-    // Schedule all chords at precise times using audioContext.currentTime
-    progression.forEach((chord, index) => {
-      const chordStartTime = startTime + (index * beatDuration);
-      
-      // Schedule the chord to play at exact time
-      playChord(chord, 4, chordDuration, chordStartTime);
-      
-      // Schedule UI callback slightly before the audio plays
-      const uiDelay = (chordStartTime - ctx.currentTime) * 1000;
-      const timeoutId = setTimeout(() => {
-        if (!stopped) {
-          onChordChange?.(index, chord);
-        }
-      }, Math.max(0, uiDelay));
-      
-      scheduledTimeouts.push(timeoutId);
-    });
-
-    // Schedule end of playback
-    const totalDuration = progression.length * beatDuration;
-    const endTimeoutId = setTimeout(() => {
-      if (!stopped) {
-        setIsPlaying(false);
-        onChordChange?.(-1, null); // Signal end
-      }
-    }, totalDuration * 1000);
-    
-    scheduledTimeouts.push(endTimeoutId);
-
-    return () => {
-      stopped = true;
-      scheduledTimeouts.forEach(id => clearTimeout(id));
-      // Stop all oscillators directly instead of calling stopAll
-      activeOscillatorsRef.current.forEach(osc => {
-        try {
-          osc.stop();
-        } catch (e) {
-          // Already stopped
-        }
-      });
-      activeOscillatorsRef.current = [];
-      setIsPlaying(false);
-    };
-  }, [resumeAudio, playChord]);
+    startVoices(ctx, [isAccent ? METRONOME.accentPitch : METRONOME.pitch], METRONOME.duration, startTime, INSTRUMENTS[0]);
+  }, [startVoices]);
 
   /**
-   * Stops all currently playing notes
+   * Stops all currently playing notes, and any still getting ready to start
    */
   const stopAll = useCallback(() => {
-    activeOscillatorsRef.current.forEach(osc => {
-      try {
-        osc.stop();
-      } catch (e) {
-        // Already stopped
-      }
-    });
-    activeOscillatorsRef.current = [];
+    progressionRef.current?.dispose();
+    progressionRef.current = null;
+    generationRef.current++;
+    activeVoicesRef.current.forEach(voice => voice.stop());
+    activeVoicesRef.current = [];
     setIsPlaying(false);
   }, []);
 
+  /**
+   * Plays a chord progression, a chord a beat, through a transport
+   * @param {Array<number[]>} progression - Chord voicings (MIDI pitches)
+   * @param {number} [tempo=PLAYBACK_DEFAULTS.tempo] - Beats per minute
+   * @param {Function} [onChordChange] - Called with the index and voicing of each chord as it starts, and with -1 at the end
+   * @returns {Promise<boolean>} Whether playback started
+   */
+  const playProgression = useCallback((progression, tempo = PLAYBACK_DEFAULTS.tempo, onChordChange) => {
+    stopAll();
+    const player = { getCurrentTime, prepare: prepareChords, playChord, playClick, stopAll };
+    const { transport, started } = playProgressionOnce(player, progression, { tempo, onChordChange });
+    progressionRef.current = transport;
+    return started;
+  }, [stopAll, getCurrentTime, prepareChords, playChord, playClick]);
+
   /**
    * Sets the master volume
    * @param {number} newVolume - Volume level (0-1)
@@ -265,6 +273,89 @@ export const useAudio = (options = {}) => {
     }
   }, []);
 
+  /**
+   * Renders chord sequences offline with the selected instrument and volume,
+   * timed as the transport plays them, and encodes the result as a WAV file
+   * A sequence given a channel is mixed to mono in that channel alone, so
+   * two sequences can be set side by side for A/B listening.
+   * @param {Array<{chords: Array<{voicing: number[], beats?: number}>, channel?: 0|1}>} sequences - Sequences, all starting together
+   * @param {Object} options - Render options
+   * @param {number} options.tempo - Beats per minute
+   * @param {number} options.sampleRate - Samples per second
+   * @param {16|24|32} options.bitDepth - Bits per sample
+   * @returns {Promise<{bytes: Uint8Array|null, error: {message: string}|null}>} Stereo WAV file, or why it could not be rendered
+   */
+  const renderWav = useCallback(async (sequences, { tempo, sampleRate, bitDepth }) => {
+    const OfflineContext = globalThis.OfflineAudioContext || globalThis.webkitOfflineAudioContext;
+    if (!OfflineContext) {
+      return { bytes: null, error: { message: 'Offline rendering is not supported in this browser' } };
+    }
+
+    const beatLength = 60 / tempo;
+    const timelines = sequences.map(({ chords }) => getTimeline(chords));
+    const seconds = Math.max(0, ...timelines.map(timeline => timeline.total)) * beatLength + WAV_EXPORT.tailSeconds;
+
+    try {
+      const ctx = new OfflineContext(2, Math.ceil(seconds * sampleRate), sampleRate);
+      // A file is not written with a fallback voice in place of the instrument
+      const { error: prepareError } = await prepare(ctx, sequences.flatMap(({ chords }) => chords.flatMap(chord => chord.voicing)));
+      if (prepareError) return { bytes: null, error: prepareError };
+
+      // The same master gain as the live context
+      const master = ctx.createGain();
+      master.gain.value = volume;
+      master.connect(ctx.destination);
+      const merger = ctx.createChannelMerger(2);
+      merger.connect(master);
+
+      sequences.forEach(({ chords, channel }, i) => {
+        const bus = ctx.createGain();
+        if (channel === undefined) {
+          bus.connect(master);
+        } else {
+          bus.channelCount = 1;
+          bus.channelCountMode = 'explicit';
+          bus.connect(merger, 0, channel);
+        }
+
+        chords.forEach((chord, j) => {
+          const duration = (chord.beats ?? 1) * beatLength * PLAYBACK_DEFAULTS.legato;
+          const startTime = timelines[i].onsets[j] * beatLength;
+          chord.voicing.forEach(pitch => startVoice(ctx, bus, instrument, pitch, duration, startTime));
+        });
+      });
+
+      const buffer = await ctx.startRendering();
+      const channels = [buffer.getChannelData(0), buffer.getChannelData(1)];
+      return { bytes: encodeWavFile(channels, { sampleRate, bitDepth }), error: null };
+    } catch (error) {
+      return { bytes: null, error: { message: error.message } };
+    }
+  }, [prepare, volume, startVoice, instrument]);
+
+  /**
+   * Reads a SoundFont file and adds its presets to the instruments
+   * A file loaded again under the same name replaces the earlier one.
+   * @param {File} file - .sf2 file
+   * @returns {Promise<{instruments: Object[]|null, error: {message: string, position: number}|null}>}
+   *   The file's presets as instruments, or the read error (at position 0 if the file could not be read)
+   */
+  const loadSoundFont = useCallback(async (file) => {
+    let buffer;
+    try {
+      buffer = await file.arrayBuffer();
+    } catch (readError) {
+      // The file may have been moved or lost its permission since it was picked
+      return { instruments: null, error: { message: readError.message, position: 0 } };
+    }
+
+    const { soundFont, error } = readSoundFont(buffer);
+    if (error) return { instruments: null, error };
+
+    setSoundFonts(prev => [...prev.filter(loaded => loaded.fileName !== file.name), { fileName: file.name, soundFont }]);
+    return { instruments: getSoundFontInstruments(soundFont, file.name), error: null };
+  }, []);
+
   // Cleanup on unmount
   useEffect(() => {
     return () => {
@@ -279,9 +370,17 @@ export const useAudio = (options = {}) => {
     playNote,
     playChord,
     playProgression,
+    playClick,
+    prepare: prepareChords,
+    getCurrentTime,
     stopAll,
     setVolume,
+    instruments,
+    instrument,
+    loadSoundFont,
+    renderWav,
     isPlaying,
+    instrumentError,
     isSupported,
     initAudio: resumeAudio
   };
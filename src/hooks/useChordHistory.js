@@ -1,247 +1,593 @@
 /**
- * @fileoverview Custom hook for managing chord traversal history with undo/redo
+ * @fileoverview Custom hook for managing a branching chord traversal history
  * @module hooks/useChordHistory
  */
 
 import { useState, useCallback, useMemo } from 'react';
-import { normalize, identifyChord, applyTransform, calculateTonnetzDelta } from '../utils/musicUtils';
+import {
+  normalize,
+  identifyChord,
+  applyTransform,
+  voiceChord,
+  isCompoundTransform,
+  parseTransformWord,
+  calculateTonnetzDelta
+} from '../utils/musicUtils';
+import { spellChordFrom, spellChordLabel } from '../utils/spelling';
+import {
+  createHistoryCursor,
+  extendCursor,
+  moveCursor,
+  selectCursorBranch,
+  getCurrentNode,
+  getRootNode,
+  getPreviousNode,
+  getNextNode,
+  getStoreNode,
+  getChildren,
+  getDepth,
+  getHistoryNodes,
+  getHistoryEdges,
+  getBranch,
+  getBranchAlternatives
+} from '../utils/historyTree';
 import { INITIAL_CHORD, DEFAULT_VIEWBOX, TONNETZ_NODE_DISTANCE } from '../constants';
 
+/**
+ * Spells a chord following the chord it is reached from
+ * @param {number[]} notes - Chord notes (pitch classes)
+ * @param {string} label - Chord label with default note names
+ * @param {Object|null} prevNode - Node the chord is reached from, or null for the first chord
+ * @param {number} [bass] - Bass note, used to identify the root
+ * @returns {{label: string, spelling: Array<{step: string, alter: number, pc: number}>}}
+ *   Spelled label, and the spelling of each note in the order of `notes`
+ */
+const spellNode = (notes, label, prevNode, bass) => {
+  const spelling = spellChordFrom(notes, prevNode?.spelling ?? null, { bass });
+  return {
+    label: spellChordLabel(label, spelling),
+    spelling: notes.map(pc => spelling.get(pc))
+  };
+};
+
 /**
  * Creates the initial history node
  * @returns {Object} Initial history state
  */
 const createInitialState = () => ({
   notes: INITIAL_CHORD.notes,
+  voicing: voiceChord(INITIAL_CHORD.notes),
   id: 'start',
   x: 0,
   y: 0,
-  label: INITIAL_CHORD.label,
+  ...spellNode(INITIAL_CHORD.notes, INITIAL_CHORD.label, null),
   op: 'Start',
   type: INITIAL_CHORD.type
 });
 
 /**
- * Custom hook for managing chord history with undo/redo capability
+ * Counter appended to node ids so nodes created in the same millisecond stay unique
+ */
+let nodeCounter = 0;
+
+/**
+ * Creates a unique id for a history node
+ * @param {string} label - Chord label
+ * @returns {string} Node id
+ */
+const createNodeId = (label) => `${label}-${Date.now()}-${nodeCounter++}`;
+
+/**
+ * Walks the primitive steps of a transformation across the Tonnetz
+ * Each waypoint is spelled from the one before it.
+ * @param {Object} prevNode - Node the steps start from
+ * @param {Array<{op: string, from: number[], to: number[], isSelfMap: boolean}>} steps - Steps from applyTransform
+ * @returns {Array<Object>} One waypoint per step, the last at the position of the new chord
+ */
+const walkSteps = (prevNode, steps) => {
+  let x = prevNode.x;
+  let y = prevNode.y;
+  let previous = prevNode;
+  return steps.map(step => {
+    if (!step.isSelfMap) {
+      const { dx, dy } = calculateTonnetzDelta(step.op, identifyChord(step.from).type, TONNETZ_NODE_DISTANCE);
+      x += dx;
+      y += dy;
+    }
+    const stepInfo = identifyChord(step.to);
+    const notes = normalize(step.to);
+    previous = {
+      op: step.op,
+      notes,
+      voicing: step.to,
+      ...spellNode(notes, stepInfo.label, previous),
+      type: stepInfo.type,
+      x,
+      y
+    };
+    return previous;
+  });
+};
+
+/**
+ * Creates a node for a chord set directly, at the origin of the Tonnetz
+ * The chord is voiced in close position with its first note in the bass.
+ * @param {number[]} notes - Chord notes
+ * @returns {Object} History node
+ */
+const createSetNode = (notes) => {
+  const normalizedNotes = normalize(notes);
+  const info = identifyChord(normalizedNotes);
+  return {
+    notes: normalizedNotes,
+    voicing: voiceChord(notes),
+    id: createNodeId(info.label),
+    ...spellNode(normalizedNotes, info.label, null),
+    type: info.type,
+    x: 0,
+    y: 0,
+    op: 'Set'
+  };
+};
+
+/**
+ * Builds the node and edge produced by applying a transformation
+ * Compound operations keep their intermediate P/L/R waypoints on the edge.
+ * The transformation is voice-led, so nodes keep the voicing they were reached in.
+ * @param {Object} prevNode - Node the transformation starts from
+ * @param {number[]} voicing - Voicing (MIDI pitches) at prevNode
+ * @param {string} transformType - Transformation type
+ * @returns {{node: Object, edge: Object}|null} New node and edge, or null for a self-mapping
+ */
+const createTransformStep = (prevNode, voicing, transformType) => {
+  const result = applyTransform(voicing, transformType, { voiced: true });
+  if (result.isSelfMap) return null;
+
+  const newInfo = identifyChord(result.notes);
+
+  // Walk each primitive step to find the position of the new node in the Tonnetz
+  const waypoints = walkSteps(prevNode, result.steps);
+  const { x, y, label, spelling } = waypoints[waypoints.length - 1];
+
+  const node = {
+    notes: normalize(result.notes),
+    voicing: result.notes,
+    id: createNodeId(newInfo.label),
+    label,
+    spelling,
+    type: newInfo.type,
+    x,
+    y,
+    op: transformType
+  };
+
+  const edge = isCompoundTransform(transformType)
+    ? { from: prevNode, to: node, type: transformType, steps: waypoints }
+    : { from: prevNode, to: node, type: transformType };
+
+  return { node, edge };
+};
+
+/**
+ * Builds the node and edge for one chord of a loaded sequence
+ * Chords reached by a P/L/R word are placed where the word leads; a word of
+ * several operations keeps its waypoints, like a compound edge. Jumps are
+ * drawn as a single 'Jump' edge, placed by their word when they have one and
+ * otherwise beside the previous chord. The chord is spelled from the previous
+ * one directly rather than through its word.
+ * @param {Object} prevNode - Previous node
+ * @param {{voicing: number[], label?: string, ops: string[]|null, isJump: boolean}} chord - Chord and the word reaching it
+ * @returns {{node: Object, edge: Object}} New node and edge
+ */
+const createSequenceStep = (prevNode, { voicing, label, ops, isJump }) => {
+  const info = identifyChord(voicing);
+
+  // Imported voicings may double notes, so the word is walked on pitch classes
+  let current = prevNode.notes;
+  const steps = (ops ?? []).flatMap(op => {
+    const result = applyTransform(current, op);
+    current = result.notes;
+    return result.steps;
+  });
+  const waypoints = walkSteps(prevNode, steps);
+  const { x, y } = waypoints[waypoints.length - 1] ?? { x: prevNode.x + TONNETZ_NODE_DISTANCE, y: prevNode.y };
+
+  const word = (ops ?? []).join('');
+  const notes = normalize(voicing);
+  const node = {
+    notes,
+    voicing,
+    id: createNodeId(label ?? info.label),
+    ...spellNode(notes, label ?? info.label, prevNode, voicing[0]),
+    type: info.type,
+    x,
+    y,
+    op: isJump ? 'Jump' : word
+  };
+
+  if (isJump) return { node, edge: { from: prevNode, to: node, type: 'Jump', isJump: true } };
+  return {
+    node,
+    edge: waypoints.length > 1
+      ? { from: prevNode, to: node, type: word, steps: waypoints }
+      : { from: prevNode, to: node, type: word }
+  };
+};
+
+/**
+ * Custom hook for managing a branching chord history
+ * Transforming from any visited node starts a new branch beside the ones
+ * already leaving it, so no exploration is lost. The active branch runs from
+ * the first chord through the current one down to a leaf; undo and redo move
+ * along it, and visiting a node on another branch makes that branch active.
+ * The history lives in a persistent store (see utils/historyTree), so
+ * transformations, undo and redo take the same time however long it grows.
+ * Callers that only need the first chord, the current one or the path
+ * between them read `rootNode`, `currentNode` and getPath, which do not
+ * walk the whole history.
  * @returns {Object} History state and control functions
  */
 export const useChordHistory = () => {
-  // Current chord notes
-  const [currentChord, setCurrentChord] = useState(INITIAL_CHORD.notes);
-  
-  // Full history of traversed chords
-  const [history, setHistory] = useState([createInitialState()]);
+  // Current chord voicing (MIDI pitches); the pitch classes are derived from it
+  const [voicing, setVoicing] = useState(() => voiceChord(INITIAL_CHORD.notes));
+  const currentChord = useMemo(() => normalize(voicing), [voicing]);
   
-  // Edges connecting nodes in visualization
-  const [edges, setEdges] = useState([]);
-  
-  // Undo/redo stacks
-  const [undoStack, setUndoStack] = useState([]);
-  const [redoStack, setRedoStack] = useState([]);
+  // Every chord visited, on every branch, with the current node and the leaf the active branch runs to
+  const [cursor, setCursor] = useState(() => createHistoryCursor([createInitialState()], []));
   
   // SVG viewbox state
   const [viewBox, setViewBox] = useState(DEFAULT_VIEWBOX);
 
+  const { store, currentId, tipId } = cursor;
+  const currentNode = getCurrentNode(cursor);
+  const rootNode = getRootNode(store);
+  const branchIndex = getDepth(store, currentNode);
+
+  // Every node and edge, on every branch
+  const history = useMemo(() => getHistoryNodes(store), [store]);
+  const edges = useMemo(() => getHistoryEdges(store), [store]);
+
+  // Active branch, and the other branches leaving each of its nodes
+  const branch = useMemo(() => getBranch(store, getStoreNode(store, tipId)), [store, tipId]);
+  const alternatives = useMemo(() => getBranchAlternatives(store, branch), [store, branch]);
+
   /**
    * Current chord information (memoized for performance)
+   * Labels and `spelling` (the spelled note of each pitch class in
+   * currentChord) follow the current node, or the latest history node with
+   * the current voicing, so the chord reads as it was reached.
    */
-  const chordInfo = useMemo(() => identifyChord(currentChord), [currentChord]);
+  const chordInfo = useMemo(() => {
+    const info = identifyChord(currentChord);
+    const key = voicing.join(',');
+    const node = currentNode.voicing.join(',') === key
+      ? currentNode
+      : [...history].reverse().find(n => n.voicing.join(',') === key);
+    const spelling = node?.spelling
+      ? new Map(node.spelling.map(note => [note.pc, note]))
+      : spellChordFrom(currentChord, null);
+
+    return {
+      ...info,
+      label: spellChordLabel(info.label, spelling),
+      candidates: info.candidates.map(candidate => ({
+        ...candidate,
+        label: spellChordLabel(candidate.label, spelling)
+      })),
+      spelling: currentChord.map(pc => spelling.get(pc))
+    };
+  }, [currentChord, voicing, history, currentNode]);
 
   /**
-   * Applies a transformation and updates history
-   * @param {'P'|'L'|'R'} transformType - Type of transformation
-   * @returns {Object|null} New node if created, null if self-mapping
+   * The whole traversal, as stored in the session library
    */
-  const applyTransformation = useCallback((transformType) => {
-    const result = applyTransform(currentChord, transformType);
-    const newNotes = result.notes;
-    const isSelfMap = result.isSelfMap;
-    
-    // If it's a self-mapping (symmetric chord like dim/aug with P), don't create a new node
-    if (isSelfMap) {
+  const snapshot = useMemo(
+    () => ({ voicing, history, edges, viewBox, currentId, tipId }),
+    [voicing, history, edges, viewBox, currentId, tipId]
+  );
+
+  /**
+   * Lists the active branch from the first chord to the current one
+   * @returns {Object[]} Nodes in order, the first chord first
+   */
+  const getPath = useCallback(() => getBranch(store, currentNode), [store, currentNode]);
+
+  /**
+   * Sounds a node's voicing as the current chord and centres the view on it
+   * @param {Object} node - History node
+   */
+  const showNode = useCallback((node) => {
+    setVoicing(node.voicing);
+    setViewBox(prev => ({
+      ...prev,
+      x: node.x - 150,
+      y: node.y - 150
+    }));
+  }, []);
+
+  /**
+   * Makes a node the current chord and centres the view on it
+   * Unlike goToNode this does not need the node from the current render, so
+   * it can be called from playback callbacks created before the history changed.
+   * @param {Object} node - History node
+   */
+  const focusNode = useCallback((node) => {
+    showNode(node);
+    setCursor(prev => (getStoreNode(prev.store, node.id) ? moveCursor(prev, node) : prev));
+  }, [showNode]);
+
+  /**
+   * Replaces the whole history
+   * @param {Object[]} nodes - New history nodes
+   * @param {Object[]} newEdges - New edges
+   * @param {Object} current - Node to make current
+   * @param {Object} [tip] - Leaf of the active branch
+   */
+  const replaceHistory = useCallback((nodes, newEdges, current, tip) => {
+    setCursor(createHistoryCursor(nodes, newEdges, current, tip));
+    setVoicing(current.voicing);
+  }, []);
+
+  /**
+   * Applies a sequence of transformations from the current node
+   * Every intermediate chord becomes a node on a new branch, which becomes
+   * the active one. A step already taken from the same node follows the
+   * existing branch instead of duplicating it.
+   * @param {string[]} transformTypes - Transformation types, applied in order
+   * @returns {Object} The last node reached, or the current chord info if every step was a self-mapping
+   */
+  const applyTransformations = useCallback((transformTypes) => {
+    const steps = [];
+    let currentVoicing = voicing;
+    let prevNode = currentNode;
+
+    transformTypes.forEach(transformType => {
+      const existing = steps.length === 0 && getChildren(store, prevNode).find(child => child.op === transformType);
+      if (existing) {
+        currentVoicing = existing.voicing;
+        prevNode = existing;
+        return;
+      }
+
+      const step = createTransformStep(prevNode, currentVoicing, transformType);
+      if (!step) return;
+      steps.push(step);
+      currentVoicing = step.node.voicing;
+      prevNode = step.node;
+    });
+
+    // If every step was a self-mapping (symmetric chord like dim/aug with P), don't create a new node
+    if (prevNode === currentNode) {
       // Just return the current node info for audio playback
       return { 
         notes: currentChord, 
+        voicing,
         isSelfMap: true,
         label: chordInfo.label,
         type: chordInfo.type
       };
     }
-    
-    const newInfo = identifyChord(newNotes);
-    const prevNode = history[history.length - 1];
-
-    // Calculate position for new node in Tonnetz
-    const { dx, dy } = calculateTonnetzDelta(transformType, chordInfo.type, TONNETZ_NODE_DISTANCE);
-
-    const newNode = {
-      notes: normalize(newNotes),
-      id: `${newInfo.label}-${Date.now()}`,
-      label: newInfo.label,
-      type: newInfo.type,
-      x: prevNode.x + dx,
-      y: prevNode.y + dy,
-      op: transformType
-    };
-
-    const newEdge = { from: prevNode, to: newNode, type: transformType };
-
-    // Save current state to undo stack
-    setUndoStack(prev => [...prev, {
-      chord: currentChord,
-      history: [...history],
-      edges: [...edges],
-      viewBox: { ...viewBox }
-    }]);
-    
-    // Clear redo stack on new action
-    setRedoStack([]);
 
     // Update state
-    setCurrentChord(normalize(newNotes));
-    setHistory(prev => [...prev, newNode]);
-    setEdges(prev => [...prev, newEdge]);
-    setViewBox(prev => ({ 
-      ...prev, 
-      x: newNode.x - 150, 
-      y: newNode.y - 150 
-    }));
+    setCursor(steps.length > 0 ? extendCursor(cursor, steps) : moveCursor(cursor, prevNode));
+    showNode(prevNode);
 
-    return newNode;
-  }, [currentChord, history, edges, viewBox, chordInfo]);
+    return prevNode;
+  }, [voicing, currentChord, cursor, store, currentNode, chordInfo, showNode]);
 
   /**
-   * Undoes the last transformation
+   * Applies a transformation and updates history
+   * Compound operations (N, S, H) create a single node whose edge keeps the
+   * intermediate P/L/R waypoints so it can be expanded in the visualiser
+   * @param {'P'|'L'|'R'|'N'|'S'|'H'} transformType - Type of transformation
+   * @returns {Object} New node, or the current chord info if self-mapping
    */
-  const undo = useCallback(() => {
-    if (undoStack.length === 0) return;
+  const applyTransformation = useCallback(
+    (transformType) => applyTransformations([transformType]),
+    [applyTransformations]
+  );
 
-    const lastState = undoStack[undoStack.length - 1];
-    
-    // Save current state to redo stack
-    setRedoStack(prev => [...prev, {
-      chord: currentChord,
-      history: [...history],
-      edges: [...edges],
-      viewBox: { ...viewBox }
-    }]);
+  /**
+   * Parses and applies a transformation word such as "PLR", "(LP)^3" or "RL*4"
+   * @param {string} word - Transformation word
+   * @returns {{node: Object|null, error: Object|null}} Final node, or the parse error
+   */
+  const applyWord = useCallback((word) => {
+    const { ops, error } = parseTransformWord(word);
+    if (error) return { node: null, error };
+    return { node: applyTransformations(ops), error: null };
+  }, [applyTransformations]);
 
-    // Restore previous state
-    setCurrentChord(lastState.chord);
-    setHistory(lastState.history);
-    setEdges(lastState.edges);
-    setViewBox(lastState.viewBox);
-    setUndoStack(prev => prev.slice(0, -1));
-  }, [undoStack, currentChord, history, edges, viewBox]);
+  /**
+   * Steps back to the parent of the current node
+   * The branch stays active, so redo can step forward along it again.
+   */
+  const undo = useCallback(() => {
+    const previous = getPreviousNode(cursor);
+    if (!previous) return;
+    setCursor(moveCursor(cursor, previous));
+    showNode(previous);
+  }, [cursor, showNode]);
 
   /**
-   * Redoes the last undone transformation
+   * Steps forward along the active branch
    */
   const redo = useCallback(() => {
-    if (redoStack.length === 0) return;
-
-    const nextState = redoStack[redoStack.length - 1];
-    
-    // Save current state to undo stack
-    setUndoStack(prev => [...prev, {
-      chord: currentChord,
-      history: [...history],
-      edges: [...edges],
-      viewBox: { ...viewBox }
-    }]);
-
-    // Restore next state
-    setCurrentChord(nextState.chord);
-    setHistory(nextState.history);
-    setEdges(nextState.edges);
-    setViewBox(nextState.viewBox);
-    setRedoStack(prev => prev.slice(0, -1));
-  }, [redoStack, currentChord, history, edges, viewBox]);
+    const next = getNextNode(cursor);
+    if (!next) return;
+    setCursor(moveCursor(cursor, next));
+    showNode(next);
+  }, [cursor, showNode]);
 
   /**
    * Resets to initial state
    */
   const reset = useCallback(() => {
-    setCurrentChord(INITIAL_CHORD.notes);
-    setHistory([createInitialState()]);
-    setEdges([]);
+    const initial = createInitialState();
+    replaceHistory([initial], [], initial);
     setViewBox(DEFAULT_VIEWBOX);
-    setUndoStack([]);
-    setRedoStack([]);
-  }, []);
+  }, [replaceHistory]);
 
   /**
    * Sets a specific chord directly (for preset loading)
+   * The chord is voiced in close position with its first note in the bass
    * @param {number[]} notes - Chord notes to set
    */
   const setChord = useCallback((notes) => {
-    const normalizedNotes = normalize(notes);
-    const info = identifyChord(normalizedNotes);
-    
-    const newNode = {
-      notes: normalizedNotes,
-      id: `${info.label}-${Date.now()}`,
-      label: info.label,
-      type: info.type,
+    const newNode = createSetNode(notes);
+    replaceHistory([newNode], [], newNode);
+    setViewBox(DEFAULT_VIEWBOX);
+  }, [replaceHistory]);
+
+  /**
+   * Replaces the history with a chord and the traversal of a word from it,
+   * such as one restored from a share link
+   * @param {number[]} notes - Starting chord, voiced as in setChord
+   * @param {string[]} ops - Operations to apply in order (see parseTransformWord)
+   * @returns {Object} The node the traversal ends on
+   */
+  const setTraversal = useCallback((notes, ops) => {
+    const nodes = [createSetNode(notes)];
+    const newEdges = [];
+    ops.forEach(op => {
+      const prevNode = nodes[nodes.length - 1];
+      const step = createTransformStep(prevNode, prevNode.voicing, op);
+      if (!step) return;
+      nodes.push(step.node);
+      newEdges.push(step.edge);
+    });
+
+    const last = nodes[nodes.length - 1];
+    replaceHistory(nodes, newEdges, last);
+    setViewBox({ ...DEFAULT_VIEWBOX, x: last.x - 150, y: last.y - 150 });
+
+    return last;
+  }, [replaceHistory]);
+
+  /**
+   * Replaces the history with a sequence of chords, such as one read from a
+   * MIDI file, and moves to its first chord so it can be replayed
+   * @param {Array<{voicing: number[], label?: string, ops: string[]|null, isJump: boolean}>} chords -
+   *   Chords in order, each with the word reaching it from the previous one (see getTraversalSteps)
+   * @returns {Object[]} The new history nodes
+   */
+  const loadSequence = useCallback((chords) => {
+    if (chords.length === 0) return [];
+
+    const [first, ...rest] = chords;
+    const firstInfo = identifyChord(first.voicing);
+    const firstNotes = normalize(first.voicing);
+    const firstNode = {
+      notes: firstNotes,
+      voicing: first.voicing,
+      id: createNodeId(first.label ?? firstInfo.label),
+      ...spellNode(firstNotes, first.label ?? firstInfo.label, null, first.voicing[0]),
+      type: firstInfo.type,
       x: 0,
       y: 0,
       op: 'Set'
     };
 
-    setCurrentChord(normalizedNotes);
-    setHistory([newNode]);
-    setEdges([]);
+    const nodes = [firstNode];
+    const newEdges = [];
+    rest.forEach(chord => {
+      const { node, edge } = createSequenceStep(nodes[nodes.length - 1], chord);
+      nodes.push(node);
+      newEdges.push(edge);
+    });
+
+    replaceHistory(nodes, newEdges, firstNode, nodes[nodes.length - 1]);
     setViewBox(DEFAULT_VIEWBOX);
-    setUndoStack([]);
-    setRedoStack([]);
-  }, []);
+
+    return nodes;
+  }, [replaceHistory]);
+
+  /**
+   * Replaces the traversal with a snapshot, such as one from the session library
+   * Snapshots without a current node (saved before branching) resume at their last node.
+   * @param {{voicing: number[], history: Object[], edges: Object[], viewBox: Object, currentId?: string, tipId?: string}} target -
+   *   Snapshot to restore
+   */
+  const restoreSnapshot = useCallback((target) => {
+    const last = target.history[target.history.length - 1];
+    const current = target.history.find(node => node.id === target.currentId) ?? last;
+    const tip = target.history.find(node => node.id === target.tipId);
+
+    replaceHistory(target.history, target.edges, current, tip);
+    setVoicing(target.voicing);
+    setViewBox(target.viewBox);
+  }, [replaceHistory]);
 
   /**
    * Navigate to a specific node in the history (without removing nodes)
+   * A node off the active branch makes its own branch active.
    * @param {Object} targetNode - The node to navigate to
-   * @returns {Object|null} The target node if found
+   * @returns {Object|null} The target node, or null if it is not in the history or already current
    */
   const goToNode = useCallback((targetNode) => {
-    // Find the index of the target node in history
-    const targetIndex = history.findIndex(node => node.id === targetNode.id);
-    if (targetIndex === -1 || targetIndex === history.length - 1) {
-      // Node not found or already at this node
-      return null;
-    }
+    const node = getStoreNode(store, targetNode.id);
+    if (!node || node === currentNode) return null;
 
-    const node = history[targetIndex];
+    setCursor(moveCursor(cursor, node));
+    showNode(node);
 
-    // Just update the current chord and center view - don't modify history/edges
-    setCurrentChord(node.notes);
-    setViewBox(prev => ({
-      ...prev,
-      x: node.x - 150,
-      y: node.y - 150
-    }));
+    return node;
+  }, [cursor, store, currentNode, showNode]);
+
+  /**
+   * Makes the branch through a node active
+   * The current chord stays where it is if it lies on the new branch, and
+   * otherwise moves to the node.
+   * @param {Object} targetNode - Node on the branch to switch to
+   * @returns {Object|null} The node moved to, or null if the current chord did not move
+   */
+  const selectBranch = useCallback((targetNode) => {
+    const node = getStoreNode(store, targetNode.id);
+    if (!node) return null;
+
+    const next = selectCursorBranch(cursor, node);
+    setCursor(next);
+    if (next.currentId === currentId) return null;
 
+    showNode(node);
     return node;
-  }, [history]);
+  }, [cursor, store, currentId, showNode]);
 
   return {
     // State
     currentChord,
+    voicing,
     chordInfo,
     history,
     edges,
+    rootNode,
+    currentNode,
+    branch,
+    branchIndex,
+    alternatives,
     viewBox,
+    snapshot,
+    getPath,
     
     // Capabilities
-    canUndo: undoStack.length > 0,
-    canRedo: redoStack.length > 0,
+    canUndo: branchIndex > 0,
+    canRedo: currentId !== tipId,
     
     // Actions
     applyTransformation,
+    applyTransformations,
+    applyWord,
     undo,
     redo,
     reset,
     setChord,
+    setTraversal,
+    loadSequence,
+    restoreSnapshot,
     setViewBox,
-    goToNode
+    goToNode,
+    selectBranch,
+    focusNode
   };
 };
 
@@ -4,16 +4,21 @@
  */
 
 import { useEffect, useCallback, useRef } from 'react';
-import { KEYBOARD_NOTE_MAP } from '../constants';
+import { KEYBOARD_NOTE_MAP, PRIMITIVE_TRANSFORMS, COMPOUND_TRANSFORMS } from '../constants';
 import { mod } from '../utils/musicUtils';
 
+/**
+ * Transformation keys: P/L/R plus the compound operations (N, S, H)
+ */
+const TRANSFORM_KEYS = [...PRIMITIVE_TRANSFORMS, ...Object.keys(COMPOUND_TRANSFORMS)];
+
 /**
  * Custom hook for handling keyboard shortcuts and note input
  * @param {Object} options - Hook options
  * @param {Function} options.onNotePlay - Callback when a note is played
  * @param {Function} options.onUndo - Callback for undo action
  * @param {Function} options.onRedo - Callback for redo action
- * @param {Function} options.onTransform - Callback for P/L/R transformations
+ * @param {Function} options.onTransform - Callback for P/L/R and compound transformations
  * @param {boolean} options.enabled - Whether shortcuts are active
  * @returns {Object} Keyboard state and handlers
  */
@@ -70,14 +75,18 @@ export const useKeyboardShortcuts = ({
   }, [onUndo, onRedo]);
 
   /**
-   * Handles P/L/R transformation shortcuts
+   * Handles P/L/R and compound (N/S/H) transformation shortcuts
    * @param {KeyboardEvent} e - Keyboard event
    */
   const handleTransform = useCallback((e) => {
+    // Leave browser shortcuts such as Ctrl+R and Ctrl+S alone, and the keys
+    // themselves when nothing transforms (negative mode)
+    if (!onTransform || e.ctrlKey || e.metaKey || e.altKey) return;
+
     const key = e.key.toUpperCase();
-    if (key === 'P' || key === 'L' || key === 'R') {
+    if (TRANSFORM_KEYS.includes(key)) {
       e.preventDefault();
-      onTransform?.(key);
+      onTransform(key);
     }
   }, [onTransform]);
 
@@ -93,7 +102,7 @@ export const useKeyboardShortcuts = ({
       // Handle undo/redo first
       handleUndoRedo(e);
       
-      // Handle P/L/R transformations
+      // Handle P/L/R and compound transformations
       handleTransform(e);
       
       // Handle note input
@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Custom hook for Web MIDI note and chord input
+ * @module hooks/useMidiInput
+ */
+
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { MIDI_DEFAULTS } from '../constants';
+import { mod } from '../utils/musicUtils';
+import {
+  parseMidiMessage,
+  createHeldNotes,
+  reduceHeldNotes,
+  getSoundingNotes,
+  browserRequestMIDIAccess,
+  listPorts
+} from '../utils/midiUtils';
+
+/**
+ * Custom hook for MIDI input
+ * Note-ons are reported as they arrive; once no new note has arrived for
+ * chordSettleMs, the sounding notes (held keys plus any sustained by the
+ * pedal) are reported as a chord if they contain enough pitch classes.
+ * @param {Object} options - Hook options
+ * @param {Function} [options.onNoteOn] - Called with (pitch, velocity) for every note-on
+ * @param {Function} [options.onNoteOff] - Called with (pitch) for every note-off
+ * @param {Function} [options.onChord] - Called with the sounding MIDI pitches (ascending) when a chord settles
+ * @param {boolean} [options.enabled=true] - Whether to request MIDI access and listen
+ * @param {Function|null} [options.requestMIDIAccess] - Access request function; inject a simulated one to test.
+ *   Pass a stable function (defined outside the component) or access is re-requested on every render.
+ * @param {number} [options.chordSettleMs=MIDI_DEFAULTS.chordSettleMs] - Settle time before reading a chord
+ * @param {number} [options.minChordSize=MIDI_DEFAULTS.minChordSize] - Distinct pitch classes needed for a chord
+ * @returns {Object} MIDI input state and settings
+ */
+export const useMidiInput = ({
+  onNoteOn,
+  onNoteOff,
+  onChord,
+  enabled = true,
+  requestMIDIAccess = browserRequestMIDIAccess,
+  chordSettleMs = MIDI_DEFAULTS.chordSettleMs,
+  minChordSize = MIDI_DEFAULTS.minChordSize
+} = {}) => {
+  const [access, setAccess] = useState(null);
+  const [error, setError] = useState(null);
+  const [inputs, setInputs] = useState([]);
+
+  // Selected input port id (null = all devices) and channel (null = omni, 0-15)
+  const [deviceId, setDeviceId] = useState(null);
+  const [channel, setChannel] = useState(null);
+
+  // Held-note state, mirrored into React state for display
+  const heldRef = useRef(createHeldNotes());
+  const [held, setHeld] = useState(createHeldNotes);
+  const settleTimerRef = useRef(null);
+
+  // Latest callbacks, so changing them does not re-attach the port listeners
+  const callbacksRef = useRef({ onNoteOn, onNoteOff, onChord });
+  useEffect(() => {
+    callbacksRef.current = { onNoteOn, onNoteOff, onChord };
+  }, [onNoteOn, onNoteOff, onChord]);
+
+  /**
+   * Requests MIDI access
+   */
+  useEffect(() => {
+    if (!enabled || !requestMIDIAccess) return;
+
+    let cancelled = false;
+    Promise.resolve()
+      .then(() => requestMIDIAccess({ sysex: false }))
+      .then((midiAccess) => {
+        if (cancelled) return;
+        setAccess(midiAccess);
+        setError(null);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error('Failed to get MIDI access:', err);
+        setError(err?.message || String(err));
+      });
+
+    return () => {
+      cancelled = true;
+      setAccess(null);
+    };
+  }, [enabled, requestMIDIAccess]);
+
+  /**
+   * Tracks connected ports
+   */
+  useEffect(() => {
+    if (!access) return;
+
+    const refreshInputs = () => setInputs(listPorts(access.inputs));
+    refreshInputs();
+
+    access.addEventListener?.('statechange', refreshInputs);
+    return () => access.removeEventListener?.('statechange', refreshInputs);
+  }, [access]);
+
+  // Changes whenever a port connects or disconnects, so listeners are re-attached
+  const inputKey = useMemo(() => inputs.map(input => input.id).join('|'), [inputs]);
+
+  /**
+   * Listens to the selected ports
+   */
+  useEffect(() => {
+    if (!access) return;
+
+    const handleMessage = (event) => {
+      const message = parseMidiMessage(event.data);
+      if (!message || (channel !== null && message.channel !== channel)) return;
+
+      const next = reduceHeldNotes(heldRef.current, message);
+      if (next !== heldRef.current) {
+        heldRef.current = next;
+        setHeld(next);
+      }
+
+      if (message.type === 'noteon') {
+        callbacksRef.current.onNoteOn?.(message.note, message.velocity);
+
+        clearTimeout(settleTimerRef.current);
+        settleTimerRef.current = setTimeout(() => {
+          const sounding = getSoundingNotes(heldRef.current);
+          if (new Set(sounding.map(n => mod(n))).size >= minChordSize) {
+            callbacksRef.current.onChord?.(sounding);
+          }
+        }, chordSettleMs);
+      } else if (message.type === 'noteoff') {
+        callbacksRef.current.onNoteOff?.(message.note);
+      }
+    };
+
+    const ports = [...access.inputs.values()]
+      .filter(input => deviceId === null || input.id === deviceId);
+    ports.forEach(input => input.addEventListener('midimessage', handleMessage));
+
+    return () => {
+      ports.forEach(input => input.removeEventListener('midimessage', handleMessage));
+      clearTimeout(settleTimerRef.current);
+      // Notes held on the old ports/channel will never be released
+      heldRef.current = createHeldNotes();
+      setHeld(heldRef.current);
+    };
+  }, [access, inputKey, deviceId, channel, chordSettleMs, minChordSize]);
+
+  const heldNotes = useMemo(() => getSoundingNotes(held), [held]);
+
+  return {
+    // State
+    isSupported: Boolean(requestMIDIAccess),
+    isReady: Boolean(access),
+    error,
+    inputs,
+    heldNotes,
+    sustain: held.sustain,
+
+    // Settings
+    deviceId,
+    setDeviceId,
+    channel,
+    setChannel
+  };
+};
+
+export default useMidiInput;
@@ -0,0 +1,313 @@
+/**
+ * @fileoverview Custom hook for chord/note playback through Web MIDI output ports
+ * @module hooks/useMidiOutput
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { AUDIO_DEFAULTS, MIDI_DEFAULTS, DEFAULT_MIDI_ROUTES, METRONOME, PLAYBACK_DEFAULTS } from '../constants';
+import { getMidiPitch } from '../utils/musicUtils';
+import { playProgressionOnce } from '../utils/transport';
+import {
+  noteOnMessage,
+  noteOffMessage,
+  controlChangeMessage,
+  ALL_NOTES_OFF,
+  browserRequestMIDIAccess,
+  listPorts
+} from '../utils/midiUtils';
+
+/**
+ * Sends a message to a port unless it has been unplugged
+ * A port disconnected since it was routed throws InvalidStateError on send,
+ * so the message is dropped instead (the port list catches up on statechange).
+ * @param {Object} output - MIDIOutput port
+ * @param {number[]} message - MIDI message bytes
+ * @returns {boolean} Whether the message was sent
+ */
+const sendToPort = (output, message) => {
+  if (output.state === 'disconnected') return false;
+  try {
+    output.send(message);
+    return true;
+  } catch (err) {
+    console.error('Failed to send to MIDI port:', err);
+    return false;
+  }
+};
+
+/**
+ * Custom hook for MIDI playback with the same surface as useAudio
+ * Every call names the side it plays ('original' or 'reflected'); each side
+ * is routed to its own port and channel, or nowhere. Notes are started and
+ * released with timers so that stopAll can cancel pending notes and release
+ * sounding ones immediately.
+ * @param {Object} options - Hook options
+ * @param {boolean} [options.enabled=true] - Whether to request MIDI access
+ * @param {Function|null} [options.requestMIDIAccess] - Access request function; inject a simulated one to test.
+ *   Pass a stable function (defined outside the component) or access is re-requested on every render.
+ * @returns {Object} Playback functions, routes and state
+ */
+export const useMidiOutput = ({
+  enabled = true,
+  requestMIDIAccess = browserRequestMIDIAccess
+} = {}) => {
+  const [access, setAccess] = useState(null);
+  const [error, setError] = useState(null);
+  const [outputs, setOutputs] = useState([]);
+  const [routes, setRoutes] = useState(DEFAULT_MIDI_ROUTES);
+  const [isPlaying, setIsPlaying] = useState(false);
+
+  // Sounding notes by "portId:channel:pitch", each with its pending note-off timer
+  const soundingRef = useRef(new Map());
+  // Timers for note-ons and callbacks that have not fired yet
+  const pendingRef = useRef(new Set());
+  // Transport playing a progression from playProgression; stopAll disposes of it
+  const progressionRef = useRef(null);
+
+  /**
+   * Requests MIDI access
+   */
+  useEffect(() => {
+    if (!enabled || !requestMIDIAccess) return;
+
+    let cancelled = false;
+    Promise.resolve()
+      .then(() => requestMIDIAccess({ sysex: false }))
+      .then((midiAccess) => {
+        if (cancelled) return;
+        setAccess(midiAccess);
+        setError(null);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error('Failed to get MIDI access:', err);
+        setError(err?.message || String(err));
+      });
+
+    return () => {
+      cancelled = true;
+      setAccess(null);
+    };
+  }, [enabled, requestMIDIAccess]);
+
+  /**
+   * Tracks connected ports
+   */
+  useEffect(() => {
+    if (!access) return;
+
+    const refreshOutputs = () => setOutputs(listPorts(access.outputs));
+    refreshOutputs();
+
+    access.addEventListener?.('statechange', refreshOutputs);
+    return () => access.removeEventListener?.('statechange', refreshOutputs);
+  }, [access]);
+
+  /**
+   * Updates the isPlaying flag once nothing is sounding or pending
+   */
+  const updatePlaying = useCallback(() => {
+    setIsPlaying(soundingRef.current.size > 0 || pendingRef.current.size > 0);
+  }, []);
+
+  /**
+   * Runs a callback after a delay, keeping the timer cancellable by stopAll
+   * @param {Function} callback - Callback to run
+   * @param {number} delayMs - Delay in milliseconds
+   */
+  const schedule = useCallback((callback, delayMs) => {
+    const id = setTimeout(() => {
+      pendingRef.current.delete(id);
+      callback();
+      updatePlaying();
+    }, Math.max(0, delayMs));
+    pendingRef.current.add(id);
+  }, [updatePlaying]);
+
+  /**
+   * Starts a note on a port and schedules its note-off
+   * A note already sounding on the same port and channel is released first.
+   * @param {Object} output - MIDIOutput port
+   * @param {number} channel - Channel (0-15)
+   * @param {number} pitch - MIDI pitch
+   * @param {number} duration - Duration in seconds
+   */
+  const startNote = useCallback((output, channel, pitch, duration) => {
+    if (pitch < 0 || pitch > 127) return;
+
+    const key = `${output.id}:${channel}:${pitch}`;
+    const sounding = soundingRef.current.get(key);
+    if (sounding) {
+      clearTimeout(sounding.offTimer);
+      soundingRef.current.delete(key);
+      sendToPort(output, noteOffMessage(channel, pitch));
+    }
+
+    // A note the port can no longer take is dropped
+    if (!sendToPort(output, noteOnMessage(channel, pitch, MIDI_DEFAULTS.velocity))) {
+      updatePlaying();
+      return;
+    }
+
+    const offTimer = setTimeout(() => {
+      sendToPort(output, noteOffMessage(channel, pitch));
+      soundingRef.current.delete(key);
+      updatePlaying();
+    }, duration * 1000);
+
+    soundingRef.current.set(key, { output, channel, pitch, offTimer });
+    setIsPlaying(true);
+  }, [updatePlaying]);
+
+  /**
+   * Gets the output port and channel a side is routed to
+   * @param {'original'|'reflected'} side - Side of the reflection
+   * @returns {{output: Object, channel: number}|null} Route, or null if the side is not routed
+   */
+  const getRoute = useCallback((side) => {
+    const route = routes[side];
+    const output = route?.portId ? access?.outputs.get(route.portId) : null;
+    return output ? { output, channel: route.channel } : null;
+  }, [routes, access]);
+
+  /**
+   * Plays a single note
+   * @param {number} note - Note value (0-11)
+   * @param {number} octave - Octave number
+   * @param {number} duration - Duration in seconds
+   * @param {'original'|'reflected'} [side='original'] - Side to route the note to
+   */
+  const playNote = useCallback((note, octave = 4, duration = AUDIO_DEFAULTS.noteDuration, side = 'original') => {
+    const route = getRoute(side);
+    if (!route) return;
+    startNote(route.output, route.channel, getMidiPitch(note, octave), duration);
+  }, [getRoute, startNote]);
+
+  /**
+   * Plays a chord voicing
+   * @param {number[]} voicing - MIDI pitches to sound
+   * @param {number} duration - Duration in seconds
+   * @param {number} startTime - performance.now() time in seconds to start (optional)
+   * @param {'original'|'reflected'} [side='original'] - Side to route the chord to
+   */
+  const playChord = useCallback((voicing, duration = AUDIO_DEFAULTS.noteDuration, startTime = null, side = 'original') => {
+    const route = getRoute(side);
+    if (!route) return;
+
+    const start = () => voicing.forEach(pitch => startNote(route.output, route.channel, pitch, duration));
+    if (startTime === null) {
+      start();
+    } else {
+      schedule(start, startTime * 1000 - performance.now());
+    }
+  }, [getRoute, startNote, schedule]);
+
+  /**
+   * Gets the clock chords are scheduled against
+   * @returns {number} performance.now() in seconds
+   */
+  const getCurrentTime = useCallback(() => performance.now() / 1000, []);
+
+  /**
+   * Nothing needs preparing for MIDI; here for the same surface as useAudio
+   * @returns {Promise<boolean>} Whether MIDI output is available
+   */
+  const prepare = useCallback(() => Promise.resolve(Boolean(access)), [access]);
+
+  /**
+   * Plays a metronome click on the General MIDI percussion channel of a side's port
+   * @param {number} startTime - performance.now() time in seconds to start
+   * @param {boolean} isAccent - Whether it is the first beat of the bar
+   * @param {'original'|'reflected'} [side='original'] - Side whose port plays the click
+   */
+  const playClick = useCallback((startTime, isAccent, side = 'original') => {
+    const route = getRoute(side);
+    if (!route) return;
+    const pitch = isAccent ? METRONOME.midiAccentPitch : METRONOME.midiPitch;
+    schedule(() => startNote(route.output, METRONOME.midiChannel, pitch, METRONOME.duration), startTime * 1000 - performance.now());
+  }, [getRoute, startNote, schedule]);
+
+  /**
+   * Stops all notes: cancels pending note-ons and callbacks, and releases
+   * every sounding note immediately
+   */
+  const stopAll = useCallback(() => {
+    progressionRef.current?.dispose();
+    progressionRef.current = null;
+    pendingRef.current.forEach(id => clearTimeout(id));
+    pendingRef.current.clear();
+
+    const channels = new Map();
+    soundingRef.current.forEach(({ output, channel, pitch, offTimer }) => {
+      clearTimeout(offTimer);
+      sendToPort(output, noteOffMessage(channel, pitch));
+      channels.set(`${output.id}:${channel}`, { output, channel });
+    });
+    soundingRef.current.clear();
+
+    // Belt and braces for synths that missed a note-off
+    channels.forEach(({ output, channel }) => sendToPort(output, controlChangeMessage(channel, ALL_NOTES_OFF, 0)));
+
+    setIsPlaying(false);
+  }, []);
+
+  /**
+   * Plays a chord progression, a chord a beat, through a transport
+   * Stopping it with stopAll releases every note it started.
+   * @param {Array<number[]>} progression - Chord voicings (MIDI pitches)
+   * @param {number} [tempo=PLAYBACK_DEFAULTS.tempo] - Beats per minute
+   * @param {Function} [onChordChange] - Called with the index and voicing of each chord as it starts, and with -1 at the end
+   * @param {'original'|'reflected'} [side='original'] - Side to route the progression to
+   * @returns {Promise<boolean>} Whether playback started
+   */
+  const playProgression = useCallback((progression, tempo = PLAYBACK_DEFAULTS.tempo, onChordChange, side = 'original') => {
+    stopAll();
+    const player = { getCurrentTime, prepare, playChord, playClick, stopAll };
+    const { transport, started } = playProgressionOnce(player, progression, { tempo, side, onChordChange });
+    progressionRef.current = transport;
+    return started;
+  }, [stopAll, getCurrentTime, prepare, playChord, playClick]);
+
+  /**
+   * Routes a side to a port and channel
+   * @param {'original'|'reflected'} side - Side of the reflection
+   * @param {{portId?: string|null, channel?: number}} route - Port id (null = off) and/or channel
+   */
+  const setRoute = useCallback((side, route) => {
+    stopAll();
+    setRoutes(prev => ({ ...prev, [side]: { ...prev[side], ...route } }));
+  }, [stopAll]);
+
+  // Release everything on unmount
+  useEffect(() => stopAll, [stopAll]);
+
+  /**
+   * Whether a side is routed to a connected port
+   * @param {'original'|'reflected'} side - Side of the reflection
+   * @returns {boolean}
+   */
+  const isRouted = useCallback(
+    (side) => Boolean(routes[side].portId && outputs.some(o => o.id === routes[side].portId)),
+    [routes, outputs]
+  );
+
+  return {
+    playNote,
+    playChord,
+    playProgression,
+    playClick,
+    prepare,
+    getCurrentTime,
+    stopAll,
+    isPlaying,
+    isSupported: Boolean(requestMIDIAccess),
+    isReady: Boolean(access),
+    isRouted,
+    error,
+    outputs,
+    routes,
+    setRoute
+  };
+};
+
+export default useMidiOutput;
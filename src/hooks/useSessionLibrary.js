@@ -0,0 +1,220 @@
+/**
+ * @fileoverview Custom hook for the saved-session library and autosave
+ * @module hooks/useSessionLibrary
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { LIBRARY_DEFAULTS } from '../constants';
+import { downloadFile } from '../utils/download';
+import {
+  serializeSnapshot,
+  deserializeSnapshot,
+  createEntry,
+  isValidAutosave,
+  exportLibrary,
+  importLibrary,
+  browserOpenLibrary
+} from '../utils/sessionLibrary';
+
+/**
+ * Orders entries newest first
+ * @param {Object[]} entries - Library entries
+ * @returns {Object[]} Sorted copy
+ */
+const sortEntries = (entries) => [...entries].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+/**
+ * Converts the live session into the autosaved form
+ * @param {Object} session - Session passed to the hook
+ * @returns {Object} Plain data for storage
+ */
+const toAutosave = ({ mode, snapshot, progression, keyRoot, axis, meter, tempo }) => ({
+  mode,
+  traversal: serializeSnapshot(snapshot),
+  progression,
+  keyRoot,
+  axis,
+  meter,
+  tempo,
+  savedAt: new Date().toISOString()
+});
+
+/**
+ * Custom hook for the session library
+ * The session is written to storage autosaveDelayMs after it last changed,
+ * and straight away when the tab is hidden or closed. The autosaved session
+ * is offered back through onRestoreAutosave once, when the library opens.
+ * If storage cannot be opened the library still works for the current tab.
+ * @param {Object} options - Hook options
+ * @param {Object} options.session - Live session: mode, snapshot (from useChordHistory), progression, keyRoot, axis, meter and tempo
+ * @param {Function} [options.onRestoreAutosave] - Called with the autosaved session, its traversal rebuilt as `snapshot`
+ * @param {boolean} [options.restoreAutosave=true] - Whether to offer the autosaved session (read on open only)
+ * @param {Function|null} [options.openLibrary] - Store opener; inject a simulated one to test.
+ *   Pass a stable function (defined outside the component) or the library is reopened on every render.
+ * @param {number} [options.autosaveDelayMs=LIBRARY_DEFAULTS.autosaveDelayMs] - Quiet time before autosaving
+ * @returns {Object} Entries, state and library actions
+ */
+export const useSessionLibrary = ({
+  session,
+  onRestoreAutosave,
+  restoreAutosave = true,
+  openLibrary = browserOpenLibrary,
+  autosaveDelayMs = LIBRARY_DEFAULTS.autosaveDelayMs
+}) => {
+  const [entries, setEntries] = useState([]);
+  const [error, setError] = useState(null);
+  const [isReady, setIsReady] = useState(false);
+  const storeRef = useRef(null);
+
+  // Session waiting to be autosaved, and the timer that will write it
+  const pendingRef = useRef(null);
+  const timerRef = useRef(null);
+
+  // Latest callback, so restoring does not reopen the library
+  const onRestoreRef = useRef(onRestoreAutosave);
+  useEffect(() => {
+    onRestoreRef.current = onRestoreAutosave;
+  }, [onRestoreAutosave]);
+
+  /**
+   * Reports a storage failure without interrupting the session
+   */
+  const reportError = useCallback((err) => {
+    console.error('Session library storage failed:', err);
+    setError(err?.message || String(err));
+  }, []);
+
+  /**
+   * Opens the library, loads its entries and offers the autosaved session
+   */
+  useEffect(() => {
+    if (!openLibrary) return;
+
+    let cancelled = false;
+    Promise.resolve()
+      .then(() => openLibrary())
+      .then(store => Promise.all([store, store.listEntries(), restoreAutosave ? store.readAutosave() : null]))
+      .then(([store, stored, autosaved]) => {
+        if (cancelled) return;
+        storeRef.current = store;
+        setEntries(prev => sortEntries([...prev, ...stored.filter(entry => !prev.some(e => e.id === entry.id))]));
+        if (isValidAutosave(autosaved)) {
+          onRestoreRef.current?.({ ...autosaved, snapshot: deserializeSnapshot(autosaved.traversal) });
+        }
+        setIsReady(true);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        reportError(err);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [openLibrary, restoreAutosave, reportError]);
+
+  /**
+   * Writes the pending session now
+   */
+  const flushAutosave = useCallback(() => {
+    clearTimeout(timerRef.current);
+    if (!pendingRef.current || !storeRef.current) return;
+    storeRef.current.writeAutosave(toAutosave(pendingRef.current)).catch(reportError);
+    pendingRef.current = null;
+  }, [reportError]);
+
+  /**
+   * Schedules an autosave whenever the session changes
+   * Nothing is written until the library has opened, so the autosaved
+   * session is never overwritten before it has been restored.
+   */
+  useEffect(() => {
+    if (!isReady) return;
+    pendingRef.current = session;
+    clearTimeout(timerRef.current);
+    timerRef.current = setTimeout(flushAutosave, autosaveDelayMs);
+  }, [session, isReady, autosaveDelayMs, flushAutosave]);
+
+  /**
+   * Saves straight away when the tab is hidden, closed or unmounted
+   */
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') flushAutosave();
+    };
+    window.addEventListener('pagehide', flushAutosave);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      window.removeEventListener('pagehide', flushAutosave);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      flushAutosave();
+    };
+  }, [flushAutosave]);
+
+  /**
+   * Saves the current traversal or progression as a new entry
+   * @param {'traversal'|'progression'} kind - What to save
+   * @param {{name: string, tags: string[]}} fields - Entry name and tags
+   * @returns {Object} The new entry
+   */
+  const saveEntry = useCallback((kind, { name, tags }) => {
+    const data = kind === 'traversal'
+      ? serializeSnapshot(session.snapshot)
+      : {
+        progression: session.progression,
+        keyRoot: session.keyRoot,
+        axis: session.axis,
+        meter: session.meter,
+        tempo: session.tempo
+      };
+    const entry = createEntry(kind, { name, tags, data });
+
+    setEntries(prev => sortEntries([entry, ...prev]));
+    storeRef.current?.putEntries([entry]).catch(reportError);
+    return entry;
+  }, [session, reportError]);
+
+  /**
+   * Removes an entry
+   * @param {string} id - Entry id
+   */
+  const deleteEntry = useCallback((id) => {
+    setEntries(prev => prev.filter(entry => entry.id !== id));
+    storeRef.current?.deleteEntry(id).catch(reportError);
+  }, [reportError]);
+
+  /**
+   * Downloads the whole library as a JSON file
+   */
+  const exportEntries = useCallback(() => {
+    downloadFile(exportLibrary(entries), 'neo-riemannian-library.json', 'application/json');
+  }, [entries]);
+
+  /**
+   * Adds the entries of an exported library; entries with the id of an
+   * existing one replace it
+   * @param {string} text - JSON text of the file
+   * @returns {{count: number, error: Object|null}} Number of entries imported, or the error (see importLibrary)
+   */
+  const importEntries = useCallback((text) => {
+    const { entries: imported, error: importError } = importLibrary(text);
+    if (importError) return { count: 0, error: importError };
+
+    const ids = new Set(imported.map(entry => entry.id));
+    setEntries(prev => sortEntries([...prev.filter(entry => !ids.has(entry.id)), ...imported]));
+    storeRef.current?.putEntries(imported).catch(reportError);
+    return { count: imported.length, error: null };
+  }, [reportError]);
+
+  return {
+    entries,
+    error,
+    isReady,
+    saveEntry,
+    deleteEntry,
+    exportEntries,
+    importEntries
+  };
+};
+
+export default useSessionLibrary;
@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Custom hook for restoring the session from, and sharing it as, a URL fragment
+ * @module hooks/useShareLink
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { SHARE_FEEDBACK_MS } from '../constants';
+import { encodeShareFragment, decodeShareFragment } from '../utils/shareLink';
+
+/**
+ * Custom hook for share links
+ * The fragment is read when the app loads and whenever it changes (a link
+ * pasted into the same tab); a malformed fragment is reported in `error`
+ * and nothing is restored.
+ * @param {Object} options - Hook options
+ * @param {Function} options.getSession - Builds the session to share (see encodeShareFragment); called only when sharing
+ * @param {Function} options.onRestore - Called with the decoded settings of a valid link (see decodeShareFragment)
+ * @returns {{share: Function, status: 'copied'|'failed'|null, error: Object|null, dismissError: Function}}
+ *   Share action, the result of the last share, and the error of the last link opened
+ */
+export const useShareLink = ({ getSession, onRestore }) => {
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+  const statusTimerRef = useRef(null);
+
+  // Latest callback, so restoring does not re-attach the listener
+  const onRestoreRef = useRef(onRestore);
+  useEffect(() => {
+    onRestoreRef.current = onRestore;
+  }, [onRestore]);
+
+  /**
+   * Restores the session from the fragment on load and on change
+   */
+  useEffect(() => {
+    const restore = () => {
+      const { state, error: decodeError } = decodeShareFragment(window.location.hash);
+      setError(decodeError);
+      if (state) onRestoreRef.current(state);
+    };
+
+    restore();
+    window.addEventListener('hashchange', restore);
+    return () => window.removeEventListener('hashchange', restore);
+  }, []);
+
+  useEffect(() => () => clearTimeout(statusTimerRef.current), []);
+
+  /**
+   * Writes the session into the address bar and copies the link
+   * The fragment is replaced without a history entry or a hashchange, so
+   * sharing never restores anything.
+   */
+  const share = useCallback(() => {
+    const url = new URL(window.location.href);
+    url.hash = encodeShareFragment(getSession());
+    window.history.replaceState(null, '', url);
+    setError(null);
+
+    const report = (result) => {
+      setStatus(result);
+      clearTimeout(statusTimerRef.current);
+      statusTimerRef.current = setTimeout(() => setStatus(null), SHARE_FEEDBACK_MS);
+    };
+
+    Promise.resolve()
+      .then(() => navigator.clipboard.writeText(url.href))
+      .then(() => report('copied'))
+      .catch(() => report('failed'));
+  }, [getSession]);
+
+  const dismissError = useCallback(() => setError(null), []);
+
+  return { share, status, error, dismissError };
+};
+
+export default useShareLink;
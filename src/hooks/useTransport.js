@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Custom hook for the playback transport
+ * @module hooks/useTransport
+ */
+
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { createTransport } from '../utils/transport';
+
+/**
+ * Custom hook owning a transport (see utils/transport)
+ * The state re-renders on every change and chord; components that follow
+ * beats subscribe with useTransportEvents instead.
+ * @param {Object} options - Hook options
+ * @param {Object} options.player - Player the transport drives; may change between renders
+ * @returns {Object} Transport state and controls, with subscribe
+ */
+export const useTransport = ({ player }) => {
+  const [transport] = useState(() => createTransport({ player }));
+  const [snapshot, setSnapshot] = useState(() => transport.getState());
+
+  useEffect(() => {
+    transport.setPlayer(player);
+  }, [transport, player]);
+
+  useEffect(() => transport.subscribe((event) => {
+    if (event.type !== 'beat') setSnapshot(transport.getState());
+  }), [transport]);
+
+  // Stop scheduling on unmount
+  useEffect(() => () => transport.dispose(), [transport]);
+
+  return useMemo(() => ({
+    ...snapshot,
+    load: transport.load,
+    play: transport.play,
+    pause: transport.pause,
+    stop: transport.stop,
+    seek: transport.seek,
+    setTempo: transport.setTempo,
+    setLoop: transport.setLoop,
+    setCountIn: transport.setCountIn,
+    subscribe: transport.subscribe
+  }), [snapshot, transport]);
+};
+
+/**
+ * Subscribes a component to transport events
+ * @param {{subscribe: Function}} [transport] - Result of useTransport; nothing is subscribed without one
+ * @param {Function} listener - Called with each event; may change between renders
+ */
+export const useTransportEvents = (transport, listener) => {
+  const listenerRef = useRef(listener);
+  useEffect(() => {
+    listenerRef.current = listener;
+  }, [listener]);
+
+  const subscribe = transport?.subscribe;
+  useEffect(() => subscribe?.(event => listenerRef.current(event)), [subscribe]);
+};
+
+export default useTransport;
@@ -0,0 +1,19 @@
+/**
+ * @fileoverview Browser file downloads for exported scores
+ * @module utils/download
+ */
+
+/**
+ * Offers data as a file download in the browser
+ * @param {Uint8Array|string} data - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+export const downloadFile = (data, filename, type) => {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
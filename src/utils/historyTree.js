@@ -0,0 +1,338 @@
+/**
+ * @fileoverview Branching history: a persistent, append-only store of the
+ * tree formed by history nodes and the edges between them
+ * Every node but the first is reached by exactly one edge, from its parent,
+ * so the edges alone describe the tree and linear histories (such as those
+ * saved before branching existed) read as a tree with a single branch.
+ *
+ * A store is an immutable version over a log shared by every version made
+ * from it. Appending to the latest version adds to the log in place, so a
+ * transformation costs O(1) amortised however long the history grows;
+ * appending to an older version copies its part of the log first. Each node
+ * keeps a skew-binary jump pointer, which finds any ancestor in O(log n).
+ * The arrays the UI reads are built from a version when asked for.
+ * @module utils/historyTree
+ */
+
+// ============================================================================
+// LOG
+// ============================================================================
+
+/**
+ * Creates an empty log
+ * @returns {Object} Log of nodes and edges with their indexes
+ */
+const createLog = () => ({
+  nodes: [],
+  edges: [],
+  index: new Map(),
+  parents: new Map(),
+  children: new Map(),
+  depths: new Map(),
+  jumps: new Map()
+});
+
+/**
+ * Adds a node, and the edge reaching it, to the end of a log
+ * @param {Object} log - Log to add to
+ * @param {Object} node - New node
+ * @param {{from: Object, to: Object}|null} edge - Edge from its parent, or null for a root
+ */
+const appendToLog = (log, node, edge) => {
+  log.index.set(node.id, log.nodes.length);
+  log.nodes.push(node);
+
+  if (!edge) {
+    log.depths.set(node.id, 0);
+    log.jumps.set(node.id, node);
+    return;
+  }
+
+  const parent = edge.from;
+  log.edges.push(edge);
+  log.parents.set(node.id, parent);
+  if (!log.children.has(parent.id)) log.children.set(parent.id, []);
+  log.children.get(parent.id).push(node);
+
+  // Jump twice as far as the parent does when its jumps are balanced
+  const depth = log.depths.get(parent.id);
+  const jump = log.jumps.get(parent.id);
+  const jumpOfJump = log.jumps.get(jump.id);
+  const isBalanced = depth - log.depths.get(jump.id) === log.depths.get(jump.id) - log.depths.get(jumpOfJump.id);
+  log.depths.set(node.id, depth + 1);
+  log.jumps.set(node.id, isBalanced ? jumpOfJump : parent);
+};
+
+/**
+ * Fills a new log from nodes and edges
+ * @param {Object[]} nodes - Nodes, each after its parent
+ * @param {Object[]} edges - Edges between them
+ * @returns {Object} Log
+ */
+const buildLog = (nodes, edges) => {
+  const incoming = new Map(edges.map(edge => [edge.to.id, edge]));
+  const log = createLog();
+  nodes.forEach(node => appendToLog(log, node, incoming.get(node.id) ?? null));
+  return log;
+};
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+/**
+ * Creates a store holding a history
+ * @param {Object[]} history - History nodes, in the order they were created
+ * @param {Array<{from: Object, to: Object}>} edges - Edges from each parent to its child
+ * @returns {{log: Object, size: number, edgeCount: number}} Store
+ */
+export const createHistoryStore = (history, edges) => {
+  const log = buildLog(history, edges);
+  return { log, size: log.nodes.length, edgeCount: log.edges.length };
+};
+
+/**
+ * Adds nodes to a store
+ * @param {Object} store - Store to add to
+ * @param {Array<{node: Object, edge: Object}>} steps - New nodes, each with the edge from its parent
+ * @returns {Object} New store; the old one is unchanged
+ */
+export const appendToStore = (store, steps) => {
+  const log = store.size === store.log.nodes.length
+    ? store.log
+    : buildLog(getHistoryNodes(store), getHistoryEdges(store));
+  steps.forEach(({ node, edge }) => appendToLog(log, node, edge));
+  return { log, size: log.nodes.length, edgeCount: log.edges.length };
+};
+
+/**
+ * Looks a node up by id
+ * @param {Object} store - Store
+ * @param {string} id - Node id
+ * @returns {Object|null} The node, or null if it is not in this version
+ */
+export const getStoreNode = (store, id) => {
+  const i = store.log.index.get(id);
+  return i !== undefined && i < store.size ? store.log.nodes[i] : null;
+};
+
+/**
+ * Gets the first chord of the history
+ * @param {Object} store - Store
+ * @returns {Object} Root node
+ */
+export const getRootNode = (store) => store.log.nodes[0];
+
+/**
+ * @param {Object} store - Store
+ * @param {Object} node - Node in the store
+ * @returns {Object|null} Its parent, or null for a root
+ */
+export const getParent = (store, node) => store.log.parents.get(node.id) ?? null;
+
+/**
+ * @param {Object} store - Store
+ * @param {Object} node - Node in the store
+ * @returns {number} Number of ancestors
+ */
+export const getDepth = (store, node) => store.log.depths.get(node.id);
+
+/**
+ * Lists the children of a node in the order they were created
+ * @param {Object} store - Store
+ * @param {Object} node - Node in the store
+ * @returns {Object[]} Children in this version
+ */
+export const getChildren = (store, node) => {
+  const children = store.log.children.get(node.id) ?? [];
+  let count = children.length;
+  while (count > 0 && store.log.index.get(children[count - 1].id) >= store.size) count--;
+  return count === children.length ? children : children.slice(0, count);
+};
+
+/**
+ * Finds the ancestor of a node at a given depth
+ * @param {Object} store - Store
+ * @param {Object} node - Node in the store
+ * @param {number} depth - Depth of the ancestor, at most the node's own
+ * @returns {Object} Ancestor (the node itself at its own depth)
+ */
+export const getAncestorAt = (store, node, depth) => {
+  const { depths, jumps, parents } = store.log;
+  let ancestor = node;
+  while (depths.get(ancestor.id) > depth) {
+    const jump = jumps.get(ancestor.id);
+    ancestor = depths.get(jump.id) >= depth ? jump : parents.get(ancestor.id);
+  }
+  return ancestor;
+};
+
+/**
+ * Checks whether a node lies on the branch running to a leaf
+ * @param {Object} store - Store
+ * @param {Object} node - Node in the store
+ * @param {Object} tip - Last node of the branch
+ * @returns {boolean} Whether the node is the tip or one of its ancestors
+ */
+export const isOnBranch = (store, node, tip) => {
+  const depth = getDepth(store, node);
+  return depth <= getDepth(store, tip) && getAncestorAt(store, tip, depth) === node;
+};
+
+/**
+ * Follows the most recently created child down to a leaf
+ * @param {Object} store - Store
+ * @param {Object} node - Node to start from
+ * @returns {Object} The leaf reached, which is the node itself if it has no children
+ */
+export const getLatestLeaf = (store, node) => {
+  let leaf = node;
+  for (let next = getChildren(store, leaf); next.length > 0; next = getChildren(store, leaf)) {
+    leaf = next[next.length - 1];
+  }
+  return leaf;
+};
+
+// ============================================================================
+// VIEWS
+// ============================================================================
+
+/**
+ * @param {Object} store - Store
+ * @returns {Object[]} Every node, in the order they were created
+ */
+export const getHistoryNodes = (store) => store.log.nodes.slice(0, store.size);
+
+/**
+ * @param {Object} store - Store
+ * @returns {Object[]} Every edge, in the order their nodes were created
+ */
+export const getHistoryEdges = (store) => store.log.edges.slice(0, store.edgeCount);
+
+/**
+ * Lists the nodes from the root down to a node
+ * @param {Object} store - Store
+ * @param {Object} node - Last node of the branch
+ * @returns {Object[]} Nodes in order, the root first
+ */
+export const getBranch = (store, node) => {
+  const branch = [node];
+  for (let parent = getParent(store, node); parent; parent = getParent(store, parent)) {
+    branch.push(parent);
+  }
+  return branch.reverse();
+};
+
+/**
+ * Lists the alternatives at each step of a branch: every child of the
+ * previous node, the node on the branch among them
+ * @param {Object} store - Store
+ * @param {Object[]} branch - Result of getBranch
+ * @returns {Object[][]} One list per branch node; the root's lists only itself
+ */
+export const getBranchAlternatives = (store, branch) =>
+  branch.map((node, i) => (i === 0 ? [node] : getChildren(store, branch[i - 1])));
+
+/**
+ * Counts the leaves of the tree, one for every branch
+ * @param {Object[]} history - History nodes
+ * @param {Array<{from: Object}>} edges - Edges between them
+ * @returns {number} Number of branches
+ */
+export const countBranches = (history, edges) => {
+  const parentIds = new Set(edges.map(edge => edge.from.id));
+  return history.filter(node => !parentIds.has(node.id)).length;
+};
+
+// ============================================================================
+// CURSOR
+// ============================================================================
+
+/**
+ * Creates a cursor: a store with the current node and the leaf the active
+ * branch runs to, the current node always lying on that branch
+ * @param {Object[]} history - History nodes
+ * @param {Object[]} edges - Edges between them
+ * @param {Object} [current] - Current node; defaults to the last node
+ * @param {Object} [tip] - Leaf of the active branch; defaults to the latest leaf below the current node
+ * @returns {{store: Object, currentId: string, tipId: string}} Cursor
+ */
+export const createHistoryCursor = (history, edges, current = history[history.length - 1], tip = null) => {
+  const store = createHistoryStore(history, edges);
+  const branchTip = tip && isOnBranch(store, current, tip) ? tip : getLatestLeaf(store, current);
+  return { store, currentId: current.id, tipId: branchTip.id };
+};
+
+/**
+ * @param {Object} cursor - Cursor
+ * @returns {Object} Its current node
+ */
+export const getCurrentNode = (cursor) => getStoreNode(cursor.store, cursor.currentId);
+
+/**
+ * @param {Object} cursor - Cursor
+ * @returns {Object} The leaf its active branch runs to
+ */
+export const getTipNode = (cursor) => getStoreNode(cursor.store, cursor.tipId);
+
+/**
+ * Adds a chain of nodes below the current node and moves to its end, on a
+ * new active branch
+ * @param {Object} cursor - Cursor
+ * @param {Array<{node: Object, edge: Object}>} steps - Nodes in order, the first reached from the current node
+ * @returns {Object} New cursor
+ */
+export const extendCursor = (cursor, steps) => {
+  const last = steps[steps.length - 1].node;
+  return { store: appendToStore(cursor.store, steps), currentId: last.id, tipId: last.id };
+};
+
+/**
+ * Moves to a node, making its branch active if it is off the active one
+ * @param {Object} cursor - Cursor
+ * @param {Object} node - Node in the store
+ * @returns {Object} New cursor
+ */
+export const moveCursor = (cursor, node) => {
+  const { store } = cursor;
+  const tip = getTipNode(cursor);
+  return {
+    store,
+    currentId: node.id,
+    tipId: isOnBranch(store, node, tip) ? tip.id : getLatestLeaf(store, node).id
+  };
+};
+
+/**
+ * Makes the branch through a node active, moving to the node only if the
+ * current node is not on that branch
+ * @param {Object} cursor - Cursor
+ * @param {Object} node - Node in the store
+ * @returns {Object} New cursor
+ */
+export const selectCursorBranch = (cursor, node) => {
+  const { store } = cursor;
+  const tip = getLatestLeaf(store, node);
+  const current = getCurrentNode(cursor);
+  return {
+    store,
+    currentId: isOnBranch(store, current, tip) ? current.id : node.id,
+    tipId: tip.id
+  };
+};
+
+/**
+ * @param {Object} cursor - Cursor
+ * @returns {Object|null} Parent of the current node, which undo moves to
+ */
+export const getPreviousNode = (cursor) => getParent(cursor.store, getCurrentNode(cursor));
+
+/**
+ * @param {Object} cursor - Cursor
+ * @returns {Object|null} Next node on the active branch, which redo moves to
+ */
+export const getNextNode = (cursor) => {
+  if (cursor.currentId === cursor.tipId) return null;
+  const { store } = cursor;
+  return getAncestorAt(store, getTipNode(cursor), getDepth(store, getCurrentNode(cursor)) + 1);
+};
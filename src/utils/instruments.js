@@ -0,0 +1,391 @@
+/**
+ * @fileoverview Instrument voices: the Web Audio graph that sounds one note
+ * of an instrument
+ * Additive and subtractive instruments are built from oscillators as each
+ * note starts. The modal piano is rendered offline, one key zone at a time,
+ * and SoundFont presets play their samples; both need prepareInstrument to
+ * have finished before createVoice can use them.
+ * @module utils/instruments
+ */
+
+import { INSTRUMENTS, MIDI_DEFAULTS } from '../constants';
+import { getMidiFrequency } from './musicUtils';
+
+/**
+ * Rendered piano zones by "instrument:sampleRate:pitch": promises while
+ * rendering, then the buffers
+ */
+const renderedZones = new Map();
+const zoneBuffers = new Map();
+
+/**
+ * Waveforms of additive instruments, per context
+ */
+const periodicWaves = new WeakMap();
+
+/**
+ * SoundFont zone samples, created on first use
+ */
+const sampleBuffers = new WeakMap();
+
+/**
+ * Played in place of the piano where it cannot be rendered
+ */
+const FALLBACK_INSTRUMENT = INSTRUMENTS[0];
+
+// ============================================================================
+// INSTRUMENTS
+// ============================================================================
+
+/**
+ * Lists the presets of a SoundFont as instruments
+ * Each zone of a preset carries its own envelope from the file.
+ * @param {Object} soundFont - Result of readSoundFont
+ * @param {string} fileName - Name of the file, which groups its presets
+ * @returns {Object[]} Instruments of kind 'sample'
+ */
+export const getSoundFontInstruments = (soundFont, fileName) => soundFont.presets.map(preset => ({
+  id: `sf2:${fileName}:${preset.bank}:${preset.program}`,
+  name: preset.name || `${preset.bank}:${preset.program}`,
+  group: fileName,
+  kind: 'sample',
+  gain: 1,
+  soundFont,
+  preset
+}));
+
+/**
+ * Finds an instrument by id
+ * @param {Object[]} instruments - Instruments to search
+ * @param {string} id - Instrument id
+ * @returns {Object} The instrument, or the first one if none has the id
+ */
+export const findInstrument = (instruments, id) => instruments.find(instrument => instrument.id === id) ?? instruments[0];
+
+// ============================================================================
+// ENVELOPES
+// ============================================================================
+
+/**
+ * Schedules an envelope on a gain parameter
+ * The release ends with the note and takes at most half of it; a release
+ * that begins before the sustain is reached starts from wherever the
+ * envelope has got to.
+ * @param {AudioParam} param - Gain to shape
+ * @param {{delayTime?: number, attackTime: number, holdTime?: number, decayTime: number, sustainLevel: number, releaseTime: number}} envelope -
+ *   Times in seconds, the sustain a fraction of the peak
+ * @param {number} startTime - Context time the note starts
+ * @param {number} duration - Seconds until the note is silent
+ * @param {number} peak - Gain at the top of the attack
+ */
+export const applyEnvelope = (param, envelope, startTime, duration, peak) => {
+  const { delayTime = 0, attackTime, holdTime = 0, decayTime, sustainLevel } = envelope;
+  const releaseStart = startTime + duration - Math.min(envelope.releaseTime, duration / 2);
+
+  const breakpoints = [
+    [delayTime, 0],
+    [attackTime, peak],
+    [holdTime, peak],
+    [decayTime, sustainLevel * peak]
+  ];
+
+  param.setValueAtTime(0, startTime);
+  let time = startTime;
+  let value = 0;
+  for (const [length, level] of breakpoints) {
+    const end = time + length;
+    if (end > releaseStart) {
+      value += (level - value) * (releaseStart - time) / length;
+      param.linearRampToValueAtTime(value, releaseStart);
+      break;
+    }
+    param.linearRampToValueAtTime(level, end);
+    time = end;
+    value = level;
+  }
+
+  param.setValueAtTime(value, releaseStart);
+  param.linearRampToValueAtTime(0, startTime + duration);
+};
+
+// ============================================================================
+// MODAL PIANO
+// ============================================================================
+
+/**
+ * Gets the key zone a pitch plays from
+ * @param {Object} instrument - Modal instrument
+ * @param {number} pitch - MIDI pitch
+ * @returns {number} MIDI pitch of the rendered string
+ */
+const getZonePitch = (instrument, pitch) => instrument.zoneWidth * Math.round(pitch / instrument.zoneWidth);
+
+const getZoneKey = (instrument, sampleRate, zonePitch) => `${instrument.id}:${sampleRate}:${zonePitch}`;
+
+/**
+ * Renders one string of a modal instrument
+ * Each partial is a pair of slightly detuned sines (the two strings of a
+ * unison, which beat against each other) decaying exponentially, the higher
+ * partials faster and stretched sharp by the string's stiffness. The hammer
+ * excites each partial by how far the strike point is from its nodes, and
+ * adds a short burst of filtered noise.
+ * @param {Object} instrument - Modal instrument
+ * @param {number} pitch - MIDI pitch of the string
+ * @param {number} sampleRate - Sample rate to render at
+ * @returns {Promise<AudioBuffer>} Mono buffer peaking at 1
+ */
+const renderModalZone = async (instrument, pitch, sampleRate) => {
+  const OfflineContext = globalThis.OfflineAudioContext || globalThis.webkitOfflineAudioContext;
+  if (!OfflineContext) throw new Error('OfflineAudioContext is not supported in this browser');
+
+  const length = Math.ceil(instrument.renderSeconds * sampleRate);
+  const offline = new OfflineContext(1, length, sampleRate);
+  const fundamental = getMidiFrequency(pitch);
+
+  // Seconds to fall 60 dB, shorter for higher strings; setTargetAtTime takes a time constant
+  const t60 = instrument.decayTime * Math.pow(2, -(pitch - 60) / 24);
+  const toTimeConstant = seconds => seconds / Math.log(1000);
+
+  for (let n = 1; n <= instrument.modes; n++) {
+    const frequency = n * fundamental * Math.sqrt(1 + instrument.inharmonicity * n * n);
+    if (frequency >= sampleRate * 0.45) break;
+
+    const amplitude = Math.abs(Math.sin(n * Math.PI * instrument.hammerPosition)) / n;
+    const timeConstant = toTimeConstant(t60 / (1 + instrument.modeDamping * (n - 1)));
+
+    [-0.5, 0.5].forEach((side) => {
+      const oscillator = offline.createOscillator();
+      const gain = offline.createGain();
+      oscillator.frequency.value = frequency * Math.pow(2, side * instrument.unisonDetune / 1200);
+      gain.gain.setValueAtTime(amplitude / 2, 0);
+      gain.gain.setTargetAtTime(0, 0, timeConstant);
+      oscillator.connect(gain).connect(offline.destination);
+      oscillator.start(0);
+    });
+  }
+
+  const noise = offline.createBuffer(1, Math.ceil(0.05 * sampleRate), sampleRate);
+  const samples = noise.getChannelData(0);
+  for (let i = 0; i < samples.length; i++) samples[i] = Math.random() * 2 - 1;
+  const hammer = offline.createBufferSource();
+  const hammerFilter = offline.createBiquadFilter();
+  const hammerGain = offline.createGain();
+  hammer.buffer = noise;
+  hammerFilter.type = 'lowpass';
+  hammerFilter.frequency.value = Math.min(sampleRate * 0.45, 1000 + 4 * fundamental);
+  hammerGain.gain.setValueAtTime(0.15, 0);
+  hammerGain.gain.setTargetAtTime(0, 0, 0.004);
+  hammer.connect(hammerFilter).connect(hammerGain).connect(offline.destination);
+  hammer.start(0);
+
+  const buffer = await offline.startRendering();
+  const channel = buffer.getChannelData(0);
+  let peak = 0;
+  for (let i = 0; i < channel.length; i++) peak = Math.max(peak, Math.abs(channel[i]));
+  if (peak > 0) {
+    for (let i = 0; i < channel.length; i++) channel[i] /= peak;
+  }
+  return buffer;
+};
+
+/**
+ * Renders the piano zones a set of pitches needs, once each
+ * @param {Object} instrument - Modal instrument
+ * @param {number[]} pitches - MIDI pitches
+ * @param {number} sampleRate - Sample rate of the context that will play them
+ * @returns {Promise<void>} Resolves once every zone is rendered
+ */
+const renderModalZones = (instrument, pitches, sampleRate) => Promise.all(
+  [...new Set(pitches.map(pitch => getZonePitch(instrument, pitch)))].map((zonePitch) => {
+    const key = getZoneKey(instrument, sampleRate, zonePitch);
+    if (!renderedZones.has(key)) {
+      renderedZones.set(key, renderModalZone(instrument, zonePitch, sampleRate).then((buffer) => {
+        zoneBuffers.set(key, buffer);
+      }));
+    }
+    return renderedZones.get(key);
+  })
+);
+
+// ============================================================================
+// VOICES
+// ============================================================================
+
+/**
+ * Gets everything an instrument needs before its notes can start
+ * @param {Object} instrument - Instrument
+ * @param {number[]} pitches - MIDI pitches about to be played
+ * @param {number} sampleRate - Sample rate of the context that will play them
+ * @returns {Promise<void>} Resolves when createVoice can play the pitches;
+ *   rejects if they cannot be rendered, in which case a fallback sounds
+ */
+export const prepareInstrument = async (instrument, pitches, sampleRate) => {
+  if (instrument.kind === 'modal') await renderModalZones(instrument, pitches, sampleRate);
+};
+
+/**
+ * Gets the waveform of an additive instrument
+ * @param {BaseAudioContext} ctx - Audio context
+ * @param {Object} instrument - Additive instrument
+ * @returns {PeriodicWave} Waveform with the instrument's harmonics
+ */
+const getPeriodicWave = (ctx, instrument) => {
+  if (!periodicWaves.has(ctx)) periodicWaves.set(ctx, new Map());
+  const waves = periodicWaves.get(ctx);
+  if (!waves.has(instrument.id)) {
+    const imag = new Float32Array([0, ...instrument.partials]);
+    waves.set(instrument.id, ctx.createPeriodicWave(new Float32Array(imag.length), imag));
+  }
+  return waves.get(instrument.id);
+};
+
+/**
+ * Gets the sample a SoundFont zone plays
+ * @param {BaseAudioContext} ctx - Audio context
+ * @param {Int16Array} data - Sample points of the SoundFont
+ * @param {Object} zone - Zone
+ * @returns {AudioBuffer} Mono buffer at the sample's own rate
+ */
+const getSampleBuffer = (ctx, data, zone) => {
+  if (!sampleBuffers.has(zone)) {
+    const buffer = ctx.createBuffer(1, zone.end - zone.start, zone.sampleRate);
+    const channel = buffer.getChannelData(0);
+    for (let i = 0; i < channel.length; i++) channel[i] = data[zone.start + i] / 32768;
+    sampleBuffers.set(zone, buffer);
+  }
+  return sampleBuffers.get(zone);
+};
+
+/**
+ * Builds the sources and envelopes of one note, returning its source nodes
+ * and the gain each should be connected through
+ */
+const VOICE_BUILDERS = {
+  additive: (ctx, instrument, { frequency }) => {
+    const oscillator = ctx.createOscillator();
+    oscillator.setPeriodicWave(getPeriodicWave(ctx, instrument));
+    oscillator.frequency.value = frequency;
+    return [{ source: oscillator, envelope: instrument.envelope, level: 1 }];
+  },
+
+  subtractive: (ctx, instrument, { frequency, startTime, output }) => {
+    const { filter: patch } = instrument;
+    const nyquist = ctx.sampleRate / 2;
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.Q.value = patch.q;
+    filter.frequency.setValueAtTime(Math.min(nyquist, frequency * patch.peak), startTime);
+    filter.frequency.setTargetAtTime(Math.min(nyquist, frequency * patch.cutoff), startTime, patch.decayTime / 3);
+    filter.connect(output);
+
+    return [-1, 1].map((side) => {
+      const oscillator = ctx.createOscillator();
+      oscillator.type = instrument.waveform;
+      oscillator.frequency.value = frequency;
+      oscillator.detune.value = side * instrument.detune;
+      return { source: oscillator, envelope: instrument.envelope, level: 0.5, destination: filter };
+    });
+  },
+
+  modal: (ctx, instrument, { pitch, frequency }) => {
+    const zonePitch = getZonePitch(instrument, pitch);
+    const buffer = zoneBuffers.get(getZoneKey(instrument, ctx.sampleRate, zonePitch));
+    if (!buffer) return null;
+
+    const source = ctx.createBufferSource();
+    source.buffer = buffer;
+    source.playbackRate.value = frequency / getMidiFrequency(zonePitch);
+    return [{ source, envelope: instrument.envelope, level: 1 }];
+  },
+
+  sample: (ctx, instrument, { pitch, frequency }) => {
+    const velocity = MIDI_DEFAULTS.velocity;
+    const zones = instrument.preset.zones.filter(zone =>
+      pitch >= zone.keyRange[0] && pitch <= zone.keyRange[1]
+      && velocity >= zone.velRange[0] && velocity <= zone.velRange[1]);
+
+    return zones.map((zone) => {
+      const source = ctx.createBufferSource();
+      source.buffer = getSampleBuffer(ctx, instrument.soundFont.data, zone);
+      source.playbackRate.value = Math.pow(frequency / getMidiFrequency(zone.rootKey), zone.scaleTuning / 100)
+        * Math.pow(2, zone.tune / 1200);
+      if (zone.loop) {
+        source.loop = true;
+        source.loopStart = (zone.loop.start - zone.start) / zone.sampleRate;
+        source.loopEnd = (zone.loop.end - zone.start) / zone.sampleRate;
+      }
+      return { source, envelope: zone.envelope, level: Math.pow(10, -zone.attenuation / 20), pan: zone.pan };
+    });
+  }
+};
+
+/**
+ * Starts one note of an instrument
+ * @param {BaseAudioContext} ctx - Audio context, live or offline
+ * @param {AudioNode} destination - Node the note is connected to
+ * @param {Object} instrument - Instrument, prepared for the pitch (see prepareInstrument)
+ * @param {Object} note - Note to play
+ * @param {number} note.pitch - MIDI pitch, which picks the zone of a sampled or rendered instrument
+ * @param {number} note.frequency - Frequency to sound, in Hz
+ * @param {number} note.startTime - Context time to start
+ * @param {number} note.duration - Seconds until the note is silent
+ * @param {number} note.level - Peak gain
+ * @param {Function} [note.onEnded] - Called once the note has stopped
+ * @returns {{stop: Function}} Voice; stop silences it at once
+ */
+export const createVoice = (ctx, destination, instrument, note) => {
+  const { startTime, duration, level, onEnded } = note;
+  const output = ctx.createGain();
+  output.gain.value = instrument.gain;
+  output.connect(destination);
+
+  const layers = VOICE_BUILDERS[instrument.kind](ctx, instrument, { ...note, output });
+  if (!layers) {
+    output.disconnect();
+    return createVoice(ctx, destination, FALLBACK_INSTRUMENT, note);
+  }
+
+  const stopTime = startTime + duration + 0.1;
+  const sources = layers.map(({ source, envelope, level: layerLevel, pan = 0, destination: layerDestination = output }) => {
+    const gain = ctx.createGain();
+    applyEnvelope(gain.gain, envelope, startTime, duration, level * layerLevel);
+    source.connect(gain);
+
+    if (pan !== 0 && ctx.createStereoPanner) {
+      const panner = ctx.createStereoPanner();
+      panner.pan.value = pan;
+      gain.connect(panner).connect(layerDestination);
+    } else {
+      gain.connect(layerDestination);
+    }
+
+    source.start(startTime);
+    source.stop(stopTime);
+    return source;
+  });
+
+  let remaining = sources.length;
+  sources.forEach((source) => {
+    source.onended = () => {
+      remaining--;
+      if (remaining === 0) {
+        output.disconnect();
+        onEnded?.();
+      }
+    };
+  });
+  // A preset with no sample for the key is silent, but still ends
+  if (sources.length === 0) Promise.resolve().then(() => onEnded?.());
+
+  return {
+    stop: () => {
+      sources.forEach((source) => {
+        try {
+          source.stop();
+        } catch {
+          // Already stopped
+        }
+      });
+    }
+  };
+};
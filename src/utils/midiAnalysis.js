@@ -0,0 +1,253 @@
+/**
+ * @fileoverview Analysis of imported MIDI files: notes, chord segmentation,
+ * reflection and Tonnetz traversal steps
+ * @module utils/midiAnalysis
+ */
+
+import { MIDI_IMPORT_DEFAULTS, VOICING_DEFAULTS } from '../constants';
+import { MIDI_STATUS } from './midiUtils';
+import { encodeMidiFile } from './midiFile';
+import {
+  normalize,
+  identifyChord,
+  invertChord,
+  reflectPitch,
+  findShortestPaths
+} from './musicUtils';
+
+/**
+ * Polyphonic key pressure status, the other channel message that carries a pitch
+ */
+const POLY_PRESSURE = 0xA0;
+
+// ============================================================================
+// NOTES
+// ============================================================================
+
+/**
+ * Collects the notes of a MIDI file
+ * Each note-on is paired with the next note-off of the same pitch on the same
+ * channel; notes left hanging end with the last event of the file.
+ * @param {{tracks: Array<{events: Array<{tick: number, data: number[]}>}>}} midi - Result of readMidiFile
+ * @param {Object} [options] - Options
+ * @param {number|null} [options.percussionChannel=MIDI_IMPORT_DEFAULTS.percussionChannel] - Channel to leave out (null keeps all)
+ * @returns {Array<{start: number, end: number, pitch: number, channel: number}>} Notes by start tick, then pitch
+ */
+export const extractNotes = (midi, { percussionChannel = MIDI_IMPORT_DEFAULTS.percussionChannel } = {}) => {
+  const notes = [];
+  let lastTick = 0;
+
+  midi.tracks.forEach(track => {
+    // Start ticks of sounding notes by "channel:pitch", oldest first
+    const sounding = new Map();
+
+    track.events.forEach(({ tick, data }) => {
+      lastTick = Math.max(lastTick, tick);
+      const status = data[0] & 0xF0;
+      const channel = data[0] & 0x0F;
+      if ((status !== MIDI_STATUS.NOTE_ON && status !== MIDI_STATUS.NOTE_OFF) || channel === percussionChannel) return;
+
+      const key = `${channel}:${data[1]}`;
+      if (status === MIDI_STATUS.NOTE_ON && data[2] > 0) {
+        sounding.set(key, [...(sounding.get(key) ?? []), tick]);
+      } else if (sounding.get(key)?.length) {
+        const [start, ...rest] = sounding.get(key);
+        sounding.set(key, rest);
+        notes.push({ start, end: tick, pitch: data[1], channel });
+      }
+    });
+
+    sounding.forEach((starts, key) => {
+      const [channel, pitch] = key.split(':').map(Number);
+      starts.forEach(start => notes.push({ start, end: null, pitch, channel }));
+    });
+  });
+
+  return notes
+    .map(note => (note.end === null ? { ...note, end: Math.max(lastTick, note.start) } : note))
+    .sort((a, b) => a.start - b.start || a.pitch - b.pitch);
+};
+
+// ============================================================================
+// SEGMENTATION
+// ============================================================================
+
+/**
+ * Groups note onsets that fall within the tolerance of the first onset of a group
+ * @param {number[]} starts - Start ticks in ascending order
+ * @param {number} tolerance - Tolerance in ticks
+ * @returns {number[]} Tick at which each group starts
+ */
+const groupOnsets = (starts, tolerance) => starts.reduce((groups, start) => {
+  if (groups.length === 0 || start - groups[groups.length - 1] > tolerance) groups.push(start);
+  return groups;
+}, []);
+
+/**
+ * Builds a chord segment from the pitches sounding in it
+ * @param {number} start - Start tick
+ * @param {number} end - End tick
+ * @param {number[]} pitches - MIDI pitches
+ * @returns {{start: number, end: number, pitches: number[], notes: number[], chord: Object, label: string}} Segment
+ */
+const createSegment = (start, end, pitches) => {
+  const sorted = [...new Set(pitches)].sort((a, b) => a - b);
+  const notes = [...new Set(normalize(sorted))];
+  const chord = identifyChord(notes, { bass: sorted[0] });
+  return { start, end, pitches: sorted, notes, chord, label: chord.label };
+};
+
+/**
+ * Splits a piece into a sequence of chords
+ * In 'onset' mode a segment starts wherever notes are attacked together; in
+ * 'window' mode the piece is cut into windows of a fixed number of beats.
+ * Each segment holds every note sounding in it for longer than the tolerance,
+ * so held notes carry over into later segments. Silent segments are dropped
+ * and consecutive segments with the same pitch classes are merged.
+ * @param {Array<{start: number, end: number, pitch: number}>} notes - Result of extractNotes
+ * @param {number} ppq - Ticks per quarter note
+ * @param {Object} [options] - Segmentation options
+ * @param {'onset'|'window'} [options.mode=MIDI_IMPORT_DEFAULTS.mode] - Segmentation mode
+ * @param {number} [options.windowBeats=MIDI_IMPORT_DEFAULTS.windowBeats] - Window length in beats
+ * @param {number} [options.toleranceBeats=MIDI_IMPORT_DEFAULTS.onsetToleranceBeats] - Tolerance in beats
+ * @returns {Array<{start: number, end: number, pitches: number[], notes: number[], chord: Object, label: string}>} Segments in order
+ */
+export const segmentNotes = (notes, ppq, {
+  mode = MIDI_IMPORT_DEFAULTS.mode,
+  windowBeats = MIDI_IMPORT_DEFAULTS.windowBeats,
+  toleranceBeats = MIDI_IMPORT_DEFAULTS.onsetToleranceBeats
+} = {}) => {
+  if (notes.length === 0) return [];
+
+  const tolerance = Math.round(toleranceBeats * ppq);
+  // A loop rather than a spread, which overflows the call stack on large files
+  let end = 0;
+  for (const note of notes) {
+    if (note.end > end) end = note.end;
+  }
+
+  const boundaries = mode === 'window'
+    ? Array.from({ length: Math.ceil(end / (windowBeats * ppq)) }, (_, i) => Math.round(i * windowBeats * ppq))
+    : groupOnsets(notes.map(note => note.start), tolerance);
+
+  // One sweep through the notes in order of start, keeping those that may
+  // still sound in this or a later segment
+  const byStart = [...notes].sort((a, b) => a.start - b.start);
+  const active = new Set();
+  let next = 0;
+  const merged = [];
+
+  boundaries.forEach((start, i) => {
+    const segmentEnd = boundaries[i + 1] ?? end;
+    while (next < byStart.length && byStart[next].start < segmentEnd) {
+      active.add(byStart[next]);
+      next++;
+    }
+
+    const pitches = [];
+    active.forEach((note) => {
+      const isHeld = Math.min(note.end, segmentEnd) - Math.max(note.start, start) > tolerance;
+      const isShort = note.start >= start && note.end - note.start <= tolerance;
+      if (isHeld || isShort) pitches.push(note.pitch);
+      // Later segments start at or after this one's end
+      if (note.end - tolerance <= segmentEnd) active.delete(note);
+    });
+    if (pitches.length === 0) return;
+
+    const segment = createSegment(start, segmentEnd, pitches);
+    const prev = merged[merged.length - 1];
+    if (prev && prev.notes.join(',') === segment.notes.join(',')) {
+      merged[merged.length - 1] = createSegment(prev.start, segment.end, [...prev.pitches, ...segment.pitches]);
+    } else {
+      merged.push(segment);
+    }
+  });
+
+  return merged;
+};
+
+// ============================================================================
+// REFLECTION
+// ============================================================================
+
+/**
+ * Reflects a MIDI pitch across the axis of I_n, keeping it in the MIDI range
+ * The axis point nearest F#4 is used, as on the on-screen piano; pitches that
+ * would leave 0-127 are moved by octaves.
+ * @param {number} pitch - MIDI pitch
+ * @param {number} index - Inversion index n
+ * @returns {number} Reflected MIDI pitch (0-127)
+ * @example
+ * reflectMidiPitch(60, 7) // 67: C4 mirrors to G4 across Eb|E
+ */
+export const reflectMidiPitch = (pitch, index) => {
+  const reflected = VOICING_DEFAULTS.center + reflectPitch(pitch - VOICING_DEFAULTS.center, index);
+  if (reflected < 0) return reflected + 12 * Math.ceil(-reflected / 12);
+  if (reflected > 127) return reflected - 12 * Math.ceil((reflected - 127) / 12);
+  return reflected;
+};
+
+/**
+ * Reflects a chord segment across the axis of I_n
+ * @param {{pitches: number[], notes: number[]}} segment - Segment from segmentNotes
+ * @param {number} index - Inversion index n
+ * @returns {{pitches: number[], notes: number[], chord: Object, label: string}} Reflected chord, labelled over its new bass
+ */
+export const reflectSegment = (segment, index) => {
+  const pitches = segment.pitches.map(pitch => reflectMidiPitch(pitch, index)).sort((a, b) => a - b);
+  const notes = normalize(invertChord(segment.notes, index));
+  const chord = identifyChord(notes, { bass: pitches[0] });
+  return { pitches, notes, chord, label: chord.label };
+};
+
+/**
+ * Reflects a whole MIDI file across the axis of I_n
+ * Every pitched channel message is mirrored; timing, controllers, meta events
+ * and the percussion channel are left as they are.
+ * @param {{format: number, ppq: number, tracks: Array<{events: Array<{tick: number, data: number[]}>}>}} midi - Result of readMidiFile
+ * @param {number} index - Inversion index n
+ * @param {Object} [options] - Options
+ * @param {number|null} [options.percussionChannel=MIDI_IMPORT_DEFAULTS.percussionChannel] - Channel to leave as it is
+ * @returns {Uint8Array} Reflected file bytes
+ */
+export const reflectMidiFile = (midi, index, { percussionChannel = MIDI_IMPORT_DEFAULTS.percussionChannel } = {}) => {
+  const isPitched = (data) => {
+    const status = data[0] & 0xF0;
+    return (status === MIDI_STATUS.NOTE_ON || status === MIDI_STATUS.NOTE_OFF || status === POLY_PRESSURE)
+      && (data[0] & 0x0F) !== percussionChannel;
+  };
+
+  return encodeMidiFile({
+    ...midi,
+    tracks: midi.tracks.map(track => ({
+      ...track,
+      events: track.events.map(event => (isPitched(event.data)
+        ? { ...event, data: [event.data[0], reflectMidiPitch(event.data[1], index), ...event.data.slice(2)] }
+        : event))
+    }))
+  });
+};
+
+// ============================================================================
+// TRAVERSAL
+// ============================================================================
+
+/**
+ * Connects consecutive chords with the shortest P/L/R word between them
+ * A step is a jump when either chord is not a consonant triad, or when the
+ * shortest word is longer than maxWordLength. Jumps between triads keep their
+ * word so the chord can still be placed on the Tonnetz.
+ * @param {Array<{notes: number[], pitches: number[], label: string}>} segments - Segments from segmentNotes
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxWordLength=MIDI_IMPORT_DEFAULTS.maxWordLength] - Longest parsimonious word
+ * @returns {Array<{notes: number[], voicing: number[], label: string, ops: string[]|null, isJump: boolean}>}
+ *   One step per segment; the first has no word
+ */
+export const getTraversalSteps = (segments, { maxWordLength = MIDI_IMPORT_DEFAULTS.maxWordLength } = {}) =>
+  segments.map((segment, i) => {
+    const step = { notes: segment.notes, voicing: segment.pitches, label: segment.label };
+    if (i === 0) return { ...step, ops: null, isJump: false };
+
+    const ops = findShortestPaths(segments[i - 1].notes, segment.notes, { maxPaths: 1 })?.paths[0] ?? null;
+    return { ...step, ops, isJump: !ops || ops.length > maxWordLength };
+  });
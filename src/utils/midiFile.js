@@ -0,0 +1,397 @@
+/**
+ * @fileoverview Standard MIDI File reader, and Type 1 writer for progressions and traversals
+ * @module utils/midiFile
+ */
+
+import { MIDI_DEFAULTS, DEFAULT_MIDI_ROUTES, PLAYBACK_DEFAULTS, DEFAULT_METER } from '../constants';
+import { noteOnMessage, noteOffMessage } from './midiUtils';
+import { voiceChord } from './musicUtils';
+import { downloadFile } from './download';
+
+/**
+ * Ticks per quarter note written to the header
+ * @constant {number}
+ */
+export const MIDI_FILE_PPQ = 480;
+
+/**
+ * Meta event types used by the writer
+ */
+const META = {
+  TEXT: 0x01,
+  TRACK_NAME: 0x03,
+  END_OF_TRACK: 0x2F,
+  TEMPO: 0x51,
+  TIME_SIGNATURE: 0x58
+};
+
+// ============================================================================
+// ENCODING
+// ============================================================================
+
+/**
+ * Encodes a number as a MIDI variable-length quantity
+ * @param {number} value - Non-negative integer (< 2^28)
+ * @returns {number[]} Bytes, most significant first
+ * @example
+ * encodeVarLen(0x80) // [0x81, 0x00]
+ */
+export const encodeVarLen = (value) => {
+  const bytes = [value & 0x7F];
+  let rest = value >> 7;
+  while (rest > 0) {
+    bytes.unshift((rest & 0x7F) | 0x80);
+    rest >>= 7;
+  }
+  return bytes;
+};
+
+/**
+ * Encodes a string as ASCII bytes (other characters become '?')
+ * @param {string} text - Text to encode
+ * @returns {number[]} Bytes
+ */
+const encodeText = (text) => [...text].map(c => (c.charCodeAt(0) < 128 ? c.charCodeAt(0) : 0x3F));
+
+/**
+ * Builds a meta event
+ * @param {number} type - Meta event type
+ * @param {number[]} data - Event data
+ * @returns {number[]} Event bytes (without delta time)
+ */
+const metaEvent = (type, data) => [0xFF, type, ...encodeVarLen(data.length), ...data];
+
+/**
+ * Encodes a number as big-endian bytes
+ * @param {number} value - Unsigned integer
+ * @param {number} length - Number of bytes
+ * @returns {number[]} Bytes
+ */
+const encodeUint = (value, length) =>
+  Array.from({ length }, (_, i) => (value >> (8 * (length - 1 - i))) & 0xFF);
+
+/**
+ * Encodes a track chunk
+ * Events at the same tick keep their order, except that note-offs are moved
+ * before note-ons so repeated notes are not cut short.
+ * @param {Array<{tick: number, data: number[]}>} events - Events with absolute tick times
+ * @returns {number[]} MTrk chunk bytes, ending with an end-of-track event
+ */
+const encodeTrack = (events) => {
+  const isNoteOff = (event) => (event.data[0] & 0xF0) === 0x80;
+  const sorted = events
+    .map((event, order) => ({ ...event, order }))
+    .sort((a, b) => a.tick - b.tick || isNoteOff(b) - isNoteOff(a) || a.order - b.order);
+
+  // Bytes are copied one at a time: spreading a large sysex or meta event into
+  // push overflows the call stack
+  const data = [];
+  let lastTick = 0;
+  sorted.forEach(event => {
+    for (const byte of encodeVarLen(event.tick - lastTick)) data.push(byte);
+    for (const byte of event.data) data.push(byte);
+    lastTick = event.tick;
+  });
+  data.push(0x00, ...metaEvent(META.END_OF_TRACK, []));
+
+  return [...encodeText('MTrk'), ...encodeUint(data.length, 4), ...data];
+};
+
+/**
+ * Encodes a Standard MIDI File from its tracks
+ * Events are written as given, so a file read with readMidiFile encodes
+ * back to an equivalent file.
+ * @param {{format: number, ppq: number, tracks: Array<{events: Array<{tick: number, data: number[]}>}>}} midi - File contents
+ * @returns {Uint8Array} File bytes
+ */
+export const encodeMidiFile = ({ format, ppq, tracks }) => {
+  const header = [
+    ...encodeText('MThd'),
+    ...encodeUint(6, 4),
+    ...encodeUint(format, 2),
+    ...encodeUint(tracks.length, 2),
+    ...encodeUint(ppq, 2)
+  ];
+
+  return new Uint8Array([...header, ...tracks.flatMap(track => encodeTrack(track.events))]);
+};
+
+/**
+ * Writes a Type 1 Standard MIDI File
+ * The first track is a conductor track holding the tempo and time signature.
+ * @param {Array<{name: string, events: Array<{tick: number, data: number[]}>}>} tracks - Note tracks
+ * @param {Object} [options] - File options
+ * @param {number} [options.tempo=PLAYBACK_DEFAULTS.tempo] - Tempo in beats of the meter's unit per minute
+ * @param {{beats: number, unit: number}} [options.meter=DEFAULT_METER] - Time signature
+ * @param {number} [options.ppq=MIDI_FILE_PPQ] - Ticks per quarter note
+ * @returns {Uint8Array} File bytes
+ */
+export const writeMidiFile = (tracks, {
+  tempo = PLAYBACK_DEFAULTS.tempo,
+  meter = DEFAULT_METER,
+  ppq = MIDI_FILE_PPQ
+} = {}) => {
+  // The tempo event is always in quarter notes, as are the metronome clocks (24 a quarter)
+  const microsPerQuarter = Math.round((60000000 / tempo) * (meter.unit / 4));
+  const clocksPerBeat = Math.round(24 * 4 / meter.unit);
+  const conductor = {
+    events: [
+      { tick: 0, data: metaEvent(META.TEMPO, encodeUint(microsPerQuarter, 3)) },
+      { tick: 0, data: metaEvent(META.TIME_SIGNATURE, [meter.beats, Math.log2(meter.unit), clocksPerBeat, 8]) }
+    ]
+  };
+
+  return encodeMidiFile({
+    format: 1,
+    ppq,
+    tracks: [conductor, ...tracks.map(track => ({
+      events: [{ tick: 0, data: metaEvent(META.TRACK_NAME, encodeText(track.name)) }, ...track.events]
+    }))]
+  });
+};
+
+// ============================================================================
+// DECODING
+// ============================================================================
+
+/**
+ * Builds a read error
+ * @param {string} message - Error message
+ * @param {number} position - Byte offset of the problem
+ * @returns {{message: string, position: number}}
+ */
+const readError = (message, position) => ({ message, position });
+
+/**
+ * Reads a variable-length quantity
+ * @param {Uint8Array} bytes - File bytes
+ * @param {number} position - Offset of the first byte
+ * @param {number} end - Offset the quantity must end before
+ * @returns {{value: number, next: number}|null} Value and the offset after it, or null if truncated
+ */
+const readVarLen = (bytes, position, end) => {
+  let value = 0;
+  for (let pos = position; pos < end && pos < position + 4; pos++) {
+    value = (value << 7) | (bytes[pos] & 0x7F);
+    if ((bytes[pos] & 0x80) === 0) return { value, next: pos + 1 };
+  }
+  return null;
+};
+
+/**
+ * Reads a big-endian unsigned integer
+ * @param {Uint8Array} bytes - File bytes
+ * @param {number} position - Offset of the first byte
+ * @param {number} length - Number of bytes
+ * @returns {number} Value
+ */
+const readUint = (bytes, position, length) =>
+  Array.from(bytes.subarray(position, position + length)).reduce((value, byte) => value * 256 + byte, 0);
+
+/**
+ * Reads a four-character chunk type
+ * @param {Uint8Array} bytes - File bytes
+ * @param {number} position - Offset of the chunk
+ * @returns {string} Chunk type
+ */
+const readChunkType = (bytes, position) => String.fromCharCode(...bytes.subarray(position, position + 4));
+
+/**
+ * Data bytes that follow each channel message status (by high nibble)
+ * Program change and channel pressure take one byte; the rest take two.
+ * @param {number} status - Status byte
+ * @returns {number} Number of data bytes
+ */
+const channelDataLength = (status) => ((status & 0xF0) === 0xC0 || (status & 0xF0) === 0xD0 ? 1 : 2);
+
+/**
+ * Decodes the events of a track chunk
+ * Running status is expanded so every channel event carries its status byte;
+ * meta and sysex events cancel it, as the spec requires. Meta and sysex
+ * events keep their raw bytes; the end-of-track event is
+ * dropped, since encodeTrack writes its own.
+ * @param {Uint8Array} bytes - File bytes
+ * @param {number} start - Offset of the first event
+ * @param {number} end - Offset after the last byte of the chunk
+ * @returns {{track: {name: string, events: Array<{tick: number, data: number[]}>}|null, error: Object|null}} Track, or the read error
+ */
+const readTrack = (bytes, start, end) => {
+  const events = [];
+  let name = '';
+  let tick = 0;
+  let status = null;
+  let pos = start;
+
+  while (pos < end) {
+    const delta = readVarLen(bytes, pos, end);
+    if (!delta || delta.next >= end) return { track: null, error: readError('Truncated event', pos) };
+    tick += delta.value;
+    pos = delta.next;
+
+    const first = bytes[pos];
+
+    if (first === 0xFF) {
+      const type = bytes[pos + 1];
+      const length = readVarLen(bytes, pos + 2, end);
+      if (!length || length.next + length.value > end) {
+        return { track: null, error: readError('Truncated meta event', pos) };
+      }
+      if (type === META.END_OF_TRACK) break;
+
+      const data = Array.from(bytes.subarray(pos, length.next + length.value));
+      if (type === META.TRACK_NAME && !name) {
+        // Mapped byte by byte: a long name would overflow the arguments of a spread
+        name = Array.from(bytes.subarray(length.next, length.next + length.value), byte => String.fromCharCode(byte)).join('');
+      }
+      events.push({ tick, data });
+      pos = length.next + length.value;
+      status = null;
+    } else if (first === 0xF0 || first === 0xF7) {
+      const length = readVarLen(bytes, pos + 1, end);
+      if (!length || length.next + length.value > end) {
+        return { track: null, error: readError('Truncated system exclusive event', pos) };
+      }
+      events.push({ tick, data: Array.from(bytes.subarray(pos, length.next + length.value)) });
+      pos = length.next + length.value;
+      status = null;
+    } else {
+      if (first & 0x80) {
+        status = first;
+        pos++;
+      } else if (status === null) {
+        return { track: null, error: readError('Data byte without a status byte', pos) };
+      }
+      const length = channelDataLength(status);
+      if (pos + length > end) return { track: null, error: readError('Truncated channel event', pos) };
+      events.push({ tick, data: [status, ...bytes.subarray(pos, pos + length)] });
+      pos += length;
+    }
+  }
+
+  return { track: { name, events }, error: null };
+};
+
+/**
+ * Reads a Standard MIDI File (format 0, 1 or 2)
+ * Unknown chunk types are skipped, as the spec requires.
+ * @param {Uint8Array|ArrayBuffer} data - File bytes
+ * @returns {{midi: {format: number, ppq: number, tracks: Array<{name: string, events: Array<{tick: number, data: number[]}>}>}|null, error: {message: string, position: number}|null}}
+ *   File contents with absolute event ticks, or the first read error
+ * @example
+ * readMidiFile(writeMidiFile([{ name: 'Chords', events }])).midi.tracks[1].name // 'Chords'
+ */
+export const readMidiFile = (data) => {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+
+  if (bytes.length < 14 || readChunkType(bytes, 0) !== 'MThd') {
+    return { midi: null, error: readError('Not a Standard MIDI File', 0) };
+  }
+
+  const headerLength = readUint(bytes, 4, 4);
+  const format = readUint(bytes, 8, 2);
+  const trackCount = readUint(bytes, 10, 2);
+  const division = readUint(bytes, 12, 2);
+
+  if (headerLength < 6 || format > 2) {
+    return { midi: null, error: readError('Unsupported MIDI file header', 0) };
+  }
+  if (division & 0x8000) {
+    return { midi: null, error: readError('SMPTE time division is not supported', 12) };
+  }
+
+  const tracks = [];
+  let pos = 8 + headerLength;
+  while (pos + 8 <= bytes.length && tracks.length < trackCount) {
+    const type = readChunkType(bytes, pos);
+    const length = readUint(bytes, pos + 4, 4);
+    const end = pos + 8 + length;
+    if (end > bytes.length) {
+      return { midi: null, error: readError(`Truncated ${type} chunk`, pos) };
+    }
+
+    if (type === 'MTrk') {
+      const { track, error } = readTrack(bytes, pos + 8, end);
+      if (error) return { midi: null, error };
+      tracks.push(track);
+    }
+    pos = end;
+  }
+
+  return { midi: { format, ppq: division, tracks }, error: null };
+};
+
+// ============================================================================
+// CHORD SEQUENCES
+// ============================================================================
+
+/**
+ * Builds the events of a chord sequence, each chord lasting its beats (one
+ * by default)
+ * Chords sound for the playback legato of their length, and each is labelled
+ * with a text event so sequencers can show the chord names.
+ * @param {Array<{voicing: number[], label?: string, beats?: number}>} chords - Chords in order
+ * @param {Object} [options] - Sequence options
+ * @param {number} [options.channel=0] - MIDI channel (0-15)
+ * @param {number} [options.beatTicks=MIDI_FILE_PPQ] - Ticks per beat
+ * @param {number} [options.legato=PLAYBACK_DEFAULTS.legato] - Fraction of its length each chord sounds for
+ * @returns {Array<{tick: number, data: number[]}>} Events with absolute tick times
+ */
+export const chordSequenceEvents = (chords, {
+  channel = 0,
+  beatTicks = MIDI_FILE_PPQ,
+  legato = PLAYBACK_DEFAULTS.legato
+} = {}) => {
+  let beat = 0;
+  return chords.flatMap(({ voicing, label, beats = 1 }) => {
+    const start = Math.round(beat * beatTicks);
+    const end = start + Math.round(beats * beatTicks * legato);
+    const pitches = voicing.filter(pitch => pitch >= 0 && pitch <= 127);
+    beat += beats;
+    return [
+      ...(label ? [{ tick: start, data: metaEvent(META.TEXT, encodeText(label)) }] : []),
+      ...pitches.map(pitch => ({ tick: start, data: noteOnMessage(channel, pitch, MIDI_DEFAULTS.velocity) })),
+      ...pitches.map(pitch => ({ tick: end, data: noteOffMessage(channel, pitch) }))
+    ];
+  });
+};
+
+/**
+ * Writes the converter results as a MIDI file with the original and negative
+ * progressions on separate tracks
+ * Unparsed chords are left as rests, as in playback.
+ * @param {Array<{original: string, notes: number[], negNotes: number[], negLabel: string, beats?: number}>} progOutput - Converter results
+ * @param {Object} [options] - File options
+ * @param {number} [options.tempo=PLAYBACK_DEFAULTS.tempo] - Tempo in beats of the meter's unit per minute
+ * @param {{beats: number, unit: number}} [options.meter=DEFAULT_METER] - Time signature
+ * @returns {Uint8Array} File bytes
+ */
+export const progressionToMidiFile = (progOutput, { tempo = PLAYBACK_DEFAULTS.tempo, meter = DEFAULT_METER } = {}) => {
+  const toChord = (notes, label, beats) => (notes.length > 0 ? { voicing: voiceChord(notes), label, beats } : { voicing: [], beats });
+  const original = progOutput.map(item => toChord(item.notes, item.original, item.beats));
+  const negative = progOutput.map(item => toChord(item.negNotes, item.negLabel, item.beats));
+  const beatTicks = MIDI_FILE_PPQ * 4 / meter.unit;
+
+  return writeMidiFile([
+    { name: 'Original', events: chordSequenceEvents(original, { channel: DEFAULT_MIDI_ROUTES.original.channel, beatTicks }) },
+    { name: 'Negative', events: chordSequenceEvents(negative, { channel: DEFAULT_MIDI_ROUTES.reflected.channel, beatTicks }) }
+  ], { tempo, meter });
+};
+
+/**
+ * Writes a Tonnetz traversal as a MIDI file, one chord per beat in the
+ * voicings the traversal reached
+ * @param {Array<{voicing: number[], label: string}>} history - History nodes from useChordHistory
+ * @param {Object} [options] - File options
+ * @param {number} [options.tempo=PLAYBACK_DEFAULTS.tempo] - Tempo in BPM
+ * @returns {Uint8Array} File bytes
+ */
+export const historyToMidiFile = (history, { tempo = PLAYBACK_DEFAULTS.tempo } = {}) => writeMidiFile([
+  { name: 'Traversal', events: chordSequenceEvents(history.map(({ voicing, label }) => ({ voicing, label }))) }
+], { tempo });
+
+/**
+ * Offers bytes as a .mid download in the browser
+ * @param {Uint8Array} bytes - File bytes
+ * @param {string} filename - Suggested file name
+ */
+export const downloadMidiFile = (bytes, filename) => downloadFile(bytes, filename, 'audio/midi');
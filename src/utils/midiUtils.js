@@ -0,0 +1,156 @@
+/**
+ * @fileoverview MIDI message parsing and held-note tracking
+ * @module utils/midiUtils
+ */
+
+import { MIDI_DEFAULTS } from '../constants';
+
+// ============================================================================
+// MESSAGES
+// ============================================================================
+
+/**
+ * Channel voice message status bytes (high nibble)
+ * @constant {Object<string, number>}
+ */
+export const MIDI_STATUS = {
+  NOTE_OFF: 0x80,
+  NOTE_ON: 0x90,
+  CONTROL_CHANGE: 0xB0
+};
+
+/**
+ * Channel mode controller that silences every note on a channel
+ * @constant {number}
+ */
+export const ALL_NOTES_OFF = 123;
+
+/**
+ * Parses a raw MIDI message
+ * A note-on with velocity 0 is reported as a note-off, as the MIDI spec requires.
+ * @param {Uint8Array|number[]} data - Message bytes
+ * @returns {{type: 'noteon'|'noteoff', channel: number, note: number, velocity: number}|{type: 'controlchange', channel: number, controller: number, value: number}|null}
+ *   Parsed message (channel 0-15), or null for messages the app ignores
+ * @example
+ * parseMidiMessage([0x90, 60, 100]) // { type: 'noteon', channel: 0, note: 60, velocity: 100 }
+ * parseMidiMessage([0x91, 60, 0]) // { type: 'noteoff', channel: 1, note: 60, velocity: 0 }
+ */
+export const parseMidiMessage = (data) => {
+  if (!data || data.length < 3) return null;
+
+  const status = data[0] & 0xF0;
+  const channel = data[0] & 0x0F;
+
+  switch (status) {
+    case MIDI_STATUS.NOTE_ON:
+      return data[2] > 0
+        ? { type: 'noteon', channel, note: data[1], velocity: data[2] }
+        : { type: 'noteoff', channel, note: data[1], velocity: 0 };
+    case MIDI_STATUS.NOTE_OFF:
+      return { type: 'noteoff', channel, note: data[1], velocity: data[2] };
+    case MIDI_STATUS.CONTROL_CHANGE:
+      return { type: 'controlchange', channel, controller: data[1], value: data[2] };
+    default:
+      return null;
+  }
+};
+
+/**
+ * Builds a note-on message
+ * @param {number} channel - Channel (0-15)
+ * @param {number} note - MIDI pitch (0-127)
+ * @param {number} velocity - Velocity (1-127)
+ * @returns {number[]} Message bytes
+ */
+export const noteOnMessage = (channel, note, velocity) => [MIDI_STATUS.NOTE_ON | channel, note, velocity];
+
+/**
+ * Builds a note-off message
+ * @param {number} channel - Channel (0-15)
+ * @param {number} note - MIDI pitch (0-127)
+ * @returns {number[]} Message bytes
+ */
+export const noteOffMessage = (channel, note) => [MIDI_STATUS.NOTE_OFF | channel, note, 0];
+
+/**
+ * Builds a control change message
+ * @param {number} channel - Channel (0-15)
+ * @param {number} controller - Controller number (0-127)
+ * @param {number} value - Controller value (0-127)
+ * @returns {number[]} Message bytes
+ */
+export const controlChangeMessage = (channel, controller, value) =>
+  [MIDI_STATUS.CONTROL_CHANGE | channel, controller, value];
+
+// ============================================================================
+// PORTS
+// ============================================================================
+
+/**
+ * The browser's requestMIDIAccess, or null where Web MIDI is unavailable
+ * @type {Function|null}
+ */
+export const browserRequestMIDIAccess = typeof navigator !== 'undefined' && navigator.requestMIDIAccess
+  ? (options) => navigator.requestMIDIAccess(options)
+  : null;
+
+/**
+ * Lists the connected ports of a MIDIAccess port map
+ * @param {Map<string, Object>} ports - access.inputs or access.outputs (or a simulated Map)
+ * @returns {Array<{id: string, name: string, manufacturer: string}>} Connected ports
+ */
+export const listPorts = (ports) => [...ports.values()]
+  .filter(port => port.state !== 'disconnected')
+  .map(({ id, name, manufacturer }) => ({ id, name: name || id, manufacturer: manufacturer || '' }));
+
+// ============================================================================
+// HELD NOTES
+// ============================================================================
+
+/**
+ * Creates an empty held-note state
+ * held are keys physically down; sustained are keys released while the pedal is down.
+ * @returns {{held: number[], sustained: number[], sustain: boolean}}
+ */
+export const createHeldNotes = () => ({ held: [], sustained: [], sustain: false });
+
+/**
+ * Applies a parsed MIDI message to a held-note state
+ * @param {{held: number[], sustained: number[], sustain: boolean}} state - Current state
+ * @param {Object} message - Result of parseMidiMessage
+ * @returns {{held: number[], sustained: number[], sustain: boolean}} New state, or the same state if unchanged
+ */
+export const reduceHeldNotes = (state, message) => {
+  switch (message.type) {
+    case 'noteon':
+      if (state.held.includes(message.note)) return state;
+      return {
+        ...state,
+        held: [...state.held, message.note],
+        sustained: state.sustained.filter(n => n !== message.note)
+      };
+    case 'noteoff':
+      if (!state.held.includes(message.note)) return state;
+      return {
+        ...state,
+        held: state.held.filter(n => n !== message.note),
+        sustained: state.sustain ? [...state.sustained, message.note] : state.sustained
+      };
+    case 'controlchange': {
+      if (message.controller !== MIDI_DEFAULTS.sustainController) return state;
+      const sustain = message.value >= 64;
+      if (sustain === state.sustain) return state;
+      return { ...state, sustain, sustained: sustain ? state.sustained : [] };
+    }
+    default:
+      return state;
+  }
+};
+
+/**
+ * Gets every note currently sounding, whether held or sustained by the pedal
+ * @param {{held: number[], sustained: number[]}} state - Held-note state
+ * @returns {number[]} MIDI pitches in ascending order
+ */
+export const getSoundingNotes = (state) =>
+  [...new Set([...state.held, ...state.sustained])].sort((a, b) => a - b);
@@ -3,7 +3,16 @@
  * @module utils/musicUtils
  */
 
-import { NOTES, CHORD_DEFINITIONS, ENHARMONICS } from '../constants';
+import {
+  NOTES,
+  CHORD_DEFINITIONS,
+  ADDED_TONE_NAMES,
+  PRIMITIVE_TRANSFORMS,
+  COMPOUND_TRANSFORMS,
+  NEGATIVE_AXIS_MODES,
+  VOICING_DEFAULTS,
+  TUNING_DEFAULTS
+} from '../constants';
 
 // ============================================================================
 // BASIC MATH UTILITIES
@@ -56,102 +65,712 @@ export const getNoteLabelWithOctave = (n, baseOctave = 4) => {
   return `${NOTES[mod(n)]}${octave}`;
 };
 
+/**
+ * Gets the note name with octave for a MIDI pitch
+ * @param {number} pitch - MIDI pitch (60 = middle C)
+ * @returns {string} Note name with octave (e.g., 'C4', 'Bb3')
+ */
+export const getMidiLabel = (pitch) => getNoteLabelWithOctave(pitch - 60);
+
 // ============================================================================
 // CHORD IDENTIFICATION
 // ============================================================================
 
+/**
+ * Weights used to score how well a set of pitch classes fits a chord definition
+ * @constant {Object<string, number>}
+ */
+const MATCH_WEIGHTS = {
+  matched: 1,               // each chord tone present
+  missingFifth: 0.5,        // omitted fifths are idiomatic
+  missingThird: 1.5,
+  missingImplied: 0.5,      // 9th/11th left out under a higher extension
+  missingOther: 3,
+  extra: 2,                 // each note outside the chord
+  extraBass: 0.75,          // a foreign bass note reads as a slash chord
+  rootInBass: 0.5,
+  completeOverRoot: 2,      // every chord tone over the root in the bass outranks slash and polychord readings
+  polychord: 2,             // subtracted from the note count of a polychord reading
+};
+
+/**
+ * Default number of ranked interpretations returned by identifyChord
+ * @constant {number}
+ */
+const MAX_CANDIDATES = 5;
+
+/**
+ * Categorizes a chord definition for visualization
+ * @param {string} name - Chord definition name
+ * @returns {string} Category ('Major', 'Minor', 'Dim', 'Aug', 'Sus', 'Seventh' or 'Other')
+ */
+const getChordCategory = (name) => {
+  if (name === 'Major') return 'Major';
+  if (name === 'Minor') return 'Minor';
+  if (name === 'Diminished') return 'Dim';
+  if (name === 'Augmented') return 'Aug';
+  if (name.includes('Sus')) return 'Sus';
+  if (/\d/.test(name) || name === 'Altered') return 'Seventh';
+  return 'Other';
+};
+
+/**
+ * Gets the penalty for a chord tone that is not sounding
+ * @param {number} interval - Interval of the missing tone above the root
+ * @param {number[]} intervals - All intervals of the chord definition
+ * @returns {number} Penalty
+ */
+const getMissingPenalty = (interval, intervals) => {
+  if (interval === 7) return MATCH_WEIGHTS.missingFifth;
+  if ((interval === 3 || interval === 4) && intervals.length > 2) return MATCH_WEIGHTS.missingThird;
+  if ((interval === 14 || interval === 17) && Math.max(...intervals) > interval) return MATCH_WEIGHTS.missingImplied;
+  return MATCH_WEIGHTS.missingOther;
+};
+
+/**
+ * Scores one interpretation of a pitch-class set as a chord definition on a root
+ * @param {number[]} pcs - Unique pitch classes
+ * @param {number} root - Candidate root (0-11)
+ * @param {{name: string, suffix: string, intervals: number[]}} def - Chord definition
+ * @param {number|null} bass - Bass pitch class, or null if unknown
+ * @returns {Object} Candidate (see identifyChord)
+ */
+const scoreCandidate = (pcs, root, def, bass) => {
+  const chordTones = def.intervals.map(i => mod(i));
+  const missing = def.intervals.filter(i => !pcs.includes(mod(root + i)));
+  const foreign = pcs.filter(pc => !chordTones.includes(mod(pc - root)));
+  const extra = foreign.filter(pc => pc !== bass);
+
+  const matched = def.intervals.length - missing.length;
+
+  let score = matched * MATCH_WEIGHTS.matched;
+  missing.forEach(interval => { score -= getMissingPenalty(interval, def.intervals); });
+  score -= extra.length * MATCH_WEIGHTS.extra;
+  if (foreign.length > extra.length) score -= MATCH_WEIGHTS.extraBass;
+  if (bass === root) score += MATCH_WEIGHTS.rootInBass;
+  if (bass === root && missing.length === 0) score += MATCH_WEIGHTS.completeOverRoot;
+
+  // Omitted thirds/fifths and added tones are spelled out, e.g. C7(no5), C(add#11)
+  const alterations = [
+    ...missing.filter(i => i === 3 || i === 4).map(() => 'no3'),
+    ...missing.filter(i => i === 7).map(() => 'no5'),
+    ...extra.map(pc => `add${ADDED_TONE_NAMES[mod(pc - root)]}`),
+  ];
+
+  let label = NOTES[root] + def.suffix;
+  if (alterations.length > 0) label += `(${alterations.join(',')})`;
+  if (bass !== null && bass !== root) label += `/${NOTES[bass]}`;
+
+  const bassInterval = bass === null ? 0 : def.intervals.findIndex(i => mod(i) === mod(bass - root));
+
+  return {
+    root,
+    type: getChordCategory(def.name),
+    label,
+    name: def.name,
+    bass,
+    inversion: bassInterval === -1 ? null : bassInterval,
+    score,
+    isExact: missing.length === 0 && foreign.length === 0,
+    matched,
+    missing: missing.map(i => mod(root + i)),
+    extra: foreign,
+  };
+};
+
+/**
+ * Finds readings of a pitch-class set as one major/minor triad stacked over another
+ * @param {number[]} pcs - Unique pitch classes
+ * @param {number|null} bass - Bass pitch class, or null if unknown
+ * @returns {Object[]} Polychord candidates (see identifyChord)
+ */
+const findPolychords = (pcs, bass) => {
+  if (pcs.length < 5) return [];
+
+  const triads = NOTES.flatMap((_, root) => [
+    { root, notes: buildChord(root, [0, 4, 7]), label: NOTES[root] },
+    { root, notes: buildChord(root, [0, 3, 7]), label: `${NOTES[root]}m` },
+  ]);
+  const inSet = triads.filter(t => t.notes.every(n => pcs.includes(n)));
+
+  const candidates = [];
+  inSet.forEach((lower, i) => {
+    inSet.forEach((upper, j) => {
+      if (i === j) return;
+      // Without a bass either triad could be on the bottom, so keep one ordering
+      if (bass === null ? j < i : !lower.notes.includes(bass)) return;
+      if (new Set([...lower.notes, ...upper.notes]).size !== pcs.length) return;
+
+      candidates.push({
+        root: lower.root,
+        type: 'Other',
+        label: `${upper.label}|${lower.label}`,
+        name: 'Polychord',
+        bass,
+        inversion: bass === null ? 0 : lower.notes.indexOf(bass),
+        // No root-in-bass bonus: a single chord over the same bass should win
+        score: pcs.length - MATCH_WEIGHTS.polychord,
+        isExact: true,
+        matched: pcs.length,
+        missing: [],
+        extra: [],
+      });
+    });
+  });
+  return candidates;
+};
+
 /**
  * Identifies a chord from an array of notes
- * Attempts to match against known chord definitions by trying each note as root
+ * Every note is tried as root against every chord definition; each reading
+ * is scored for matched, missing and foreign tones, and the readings are
+ * ranked by score. Inversions are reported as slash chords when the bass is
+ * known, so every non-empty pitch-class set gets a usable name.
  * @param {number[]} notes - Array of note values
- * @returns {{root: number, type: string, label: string, name: string}} Chord information
+ * @param {Object} [options] - Identification options
+ * @param {number} [options.bass] - Bass note (any integer); omit when the voicing is unknown
+ * @param {number} [options.limit=MAX_CANDIDATES] - Maximum number of ranked candidates
+ * @returns {{root: number|null, type: string, label: string, name: string, bass: number|null, inversion: number|null, score: number, isExact: boolean, matched: number, missing: number[], extra: number[], candidates: Object[]}} Best interpretation, with all ranked interpretations in `candidates`
  * @example
- * identifyChord([0, 4, 7]) // returns { root: 0, type: 'Major', label: 'C', name: 'Major' }
- * identifyChord([9, 0, 4]) // returns { root: 9, type: 'Minor', label: 'Am', name: 'Minor' }
+ * identifyChord([0, 4, 7]) // returns { root: 0, type: 'Major', label: 'C', name: 'Major', ... }
+ * identifyChord([9, 0, 4]) // returns { root: 9, type: 'Minor', label: 'Am', name: 'Minor', ... }
+ * identifyChord([4, 7, 0], { bass: 4 }).label // 'C/E'
  */
-export const identifyChord = (notes) => {
-  const sorted = normalize(notes);
-  
-  // Try each note as potential root
-  for (let i = 0; i < sorted.length; i++) {
-    const potentialRoot = sorted[i];
-    const intervals = sorted.map(n => mod(n - potentialRoot)).sort((a, b) => a - b);
-    
-    const match = CHORD_DEFINITIONS.find(def => arraysEqual(def.intervals, intervals));
-    
-    if (match) {
-      // Categorize chord type for visualization
-      let type = 'Other';
-      if (match.name === 'Major') type = 'Major';
-      else if (match.name === 'Minor') type = 'Minor';
-      else if (match.name === 'Diminished') type = 'Dim';
-      else if (match.name === 'Augmented') type = 'Aug';
-      else if (match.name.includes('Sus')) type = 'Sus';
-      else if (match.name.includes('7') || match.name.includes('9')) type = 'Seventh';
-      
-      return { 
-        root: potentialRoot, 
-        type, 
-        label: NOTES[potentialRoot] + match.suffix, 
-        name: match.name 
-      };
-    }
+export const identifyChord = (notes, { bass, limit = MAX_CANDIDATES } = {}) => {
+  const bassPc = bass === undefined || bass === null ? null : mod(bass);
+  const pcs = [...new Set(normalize(bassPc === null ? notes : [...notes, bassPc]))];
+
+  if (pcs.length === 0) {
+    return {
+      root: null, type: 'Unknown', label: 'N.C.', name: 'No Chord',
+      bass: null, inversion: null, score: 0, isExact: false, matched: 0, missing: [], extra: [], candidates: []
+    };
   }
-  
-  // Fallback for unrecognized chords
-  return { 
-    root: sorted[0], 
-    type: 'Unknown', 
-    label: '?', 
-    name: 'Unknown' 
+
+  if (pcs.length === 1) {
+    const single = {
+      root: pcs[0], type: 'Unknown', label: NOTES[pcs[0]], name: 'Single Note',
+      bass: bassPc, inversion: 0, score: 1, isExact: true, matched: 1, missing: [], extra: []
+    };
+    return { ...single, candidates: [single] };
+  }
+
+  // A reading must account for at least two sounding notes (rules out e.g. C5(no5))
+  const readings = pcs.flatMap(root => CHORD_DEFINITIONS.map(def => scoreCandidate(pcs, root, def, bassPc)))
+    .filter(c => c.matched >= 2);
+
+  // Stable sort keeps the lowest root and earliest definition first on ties
+  const ranked = [...readings, ...findPolychords(pcs, bassPc)]
+    .sort((a, b) => b.score - a.score);
+
+  // Keep the best reading plus any other plausible (positively scored) ones
+  const seen = new Set();
+  const candidates = ranked.filter((c, i) => {
+    if (seen.has(c.label) || (i > 0 && c.score <= 0)) return false;
+    seen.add(c.label);
+    return true;
+  }).slice(0, limit);
+
+  return { ...candidates[0], candidates };
+};
+
+// ============================================================================
+// CHORD SYMBOLS
+// ============================================================================
+
+/**
+ * Pitch class of each natural note letter
+ * @constant {Object<string, number>}
+ */
+const LETTER_PITCH_CLASSES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+/**
+ * Unicode symbols accepted in chord symbols and their ASCII equivalents
+ * Each replacement is a single character, so error positions still line up
+ * @constant {Object<string, string>}
+ */
+const UNICODE_SYMBOLS = { '♭': 'b', '♯': '#', '−': '-', '△': 'Δ', 'Ø': 'ø' };
+
+/**
+ * Quality and modifier words by meaning
+ * Case matters: M is major, m is minor
+ * @constant {Object<string, string[]>}
+ */
+const SYMBOL_WORDS = {
+  minor: ['min', 'mi', 'm', '-'],
+  major: ['maj', 'Maj', 'MAJ', 'ma', 'M', 'Δ'],
+  dim: ['dim', 'o', '°'],
+  halfDim: ['ø'],
+  aug: ['aug', '+'],
+  sus: ['sus'],
+  add: ['add'],
+  omit: ['omit', 'no'],
+  alt: ['alt'],
+};
+
+/**
+ * Maps every symbol word to its meaning
+ * @constant {Object<string, string>}
+ */
+const WORD_KINDS = Object.fromEntries(
+  Object.entries(SYMBOL_WORDS).flatMap(([kind, words]) => words.map(word => [word, kind]))
+);
+
+/**
+ * Alphabetic symbol words, longest first, for splitting runs such as "madd"
+ * @constant {string[]}
+ */
+const LETTER_WORDS = Object.keys(WORD_KINDS)
+  .filter(word => /^[a-zA-Z]+$/.test(word))
+  .sort((a, b) => b.length - a.length);
+
+/**
+ * Semitones above the root of each degree that can be added, altered or extended
+ * @constant {Object<number, number>}
+ */
+const DEGREE_INTERVALS = { 2: 2, 4: 5, 5: 7, 6: 9, 9: 14, 11: 17, 13: 21 };
+
+/**
+ * Creates a parse error with the offending position
+ * @param {string} message - Human readable message
+ * @param {number} position - Zero-based index into the input
+ * @param {number} [length=1] - Number of characters to highlight
+ * @returns {{message: string, position: number, length: number}} Error object
+ */
+const parseError = (message, position, length = 1) => ({ message, position, length });
+
+/**
+ * Parses a note name into a pitch class
+ * @param {string} name - Letter (case-insensitive) followed by any number of '#' or 'b'
+ * @returns {number} Pitch class (0-11), or -1 if not a note name
+ * @example
+ * parseNoteName('Bb') // returns 10
+ * parseNoteName('e#') // returns 5
+ */
+export const parseNoteName = (name) => {
+  const match = /^([A-Ga-g])([#b]*)$/.exec(name.split('').map(c => UNICODE_SYMBOLS[c] ?? c).join(''));
+  if (!match) return -1;
+  const sharps = match[2].split('#').length - 1;
+  const flats = match[2].length - sharps;
+  return mod(LETTER_PITCH_CLASSES[match[1].toUpperCase()] + sharps - flats);
+};
+
+/**
+ * Splits a run of letters into symbol words, e.g. "madd" into "m" + "add"
+ * @param {string} run - Letters to split
+ * @returns {string[]|null} Words, or null if the run cannot be split
+ */
+const splitWords = (run) => {
+  if (run === '') return [];
+  for (const word of LETTER_WORDS) {
+    if (!run.startsWith(word)) continue;
+    const rest = splitWords(run.slice(word.length));
+    if (rest) return [word, ...rest];
+  }
+  return null;
+};
+
+/**
+ * Splits a chord symbol into tokens
+ * Token types: 'note', 'word' (value is its meaning from SYMBOL_WORDS),
+ * 'number', 'alteration' ({accidental: ±1, degree}), '(', ')', ',' and '/'
+ * @param {string} text - Chord symbol with unicode symbols already replaced
+ * @returns {Array<{type: string, value: *, text: string, position: number, length: number}>} Tokens
+ * @throws {{message: string, position: number, length: number}} Parse error
+ */
+const tokenizeChordSymbol = (text) => {
+  const tokens = [];
+  let pos = 0;
+
+  const push = (type, value, start) => {
+    tokens.push({ type, value, text: text.slice(start, pos), position: start, length: pos - start });
   };
+
+  const readNote = () => {
+    const start = pos++;
+    while (pos - start < 3 && (text[pos] === '#' || text[pos] === 'b')) pos++;
+    push('note', text.slice(start, pos), start);
+  };
+
+  const isDigit = (char) => char !== undefined && /[0-9]/.test(char);
+
+  if (!/[A-Ga-g]/.test(text[0])) throw parseError('Expected a root note (A-G)', 0);
+  readNote();
+
+  while (pos < text.length) {
+    const char = text[pos];
+    const start = pos;
+
+    if ('(),'.includes(char)) {
+      pos++;
+      push(char, char, start);
+    } else if (char === '/') {
+      // "6/9" is an extension, not a slash chord
+      const last = tokens[tokens.length - 1];
+      if (last.type === 'number' && last.value === 6 && text[pos + 1] === '9' && !isDigit(text[pos + 2])) {
+        pos += 2;
+        tokens[tokens.length - 1] = { ...last, value: 69, text: '6/9', length: pos - last.position };
+        continue;
+      }
+      pos++;
+      push('/', '/', start);
+      if (/[A-Ga-g]/.test(text[pos] ?? '')) readNote();
+      else if (/[a-zA-Z]/.test(text[pos] ?? '')) throw parseError(`Unknown bass note '${text[pos]}'`, pos);
+    } else if (isDigit(char)) {
+      while (isDigit(text[pos])) pos++;
+      push('number', parseInt(text.slice(start, pos), 10), start);
+    } else if ('#b+-'.includes(char) && isDigit(text[pos + 1]) && !('+-'.includes(char) && tokens.length === 1)) {
+      // + and - directly after the root are qualities (C+7, C-7), elsewhere alterations (C7-9)
+      pos++;
+      while (isDigit(text[pos])) pos++;
+      const accidental = char === '#' || char === '+' ? 1 : -1;
+      push('alteration', { accidental, degree: parseInt(text.slice(start + 1, pos), 10) }, start);
+    } else if (/[a-zA-Z]/.test(char)) {
+      // A 'b' followed by a digit starts an alteration (Cmb5, Caddb9)
+      while (pos < text.length && /[a-zA-Z]/.test(text[pos]) && !(pos > start && text[pos] === 'b' && isDigit(text[pos + 1]))) pos++;
+      const run = text.slice(start, pos);
+      const words = splitWords(run);
+      if (!words) throw parseError(`Unknown quality '${run}'`, start, run.length);
+
+      let offset = start;
+      words.forEach(word => {
+        tokens.push({ type: 'word', value: WORD_KINDS[word], text: word, position: offset, length: word.length });
+        offset += word.length;
+      });
+    } else if (WORD_KINDS[char]) {
+      pos++;
+      push('word', WORD_KINDS[char], start);
+    } else if (/\s/.test(char)) {
+      throw parseError('Unexpected space inside chord symbol', pos);
+    } else {
+      throw parseError(`Unexpected character '${char}'`, pos);
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Parses a chord symbol into its root, intervals, bass and notes
+ *
+ * Grammar (over the tokens of tokenizeChordSymbol):
+ *   symbol    := note quality? extension? modifier* ('/' note)?
+ *   quality   := minor major? | major | dim | halfDim | aug major?
+ *   extension := 5 | 6 | 6/9 | 7 | 9 | 11 | 13
+ *   modifier  := alteration | 'add' degree | ('omit' | 'no') (3 | 5)
+ *              | 'sus' (2 | 4)? | 'alt' | major extension
+ *              | '(' (modifier | degree) (','? (modifier | degree))* ')'
+ *
+ * Alterations are b5, #5, b9, #9, #11 and b13 ('+' and '-' also work after
+ * the quality). Unicode ♭, ♯, Δ, ° and ø are accepted, as are jazz aliases
+ * such as "-7", "Δ", "ø", "mi7" and "+".
+ *
+ * @param {string} input - Chord symbol (e.g., 'G7b9', 'C/E', 'Dm(add9)', 'Bb13sus')
+ * @returns {{chord: {symbol: string, root: number, bass: number|null, intervals: number[], notes: number[]}|null, error: {message: string, position: number, length: number}|null}}
+ *   Parsed chord (notes are bass first) on success, or an error describing what went wrong and where
+ * @example
+ * parseChordSymbol('G7b9').chord.intervals // returns [0, 4, 7, 10, 13]
+ * parseChordSymbol('C/E').chord.notes // returns [4, 0, 7]
+ * parseChordSymbol('Cxyz').error // returns { message: "Unknown quality 'xyz'", position: 1, length: 3 }
+ */
+export const parseChordSymbol = (input) => {
+  const offset = input.length - input.trimStart().length;
+  const symbol = input.trim();
+  if (!symbol) return { chord: null, error: parseError('Chord symbol is empty', 0, input.length) };
+
+  const text = symbol.split('').map(c => UNICODE_SYMBOLS[c] ?? c).join('');
+
+  try {
+    const tokens = tokenizeChordSymbol(text);
+    let i = 0;
+
+    const peek = () => tokens[i];
+    const isWord = (token, kind) => token?.type === 'word' && token.value === kind;
+    const fail = (message, token) => {
+      throw token ? parseError(message, token.position, token.length) : parseError(message, text.length);
+    };
+    const describe = (token) => (token ? `'${token.text}'` : 'end of symbol');
+
+    const root = parseNoteName(tokens[i++].text);
+    let third = 4;
+    let fifth = 7;
+    let hasSeventh = false;
+    let seventhKind = 'minor';
+    const tones = new Set();
+
+    const applyExtension = (token) => {
+      switch (token.value) {
+        case 5: third = null; break;
+        case 6: tones.add(9); break;
+        case 69: tones.add(9).add(14); break;
+        case 7: hasSeventh = true; break;
+        case 9: hasSeventh = true; tones.add(14); break;
+        case 11: hasSeventh = true; tones.add(14).add(17); break;
+        case 13: hasSeventh = true; tones.add(14).add(21); break;
+        default: fail(`Unsupported extension '${token.text}'`, token);
+      }
+    };
+
+    const applyAlteration = (token) => {
+      const { accidental, degree } = token.value;
+      if (degree === 5) {
+        fifth = 7 + accidental;
+      } else if (degree === 9) {
+        tones.delete(14);
+        tones.add(14 + accidental);
+      } else if (degree === 11 && accidental === 1) {
+        tones.delete(17);
+        tones.add(18);
+      } else if (degree === 13 && accidental === -1) {
+        tones.delete(21);
+        tones.add(20);
+      } else {
+        fail(`Unsupported alteration '${token.text}'`, token);
+      }
+    };
+
+    const addDegree = (token) => {
+      const degree = token.type === 'alteration' ? token.value.degree : token.value;
+      const accidental = token.type === 'alteration' ? token.value.accidental : 0;
+      if (DEGREE_INTERVALS[degree] === undefined || degree === 5) fail(`Cannot add '${token.text}'`, token);
+      tones.add(DEGREE_INTERVALS[degree] + accidental);
+    };
+
+    // A major marker may be followed by an extension; Δ alone means maj7
+    const readMajor = () => {
+      const marker = tokens[i++];
+      seventhKind = 'major';
+      if (peek()?.type === 'number') return;
+      if (marker.text === 'Δ') hasSeventh = true;
+    };
+
+    // Quality
+    const quality = peek();
+    if (isWord(quality, 'minor')) {
+      i++;
+      third = 3;
+      if (isWord(peek(), 'major')) readMajor();
+    } else if (isWord(quality, 'major')) {
+      readMajor();
+    } else if (isWord(quality, 'dim')) {
+      i++;
+      third = 3;
+      fifth = 6;
+      seventhKind = 'dim';
+    } else if (isWord(quality, 'halfDim')) {
+      i++;
+      third = 3;
+      fifth = 6;
+      if (peek()?.type !== 'number') hasSeventh = true;
+    } else if (isWord(quality, 'aug')) {
+      i++;
+      fifth = 8;
+      if (isWord(peek(), 'major')) readMajor();
+    }
+
+    // Extension
+    if (peek()?.type === 'number') applyExtension(tokens[i++]);
+
+    const parseModifier = (inParens) => {
+      const token = tokens[i++];
+      if (token.type === 'alteration') return applyAlteration(token);
+      if (token.type === 'number' && inParens) return addDegree(token);
+
+      if (isWord(token, 'add')) {
+        const degree = tokens[i++];
+        if (degree?.type !== 'number' && degree?.type !== 'alteration') {
+          fail(`Expected a degree after '${token.text}'`, degree ?? token);
+        }
+        return addDegree(degree);
+      }
+      if (isWord(token, 'omit')) {
+        const degree = tokens[i++];
+        if (degree?.type !== 'number') fail(`Expected 3 or 5 after '${token.text}'`, degree ?? token);
+        if (degree.value === 3) third = null;
+        else if (degree.value === 5) fifth = null;
+        else fail(`Cannot omit '${degree.text}'`, degree);
+        return undefined;
+      }
+      if (isWord(token, 'sus')) {
+        const degree = peek();
+        third = 5;
+        if (degree?.type === 'number' && (degree.value === 2 || degree.value === 4)) {
+          i++;
+          if (degree.value === 2) third = 2;
+        }
+        return undefined;
+      }
+      if (isWord(token, 'alt')) {
+        hasSeventh = true;
+        fifth = null;
+        [13, 15, 20].forEach(t => tones.add(t));
+        return undefined;
+      }
+      if (isWord(token, 'major')) {
+        const extension = tokens[i++];
+        if (extension?.type !== 'number' || extension.value < 7) {
+          fail(`Expected 7, 9, 11 or 13 after '${token.text}'`, extension ?? token);
+        }
+        seventhKind = 'major';
+        return applyExtension(extension);
+      }
+      if (token.type === '(' && !inParens) {
+        if (peek()?.type === ')') fail('Empty parentheses', peek());
+        while (peek() && peek().type !== ')') {
+          if (peek().type === ',') i++;
+          else parseModifier(true);
+        }
+        if (!peek()) fail("Unclosed '('", token);
+        i++; // consume ')'
+        return undefined;
+      }
+      return fail(`Unexpected ${describe(token)}`, token);
+    };
+
+    while (peek() && peek().type !== '/') parseModifier(false);
+
+    // Slash bass
+    let bass = null;
+    if (peek()?.type === '/') {
+      const slash = tokens[i++];
+      const note = tokens[i++];
+      if (note?.type !== 'note') fail("Expected a bass note after '/'", note ?? slash);
+      bass = parseNoteName(note.text);
+      if (peek()) fail(`Unexpected ${describe(peek())}`, peek());
+    }
+
+    const seventh = { major: 11, dim: 9, minor: 10 }[seventhKind];
+    const intervals = [...new Set([0, third, fifth, hasSeventh ? seventh : null, ...tones])]
+      .filter(interval => interval !== null)
+      .sort((a, b) => a - b);
+
+    const chordNotes = [...new Set(intervals.map(interval => mod(root + interval)))];
+    const notes = bass === null ? chordNotes : [bass, ...chordNotes.filter(n => n !== bass)];
+
+    return { chord: { symbol, root, bass, intervals, notes }, error: null };
+  } catch (error) {
+    if (error instanceof Error) throw error;
+    return { chord: null, error: { ...error, position: error.position + offset } };
+  }
 };
 
 /**
  * Parses a chord string notation into an array of note values
- * Supports various formats: C, Cm, Cmaj7, C#m7, Dbdim, etc.
- * @param {string} str - Chord string (e.g., 'Cmaj7', 'F#m', 'Bbdim7')
- * @returns {number[]|null} Array of note values or null if parsing fails
+ * Thin wrapper around parseChordSymbol for callers that only need notes
+ * @param {string} str - Chord string (e.g., 'Cmaj7', 'F#m', 'Bbdim7', 'C/E')
+ * @returns {number[]|null} Array of note values, bass first, or null if parsing fails
  * @example
  * parseChordString('Cmaj7') // returns [0, 4, 7, 11]
  * parseChordString('Am') // returns [9, 0, 4] (normalized to [0, 4, 9])
+ * parseChordString('C/E') // returns [4, 0, 7]
+ * parseChordString('Cxyz') // returns null
  */
-export const parseChordString = (str) => {
-  const regex = /^([A-G][#b]?)(.*)$/i;
-  const match = str.trim().match(regex);
-  
-  if (!match) return null;
-  
-  // Parse root note
-  const rootName = match[1].charAt(0).toUpperCase() + (match[1].slice(1) || '');
-  let root = NOTES.indexOf(rootName);
-  
-  // Check enharmonic equivalents if not found
-  if (root === -1) {
-    root = ENHARMONICS[rootName] !== undefined ? ENHARMONICS[rootName] : -1;
+export const parseChordString = (str) => parseChordSymbol(str).chord?.notes ?? null;
+
+/**
+ * Splits a progression into symbols
+ * Symbols are separated by whitespace or commas; commas inside parentheses
+ * belong to the symbol, as in "C7(b9,#11)". A bar line "|" is a symbol of
+ * its own even when nothing separates it from a chord.
+ * @param {string} input - Progression text
+ * @returns {Array<{text: string, position: number}>} Symbols with their index in the input
+ * @example
+ * splitProgression('Dm7, G7(b9,#11) C') // returns [{text: 'Dm7', position: 0}, {text: 'G7(b9,#11)', position: 5}, {text: 'C', position: 16}]
+ * splitProgression('|C .|') // returns [{text: '|', position: 0}, {text: 'C', position: 1}, {text: '.', position: 3}, {text: '|', position: 4}]
+ */
+export const splitProgression = (input) => {
+  const symbols = [];
+  let depth = 0;
+  let start = -1;
+
+  for (let pos = 0; pos <= input.length; pos++) {
+    const char = input[pos];
+    const isBarLine = char === '|' && depth === 0;
+    const isSeparator = char === undefined || isBarLine || /\s/.test(char) || (char === ',' && depth === 0);
+
+    if (isSeparator) {
+      if (start !== -1) symbols.push({ text: input.slice(start, pos), position: start });
+      if (isBarLine) symbols.push({ text: char, position: pos });
+      start = -1;
+      continue;
+    }
+
+    if (start === -1) start = pos;
+    if (char === '(') depth++;
+    else if (char === ')') depth = Math.max(0, depth - 1);
   }
-  
-  if (root === -1) return null;
-  
-  // Parse quality/type
-  const quality = (match[2] || '').toLowerCase();
-  
-  // Find matching chord definition (sort by suffix length to match longest first)
-  const def = [...CHORD_DEFINITIONS]
-    .sort((a, b) => b.suffix.length - a.suffix.length)
-    .find(d => {
-      // Handle common aliases
-      if (d.suffix === '' && (quality === '' || quality === 'maj' || quality === 'M')) return true;
-      if (d.suffix === 'm' && (quality === 'min' || quality === '-')) return true;
-      if (d.suffix === 'aug' && quality === '+') return true;
-      if (d.suffix === 'dim' && quality === 'o') return true;
-      return d.suffix.toLowerCase() === quality;
-    });
-  
-  // Default to major triad if no match
-  const intervals = def ? def.intervals : [0, 4, 7];
-  
-  return intervals.map(i => mod(root + i));
+
+  return symbols;
+};
+
+/**
+ * Whether a symbol holds the chord before it: one beat per "." or "-"
+ * @param {string} text - Symbol text
+ * @returns {boolean}
+ */
+const isHoldMark = (text) => /^[.-]+$/.test(text);
+
+/**
+ * Lays the symbols of a progression out in beats
+ * Each "." or "-" holds the chord before it for another beat, across bar
+ * lines too. Without bar lines every chord and hold is one beat. Between bar
+ * lines they share the bar evenly, so a bar must hold a number of them that
+ * divides its beats: in 4/4, "| Dm7 G7 | C |" gives two, two and four beats,
+ * as does "| Dm7 . G7 . | C - - - |".
+ * @param {Array<{text: string, position: number}>} symbols - Result of splitProgression
+ * @param {number} beatsPerBar - Beats in a bar
+ * @returns {{chords: Array<{text: string, position: number, start: number, beats: number}>|null, error: {message: string, position: number, length: number}|null}}
+ *   Chord symbols with the beat each starts on and how long it lasts, or an error and where it is
+ * @example
+ * getProgressionRhythm(splitProgression('| Dm7 G7 | C |'), 4).chords.map(chord => chord.beats) // returns [2, 2, 4]
+ * getProgressionRhythm(splitProgression('Dm7 . G7'), 4).chords.map(chord => chord.beats) // returns [2, 1]
+ * getProgressionRhythm(splitProgression('| C F G |'), 4).error.message // returns 'Bar 1 has 3 chords and holds, which do not divide its 4 beats'
+ */
+export const getProgressionRhythm = (symbols, beatsPerBar) => {
+  const hasBarLines = symbols.some(symbol => symbol.text === '|');
+
+  // Bars of the symbols between bar lines; without any, one unmeasured run
+  const bars = [[]];
+  symbols.forEach((symbol) => {
+    if (symbol.text !== '|') bars[bars.length - 1].push(symbol);
+    else if (bars[bars.length - 1].length > 0) bars.push([]);
+  });
+
+  const chords = [];
+  let beat = 0;
+
+  for (let b = 0; b < bars.length; b++) {
+    const bar = bars[b];
+    const slots = bar.reduce((sum, { text }) => sum + (isHoldMark(text) ? text.length : 1), 0);
+    if (slots === 0) continue;
+
+    if (hasBarLines && beatsPerBar % slots !== 0) {
+      const last = bar[bar.length - 1];
+      return {
+        chords: null,
+        error: {
+          message: `Bar ${b + 1} has ${slots} chords and holds, which do not divide its ${beatsPerBar} beats`,
+          position: bar[0].position,
+          length: last.position + last.text.length - bar[0].position
+        }
+      };
+    }
+    const slotBeats = hasBarLines ? beatsPerBar / slots : 1;
+
+    for (const { text, position } of bar) {
+      if (!isHoldMark(text)) {
+        chords.push({ text, position, start: beat, beats: slotBeats });
+        beat += slotBeats;
+      } else if (chords.length === 0) {
+        return { chords: null, error: { message: 'Nothing to hold before the first chord', position, length: text.length } };
+      } else {
+        chords[chords.length - 1].beats += slotBeats * text.length;
+        beat += slotBeats * text.length;
+      }
+    }
+  }
+
+  return { chords, error: null };
 };
 
 /**
@@ -168,6 +787,90 @@ export const buildChord = (root, intervals) => {
 // NEGATIVE HARMONY
 // ============================================================================
 
+/**
+ * Applies the inversion I_n to a note
+ * I_n maps each note to n minus the note, reflecting the chromatic circle
+ * across the axis through n/2 and n/2 + 6.
+ * @param {number} note - The note to invert
+ * @param {number} index - Inversion index n (sum of a note and its reflection)
+ * @returns {number} The reflected note (0-11)
+ * @example
+ * invertNote(0, 7) // C becomes G
+ * invertNote(2, 4) // D is a fixed point of I_4
+ */
+export const invertNote = (note, index) => mod(index - note);
+
+/**
+ * Applies the inversion I_n to every note of a chord
+ * @param {number[]} chordNotes - Array of notes in the chord
+ * @param {number} index - Inversion index n
+ * @returns {number[]} Array of reflected notes, in the same order
+ */
+export const invertChord = (chordNotes, index) => chordNotes.map(n => invertNote(n, index));
+
+/**
+ * Gets the inversion index of a negative harmony axis
+ * @param {{mode: string, pitch?: number, pair?: number[]}} axis - Axis settings
+ * @param {number} [keyRoot=0] - The key center, used by the key-relative modes
+ * @returns {number} Inversion index n (0-11)
+ * @example
+ * getAxisIndex({ mode: 'tonic-dominant' }, 0) // 7 (C <-> G, E <-> Eb)
+ * getAxisIndex({ mode: 'chromatic', pitch: 2 }) // 4 (axis through D and Ab)
+ * getAxisIndex({ mode: 'custom', pair: [0, 3] }) // 3 (C <-> Eb)
+ */
+export const getAxisIndex = (axis, keyRoot = 0) => {
+  switch (axis.mode) {
+    case 'chromatic':
+      return mod(2 * axis.pitch);
+    case 'custom':
+      return mod(axis.pair[0] + axis.pair[1]);
+    default: {
+      const axisMode = NEGATIVE_AXIS_MODES.find(m => m.id === axis.mode) ?? NEGATIVE_AXIS_MODES[0];
+      return mod(2 * keyRoot + axisMode.keyOffset);
+    }
+  }
+};
+
+/**
+ * Gets the two points of the chromatic circle the axis of I_n passes through
+ * For odd n these fall halfway between two pitch classes.
+ * @param {number} index - Inversion index n
+ * @returns {number[]} Circle positions in semitones (e.g. [3.5, 9.5] for I_7)
+ */
+export const getAxisPoints = (index) => {
+  const half = mod(index) / 2;
+  return [half, half + 6];
+};
+
+/**
+ * Reflects a pitch in register across the axis of I_n
+ * The axis point nearest the centre is used, so a note above the axis comes
+ * out the same distance below it.
+ * @param {number} pitch - Pitch in semitones (any register)
+ * @param {number} index - Inversion index n
+ * @param {number} [center=6] - Pitch the axis point is chosen nearest to
+ * @returns {number} Reflected pitch, congruent to invertNote(pitch, index)
+ * @example
+ * reflectPitch(0, 7) // 7: C4 mirrors to G4 across Eb|E
+ * reflectPitch(11, 7) // -4: B4 mirrors to Ab3
+ */
+export const reflectPitch = (pitch, index, center = 6) => {
+  const half = mod(index) / 2;
+  const axisPoint = half + 6 * Math.round((center - half) / 6);
+  return 2 * axisPoint - pitch;
+};
+
+/**
+ * Describes the axis of I_n by the pitch classes it passes through or between
+ * @param {number} index - Inversion index n
+ * @returns {string} e.g. 'D / Ab' for I_4, 'Eb|E / A|Bb' for I_7
+ */
+export const describeAxis = (index) => getAxisPoints(index)
+  .map(point => (Number.isInteger(point)
+    ? getNoteLabel(point)
+    : `${getNoteLabel(Math.floor(point))}|${getNoteLabel(Math.ceil(point))}`))
+  .join(' / ');
+
 /**
  * Calculates the negative harmony equivalent of a single note
  * Reflects the note across the axis between the tonic and dominant
@@ -179,12 +882,8 @@ export const buildChord = (root, intervals) => {
  * getNegativeNote(0, 0) // C becomes G (7)
  * getNegativeNote(4, 0) // E becomes Eb (3)
  */
-export const getNegativeNote = (note, keyRoot = 0) => {
-  // Axis is between tonic and dominant (root and root+7)
-  // The sum of a note and its reflection equals the axis sum
-  const axisSum = keyRoot + mod(keyRoot + 7);
-  return mod(axisSum - note);
-};
+export const getNegativeNote = (note, keyRoot = 0) =>
+  invertNote(note, getAxisIndex({ mode: 'tonic-dominant' }, keyRoot));
 
 /**
  * Transforms an entire chord using negative harmony
@@ -194,9 +893,8 @@ export const getNegativeNote = (note, keyRoot = 0) => {
  * @example
  * getNegativeChord([0, 4, 7], 0) // C major becomes F minor [5, 8, 0]
  */
-export const getNegativeChord = (chordNotes, keyRoot = 0) => {
-  return chordNotes.map(n => getNegativeNote(n, keyRoot));
-};
+export const getNegativeChord = (chordNotes, keyRoot = 0) =>
+  invertChord(chordNotes, getAxisIndex({ mode: 'tonic-dominant' }, keyRoot));
 
 // ============================================================================
 // NEO-RIEMANNIAN TRANSFORMATIONS (Generalized)
@@ -427,12 +1125,30 @@ export const transformR = (notes) => {
 };
 
 /**
- * Applies a transformation by type string
+ * Checks whether a transformation type is a compound operation (N, S, H)
+ * @param {string} type - Transformation type
+ * @returns {boolean} True if the type decomposes into several P/L/R steps
+ */
+export const isCompoundTransform = (type) => Object.hasOwn(COMPOUND_TRANSFORMS, type);
+
+/**
+ * Gets the P/L/R decomposition of a transformation
+ * @param {string} type - Transformation type
+ * @returns {string[]} Primitive steps, applied left to right
+ * @example
+ * getTransformSteps('H') // returns ['L', 'P', 'L']
+ * getTransformSteps('P') // returns ['P']
+ */
+export const getTransformSteps = (type) =>
+  isCompoundTransform(type) ? [...COMPOUND_TRANSFORMS[type].steps] : [type];
+
+/**
+ * Applies a single P, L or R step
  * @param {number[]} notes - Current chord notes
- * @param {'P'|'L'|'R'} type - Transformation type
+ * @param {'P'|'L'|'R'} type - Primitive transformation type
  * @returns {{notes: number[], isSelfMap: boolean}} Transformed chord notes and self-map flag
  */
-export const applyTransform = (notes, type) => {
+const applyPrimitiveTransform = (notes, type) => {
   switch (type) {
     case 'P': return transformP(notes);
     case 'L': return transformL(notes);
@@ -441,23 +1157,529 @@ export const applyTransform = (notes, type) => {
   }
 };
 
+/**
+ * Applies a P, L or R transformation to a voicing of absolute MIDI pitches
+ * The transformation is worked out on pitch classes; each voice whose pitch
+ * class changes then moves by the smallest step, the others stay fixed.
+ * @param {number[]} pitches - MIDI pitches
+ * @param {'P'|'L'|'R'} type - Transformation type
+ * @returns {{notes: number[], isSelfMap: boolean}} Transformed MIDI pitches and self-map flag
+ */
+const applyVoicedPrimitiveTransform = (pitches, type) => {
+  const pitchClasses = pitches.map(p => mod(p));
+  const result = applyPrimitiveTransform(pitchClasses, type);
+
+  return {
+    ...result,
+    notes: pitches.map((pitch, i) => pitch + getNearestStep(pitchClasses[i], result.notes[i]))
+  };
+};
+
+/**
+ * Applies a transformation by type string
+ *
+ * Compound operations are evaluated step by step, and the intermediate
+ * chords are returned in `steps` so callers can expand the operation
+ * back into its P/L/R decomposition.
+ *
+ * With `voiced`, notes are absolute MIDI pitches (see voiceChord) and every
+ * step is voice-led: one voice moves by the minimal step, the rest hold.
+ *
+ * @param {number[]} notes - Current chord notes (MIDI pitches when voiced)
+ * @param {'P'|'L'|'R'|'N'|'S'|'H'} type - Transformation type
+ * @param {Object} [options] - Transformation options
+ * @param {boolean} [options.voiced=false] - Treat notes as a voicing of MIDI pitches
+ * @returns {{notes: number[], isSelfMap: boolean, steps: Array<{op: string, from: number[], to: number[], isSelfMap: boolean}>}}
+ *   Transformed chord notes, self-map flag and the primitive steps taken
+ * @example
+ * applyTransform([0, 4, 7], 'H').notes // returns [11, 3, 8] (Ab minor)
+ * applyTransform([60, 64, 67], 'L', { voiced: true }).notes // returns [59, 64, 67]
+ */
+export const applyTransform = (notes, type, { voiced = false } = {}) => {
+  const applyPrimitive = voiced ? applyVoicedPrimitiveTransform : applyPrimitiveTransform;
+
+  if (!isCompoundTransform(type)) {
+    const result = applyPrimitive(notes, type);
+    return {
+      ...result,
+      steps: [{ op: type, from: notes, to: result.notes, isSelfMap: result.isSelfMap }]
+    };
+  }
+
+  const steps = [];
+  let current = notes;
+
+  getTransformSteps(type).forEach(op => {
+    const result = applyPrimitive(current, op);
+    steps.push({ op, from: current, to: result.notes, isSelfMap: result.isSelfMap });
+    current = result.notes;
+  });
+
+  return { notes: current, isSelfMap: arraysEqual(current, notes), steps };
+};
+
+// ============================================================================
+// TRANSFORMATION WORDS
+// ============================================================================
+
+/**
+ * Upper bound on the number of operations a word may expand to
+ * Protects the UI from words such as "(PLR)^999999"
+ * @constant {number}
+ */
+export const MAX_WORD_LENGTH = 10000;
+
+/**
+ * Inverts a flat list of operations
+ * P, L and R are involutions, so inverting a word reverses it and replaces
+ * each compound operation with its reversed P/L/R decomposition
+ * @param {string[]} ops - Operations to invert
+ * @returns {string[]} Inverse operations
+ * @example
+ * invertOps(['P', 'L']) // returns ['L', 'P']
+ * invertOps(['N']) // returns ['P', 'L', 'R']
+ */
+export const invertOps = (ops) =>
+  [...ops].reverse().flatMap(op => isCompoundTransform(op) ? getTransformSteps(op).reverse() : [op]);
+
+/**
+ * Parses a transformation word into a flat list of operations
+ *
+ * Grammar (whitespace is ignored, operations are case-insensitive):
+ *   sequence := (term | '*' integer)*
+ *   term     := atom ('^' '-'? integer | "'")*
+ *   atom     := 'P' | 'L' | 'R' | 'N' | 'S' | 'H' | '(' sequence ')'
+ *
+ * `^n` repeats the preceding atom, `'` or `^-1` inverts it, and `*n`
+ * repeats everything to its left within the current group, so "RL*4"
+ * is the same as "(RL)^4".
+ *
+ * @param {string} input - Transformation word
+ * @returns {{ops: string[]|null, error: {message: string, position: number, length: number}|null}}
+ *   Flat operations on success, or an error describing what went wrong and where
+ * @example
+ * parseTransformWord('(LP)^3').ops // returns ['L', 'P', 'L', 'P', 'L', 'P']
+ * parseTransformWord('RL*2').ops // returns ['R', 'L', 'R', 'L']
+ * parseTransformWord('PX').error // returns { message: "Unexpected character 'X'", position: 1, length: 1 }
+ */
+export const parseTransformWord = (input) => {
+  const validOps = [...PRIMITIVE_TRANSFORMS, ...Object.keys(COMPOUND_TRANSFORMS)];
+  let pos = 0;
+
+  const skipWhitespace = () => {
+    while (pos < input.length && /\s/.test(input[pos])) pos++;
+  };
+
+  const readInteger = (operator, operatorPos) => {
+    skipWhitespace();
+    const start = pos;
+    while (pos < input.length && /[0-9]/.test(input[pos])) pos++;
+    if (start === pos) {
+      throw parseError(`Expected a number after '${operator}'`, pos < input.length ? pos : operatorPos);
+    }
+    return { value: parseInt(input.slice(start, pos), 10), start };
+  };
+
+  const repeat = (ops, count, start) => {
+    if (ops.length * count > MAX_WORD_LENGTH) {
+      throw parseError(`Word expands to more than ${MAX_WORD_LENGTH} operations`, start, pos - start);
+    }
+    return Array.from({ length: count }, () => ops).flat();
+  };
+
+  const parseSequence = (depth) => {
+    let ops = [];
+
+    for (;;) {
+      skipWhitespace();
+      if (pos >= input.length) return ops;
+
+      const char = input[pos];
+
+      if (char === ')') {
+        if (depth === 0) throw parseError("Unmatched ')'", pos);
+        return ops;
+      }
+
+      if (char === '*') {
+        const starPos = pos++;
+        if (ops.length === 0) throw parseError("Nothing to repeat before '*'", starPos);
+        const { value } = readInteger('*', starPos);
+        ops = repeat(ops, value, starPos);
+        continue;
+      }
+
+      ops = ops.concat(parseTerm(depth));
+      if (ops.length > MAX_WORD_LENGTH) {
+        throw parseError(`Word expands to more than ${MAX_WORD_LENGTH} operations`, 0, pos);
+      }
+    }
+  };
+
+  const parseTerm = (depth) => {
+    const start = pos;
+    const char = input[pos];
+    let ops;
+
+    if (char === '(') {
+      pos++;
+      ops = parseSequence(depth + 1);
+      if (pos >= input.length) throw parseError("Unclosed '('", start);
+      if (ops.length === 0) throw parseError('Empty group', start, pos - start + 1);
+      pos++; // consume ')'
+    } else if (validOps.includes(char.toUpperCase())) {
+      ops = [char.toUpperCase()];
+      pos++;
+    } else if (char === '^' || char === "'") {
+      throw parseError(`Nothing to apply '${char}' to`, pos);
+    } else {
+      throw parseError(`Unexpected character '${char}'`, pos);
+    }
+
+    // Postfix exponents and inverses
+    for (;;) {
+      skipWhitespace();
+      if (input[pos] === "'") {
+        pos++;
+        ops = invertOps(ops);
+      } else if (input[pos] === '^') {
+        const caretPos = pos++;
+        skipWhitespace();
+        const isInverse = input[pos] === '-';
+        if (isInverse) pos++;
+        const { value } = readInteger('^', caretPos);
+        ops = repeat(isInverse ? invertOps(ops) : ops, value, start);
+      } else {
+        return ops;
+      }
+    }
+  };
+
+  try {
+    const ops = parseSequence(0);
+    if (ops.length === 0) {
+      const message = input.trim() ? 'Word reduces to no operations' : 'Word is empty';
+      return { ops: null, error: parseError(message, 0, input.length) };
+    }
+    return { ops, error: null };
+  } catch (error) {
+    if (error instanceof Error) throw error;
+    return { ops: null, error };
+  }
+};
+
+/**
+ * Evaluates a transformation word against a chord
+ * @param {number[]} notes - Starting chord notes
+ * @param {string} input - Transformation word (see parseTransformWord)
+ * @returns {{notes: number[]|null, steps: Array<{op: string, notes: number[], isSelfMap: boolean}>, error: Object|null}}
+ *   Final chord, every intermediate chord, and any parse error
+ * @example
+ * evaluateTransformWord([0, 4, 7], '(PL)^3').notes // returns C major again
+ */
+export const evaluateTransformWord = (notes, input) => {
+  const { ops, error } = parseTransformWord(input);
+  if (error) return { notes: null, steps: [], error };
+
+  let current = notes;
+  const steps = ops.map(op => {
+    const result = applyTransform(current, op);
+    current = result.notes;
+    return { op, notes: result.notes, isSelfMap: result.isSelfMap };
+  });
+
+  return { notes: current, steps, error: null };
+};
+
+// ============================================================================
+// PATH FINDING
+// ============================================================================
+
+/**
+ * Builds a lookup key for a chord that ignores voicing and note order
+ * @param {number[]} notes - Chord notes
+ * @returns {string} Key such as "0,4,7"
+ */
+export const chordKey = (notes) => normalize(notes).join(',');
+
+/**
+ * Lists the 24 consonant (major and minor) triads
+ * @returns {Array<{notes: number[], label: string, type: string}>} Majors on C..B, then minors on C..B
+ */
+export const getConsonantTriads = () => ['Major', 'Minor'].flatMap(type =>
+  NOTES.map((_, root) => {
+    const notes = buildChord(root, type === 'Major' ? [0, 4, 7] : [0, 3, 7]);
+    return { notes: normalize(notes), label: identifyChord(notes).label, type };
+  })
+);
+
+/**
+ * Checks whether a chord is a major or minor triad
+ * @param {number[]} notes - Chord notes
+ * @returns {boolean} True for the 24 consonant triads
+ */
+export const isConsonantTriad = (notes) => {
+  if (new Set(notes.map(n => mod(n))).size !== 3) return false;
+  const { type } = identifyChord(notes);
+  return type === 'Major' || type === 'Minor';
+};
+
+/**
+ * Finds every shortest transformation path between two consonant triads
+ *
+ * Runs a breadth-first search over the 24 major and minor triads using
+ * transformP, transformL and transformR (plus N, S and H when requested),
+ * recording every predecessor at the shortest distance so all alternative
+ * routes can be enumerated.
+ *
+ * @param {number[]} source - Starting triad
+ * @param {number[]} target - Target triad
+ * @param {Object} [options] - Search options
+ * @param {boolean} [options.includeCompound=false] - Also allow N, S and H as single steps
+ * @param {number} [options.maxPaths=24] - Maximum number of alternative paths to return
+ * @returns {{distance: number, paths: string[][]}|null} Shortest distance and paths as operation lists,
+ *   or null if either chord is not a consonant triad
+ * @example
+ * findShortestPaths([0, 4, 7], [1, 6, 9]).distance // returns 3 (C to F#m)
+ * findShortestPaths([0, 4, 7], [0, 4, 7]) // returns { distance: 0, paths: [[]] }
+ */
+export const findShortestPaths = (source, target, { includeCompound = false, maxPaths = 24 } = {}) => {
+  if (!isConsonantTriad(source) || !isConsonantTriad(target)) return null;
+
+  const ops = includeCompound
+    ? [...PRIMITIVE_TRANSFORMS, ...Object.keys(COMPOUND_TRANSFORMS)]
+    : PRIMITIVE_TRANSFORMS;
+  const sourceKey = chordKey(source);
+  const targetKey = chordKey(target);
+
+  // distance and shortest-path predecessors ({ key, op }) for each visited triad
+  const distance = new Map([[sourceKey, 0]]);
+  const parents = new Map([[sourceKey, []]]);
+  let frontier = [normalize(source)];
+
+  while (frontier.length > 0 && !distance.has(targetKey)) {
+    const next = [];
+    frontier.forEach(notes => {
+      const key = chordKey(notes);
+      ops.forEach(op => {
+        const result = applyTransform(notes, op);
+        if (result.isSelfMap) return;
+        const nextKey = chordKey(result.notes);
+        if (!distance.has(nextKey)) {
+          distance.set(nextKey, distance.get(key) + 1);
+          parents.set(nextKey, []);
+          next.push(normalize(result.notes));
+        }
+        if (distance.get(nextKey) === distance.get(key) + 1) {
+          parents.get(nextKey).push({ key, op });
+        }
+      });
+    });
+    frontier = next;
+  }
+
+  if (!distance.has(targetKey)) return { distance: -1, paths: [] };
+
+  // Walk predecessors back from the target to enumerate every shortest path
+  const paths = [];
+  const walk = (key, suffix) => {
+    if (paths.length >= maxPaths) return;
+    if (key === sourceKey) {
+      paths.push(suffix);
+      return;
+    }
+    parents.get(key).forEach(parent => walk(parent.key, [parent.op, ...suffix]));
+  };
+  walk(targetKey, []);
+
+  return { distance: distance.get(targetKey), paths };
+};
+
+// ============================================================================
+// VOICINGS
+// ============================================================================
+
+/**
+ * Gets the smallest signed step from one pitch class to another
+ * @param {number} from - Starting pitch class
+ * @param {number} to - Target pitch class
+ * @returns {number} Step in semitones, from -6 to +5
+ * @example
+ * getNearestStep(0, 11) // returns -1
+ * getNearestStep(7, 9) // returns 2
+ */
+export const getNearestStep = (from, to) => mod(to - from + 6) - 6;
+
+/**
+ * Voices a chord in close position as absolute MIDI pitches
+ * The first note is placed nearest the centre pitch and each following
+ * note is stacked above the previous one, so the first note is the bass.
+ * @param {number[]} notes - Pitch classes, bass first
+ * @param {number} [center=VOICING_DEFAULTS.center] - MIDI pitch the bass is placed nearest to
+ * @returns {number[]} MIDI pitches in ascending order
+ * @example
+ * voiceChord([0, 4, 7]) // returns [60, 64, 67]
+ * voiceChord([4, 0, 7]) // returns [64, 72, 79] (C/E)
+ */
+export const voiceChord = (notes, center = VOICING_DEFAULTS.center) => {
+  const voicing = [];
+  notes.forEach((note, i) => {
+    if (i === 0) {
+      voicing.push(center + getNearestStep(mod(center), note));
+      return;
+    }
+    const prev = voicing[i - 1];
+    voicing.push(prev + (mod(note - prev) || 12));
+  });
+  return voicing;
+};
+
+// ============================================================================
+// VOICE LEADING
+// ============================================================================
+
+/**
+ * Finds the cheapest assignment of every voice of the larger chord to a note
+ * of the smaller chord, using every note of the smaller chord at least once
+ * Cost is the taxicab distance, with ties broken by the Euclidean distance.
+ * @param {number[]} large - Pitch classes of the chord with more (or equal) voices
+ * @param {number[]} small - Pitch classes of the other chord
+ * @param {function(number, number): number} getStep - Signed step for a (large, small) pair
+ * @returns {number[]} Index into small for every voice of large
+ */
+const assignVoices = (large, small, getStep) => {
+  let best = null;
+  const assignment = [];
+  const uses = new Array(small.length).fill(0);
+
+  const search = (i, taxicab, squares, covered) => {
+    if (best && (taxicab > best.taxicab || (taxicab === best.taxicab && squares >= best.squares))) return;
+    if (large.length - i < small.length - covered) return;
+    if (i === large.length) {
+      best = { taxicab, squares, assignment: [...assignment] };
+      return;
+    }
+    small.forEach((_, j) => {
+      const step = getStep(large[i], small[j]);
+      assignment.push(j);
+      uses[j]++;
+      search(i + 1, taxicab + Math.abs(step), squares + step * step, covered + (uses[j] === 1 ? 1 : 0));
+      uses[j]--;
+      assignment.pop();
+    });
+  };
+
+  search(0, 0, 0, 0);
+  return best.assignment;
+};
+
+/**
+ * Computes the optimal voice leading between two chords
+ * Voices are paired by the bijection that minimises the total motion; when the
+ * chords have different sizes, notes of the smaller chord are doubled.
+ * Each voice moves by its nearest step (at most a tritone).
+ * @param {number[]} from - Starting chord (pitch classes or MIDI pitches)
+ * @param {number[]} to - Target chord (pitch classes or MIDI pitches)
+ * @returns {{moves: Array<{from: number, to: number, step: number}>, taxicab: number, euclidean: number, smoothness: number, commonTones: number}|null}
+ *   Voice pairs and measures, or null if either chord is empty.
+ *   taxicab is the total semitones moved, euclidean the root of the summed
+ *   squares and smoothness the largest single-voice motion (1 or less is
+ *   maximally smooth).
+ * @example
+ * getVoiceLeading([0, 4, 7], [4, 7, 11]) // C -> Em: moves C to B, taxicab 1, smoothness 1
+ */
+export const getVoiceLeading = (from, to) => {
+  const source = [...new Set(normalize(from))];
+  const target = [...new Set(normalize(to))];
+  if (source.length === 0 || target.length === 0) return null;
+
+  let moves;
+  if (source.length >= target.length) {
+    const assignment = assignVoices(source, target, getNearestStep);
+    moves = source.map((pc, i) => ({ from: pc, to: target[assignment[i]] }));
+  } else {
+    const assignment = assignVoices(target, source, (t, s) => getNearestStep(s, t));
+    moves = target.map((pc, i) => ({ from: source[assignment[i]], to: pc }));
+  }
+  moves = moves
+    .map(move => ({ ...move, step: getNearestStep(move.from, move.to) }))
+    .sort((a, b) => a.from - b.from || a.to - b.to);
+
+  const steps = moves.map(move => Math.abs(move.step));
+  return {
+    moves,
+    taxicab: steps.reduce((sum, step) => sum + step, 0),
+    euclidean: Math.sqrt(steps.reduce((sum, step) => sum + step * step, 0)),
+    smoothness: Math.max(...steps),
+    commonTones: steps.filter(step => step === 0).length
+  };
+};
+
+/**
+ * Computes the voice leading between each pair of consecutive chords
+ * Empty chords (unparsed symbols) are skipped.
+ * @param {number[][]} chords - Chords in order
+ * @returns {{steps: Object[], taxicab: number, euclidean: number, smoothness: number}}
+ *   Per-pair voice leadings and their totals (smoothness is the largest over the progression)
+ */
+export const getProgressionVoiceLeading = (chords) => {
+  const voiced = chords.filter(chord => chord.length > 0);
+  const steps = voiced.slice(1).map((chord, i) => getVoiceLeading(voiced[i], chord));
+  return {
+    steps,
+    taxicab: steps.reduce((sum, step) => sum + step.taxicab, 0),
+    euclidean: steps.reduce((sum, step) => sum + step.euclidean, 0),
+    smoothness: steps.reduce((max, step) => Math.max(max, step.smoothness), 0)
+  };
+};
+
+/**
+ * Describes the moving voices of a voice leading
+ * Notes are named with the default names unless the chords' spellings are
+ * given (see nameFromSpelling in utils/spelling).
+ * @param {Object|null} voiceLeading - Result of getVoiceLeading
+ * @param {Object} [names] - Note naming
+ * @param {Function} [names.nameFrom=getNoteLabel] - Names a pitch class of the chord the voices leave
+ * @param {Function} [names.nameTo=getNoteLabel] - Names a pitch class of the chord they reach
+ * @returns {string} e.g. 'C→B (-1), G→Ab (+1)', or '' if nothing moves
+ */
+export const describeVoiceLeading = (voiceLeading, { nameFrom = getNoteLabel, nameTo = getNoteLabel } = {}) =>
+  (voiceLeading?.moves ?? [])
+    .filter(move => move.step !== 0)
+    .map(move => `${nameFrom(move.from)}→${nameTo(move.to)} (${move.step > 0 ? '+' : ''}${move.step})`)
+    .join(', ');
+
 // ============================================================================
 // AUDIO UTILITIES
 // ============================================================================
 
 /**
- * Calculates frequency for a given note and octave
- * Uses A4 = 440Hz as reference
+ * Calculates the equal-tempered frequency of a MIDI pitch
+ * Other tunings are in utils/tuning.
+ * @param {number} pitch - MIDI pitch (60 = middle C)
+ * @param {number} [reference=440] - Frequency of A4 (MIDI 69) in Hz
+ * @returns {number} Frequency in Hz
+ */
+export const getMidiFrequency = (pitch, reference = TUNING_DEFAULTS.reference) =>
+  reference * Math.pow(2, (pitch - 69) / 12);
+
+/**
+ * Gets the MIDI pitch of a note in an octave
+ * @param {number} note - Note value (0-11)
+ * @param {number} [octave=4] - Octave number (4 = the octave of middle C)
+ * @returns {number} MIDI pitch (e.g., C4 = 60)
+ */
+export const getMidiPitch = (note, octave = 4) => 12 * (octave + 1) + note;
+
+/**
+ * Calculates the equal-tempered frequency of a note in an octave
  * @param {number} note - Note value (0-11)
  * @param {number} [octave=4] - Octave number
+ * @param {number} [reference=440] - Frequency of A4 in Hz
  * @returns {number} Frequency in Hz
  */
-export const getNoteFrequency = (note, octave = 4) => {
-  // A4 = 440Hz, note 9 in our system
-  const A4 = 440;
-  const semitonesFromA4 = (octave - 4) * 12 + (note - 9);
-  return A4 * Math.pow(2, semitonesFromA4 / 12);
-};
+export const getNoteFrequency = (note, octave = 4, reference = TUNING_DEFAULTS.reference) =>
+  getMidiFrequency(getMidiPitch(note, octave), reference);
 
 /**
  * Converts a chord to frequencies for playback
@@ -0,0 +1,338 @@
+/**
+ * @fileoverview MusicXML (partwise) writer for the original and negative progressions
+ * @module utils/musicXml
+ */
+
+import { CHORD_DEFINITIONS, PLAYBACK_DEFAULTS, DEFAULT_METER } from '../constants';
+import { mod, identifyChord, voiceChord } from './musicUtils';
+import {
+  spellChord,
+  spellChordLabel,
+  readSpelledNote,
+  getKeyFifths,
+  getKeyCenter,
+  getReflectedCenter,
+  getWrittenOctave
+} from './spelling';
+import { downloadFile } from './download';
+
+/**
+ * Divisions per quarter note, enough for a beat of an eighth-note meter
+ */
+const DIVISIONS = 2;
+
+/**
+ * Written note values by length in divisions, longest first; any whole
+ * number of divisions is made of these, tied
+ * @constant {Array<{duration: number, type: string, dots: number}>}
+ */
+const NOTE_VALUES = [
+  { duration: 12, type: 'whole', dots: 1 },
+  { duration: 8, type: 'whole', dots: 0 },
+  { duration: 6, type: 'half', dots: 1 },
+  { duration: 4, type: 'half', dots: 0 },
+  { duration: 3, type: 'quarter', dots: 1 },
+  { duration: 2, type: 'quarter', dots: 0 },
+  { duration: 1, type: 'eighth', dots: 0 }
+];
+
+/**
+ * <beat-unit> of each time signature denominator
+ * @constant {Object<number, string>}
+ */
+const BEAT_UNITS = { 2: 'half', 4: 'quarter', 8: 'eighth' };
+
+/**
+ * MusicXML <kind> value for each chord definition; other chords are written
+ * as 'other' with their label as the text
+ * @constant {Object<string, string>}
+ */
+const HARMONY_KINDS = {
+  'Major': 'major',
+  'Minor': 'minor',
+  'Diminished': 'diminished',
+  'Augmented': 'augmented',
+  'Major 7': 'major-seventh',
+  'Minor 7': 'minor-seventh',
+  'Dominant 7': 'dominant',
+  'Diminished 7': 'diminished-seventh',
+  'Half Dim 7': 'half-diminished',
+  'Sus 4': 'suspended-fourth',
+  'Sus 2': 'suspended-second',
+  'Minor 9': 'minor-ninth',
+  'Major 9': 'major-ninth',
+  'Dominant 9': 'dominant-ninth',
+  'Power': 'power',
+  'Major 6': 'major-sixth',
+  'Minor 6': 'minor-sixth',
+  'Minor Major 7': 'major-minor',
+  'Augmented 7': 'augmented-seventh',
+  'Dominant 11': 'dominant-11th',
+  'Minor 11': 'minor-11th',
+  'Dominant 13': 'dominant-13th',
+  'Major 13': 'major-13th',
+  'Minor 13': 'minor-13th'
+};
+
+// ============================================================================
+// ELEMENTS
+// ============================================================================
+
+/**
+ * Escapes text for XML content and attributes
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Writes a step/alter pair with the given element names
+ * @param {{step: string, alter: number}} note - Spelled note
+ * @param {string} prefix - Element name prefix ('root' or 'bass'), or '' for <step>/<alter>
+ * @returns {string} XML
+ */
+const stepAlter = ({ step, alter }, prefix = '') => {
+  const name = (part) => (prefix ? `${prefix}-${part}` : part);
+  return `<${name('step')}>${step}</${name('step')}>${alter ? `<${name('alter')}>${alter}</${name('alter')}>` : ''}`;
+};
+
+/**
+ * Writes the chord symbol of a chord
+ * @param {{info: Object, spelling: Map}} chord - Chord from describeChord
+ * @returns {string} <harmony> element, or '' for chords without a root
+ */
+const harmonyElement = ({ info, spelling }) => {
+  const root = spelling.get(info.root);
+  if (!root) return '';
+
+  const definition = CHORD_DEFINITIONS.find(def => def.name === info.name);
+  const kind = HARMONY_KINDS[info.name] ?? 'other';
+  const text = definition && !/[(|]/.test(info.label) ? definition.suffix : spellChordLabel(info.label, spelling);
+  const bass = info.bass !== null && info.bass !== info.root ? spelling.get(info.bass) : null;
+
+  return [
+    '<harmony>',
+    `<root>${stepAlter(root, 'root')}</root>`,
+    `<kind text="${escapeXml(text)}">${kind}</kind>`,
+    bass ? `<bass>${stepAlter(bass, 'bass')}</bass>` : '',
+    '</harmony>'
+  ].join('');
+};
+
+/**
+ * Splits a length into written note values, longest first
+ * @param {number} duration - Length in divisions
+ * @returns {Array<{duration: number, type: string, dots: number}>} Note values, to be tied
+ */
+const splitDuration = (duration) => {
+  const values = [];
+  let left = duration;
+  while (left > 0) {
+    const value = NOTE_VALUES.find(v => v.duration <= left);
+    values.push(value);
+    left -= value.duration;
+  }
+  return values;
+};
+
+/**
+ * Writes one length of a chord, or a rest, tied as needed
+ * @param {{voicing: number[], spelling?: Map}} chord - Chord from describeChord; no voicing is a rest
+ * @param {number} duration - Length in divisions
+ * @param {Object} ties - Ties to the chord's other lengths
+ * @param {boolean} ties.fromPrevious - Whether it carries on from the bar before
+ * @param {boolean} ties.toNext - Whether it carries on into the next bar
+ * @returns {string} <note> elements
+ */
+const chordNotes = ({ voicing, spelling }, duration, { fromPrevious, toNext }) => {
+  const values = splitDuration(duration);
+  const pitches = [...voicing].sort((a, b) => a - b);
+
+  return values.map(({ duration: length, type, dots }, k) => {
+    const value = `<duration>${length}</duration>`;
+    const shape = `<voice>1</voice><type>${type}</type>${'<dot/>'.repeat(dots)}`;
+    if (pitches.length === 0) return `<note><rest/>${value}${shape}</note>`;
+
+    const stops = k > 0 || fromPrevious;
+    const starts = k < values.length - 1 || toNext;
+    const ties = [stops && 'stop', starts && 'start'].filter(Boolean);
+
+    return pitches.map((pitch, i) => {
+      const note = spelling.get(mod(pitch));
+      return [
+        '<note>',
+        i > 0 ? '<chord/>' : '',
+        `<pitch>${stepAlter(note)}<octave>${getWrittenOctave(pitch, note)}</octave></pitch>`,
+        value,
+        ties.map(tie => `<tie type="${tie}"/>`).join(''),
+        shape,
+        ties.length > 0 ? `<notations>${ties.map(tie => `<tied type="${tie}"/>`).join('')}</notations>` : '',
+        '</note>'
+      ].join('');
+    }).join('');
+  }).join('');
+};
+
+/**
+ * Writes the measures of a part
+ * Each chord lasts its beats of the meter, tied across the bar lines it
+ * crosses; a last bar left short is filled with rests.
+ * @param {Array<Object>} chords - Chords from describeChord, with the beats each lasts (default 1)
+ * @param {Object} options - Part options
+ * @param {number} options.keyFifths - Key signature
+ * @param {{beats: number, unit: number}} options.meter - Time signature
+ * @param {number|null} options.tempo - Tempo marking in beats of the meter's unit per minute, or null for none
+ * @returns {string} <measure> elements
+ */
+const partMeasures = (chords, { keyFifths, meter, tempo }) => {
+  const beatDivisions = DIVISIONS * 4 / meter.unit;
+  const barDivisions = meter.beats * beatDivisions;
+
+  const attributes = [
+    '<attributes>',
+    `<divisions>${DIVISIONS}</divisions>`,
+    `<key><fifths>${keyFifths}</fifths></key>`,
+    `<time><beats>${meter.beats}</beats><beat-type>${meter.unit}</beat-type></time>`,
+    '<clef><sign>G</sign><line>2</line></clef>',
+    '</attributes>'
+  ].join('');
+  // <sound> takes quarter notes per minute whatever the meter
+  const tempoMark = tempo ? `<direction placement="above"><direction-type><metronome><beat-unit>${BEAT_UNITS[meter.unit]}</beat-unit><per-minute>${tempo}</per-minute></metronome></direction-type><sound tempo="${tempo * 4 / meter.unit}"/></direction>` : '';
+
+  // Lay the chords into bars, splitting each at the bar lines it crosses
+  const contents = [''];
+  let filled = 0;
+  chords.forEach((chord) => {
+    let left = (chord.beats ?? 1) * beatDivisions;
+    let isOnset = true;
+    while (left > 0) {
+      if (filled === barDivisions) {
+        contents.push('');
+        filled = 0;
+      }
+      const duration = Math.min(left, barDivisions - filled);
+      left -= duration;
+      contents[contents.length - 1] += (isOnset && chord.voicing.length > 0 ? harmonyElement(chord) : '') +
+        chordNotes(chord, duration, { fromPrevious: !isOnset, toNext: left > 0 });
+      filled += duration;
+      isOnset = false;
+    }
+  });
+
+  if (chords.length === 0) {
+    contents[0] = `<note><rest measure="yes"/><duration>${barDivisions}</duration><voice>1</voice></note>`;
+  } else if (filled < barDivisions) {
+    contents[contents.length - 1] += chordNotes({ voicing: [] }, barDivisions - filled, { fromPrevious: false, toNext: false });
+  }
+
+  return contents.map((content, i) => [
+    `<measure number="${i + 1}">`,
+    i === 0 ? attributes + tempoMark : '',
+    content,
+    i === contents.length - 1 ? '<barline location="right"><bar-style>light-heavy</bar-style></barline>' : '',
+    '</measure>'
+  ].join('')).join('\n');
+};
+
+// ============================================================================
+// SCORES
+// ============================================================================
+
+/**
+ * Writes a partwise MusicXML score
+ * @param {Array<{name: string, chords: Array<{voicing: number[], spelling?: Map, info?: Object, beats?: number}>}>} parts -
+ *   Parts in score order; chords without a voicing are rests
+ * @param {Object} [options] - Score options
+ * @param {string} [options.title=''] - Work title
+ * @param {number} [options.keyFifths=0] - Key signature (sharps positive, flats negative)
+ * @param {{beats: number, unit: number}} [options.meter=DEFAULT_METER] - Time signature; chord beats are of its unit
+ * @param {number} [options.tempo=PLAYBACK_DEFAULTS.tempo] - Tempo in beats of the meter's unit per minute, marked on the first part
+ * @returns {string} MusicXML document
+ */
+export const writeMusicXml = (parts, {
+  title = '',
+  keyFifths = 0,
+  meter = DEFAULT_METER,
+  tempo = PLAYBACK_DEFAULTS.tempo
+} = {}) => [
+  '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+  '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+  '<score-partwise version="4.0">',
+  title ? `<work><work-title>${escapeXml(title)}</work-title></work>` : '',
+  '<part-list>',
+  ...parts.map((part, i) => `<score-part id="P${i + 1}"><part-name>${escapeXml(part.name)}</part-name></score-part>`),
+  '</part-list>',
+  ...parts.map((part, i) => [
+    `<part id="P${i + 1}">`,
+    partMeasures(part.chords, { keyFifths, meter, tempo: i === 0 ? tempo : null }),
+    '</part>'
+  ].join('\n')),
+  '</score-partwise>'
+].filter(line => line !== '').join('\n') + '\n';
+
+/**
+ * Identifies and spells a chord for notation
+ * Slash chords are labelled over their bass, as in the converter.
+ * @param {number[]} notes - Chord notes, bass first
+ * @param {Object} options - Chord options
+ * @param {number} options.center - Line-of-fifths centre to spell around
+ * @param {boolean} [options.isSlashChord=false] - Whether the first note is a named bass
+ * @param {{step: string, alter: number, pc: number}} [options.root] - Root as typed, if known
+ * @returns {{voicing: number[], spelling: Map, info: Object}} Chord
+ */
+const describeChord = (notes, { center, isSlashChord = false, root }) => {
+  const bass = isSlashChord ? notes[0] : undefined;
+  const identified = identifyChord(notes, { bass });
+  const info = identified.candidates.find(candidate => candidate.root === root?.pc) ?? identified;
+  return {
+    voicing: voiceChord(notes),
+    spelling: spellChord(notes, { center, root, bass }),
+    info
+  };
+};
+
+/**
+ * Writes the converter results as MusicXML with the original and negative
+ * progressions as separate parts
+ * Original roots keep the spelling they were typed with; everything else is
+ * spelled from the key, and negative chords from the key's reflection.
+ * Each chord lasts its beats, and unparsed chords rest, as in playback.
+ * @param {Array<{original: string, notes: number[], negNotes: number[], isSlashChord: boolean, beats?: number}>} progOutput - Converter results
+ * @param {Object} options - Score options
+ * @param {number} options.keyRoot - Key centre (0-11)
+ * @param {number} options.axisIndex - Inversion index of the axis the progression was reflected across
+ * @param {{beats: number, unit: number}} [options.meter=DEFAULT_METER] - Time signature the progression was laid out in
+ * @param {number} [options.tempo=PLAYBACK_DEFAULTS.tempo] - Tempo in beats of the meter's unit per minute
+ * @returns {string} MusicXML document
+ */
+export const progressionToMusicXml = (progOutput, { keyRoot, axisIndex, meter = DEFAULT_METER, tempo = PLAYBACK_DEFAULTS.tempo }) => {
+  const center = getKeyCenter(keyRoot);
+  const reflectedCenter = getReflectedCenter(center, axisIndex);
+  const toChord = (notes, options, beats) =>
+    (notes.length > 0 ? { ...describeChord(notes, options), beats } : { voicing: [], beats });
+
+  return writeMusicXml([
+    {
+      name: 'Original',
+      chords: progOutput.map(({ notes, isSlashChord, original, beats }) =>
+        toChord(notes, { center, isSlashChord, root: readSpelledNote(original) ?? undefined }, beats))
+    },
+    {
+      name: 'Negative',
+      chords: progOutput.map(({ negNotes, isSlashChord, beats }) =>
+        toChord(negNotes, { center: reflectedCenter, isSlashChord }, beats))
+    }
+  ], { title: 'Negative Harmony', keyFifths: getKeyFifths(keyRoot), meter, tempo });
+};
+
+/**
+ * Offers a MusicXML document as a download in the browser
+ * @param {string} xml - MusicXML document
+ * @param {string} filename - Suggested file name
+ */
+export const downloadMusicXml = (xml, filename) =>
+  downloadFile(xml, filename, 'application/vnd.recordare.musicxml+xml');
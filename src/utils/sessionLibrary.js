@@ -0,0 +1,292 @@
+/**
+ * @fileoverview Session library: saved traversals and progressions, the
+ * autosaved session, and JSON import/export of the whole library
+ * Traversals are stored as the snapshots useChordHistory exposes, with each
+ * edge's nodes replaced by their ids so entries survive JSON and IndexedDB
+ * round trips.
+ * @module utils/sessionLibrary
+ */
+
+import { LIBRARY_DEFAULTS, LIBRARY_FILE_FORMAT, NEGATIVE_AXIS_MODES, METERS, TRANSPORT_DEFAULTS } from '../constants';
+
+/**
+ * Kinds of library entry
+ */
+const ENTRY_KINDS = ['traversal', 'progression'];
+
+/**
+ * Object store names and the key of the autosaved session
+ */
+const ENTRIES_STORE = 'entries';
+const AUTOSAVE_STORE = 'autosave';
+const AUTOSAVE_KEY = 'current';
+
+/**
+ * Counter appended to entry ids so entries created in the same millisecond stay unique
+ */
+let entryCounter = 0;
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+const isPitchClass = (value) => Number.isInteger(value) && value >= 0 && value < 12;
+const isIntegerArray = (value) => Array.isArray(value) && value.every(Number.isInteger);
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Checks a stored traversal snapshot
+ * @param {*} data - Value to check
+ * @returns {string|null} What is wrong with it, or null if it is valid
+ */
+const validateSnapshot = (data) => {
+  if (!data || typeof data !== 'object') return 'traversal is missing';
+  if (!isIntegerArray(data.voicing)) return 'voicing must be a list of MIDI pitches';
+  if (!Array.isArray(data.history) || data.history.length === 0) return 'history must list at least one chord';
+
+  const badNode = data.history.findIndex(node => !node || typeof node.id !== 'string'
+    || !isIntegerArray(node.notes) || !isIntegerArray(node.voicing)
+    || !isFiniteNumber(node.x) || !isFiniteNumber(node.y) || typeof node.label !== 'string');
+  if (badNode !== -1) return `chord ${badNode + 1} of the history is malformed`;
+
+  const ids = new Map(data.history.map((node, i) => [node.id, i]));
+  if (!Array.isArray(data.edges)) return 'edges must be a list';
+  const badEdge = data.edges.findIndex(edge => !edge || !ids.has(edge.from) || !ids.has(edge.to) || typeof edge.type !== 'string');
+  if (badEdge !== -1) return `edge ${badEdge + 1} does not connect two chords of the history`;
+
+  // Edges form a tree: each chord is reached once, from a chord created before it
+  const reached = new Set();
+  const badBranch = data.edges.findIndex((edge) => {
+    if (ids.get(edge.from) >= ids.get(edge.to) || reached.has(edge.to)) return true;
+    reached.add(edge.to);
+    return false;
+  });
+  if (badBranch !== -1) return `edge ${badBranch + 1} does not branch from an earlier chord`;
+
+  // Snapshots saved before the history branched have no current node
+  const badId = ['currentId', 'tipId'].find(key => data[key] !== undefined && !ids.has(data[key]));
+  if (badId) return `${badId} is not a chord of the history`;
+
+  const { viewBox } = data;
+  if (!viewBox || !['x', 'y', 'w', 'h'].every(key => isFiniteNumber(viewBox[key]))) return 'viewBox is malformed';
+  return null;
+};
+
+/**
+ * Checks a stored progression with its key and axis, and the meter and tempo
+ * if it has them (entries saved before rhythm support do not)
+ * @param {*} data - Value to check
+ * @returns {string|null} What is wrong with it, or null if it is valid
+ */
+const validateProgression = (data) => {
+  if (!data || typeof data !== 'object') return 'progression is missing';
+  if (typeof data.progression !== 'string') return 'progression must be text';
+  if (!isPitchClass(data.keyRoot)) return 'key must be a pitch class 0-11';
+
+  const { axis } = data;
+  if (!axis || !NEGATIVE_AXIS_MODES.some(mode => mode.id === axis.mode)) return 'axis mode is unknown';
+  if (!isPitchClass(axis.pitch) || !Array.isArray(axis.pair) || axis.pair.length !== 2 || !axis.pair.every(isPitchClass)) {
+    return 'axis pitches must be pitch classes 0-11';
+  }
+
+  const { meter, tempo } = data;
+  if (meter !== undefined && !METERS.some(m => m.beats === meter?.beats && m.unit === meter?.unit)) {
+    return 'time signature is not supported';
+  }
+  if (tempo !== undefined && !(isFiniteNumber(tempo) && tempo >= TRANSPORT_DEFAULTS.minTempo && tempo <= TRANSPORT_DEFAULTS.maxTempo)) {
+    return `tempo must be ${TRANSPORT_DEFAULTS.minTempo}-${TRANSPORT_DEFAULTS.maxTempo} BPM`;
+  }
+  return null;
+};
+
+/**
+ * Checks a library entry
+ * @param {*} entry - Value to check
+ * @returns {string|null} What is wrong with it, or null if it is valid
+ */
+const validateEntry = (entry) => {
+  if (!entry || typeof entry !== 'object') return 'not an entry';
+  if (typeof entry.id !== 'string' || entry.id === '') return 'id is missing';
+  if (!ENTRY_KINDS.includes(entry.kind)) return `unknown kind '${entry.kind}'`;
+  if (typeof entry.name !== 'string' || entry.name.trim() === '') return 'name is missing';
+  if (!Array.isArray(entry.tags) || !entry.tags.every(tag => typeof tag === 'string')) return 'tags must be a list of text';
+  if (typeof entry.createdAt !== 'string' || Number.isNaN(Date.parse(entry.createdAt))) return 'created date is invalid';
+  return entry.kind === 'traversal' ? validateSnapshot(entry.data) : validateProgression(entry.data);
+};
+
+// ============================================================================
+// SNAPSHOTS
+// ============================================================================
+
+/**
+ * Converts a traversal snapshot into plain data for storage
+ * @param {{voicing: number[], history: Object[], edges: Object[], viewBox: Object, currentId: string, tipId: string}} snapshot -
+ *   Snapshot from useChordHistory
+ * @returns {Object} The same snapshot with edge endpoints written as node ids
+ */
+export const serializeSnapshot = ({ voicing, history, edges, viewBox, currentId, tipId }) => ({
+  voicing,
+  history,
+  edges: edges.map(({ from, to, ...edge }) => ({ ...edge, from: from.id, to: to.id })),
+  viewBox,
+  currentId,
+  tipId
+});
+
+/**
+ * Rebuilds a traversal snapshot from stored data
+ * @param {Object} data - Result of serializeSnapshot
+ * @returns {{voicing: number[], history: Object[], edges: Object[], viewBox: Object, currentId?: string, tipId?: string}}
+ *   Snapshot for useChordHistory
+ */
+export const deserializeSnapshot = ({ voicing, history, edges, viewBox, currentId, tipId }) => {
+  const nodes = new Map(history.map(node => [node.id, node]));
+  return {
+    voicing,
+    history,
+    edges: edges.map(edge => ({ ...edge, from: nodes.get(edge.from), to: nodes.get(edge.to) })),
+    viewBox,
+    currentId,
+    tipId
+  };
+};
+
+// ============================================================================
+// ENTRIES
+// ============================================================================
+
+/**
+ * Splits tag input into distinct, trimmed tags
+ * @param {string} text - Tags separated by commas
+ * @returns {string[]} Tags in the order typed
+ * @example
+ * parseTags('jazz, hexatonic,, Jazz') // ['jazz', 'hexatonic', 'Jazz']
+ */
+export const parseTags = (text) => [...new Set(text.split(',').map(tag => tag.trim()).filter(Boolean))];
+
+/**
+ * Creates a library entry dated now
+ * @param {'traversal'|'progression'} kind - Entry kind
+ * @param {Object} fields - Entry fields
+ * @param {string} fields.name - Name shown in the library
+ * @param {string[]} [fields.tags=[]] - Tags
+ * @param {Object} fields.data - Serialized snapshot for a traversal; progression, keyRoot and axis for a progression
+ * @returns {{id: string, kind: string, name: string, tags: string[], createdAt: string, data: Object}} Entry
+ */
+export const createEntry = (kind, { name, tags = [], data }) => ({
+  id: `${kind}-${Date.now().toString(36)}-${(entryCounter++).toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+  kind,
+  name: name.trim(),
+  tags,
+  createdAt: new Date().toISOString(),
+  data
+});
+
+/**
+ * Checks an autosaved session, which holds the mode, a traversal and a progression
+ * @param {*} session - Value read from storage
+ * @returns {boolean} Whether the session can be restored
+ */
+export const isValidAutosave = (session) => Boolean(session)
+  && ['tonnetz', 'negative'].includes(session.mode)
+  && validateSnapshot(session.traversal) === null
+  && validateProgression(session) === null;
+
+// ============================================================================
+// IMPORT / EXPORT
+// ============================================================================
+
+/**
+ * Writes the whole library as a JSON document
+ * @param {Object[]} entries - Library entries
+ * @returns {string} JSON text
+ */
+export const exportLibrary = (entries) => JSON.stringify({
+  ...LIBRARY_FILE_FORMAT,
+  exportedAt: new Date().toISOString(),
+  entries
+}, null, 2);
+
+/**
+ * Reads a library exported by exportLibrary
+ * Every entry is checked before any is accepted, so a bad file imports nothing.
+ * @param {string} text - JSON text
+ * @returns {{entries: Object[]|null, error: {message: string, index: number|null}|null}}
+ *   Entries, or an error with the index of the offending entry (null for the file as a whole)
+ */
+export const importLibrary = (text) => {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (err) {
+    return { entries: null, error: { message: `Not a JSON file: ${err.message}`, index: null } };
+  }
+
+  if (!file || file.format !== LIBRARY_FILE_FORMAT.format || !Array.isArray(file.entries)) {
+    return { entries: null, error: { message: 'Not a library export', index: null } };
+  }
+  if (file.version !== LIBRARY_FILE_FORMAT.version) {
+    return { entries: null, error: { message: `Unsupported library version '${file.version}'`, index: null } };
+  }
+
+  for (let i = 0; i < file.entries.length; i++) {
+    const message = validateEntry(file.entries[i]);
+    if (message) return { entries: null, error: { message: `Entry ${i + 1}: ${message}`, index: i } };
+  }
+  return { entries: file.entries, error: null };
+};
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Wraps an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} Request result
+ */
+const requestResult = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Opens the library in the browser's IndexedDB
+ * The resolved store is the interface useSessionLibrary expects; a simulated
+ * one with the same methods can be injected instead.
+ * @returns {Promise<{listEntries: Function, putEntries: Function, deleteEntry: Function, readAutosave: Function, writeAutosave: Function}>}
+ *   Library store; rejects if IndexedDB is unavailable
+ */
+export const browserOpenLibrary = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not supported in this browser'));
+  }
+
+  const request = indexedDB.open(LIBRARY_DEFAULTS.databaseName, LIBRARY_DEFAULTS.databaseVersion);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(ENTRIES_STORE)) db.createObjectStore(ENTRIES_STORE, { keyPath: 'id' });
+    if (!db.objectStoreNames.contains(AUTOSAVE_STORE)) db.createObjectStore(AUTOSAVE_STORE);
+  };
+
+  return requestResult(request).then((db) => {
+    // Runs one action in its own transaction, resolving once it commits
+    const transaction = (storeName, mode, action) => new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const actionRequest = action(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(actionRequest?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+
+    return {
+      listEntries: () => transaction(ENTRIES_STORE, 'readonly', store => store.getAll()),
+      putEntries: (entries) => transaction(ENTRIES_STORE, 'readwrite', (store) => {
+        entries.forEach(entry => store.put(entry));
+      }),
+      deleteEntry: (id) => transaction(ENTRIES_STORE, 'readwrite', store => store.delete(id)),
+      readAutosave: () => transaction(AUTOSAVE_STORE, 'readonly', store => store.get(AUTOSAVE_KEY)).then(session => session ?? null),
+      writeAutosave: (session) => transaction(AUTOSAVE_STORE, 'readwrite', store => store.put(session, AUTOSAVE_KEY))
+    };
+  });
+};
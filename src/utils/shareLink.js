@@ -0,0 +1,226 @@
+/**
+ * @fileoverview Share links: the session encoded in a compact URL fragment
+ * A fragment reads like `#v=1&m=t&c=047&w=RLP&k=0&a=d&p=Cmaj7+Am9+Dm7+G7&s=4%2F4&t=100`:
+ * version, mode, starting chord (pitch classes in base 12), transformation
+ * word, negative key, axis, progression input, its time signature and tempo.
+ * @module utils/shareLink
+ */
+
+import { SHARE_LINK_VERSION, DEFAULT_NEGATIVE_AXIS, METERS, TRANSPORT_DEFAULTS } from '../constants';
+import { parseTransformWord } from './musicUtils';
+
+/**
+ * Fragment code of each mode
+ * @constant {Object<string, string>}
+ */
+const MODE_CODES = { tonnetz: 't', negative: 'n' };
+
+/**
+ * Fragment code of each key-relative axis mode; the chromatic and custom
+ * modes are written as 'p' and 's' followed by their pitch classes
+ * @constant {Object<string, string>}
+ */
+const AXIS_CODES = { 'tonic-dominant': 'd', 'tonic-mediant': 'm' };
+
+/**
+ * Names of the settings a fragment may contain
+ */
+const SETTINGS = ['v', 'm', 'c', 'w', 'k', 'a', 'p', 's', 't'];
+
+/**
+ * Pitch class digits, C = 0 up to B = b
+ */
+const PITCH_CLASS = /^[0-9ab]$/;
+
+/**
+ * Operations a shared word can be rebuilt from
+ */
+const TRANSFORM_WORD = /^[PLRNSH]+$/;
+
+// ============================================================================
+// ENCODING
+// ============================================================================
+
+/**
+ * Writes a pitch class as a single base-12 digit
+ * @param {number} pc - Pitch class (0-11)
+ * @returns {string} '0'-'9', 'a' or 'b'
+ */
+const pcDigit = (pc) => pc.toString(12);
+
+/**
+ * Writes a negative harmony axis
+ * @param {{mode: string, pitch: number, pair: number[]}} axis - Axis settings
+ * @returns {string} e.g. 'd', 'p5', 's07'
+ */
+const encodeAxis = (axis) => {
+  if (axis.mode === 'chromatic') return `p${pcDigit(axis.pitch)}`;
+  if (axis.mode === 'custom') return `s${axis.pair.map(pcDigit).join('')}`;
+  return AXIS_CODES[axis.mode];
+};
+
+/**
+ * Gets the part of a Tonnetz traversal that a link can carry: the starting
+ * chord and the word leading from it
+ * A traversal with jumps (such as an imported MIDI file) cannot be rebuilt
+ * from a word, so only the chord it ends on is shared.
+ * @param {Array<{notes: number[], op: string}>} history - Nodes from the first chord on, one branch of the useChordHistory tree
+ * @returns {{chord: number[], word: string}} Starting chord and word
+ */
+export const getShareableTraversal = (history) => {
+  const ops = history.slice(1).map(node => node.op);
+  if (ops.every(op => TRANSFORM_WORD.test(op))) {
+    return { chord: [...new Set(history[0].notes)], word: ops.join('') };
+  }
+  return { chord: [...new Set(history[history.length - 1].notes)], word: '' };
+};
+
+/**
+ * Encodes the session as a URL fragment
+ * @param {Object} state - Session
+ * @param {'tonnetz'|'negative'} state.mode - Current mode
+ * @param {number[]} state.chord - Starting chord, bass first
+ * @param {string} state.word - Transformation word applied to the starting chord
+ * @param {number} state.keyRoot - Negative harmony key (0-11)
+ * @param {{mode: string, pitch: number, pair: number[]}} state.axis - Negative harmony axis
+ * @param {string} state.progression - Progression input
+ * @param {{beats: number, unit: number}} state.meter - Time signature of the progression
+ * @param {number} state.tempo - Tempo of the progression in BPM
+ * @returns {string} Fragment without the leading '#'
+ */
+export const encodeShareFragment = ({ mode, chord, word, keyRoot, axis, progression, meter, tempo }) =>
+  new URLSearchParams([
+    ['v', String(SHARE_LINK_VERSION)],
+    ['m', MODE_CODES[mode]],
+    ['c', chord.map(pcDigit).join('')],
+    ...(word ? [['w', word]] : []),
+    ['k', pcDigit(keyRoot)],
+    ['a', encodeAxis(axis)],
+    ['p', progression],
+    ['s', `${meter.beats}/${meter.unit}`],
+    ['t', String(tempo)]
+  ]).toString();
+
+// ============================================================================
+// DECODING
+// ============================================================================
+
+/**
+ * Builds a failed decoding result
+ * @param {string} message - What is wrong with the link
+ * @param {number} position - Position in the fragment
+ * @param {number} [length=1] - Length of the offending text
+ * @returns {{state: null, error: {message: string, position: number, length: number}}} Result
+ */
+const shareError = (message, position, length = 1) => ({ state: null, error: { message, position, length } });
+
+/**
+ * Reads one setting of a fragment into the session
+ * @param {string} name - Setting name (one of SETTINGS)
+ * @param {string} value - Decoded value
+ * @returns {{field: Object|null, message: string|null}} Fields to merge into the session, or what is wrong with the value
+ */
+const readSetting = (name, value) => {
+  const invalid = (message) => ({ field: null, message });
+  const digits = [...value];
+
+  switch (name) {
+    case 'v':
+      return value === String(SHARE_LINK_VERSION)
+        ? { field: {}, message: null }
+        : invalid(`Unsupported link version '${value}'`);
+    case 'm': {
+      const mode = Object.keys(MODE_CODES).find(key => MODE_CODES[key] === value);
+      return mode ? { field: { mode }, message: null } : invalid(`Unknown mode '${value}'`);
+    }
+    case 'c':
+      if (digits.length === 0 || digits.length > 12 || !digits.every(d => PITCH_CLASS.test(d)) || new Set(digits).size !== digits.length) {
+        return invalid(`Invalid chord '${value}': expected distinct pitch classes 0-9, a, b`);
+      }
+      return { field: { chord: digits.map(d => parseInt(d, 12)) }, message: null };
+    case 'w': {
+      const { ops, error } = parseTransformWord(value);
+      return error
+        ? invalid(`Invalid transformation word '${value}': ${error.message}`)
+        : { field: { word: value, ops }, message: null };
+    }
+    case 'k':
+      return PITCH_CLASS.test(value)
+        ? { field: { keyRoot: parseInt(value, 12) }, message: null }
+        : invalid(`Invalid key '${value}': expected a pitch class 0-9, a, b`);
+    case 'a': {
+      const mode = Object.keys(AXIS_CODES).find(key => AXIS_CODES[key] === value);
+      if (mode) return { field: { axis: { ...DEFAULT_NEGATIVE_AXIS, mode } }, message: null };
+      if (/^p[0-9ab]$/.test(value)) {
+        return { field: { axis: { ...DEFAULT_NEGATIVE_AXIS, mode: 'chromatic', pitch: parseInt(value[1], 12) } }, message: null };
+      }
+      if (/^s[0-9ab]{2}$/.test(value) && value[1] !== value[2]) {
+        const pair = [parseInt(value[1], 12), parseInt(value[2], 12)];
+        return { field: { axis: { ...DEFAULT_NEGATIVE_AXIS, mode: 'custom', pair } }, message: null };
+      }
+      return invalid(`Invalid axis '${value}'`);
+    }
+    case 's': {
+      const meter = METERS.find(m => `${m.beats}/${m.unit}` === value);
+      return meter ? { field: { meter }, message: null } : invalid(`Unsupported time signature '${value}'`);
+    }
+    case 't': {
+      const tempo = Number(value);
+      return /^\d+$/.test(value) && tempo >= TRANSPORT_DEFAULTS.minTempo && tempo <= TRANSPORT_DEFAULTS.maxTempo
+        ? { field: { tempo }, message: null }
+        : invalid(`Invalid tempo '${value}': expected ${TRANSPORT_DEFAULTS.minTempo}-${TRANSPORT_DEFAULTS.maxTempo} BPM`);
+    }
+    default:
+      // 'p': the converter reports any chords it cannot read
+      return { field: { progression: value }, message: null };
+  }
+};
+
+/**
+ * Decodes a session from a URL fragment
+ * Settings missing from the fragment are left out of the result so the
+ * current values are kept. The version is required.
+ * @param {string} fragment - URL fragment, with or without the leading '#'
+ * @returns {{state: Object|null, error: {message: string, position: number, length: number}|null}}
+ *   Decoded settings (mode, chord, word and ops, keyRoot, axis, progression, meter, tempo), null for an empty
+ *   fragment, or an error with its position in the fragment
+ * @example
+ * decodeShareFragment('#v=1&c=047&w=RL').state // { chord: [0, 4, 7], word: 'RL', ops: ['R', 'L'] }
+ * decodeShareFragment('#v=1&k=z').error.message // "Invalid key 'z': expected a pitch class 0-9, a, b"
+ */
+export const decodeShareFragment = (fragment) => {
+  const text = fragment.startsWith('#') ? fragment.slice(1) : fragment;
+  const start = fragment.length - text.length;
+  if (text === '') return { state: null, error: null };
+
+  const state = {};
+  const seen = new Set();
+  let position = start;
+
+  for (const part of text.split('&')) {
+    const separator = part.indexOf('=');
+    const name = separator === -1 ? part : part.slice(0, separator);
+    const raw = separator === -1 ? '' : part.slice(separator + 1);
+    const valuePosition = position + name.length + 1;
+
+    if (!SETTINGS.includes(name)) return shareError(`Unknown setting '${name}'`, position, Math.max(name.length, 1));
+    if (separator === -1) return shareError(`Expected a value for '${name}'`, position, Math.max(part.length, 1));
+    if (seen.has(name)) return shareError(`Duplicate setting '${name}'`, position, name.length || 1);
+    seen.add(name);
+
+    let value;
+    try {
+      value = decodeURIComponent(raw.replace(/\+/g, ' '));
+    } catch {
+      return shareError(`Malformed escape sequence in '${name}'`, valuePosition, Math.max(raw.length, 1));
+    }
+
+    const { field, message } = readSetting(name, value);
+    if (message) return shareError(message, valuePosition, Math.max(raw.length, 1));
+    Object.assign(state, field);
+    position += part.length + 1;
+  }
+
+  if (!seen.has('v')) return shareError('Missing link version', start, Math.max(text.length, 1));
+  return { state, error: null };
+};
@@ -0,0 +1,363 @@
+/**
+ * @fileoverview SoundFont 2 (.sf2) reader
+ * Resolves each preset into the zones a sample player needs: which sample
+ * plays over which keys, with its tuning, loop, attenuation, pan and volume
+ * envelope. Preset generators are added to instrument generators as the
+ * spec requires; modulators and the filter and modulation envelopes are not
+ * read.
+ * @module utils/soundFont
+ */
+
+/**
+ * Generator operators that are read
+ */
+const GEN = {
+  START_OFFSET: 0,
+  END_OFFSET: 1,
+  LOOP_START_OFFSET: 2,
+  LOOP_END_OFFSET: 3,
+  START_COARSE_OFFSET: 4,
+  END_COARSE_OFFSET: 12,
+  PAN: 17,
+  DELAY: 33,
+  ATTACK: 34,
+  HOLD: 35,
+  DECAY: 36,
+  SUSTAIN: 37,
+  RELEASE: 38,
+  INSTRUMENT: 41,
+  KEY_RANGE: 43,
+  VEL_RANGE: 44,
+  LOOP_START_COARSE_OFFSET: 45,
+  ATTENUATION: 48,
+  LOOP_END_COARSE_OFFSET: 50,
+  COARSE_TUNE: 51,
+  FINE_TUNE: 52,
+  SAMPLE_ID: 53,
+  SAMPLE_MODES: 54,
+  SCALE_TUNING: 56,
+  ROOT_KEY: 58
+};
+
+/**
+ * Values of generators a zone does not set (timecents of -12000 are about 1 ms)
+ */
+const GEN_DEFAULTS = {
+  [GEN.DELAY]: -12000,
+  [GEN.ATTACK]: -12000,
+  [GEN.HOLD]: -12000,
+  [GEN.DECAY]: -12000,
+  [GEN.RELEASE]: -12000,
+  [GEN.SCALE_TUNING]: 100,
+  [GEN.ROOT_KEY]: -1
+};
+
+/**
+ * Generators a preset zone may not set; the rest add to the instrument's
+ */
+const INSTRUMENT_ONLY = new Set([
+  GEN.START_OFFSET, GEN.END_OFFSET, GEN.LOOP_START_OFFSET, GEN.LOOP_END_OFFSET,
+  GEN.START_COARSE_OFFSET, GEN.END_COARSE_OFFSET, GEN.LOOP_START_COARSE_OFFSET,
+  GEN.LOOP_END_COARSE_OFFSET, GEN.SAMPLE_ID, GEN.SAMPLE_MODES, GEN.ROOT_KEY
+]);
+
+const RANGE_GENERATORS = new Set([GEN.KEY_RANGE, GEN.VEL_RANGE]);
+
+/**
+ * Record sizes of the preset data subchunks
+ */
+const RECORD_SIZES = { phdr: 38, pbag: 4, pgen: 4, inst: 22, ibag: 4, igen: 4, shdr: 46 };
+
+/**
+ * Set in sampleType for samples held in ROM, which the file does not contain
+ */
+const ROM_SAMPLE = 0x8000;
+
+// ============================================================================
+// CHUNKS
+// ============================================================================
+
+/**
+ * Builds a read error
+ * @param {string} message - Error message
+ * @param {number} position - Byte offset of the problem
+ * @returns {{message: string, position: number}}
+ */
+const readError = (message, position) => ({ message, position });
+
+/**
+ * Reads a fixed-length, zero-padded ASCII string
+ * @param {DataView} view - File view
+ * @param {number} position - Offset of the first byte
+ * @param {number} length - Field length
+ * @returns {string} Text up to the first zero byte
+ */
+const readText = (view, position, length) => {
+  let text = '';
+  for (let i = 0; i < length; i++) {
+    const code = view.getUint8(position + i);
+    if (code === 0) break;
+    text += String.fromCharCode(code);
+  }
+  return text.trim();
+};
+
+/**
+ * Lists the subchunks of a chunk
+ * @param {DataView} view - File view
+ * @param {number} start - Offset of the first subchunk
+ * @param {number} end - Offset after the last byte of the parent
+ * @returns {{chunks: Object<string, {start: number, size: number, position: number}>|null, error: Object|null}}
+ *   Subchunks by id (LIST chunks by their list type), or the read error
+ */
+const readChunks = (view, start, end) => {
+  const chunks = {};
+  let pos = start;
+  while (pos + 8 <= end) {
+    const id = readText(view, pos, 4);
+    const size = view.getUint32(pos + 4, true);
+    if (pos + 8 + size > end) return { chunks: null, error: readError(`Truncated ${id} chunk`, pos) };
+
+    if (id === 'LIST') {
+      chunks[readText(view, pos + 8, 4)] = { start: pos + 12, size: size - 4, position: pos };
+    } else {
+      chunks[id] = { start: pos + 8, size, position: pos };
+    }
+    // Chunks are padded to an even length
+    pos += 8 + size + (size % 2);
+  }
+  return { chunks, error: null };
+};
+
+/**
+ * Splits a preset data subchunk into records
+ * @param {DataView} view - File view
+ * @param {Object<string, Object>} chunks - Subchunks of pdta
+ * @param {string} id - Subchunk id
+ * @param {Function} readRecord - Reads one record from its offset
+ * @returns {{records: Object[]|null, error: Object|null}} Records, the terminal one included, or the read error
+ */
+const readRecords = (view, chunks, id, readRecord) => {
+  const chunk = chunks[id];
+  const size = RECORD_SIZES[id];
+  if (!chunk) return { records: null, error: readError(`Missing ${id} chunk`, 0) };
+  if (chunk.size % size !== 0 || chunk.size < 2 * size) {
+    return { records: null, error: readError(`Malformed ${id} chunk`, chunk.position) };
+  }
+  const records = Array.from({ length: chunk.size / size }, (_, i) => readRecord(chunk.start + i * size));
+  return { records, error: null };
+};
+
+// ============================================================================
+// ZONES
+// ============================================================================
+
+/**
+ * Reads the zones of presets or instruments as generator maps
+ * A first zone without the terminal generator (the instrument for a preset,
+ * the sample for an instrument) is the global zone, whose generators apply
+ * to every other zone that does not set its own.
+ * @param {Object[]} headers - Preset or instrument headers, the terminal record included
+ * @param {Object[]} bags - Zone records
+ * @param {Object[]} generators - Generator records
+ * @param {number} terminal - Generator that ends a zone
+ * @returns {Array<Array<Map<number, *>>>} For each header, its zones' generators
+ */
+const readZones = (headers, bags, generators, terminal) => headers.slice(0, -1).map((header, i) => {
+  const zones = [];
+  for (let bag = header.bagIndex; bag < headers[i + 1].bagIndex && bag + 1 < bags.length; bag++) {
+    const gens = new Map();
+    for (let gen = bags[bag].genIndex; gen < bags[bag + 1].genIndex && gen < generators.length; gen++) {
+      gens.set(generators[gen].operator, generators[gen].amount);
+    }
+    zones.push(gens);
+  }
+
+  const global = zones.length > 0 && !zones[0].has(terminal) ? zones.shift() : new Map();
+  return zones
+    .filter(gens => gens.has(terminal))
+    .map(gens => new Map([...global, ...gens]));
+});
+
+/**
+ * Intersects two key or velocity ranges
+ * @param {number[]} [a=[0, 127]] - Low and high
+ * @param {number[]} [b=[0, 127]] - Low and high
+ * @returns {number[]|null} Intersection, or null if they do not overlap
+ */
+const intersectRange = (a = [0, 127], b = [0, 127]) => {
+  const range = [Math.max(a[0], b[0]), Math.min(a[1], b[1])];
+  return range[0] <= range[1] ? range : null;
+};
+
+/**
+ * Converts timecents to seconds
+ * @param {number} timecents - Time as 1200 * log2(seconds)
+ * @returns {number} Seconds
+ */
+const timecentsToSeconds = (timecents) => Math.pow(2, timecents / 1200);
+
+/**
+ * Resolves a preset zone and an instrument zone into a playable zone
+ * @param {Map<number, *>} presetGens - Preset zone generators
+ * @param {Map<number, *>} instrumentGens - Instrument zone generators
+ * @param {Object[]} samples - Sample headers
+ * @returns {Object|null} Zone, or null if it cannot sound
+ */
+const resolveZone = (presetGens, instrumentGens, samples) => {
+  const keyRange = intersectRange(presetGens.get(GEN.KEY_RANGE), instrumentGens.get(GEN.KEY_RANGE));
+  const velRange = intersectRange(presetGens.get(GEN.VEL_RANGE), instrumentGens.get(GEN.VEL_RANGE));
+  const sample = samples[instrumentGens.get(GEN.SAMPLE_ID)];
+  if (!keyRange || !velRange || !sample) return null;
+
+  // Instrument value, or its default, plus the preset's offset
+  const gen = (operator) => (instrumentGens.get(operator) ?? GEN_DEFAULTS[operator] ?? 0)
+    + (INSTRUMENT_ONLY.has(operator) ? 0 : presetGens.get(operator) ?? 0);
+  const address = (fine, coarse) => gen(fine) + 32768 * gen(coarse);
+
+  const start = sample.start + address(GEN.START_OFFSET, GEN.START_COARSE_OFFSET);
+  const end = sample.end + address(GEN.END_OFFSET, GEN.END_COARSE_OFFSET);
+  if (start < 0 || end <= start) return null;
+
+  // Modes 1 and 3 loop; 3, which plays on past the loop once released, loops throughout
+  const loops = (gen(GEN.SAMPLE_MODES) & 1) === 1;
+  const loopStart = sample.loopStart + address(GEN.LOOP_START_OFFSET, GEN.LOOP_START_COARSE_OFFSET);
+  const loopEnd = sample.loopEnd + address(GEN.LOOP_END_OFFSET, GEN.LOOP_END_COARSE_OFFSET);
+  const rootKey = gen(GEN.ROOT_KEY) >= 0 ? gen(GEN.ROOT_KEY) : sample.originalPitch;
+
+  return {
+    keyRange,
+    velRange,
+    start,
+    end,
+    loop: loops && loopStart >= start && loopEnd > loopStart && loopEnd <= end ? { start: loopStart, end: loopEnd } : null,
+    sampleRate: sample.sampleRate,
+    rootKey: rootKey > 127 ? 60 : rootKey,
+    tune: 100 * gen(GEN.COARSE_TUNE) + gen(GEN.FINE_TUNE) + sample.pitchCorrection,
+    scaleTuning: gen(GEN.SCALE_TUNING),
+    attenuation: Math.max(0, gen(GEN.ATTENUATION)) / 10,
+    pan: Math.max(-1, Math.min(1, gen(GEN.PAN) / 500)),
+    envelope: {
+      delayTime: timecentsToSeconds(gen(GEN.DELAY)),
+      attackTime: timecentsToSeconds(gen(GEN.ATTACK)),
+      holdTime: timecentsToSeconds(gen(GEN.HOLD)),
+      decayTime: timecentsToSeconds(gen(GEN.DECAY)),
+      sustainLevel: Math.pow(10, -Math.min(1440, Math.max(0, gen(GEN.SUSTAIN))) / 200),
+      releaseTime: timecentsToSeconds(gen(GEN.RELEASE))
+    }
+  };
+};
+
+// ============================================================================
+// READER
+// ============================================================================
+
+/**
+ * Reads a SoundFont 2 file
+ * Samples are 16-bit; the optional 24-bit extension is ignored. Presets with
+ * no playable zone are left out.
+ * @param {Uint8Array|ArrayBuffer} data - File bytes
+ * @returns {{soundFont: {name: string, data: Int16Array, presets: Array<{name: string, bank: number, program: number, zones: Object[]}>}|null, error: {message: string, position: number}|null}}
+ *   Presets sorted by bank and program, each zone's sample addresses indexing data; or the first read error
+ */
+export const readSoundFont = (data) => {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  if (bytes.length < 12 || readText(view, 0, 4) !== 'RIFF' || readText(view, 8, 4) !== 'sfbk') {
+    return { soundFont: null, error: readError('Not a SoundFont 2 file', 0) };
+  }
+
+  const riffEnd = Math.min(bytes.length, 8 + view.getUint32(4, true));
+  const top = readChunks(view, 12, riffEnd);
+  if (top.error) return { soundFont: null, error: top.error };
+  const { INFO: info, sdta, pdta } = top.chunks;
+  if (!sdta) return { soundFont: null, error: readError('Missing sample data', 12) };
+  if (!pdta) return { soundFont: null, error: readError('Missing preset data', 12) };
+
+  const sampleChunks = readChunks(view, sdta.start, sdta.start + sdta.size);
+  if (sampleChunks.error) return { soundFont: null, error: sampleChunks.error };
+  const { smpl } = sampleChunks.chunks;
+  if (!smpl) return { soundFont: null, error: readError('Missing smpl chunk', sdta.position) };
+
+  // Copied so the samples are aligned; every browser is little-endian, as the file is
+  const smplStart = bytes.byteOffset + smpl.start;
+  const samplePoints = new Int16Array(bytes.buffer.slice(smplStart, smplStart + smpl.size - (smpl.size % 2)));
+
+  const presetChunks = readChunks(view, pdta.start, pdta.start + pdta.size);
+  if (presetChunks.error) return { soundFont: null, error: presetChunks.error };
+  const { chunks } = presetChunks;
+
+  const readBag = pos => ({ genIndex: view.getUint16(pos, true) });
+  const readGenerator = (pos) => {
+    const operator = view.getUint16(pos, true);
+    const amount = RANGE_GENERATORS.has(operator)
+      ? [view.getUint8(pos + 2), view.getUint8(pos + 3)]
+      : operator === GEN.INSTRUMENT || operator === GEN.SAMPLE_ID ? view.getUint16(pos + 2, true) : view.getInt16(pos + 2, true);
+    return { operator, amount };
+  };
+
+  const tables = {
+    phdr: pos => ({
+      name: readText(view, pos, 20),
+      program: view.getUint16(pos + 20, true),
+      bank: view.getUint16(pos + 22, true),
+      bagIndex: view.getUint16(pos + 24, true)
+    }),
+    pbag: readBag,
+    pgen: readGenerator,
+    inst: pos => ({ name: readText(view, pos, 20), bagIndex: view.getUint16(pos + 20, true) }),
+    ibag: readBag,
+    igen: readGenerator,
+    shdr: pos => ({
+      name: readText(view, pos, 20),
+      start: view.getUint32(pos + 20, true),
+      end: view.getUint32(pos + 24, true),
+      loopStart: view.getUint32(pos + 28, true),
+      loopEnd: view.getUint32(pos + 32, true),
+      sampleRate: view.getUint32(pos + 36, true),
+      originalPitch: view.getUint8(pos + 40),
+      pitchCorrection: view.getInt8(pos + 41),
+      type: view.getUint16(pos + 44, true)
+    })
+  };
+
+  const records = {};
+  for (const [id, readRecord] of Object.entries(tables)) {
+    const { records: read, error } = readRecords(view, chunks, id, readRecord);
+    if (error) return { soundFont: null, error };
+    records[id] = read;
+  }
+
+  // Samples that cannot be played from this file are left undefined
+  const samples = records.shdr.slice(0, -1).map(sample => (
+    (sample.type & ROM_SAMPLE) || sample.end > samplePoints.length || sample.end <= sample.start
+      || sample.sampleRate < 3000 || sample.sampleRate > 192000
+      ? undefined
+      : sample
+  ));
+
+  const instruments = readZones(records.inst, records.ibag, records.igen, GEN.SAMPLE_ID);
+  const presetZones = readZones(records.phdr, records.pbag, records.pgen, GEN.INSTRUMENT);
+
+  const presets = records.phdr.slice(0, -1)
+    .map((header, i) => ({
+      name: header.name,
+      bank: header.bank,
+      program: header.program,
+      zones: presetZones[i].flatMap(presetGens => (instruments[presetGens.get(GEN.INSTRUMENT)] ?? [])
+        .map(instrumentGens => resolveZone(presetGens, instrumentGens, samples))
+        .filter(zone => zone && zone.end <= samplePoints.length))
+    }))
+    .filter(preset => preset.zones.length > 0)
+    .sort((a, b) => a.bank - b.bank || a.program - b.program);
+
+  if (presets.length === 0) {
+    return { soundFont: null, error: readError('No playable presets', pdta.position) };
+  }
+
+  const infoChunks = info ? readChunks(view, info.start, info.start + info.size).chunks : null;
+  const name = infoChunks?.INAM ? readText(view, infoChunks.INAM.start, infoChunks.INAM.size) : '';
+
+  return { soundFont: { name, data: samplePoints, presets }, error: null };
+};
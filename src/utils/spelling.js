@@ -0,0 +1,363 @@
+/**
+ * @fileoverview Enharmonic spelling of notes and chords from the key and chord root
+ * Pitch classes are spelled on the line of fifths (… Bb F C G D A E B F# …):
+ * each key has a centre on the line, and a pitch class takes the spelling
+ * nearest it. Chord tones are then spelled up from the root by scale degree,
+ * so a minor third above D# is F#, not Gb. Chords in a sequence keep the
+ * spelling of their common tones, and chromatic melody notes follow the
+ * direction of the line.
+ * @module utils/spelling
+ */
+
+import { mod, identifyChord, getNearestStep, getNoteLabel } from './musicUtils';
+
+/**
+ * Natural letters in line-of-fifths order, starting from F (position -1)
+ */
+const FIFTHS_LETTERS = 'FCGDAEB';
+
+/**
+ * Natural letters in scale order
+ */
+const SCALE_LETTERS = 'CDEFGAB';
+
+/**
+ * Pitch class of each natural letter, in scale order
+ */
+const LETTER_PITCHES = [0, 2, 4, 5, 7, 9, 11];
+
+/**
+ * Distance from a major key's tonic to the middle of its seven naturals on the
+ * line of fifths (F..B around C is centred on D)
+ */
+const MAJOR_CENTER_OFFSET = 2;
+
+/**
+ * Distance from a centre within which notes are diatonic and always take
+ * their nearest spelling (the seven naturals around D for C major)
+ */
+const DIATONIC_SPAN = 3;
+
+/**
+ * Offset from a minor triad's root to the centre of its relative major key
+ */
+const MINOR_CENTER_OFFSET = MAJOR_CENTER_OFFSET - 3;
+
+// ============================================================================
+// NOTES
+// ============================================================================
+
+/**
+ * Converts a line-of-fifths position into a spelled note
+ * @param {number} fifths - Position (C = 0, G = 1, F = -1, ...)
+ * @returns {{step: string, alter: number}} Letter and alteration (-1 = flat, 1 = sharp)
+ */
+const fromFifths = (fifths) => ({
+  step: FIFTHS_LETTERS[mod(fifths + 1, 7)],
+  alter: Math.floor((fifths + 1) / 7)
+});
+
+/**
+ * Converts a spelled note into its line-of-fifths position
+ * @param {{step: string, alter: number}} note - Spelled note
+ * @returns {number} Position (C = 0, G = 1, F = -1, ...)
+ */
+const toFifths = ({ step, alter }) => FIFTHS_LETTERS.indexOf(step) - 1 + 7 * alter;
+
+/**
+ * Gets the line-of-fifths position of a pitch class nearest a centre
+ * Ties go to the flatter position.
+ * @param {number} pc - Pitch class (any integer)
+ * @param {number} center - Line-of-fifths centre
+ * @returns {number} Position
+ */
+const getNearestFifths = (pc, center) => {
+  const base = mod(pc * 7);
+  return base + 12 * Math.ceil((center - base) / 12 - 0.5);
+};
+
+/**
+ * Spells a pitch class by the spelling nearest a centre on the line of fifths
+ * Ties go to the flatter spelling.
+ * @param {number} pc - Pitch class (any integer)
+ * @param {number} center - Line-of-fifths centre (see getKeyCenter)
+ * @returns {{step: string, alter: number, pc: number}} Spelled note
+ * @example
+ * spellPitchClass(3, 2) // { step: 'E', alter: -1, pc: 3 } (Eb around C major)
+ * spellPitchClass(3, 6) // { step: 'D', alter: 1, pc: 3 } (D# around E major)
+ */
+export const spellPitchClass = (pc, center) => ({ ...fromFifths(getNearestFifths(pc, center)), pc: mod(pc) });
+
+/**
+ * Spells a pitch class on a given letter
+ * @param {number} pc - Pitch class (any integer)
+ * @param {string} step - Letter (C-B)
+ * @returns {{step: string, alter: number, pc: number}} Spelled note; the alteration may be large for a far letter
+ */
+export const spellOnLetter = (pc, step) => ({
+  step,
+  alter: getNearestStep(LETTER_PITCHES[SCALE_LETTERS.indexOf(step)], pc),
+  pc: mod(pc)
+});
+
+/**
+ * Writes a spelled note as text
+ * @param {{step: string, alter: number}} note - Spelled note
+ * @returns {string} e.g. 'D#', 'Bb', 'F##'
+ */
+export const formatSpelledNote = ({ step, alter }) =>
+  step + (alter > 0 ? '#'.repeat(alter) : 'b'.repeat(-alter));
+
+/**
+ * Names pitch classes the way a chord spells them
+ * @param {Map<number, {step: string, alter: number}>|Array<{step: string, alter: number, pc: number}>|null} spelling -
+ *   Spelling of a chord (see spellChord), or its spelled notes as kept on history nodes
+ * @returns {Function} Names a pitch class; one the chord does not spell gets its default name
+ */
+export const nameFromSpelling = (spelling) => {
+  const notes = spelling instanceof Map ? spelling : new Map((spelling ?? []).map(note => [note.pc, note]));
+  return (pc) => {
+    const note = notes.get(mod(pc));
+    return note ? formatSpelledNote(note) : getNoteLabel(pc);
+  };
+};
+
+/**
+ * Reads the spelling of a note name at the start of a text, such as a chord symbol
+ * @param {string} text - Text starting with a note name (e.g. 'Gbmaj7', 'D#')
+ * @returns {{step: string, alter: number, pc: number}|null} Spelled note, or null if the text does not start with one
+ * @example
+ * readSpelledNote('Gbmaj7') // { step: 'G', alter: -1, pc: 6 }
+ */
+export const readSpelledNote = (text) => {
+  const match = /^\s*([A-Ga-g])([#b♯♭]*)/.exec(text);
+  if (!match) return null;
+  const step = match[1].toUpperCase();
+  const alter = [...match[2]].reduce((sum, c) => sum + (c === '#' || c === '♯' ? 1 : -1), 0);
+  return { step, alter, pc: mod(LETTER_PITCHES[SCALE_LETTERS.indexOf(step)] + alter) };
+};
+
+/**
+ * Gets the octave a MIDI pitch is written in once spelled
+ * B#3 and Cb4 sound as C4 and B3, so the octave follows the letter.
+ * @param {number} pitch - MIDI pitch
+ * @param {{alter: number}} note - Spelling of the pitch
+ * @returns {number} Written octave (middle C = 4)
+ */
+export const getWrittenOctave = (pitch, { alter }) => Math.floor((pitch - alter) / 12) - 1;
+
+/**
+ * Writes a spelled MIDI pitch as text with its written octave
+ * @param {number} pitch - MIDI pitch
+ * @param {{step: string, alter: number}} note - Spelling of the pitch
+ * @returns {string} e.g. 'Cb5', 'F#3'
+ */
+export const formatSpelledPitch = (pitch, note) => formatSpelledNote(note) + getWrittenOctave(pitch, note);
+
+/**
+ * Spells a pitch class reached by a moving voice
+ * Diatonic notes keep their spelling around the centre; a chromatic note is
+ * spelled sharp when the voice rises to it and flat when it falls, as in
+ * C-C#-D and D-Db-C. Without motion it takes the nearest spelling.
+ * @param {number} pc - Pitch class (any integer)
+ * @param {number} center - Line-of-fifths centre (see getKeyCenter)
+ * @param {number} [direction=0] - Sign of the motion into the note
+ * @returns {{step: string, alter: number, pc: number}} Spelled note
+ * @example
+ * spellNoteInContext(1, 2, 1)  // { step: 'C', alter: 1, pc: 1 }
+ * spellNoteInContext(1, 2, -1) // { step: 'D', alter: -1, pc: 1 }
+ */
+export const spellNoteInContext = (pc, center, direction = 0) => {
+  const nearest = getNearestFifths(pc, center);
+  if (Math.abs(nearest - center) <= DIATONIC_SPAN || direction === 0) return spellPitchClass(pc, center);
+
+  const other = nearest > center ? nearest - 12 : nearest + 12;
+  const fifths = direction > 0 ? Math.max(nearest, other) : Math.min(nearest, other);
+  return { ...fromFifths(fifths), pc: mod(pc) };
+};
+
+/**
+ * Spells a melody note by note, each chromatic note following the direction
+ * of the step into it
+ * @param {Array<number|null>} pitches - Pitches in order (any octave); null for a rest
+ * @param {number} center - Line-of-fifths centre (see getKeyCenter)
+ * @returns {Array<{step: string, alter: number, pc: number}|null>} Spelled notes, null for rests
+ */
+export const spellMelody = (pitches, center) => {
+  let previous = null;
+  return pitches.map(pitch => {
+    if (pitch === null) return null;
+    const note = spellNoteInContext(pitch, center, previous === null ? 0 : Math.sign(pitch - previous));
+    previous = pitch;
+    return note;
+  });
+};
+
+// ============================================================================
+// KEYS
+// ============================================================================
+
+/**
+ * Gets the key signature of a major key, as sharps (positive) or flats (negative)
+ * Enharmonic keys take the signature with fewer accidentals; F#/Gb takes Gb.
+ * @param {number} keyRoot - Tonic (0-11)
+ * @returns {number} Signature from -6 to 5
+ * @example
+ * getKeyFifths(4) // 4 (E major)
+ * getKeyFifths(1) // -5 (Db major)
+ */
+export const getKeyFifths = (keyRoot) => {
+  const fifths = mod(keyRoot * 7);
+  return fifths > 5 ? fifths - 12 : fifths;
+};
+
+/**
+ * Gets the line-of-fifths centre that notes of a major key are spelled around
+ * @param {number} keyRoot - Tonic (0-11)
+ * @returns {number} Centre position
+ */
+export const getKeyCenter = (keyRoot) => getKeyFifths(keyRoot) + MAJOR_CENTER_OFFSET;
+
+/**
+ * Reflects a spelling centre across the axis of I_n
+ * Inversion reflects the line of fifths too, so negative chords are spelled
+ * around the mirror image of the key (flat side of C for the tonic-dominant axis).
+ * @param {number} center - Centre of the original key
+ * @param {number} index - Inversion index n
+ * @returns {number} Centre for the reflected notes
+ * @example
+ * getReflectedCenter(getKeyCenter(0), 7) // -1 (Fm, Ab, Bb and Db spelled with flats)
+ */
+export const getReflectedCenter = (center, index) => {
+  const base = mod(index * 7);
+  const sum = base + 12 * Math.ceil((2 * center - base) / 12 - 0.5);
+  return sum - center;
+};
+
+// ============================================================================
+// CHORDS
+// ============================================================================
+
+/**
+ * Gets the scale degree (letters above the root) of a chord tone
+ * The other intervals in the chord decide the ambiguous cases: a minor third
+ * beside a major third is a #9, a tritone beside a perfect fifth is a #11, and
+ * a major sixth in a diminished seventh chord is a bb7.
+ * @param {number} interval - Semitones above the root (0-11)
+ * @param {number[]} intervals - Every interval in the chord (0-11)
+ * @returns {number} Letters above the root (0-6)
+ */
+const getChordDegree = (interval, intervals) => {
+  const has = (i) => intervals.includes(i);
+  switch (interval) {
+    case 0: return 0;
+    case 1: case 2: return 1;
+    case 3: return has(4) ? 1 : 2;
+    case 4: return 2;
+    case 5: return 3;
+    case 6: return has(7) ? 3 : 4;
+    case 7: return 4;
+    case 8: return has(7) || !has(4) ? 5 : 4;
+    case 9: return has(3) && has(6) && !has(10) && !has(11) ? 6 : 5;
+    default: return 6;
+  }
+};
+
+/**
+ * Spells every pitch class of a chord
+ * The root is taken as given (e.g. as typed in a chord symbol) or identified
+ * and spelled from the centre; the other tones are spelled by their degree
+ * above it. A tone that would need more than a double accidental falls back
+ * to the centre.
+ * @param {number[]} notes - Chord notes
+ * @param {Object} options - Spelling options
+ * @param {number} options.center - Line-of-fifths centre (see getKeyCenter)
+ * @param {{step: string, alter: number, pc: number}} [options.root] - Spelled root
+ * @param {number} [options.bass] - Bass note, used to identify the root when none is given
+ * @returns {Map<number, {step: string, alter: number, pc: number}>} Spelling of each pitch class
+ * @example
+ * formatSpelledNote(spellChord([11, 3, 6], { center: 6 }).get(3)) // 'D#' (B major)
+ */
+export const spellChord = (notes, { center, root, bass } = {}) => {
+  const pcs = [...new Set(notes.map(n => mod(n)))];
+  let rootNote = root;
+  if (!rootNote) {
+    const info = identifyChord(pcs, { bass });
+    if (info.root === null) return new Map();
+    rootNote = spellPitchClass(info.root, center);
+  }
+
+  const rootLetter = SCALE_LETTERS.indexOf(rootNote.step);
+  const intervals = pcs.map(pc => mod(pc - rootNote.pc));
+
+  return new Map(pcs.map(pc => {
+    const degree = getChordDegree(mod(pc - rootNote.pc), intervals);
+    const note = spellOnLetter(pc, SCALE_LETTERS[(rootLetter + degree) % 7]);
+    return [pc, Math.abs(note.alter) > 2 ? spellPitchClass(pc, center) : note];
+  }));
+};
+
+/**
+ * Spells a chord label: every note name in identifyChord's label (the root,
+ * a slash bass, both triads of a polychord) is replaced by its spelled name
+ * @param {string} label - Chord label from identifyChord
+ * @param {Map<number, {step: string, alter: number}>} spelling - Result of spellChord
+ * @returns {string} e.g. 'D#m7' rather than 'Ebm7'
+ */
+export const spellChordLabel = (label, spelling) =>
+  label.replace(/(^|[|/])([A-G][#b]?)/g, (match, prefix, name) => {
+    const note = spelling.get(readSpelledNote(name).pc);
+    return note ? prefix + formatSpelledNote(note) : match;
+  });
+
+/**
+ * Gets the centre a chord is spelled around on its own: the key of a major
+ * chord's root, or the relative major of a minor chord
+ * @param {Object} info - Result of identifyChord
+ * @param {{step: string, alter: number}} [root] - Spelling of the root; taken from the key signature when omitted
+ * @returns {number} Line-of-fifths centre
+ */
+const getChordCenter = (info, root) => {
+  if (info.root === null) return MAJOR_CENTER_OFFSET;
+  const offset = info.type === 'Minor' ? MINOR_CENTER_OFFSET : MAJOR_CENTER_OFFSET;
+  if (root) return toFifths(root) + offset;
+  return getKeyFifths(info.type === 'Minor' ? info.root + 3 : info.root) + MAJOR_CENTER_OFFSET;
+};
+
+/**
+ * Spells a chord reached from a spelled chord, as in a Tonnetz traversal
+ * Common tones keep their spelling and the root follows from them, so
+ * C-Am-F-Dm-Bb-... carries on through Gb and Cb. With no common tone the root
+ * is spelled by the motion of the nearest voice into it. A chord that would
+ * need a double accidental is respelled around its own key instead, which
+ * turns a Bbb reached this way back into A.
+ * @param {number[]} notes - Chord notes
+ * @param {Array<{step: string, alter: number, pc: number}>|null} previous - Spelled notes of the previous chord, or null for the first chord
+ * @param {Object} [options] - Spelling options
+ * @param {number} [options.bass] - Bass note, used to identify the root
+ * @returns {Map<number, {step: string, alter: number, pc: number}>} Spelling of each pitch class
+ */
+export const spellChordFrom = (notes, previous, { bass } = {}) => {
+  const pcs = [...new Set(notes.map(n => mod(n)))];
+  const info = identifyChord(pcs, { bass });
+  const ownSpelling = () => spellChord(pcs, { center: getChordCenter(info), bass });
+  if (info.root === null || !previous?.length) return ownSpelling();
+
+  const previousInfo = identifyChord(previous.map(note => note.pc));
+  const center = getChordCenter(previousInfo, previous.find(note => note.pc === previousInfo.root));
+
+  const intervals = pcs.map(pc => mod(pc - info.root));
+  const common = previous.find(note => pcs.includes(note.pc));
+  let root;
+  if (common) {
+    const degree = getChordDegree(mod(common.pc - info.root), intervals);
+    root = spellOnLetter(info.root, SCALE_LETTERS[mod(SCALE_LETTERS.indexOf(common.step) - degree, 7)]);
+  } else {
+    const motions = previous.map(note => getNearestStep(note.pc, info.root));
+    const motion = motions.reduce((best, step) => (Math.abs(step) < Math.abs(best) ? step : best));
+    root = spellNoteInContext(info.root, center, Math.sign(motion));
+  }
+
+  const spelling = spellChord(pcs, { center, root, bass });
+  return [...spelling.values()].some(note => Math.abs(note.alter) > 1) ? ownSpelling() : spelling;
+};
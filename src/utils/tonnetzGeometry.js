@@ -0,0 +1,393 @@
+/**
+ * @fileoverview Geometry of the triangular Tonnetz lattice
+ * @module utils/tonnetzGeometry
+ *
+ * The lattice is laid out so that triangle centroids coincide with the node
+ * positions produced by calculateTonnetzDelta: P crosses the horizontal
+ * edge, R the lower-right (major) edge and L the lower-left (major) edge.
+ *
+ * Vertex (i, j) sits at origin + i·e1 + j·e2 where
+ * - e1 points right and steps down a fifth (+5 semitones)
+ * - e2 points down-right and steps down a minor third (+9 semitones)
+ * so a major third (+4) points down-left and the lattice wraps modulo 12.
+ */
+
+import { NOTES, TONNETZ_NODE_DISTANCE } from '../constants';
+import { mod, normalize, identifyChord, arraysEqual, buildChord } from './musicUtils';
+
+const SQRT3 = Math.sqrt(3);
+
+/**
+ * Semitone step along each lattice axis
+ * @constant {{e1: number, e2: number}}
+ */
+export const LATTICE_STEPS = { e1: 5, e2: 9 };
+
+// ============================================================================
+// LATTICE SETUP
+// ============================================================================
+
+/**
+ * Reads a chord as one of the triads the lattice's faces are
+ * @param {number[]} notes - Chord notes
+ * @returns {{root: number, type: 'Major'|'Minor'}|null} Triad, or null if the chord is not a major or minor triad
+ */
+const getTriad = (notes) => {
+  const info = identifyChord(notes);
+  return notes.length === 3 && (info.type === 'Major' || info.type === 'Minor') ? { root: info.root, type: info.type } : null;
+};
+
+/**
+ * Finds the major or minor triad nearest a chord: the one sharing most of
+ * its notes, preferring the triad on the chord's root
+ * @param {number[]} notes - Chord notes
+ * @returns {{root: number, type: 'Major'|'Minor'}} Triad
+ * @example
+ * getNearestTriad([0, 4, 7, 10]) // returns { root: 0, type: 'Major' } (C7 holds C major)
+ */
+export const getNearestTriad = (notes) => {
+  const pcs = normalize(notes);
+  const { root } = identifyChord(pcs);
+  let best = null;
+  NOTES.forEach((_, triadRoot) => {
+    [['Major', [0, 4, 7]], ['Minor', [0, 3, 7]]].forEach(([type, intervals]) => {
+      const score = buildChord(triadRoot, intervals).filter(pc => pcs.includes(pc)).length + (triadRoot === root ? 0.5 : 0);
+      if (!best || score > best.score) best = { root: triadRoot, type, score };
+    });
+  });
+  return { root: best.root, type: best.type };
+};
+
+/**
+ * Chooses the history node a lattice is anchored on: the first major or
+ * minor triad, since only a triad has a face to centre on; the first node if
+ * there is none
+ * @param {Array<{notes: number[]}>} history - History nodes in order
+ * @returns {Object} Node to anchor on
+ */
+export const findAnchorNode = (history) => history.find(node => getTriad(node.notes)) ?? history[0];
+
+/**
+ * Creates a lattice anchored so that a node's triangle is centred on the node
+ * Major triads are downward triangles and minor triads upward triangles; any
+ * other chord is anchored as the triad nearest it (see getNearestTriad),
+ * which `anchor.isExact` reports.
+ * @param {{x: number, y: number, notes: number[]}} anchorNode - Node to anchor on (see findAnchorNode)
+ * @param {number} [distance=TONNETZ_NODE_DISTANCE] - Distance between adjacent triangle centroids
+ * @returns {{origin: {x: number, y: number}, pc: number, side: number, distance: number, anchor: {root: number, type: string, label: string, isExact: boolean}}}
+ *   Lattice description, with the triad it is anchored on
+ */
+export const createLattice = (anchorNode, distance = TONNETZ_NODE_DISTANCE) => {
+  const triad = getTriad(anchorNode.notes);
+  const { root, type } = triad ?? getNearestTriad(anchorNode.notes);
+  const isMinor = type === 'Minor';
+
+  // The root sits at the right end of the triangle's horizontal edge
+  return {
+    origin: {
+      x: anchorNode.x + (distance * SQRT3) / 2,
+      y: anchorNode.y + (isMinor ? distance / 2 : -distance / 2)
+    },
+    pc: root,
+    side: distance * SQRT3,
+    distance,
+    anchor: { root, type, label: `${NOTES[root]}${isMinor ? 'm' : ''}`, isExact: triad !== null }
+  };
+};
+
+/**
+ * Gets the SVG position of a lattice vertex
+ * @param {Object} lattice - Lattice from createLattice
+ * @param {number} i - Index along e1
+ * @param {number} j - Index along e2
+ * @returns {{x: number, y: number}} Position
+ */
+export const latticePoint = (lattice, i, j) => ({
+  x: lattice.origin.x + (i + j / 2) * lattice.side,
+  y: lattice.origin.y + (j * SQRT3 / 2) * lattice.side
+});
+
+/**
+ * Gets the pitch class of a lattice vertex (wraps modulo 12)
+ * @param {Object} lattice - Lattice from createLattice
+ * @param {number} i - Index along e1
+ * @param {number} j - Index along e2
+ * @returns {number} Pitch class (0-11)
+ */
+export const pitchClassAt = (lattice, i, j) =>
+  mod(lattice.pc + LATTICE_STEPS.e1 * i + LATTICE_STEPS.e2 * j);
+
+/**
+ * Converts an SVG position to fractional lattice coordinates
+ * @param {Object} lattice - Lattice from createLattice
+ * @param {{x: number, y: number}} point - SVG position
+ * @returns {{a: number, b: number}} Coordinates along e1 and e2
+ */
+export const toLatticeCoords = (lattice, point) => {
+  const b = (point.y - lattice.origin.y) / (lattice.side * SQRT3 / 2);
+  const a = (point.x - lattice.origin.x) / lattice.side - b / 2;
+  return { a, b };
+};
+
+// ============================================================================
+// FACES
+// ============================================================================
+
+/**
+ * Builds a triangular face of the lattice
+ * A 'down' face at (i, j) is the major triad rooted on vertex (i, j);
+ * an 'up' face at (i, j) is the minor triad rooted on vertex (i, j).
+ * @param {Object} lattice - Lattice from createLattice
+ * @param {number} i - Index of the root vertex along e1
+ * @param {number} j - Index of the root vertex along e2
+ * @param {'up'|'down'} orientation - Triangle orientation
+ * @returns {{key: string, i: number, j: number, orientation: string, vertices: Array, centroid: Object, notes: number[], root: number, type: string}} Face
+ */
+export const getFace = (lattice, i, j, orientation) => {
+  const corners = orientation === 'down'
+    ? [[i, j], [i - 1, j], [i - 1, j + 1]]
+    : [[i, j], [i - 1, j], [i, j - 1]];
+
+  const vertices = corners.map(([vi, vj]) => ({
+    i: vi,
+    j: vj,
+    pc: pitchClassAt(lattice, vi, vj),
+    ...latticePoint(lattice, vi, vj)
+  }));
+
+  return {
+    key: `${i},${j},${orientation}`,
+    i,
+    j,
+    orientation,
+    vertices,
+    centroid: {
+      x: (vertices[0].x + vertices[1].x + vertices[2].x) / 3,
+      y: (vertices[0].y + vertices[1].y + vertices[2].y) / 3
+    },
+    notes: normalize(vertices.map(v => v.pc)),
+    root: vertices[0].pc,
+    type: orientation === 'down' ? 'Major' : 'Minor'
+  };
+};
+
+/**
+ * Finds the face containing an SVG position
+ * @param {Object} lattice - Lattice from createLattice
+ * @param {{x: number, y: number}} point - SVG position
+ * @returns {Object} Face (see getFace)
+ */
+export const faceAtPoint = (lattice, point) => {
+  const { a, b } = toLatticeCoords(lattice, point);
+  const i = Math.floor(a);
+  const j = Math.floor(b);
+
+  // Each lattice parallelogram splits into a major and a minor triangle
+  return (a - i) + (b - j) < 1
+    ? getFace(lattice, i + 1, j, 'down')
+    : getFace(lattice, i + 1, j + 1, 'up');
+};
+
+/**
+ * Locates the face a history node sits on
+ * @param {Object} lattice - Lattice from createLattice
+ * @param {{x: number, y: number, notes: number[]}} node - History node or edge waypoint
+ * @returns {Object|null} Face, or null if the node's chord is not the triad at its position
+ */
+export const locateNodeFace = (lattice, node) => {
+  const face = faceAtPoint(lattice, node);
+  return node.notes && arraysEqual(face.notes, node.notes) ? face : null;
+};
+
+/**
+ * Lists every vertex and face that intersects a view box
+ * Computed from the view box alone, so it works however far the view is panned
+ * @param {Object} lattice - Lattice from createLattice
+ * @param {{x: number, y: number, w: number, h: number}} viewBox - Visible SVG area
+ * @returns {{vertices: Array<{key: string, x: number, y: number, pc: number}>, faces: Object[]}} Visible lattice
+ */
+export const getVisibleLattice = (lattice, viewBox) => {
+  const corners = [
+    { x: viewBox.x, y: viewBox.y },
+    { x: viewBox.x + viewBox.w, y: viewBox.y },
+    { x: viewBox.x, y: viewBox.y + viewBox.h },
+    { x: viewBox.x + viewBox.w, y: viewBox.y + viewBox.h }
+  ].map(point => toLatticeCoords(lattice, point));
+
+  const iMin = Math.floor(Math.min(...corners.map(c => c.a))) - 1;
+  const iMax = Math.ceil(Math.max(...corners.map(c => c.a))) + 1;
+  const jMin = Math.floor(Math.min(...corners.map(c => c.b))) - 1;
+  const jMax = Math.ceil(Math.max(...corners.map(c => c.b))) + 1;
+
+  const vertices = [];
+  const faces = [];
+
+  for (let j = jMin; j <= jMax; j++) {
+    for (let i = iMin; i <= iMax; i++) {
+      const point = latticePoint(lattice, i, j);
+      const isVisible = point.x >= viewBox.x - lattice.side && point.x <= viewBox.x + viewBox.w + lattice.side
+        && point.y >= viewBox.y - lattice.side && point.y <= viewBox.y + viewBox.h + lattice.side;
+      if (!isVisible) continue;
+
+      vertices.push({ key: `${i},${j}`, i, j, pc: pitchClassAt(lattice, i, j), ...point });
+      faces.push(getFace(lattice, i, j, 'down'), getFace(lattice, i, j, 'up'));
+    }
+  }
+
+  return { vertices, faces };
+};
+
+// ============================================================================
+// JUST INTONATION
+// ============================================================================
+
+/**
+ * Cents by which a just fifth (3/2) and major third (5/4) exceed their
+ * equal-tempered sizes
+ * @constant {{fifth: number, third: number}}
+ */
+export const JUST_DEVIATION = {
+  fifth: 1200 * Math.log2(3 / 2) - 700,
+  third: 1200 * Math.log2(5 / 4) - 400
+};
+
+/**
+ * Gets how far a vertex lies from its equal-tempered pitch in a just Tonnetz
+ * Read as just intervals, e1 is a fourth up (4/3) and e2 a major sixth up
+ * (5/3), so vertex (i, j) is i + j fifths down and j major thirds up from
+ * the origin. Pitch classes that meet on the torus are commas apart here.
+ * @param {number} i - Index along e1
+ * @param {number} j - Index along e2
+ * @returns {number} Cents from equal temperament, relative to the origin
+ * @example
+ * getVertexDrift(-3, 3) // returns -41.06 (the diesis, three major thirds)
+ */
+export const getVertexDrift = (i, j) => -(i + j) * JUST_DEVIATION.fifth + j * JUST_DEVIATION.third;
+
+/**
+ * Gets the comma drift of a history node: how far the root of its triad lies
+ * from equal temperament in a just Tonnetz, relative to the lattice's anchor
+ * @param {Object} lattice - Lattice from createLattice
+ * @param {{x: number, y: number, notes: number[]}} node - History node
+ * @returns {number|null} Cents, or null if the node's chord is not the triad at its position
+ */
+export const getCommaDrift = (lattice, node) => {
+  const face = locateNodeFace(lattice, node);
+  return face ? getVertexDrift(face.i, face.j) : null;
+};
+
+// ============================================================================
+// TORUS
+// ============================================================================
+
+/**
+ * Periods of the lattice in (a, b) coordinates
+ * Three major thirds and four minor thirds both return to the same pitch
+ * class, so they generate the 4 × 3 torus holding all 24 triads.
+ * @constant {Array<{a: number, b: number}>}
+ */
+export const TORUS_PERIODS = [
+  { a: -3, b: 3 },  // three major thirds (down-left)
+  { a: 0, b: -4 },  // four minor thirds (up-left)
+];
+
+/**
+ * Expresses lattice coordinates in the period basis
+ * @param {number} a - Coordinate along e1
+ * @param {number} b - Coordinate along e2
+ * @returns {{u: number, v: number}} Coordinates along the two periods
+ */
+const toPeriodCoords = (a, b) => ({ u: -a / 3, v: (-a - b) / 4 });
+
+/**
+ * Creates the fundamental domain of the Tonnetz torus
+ * The domain is a parallelogram spanned by the two periods, bounded by
+ * lattice edges and roughly centred on the given node.
+ * @param {Object} lattice - Lattice from createLattice
+ * @param {{x: number, y: number}} centerNode - Node to centre the domain on
+ * @returns {{lattice: Object, u0: number, v0: number, corners: Array<{x: number, y: number}>, periods: Array<{x: number, y: number}>}} Torus description
+ */
+export const createTorus = (lattice, centerNode) => {
+  const { a, b } = toLatticeCoords(lattice, centerNode);
+  const { u, v } = toPeriodCoords(a, b);
+
+  // Snap the corner so the boundary runs along lattice edges (u in thirds, v in quarters)
+  const u0 = Math.floor((u - 0.5) * 3) / 3;
+  const v0 = Math.floor((v - 0.5) * 4) / 4;
+
+  const [p1, p2] = TORUS_PERIODS;
+  const corner = (du, dv) => latticePoint(
+    lattice,
+    (u0 + du) * p1.a + (v0 + dv) * p2.a,
+    (u0 + du) * p1.b + (v0 + dv) * p2.b
+  );
+  const origin = latticePoint(lattice, 0, 0);
+
+  return {
+    lattice,
+    u0,
+    v0,
+    corners: [corner(0, 0), corner(1, 0), corner(1, 1), corner(0, 1)],
+    periods: TORUS_PERIODS.map(p => {
+      const end = latticePoint(lattice, p.a, p.b);
+      return { x: end.x - origin.x, y: end.y - origin.y };
+    })
+  };
+};
+
+/**
+ * Folds an SVG position onto the fundamental domain of the torus
+ * @param {Object} torus - Torus from createTorus
+ * @param {{x: number, y: number}} point - Position anywhere in the plane
+ * @returns {{x: number, y: number}} Equivalent position inside the domain
+ */
+export const foldToTorus = (torus, point) => {
+  const { a, b } = toLatticeCoords(torus.lattice, point);
+  const { u, v } = toPeriodCoords(a, b);
+  const fu = torus.u0 + mod(u - torus.u0, 1);
+  const fv = torus.v0 + mod(v - torus.v0, 1);
+  const [p1, p2] = TORUS_PERIODS;
+
+  return latticePoint(
+    torus.lattice,
+    fu * p1.a + fv * p2.a,
+    fu * p1.b + fv * p2.b
+  );
+};
+
+/**
+ * Gets the bounding box of the fundamental domain
+ * @param {Object} torus - Torus from createTorus
+ * @returns {{x: number, y: number, w: number, h: number}} Bounding box
+ */
+export const getTorusBounds = (torus) => {
+  const xs = torus.corners.map(c => c.x);
+  const ys = torus.corners.map(c => c.y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, w: Math.max(...xs) - x, h: Math.max(...ys) - y };
+};
+
+/**
+ * Collapses repeated visits to the same chord into a single folded node
+ * Each returned node is the most recent visit (so it can be navigated to),
+ * placed at the folded position of its first visit, with a visit count.
+ * @param {Object} torus - Torus from createTorus
+ * @param {Object[]} history - History nodes
+ * @returns {Array<Object>} Unique nodes with folded x/y and a `visits` count
+ */
+export const foldHistory = (torus, history) => {
+  const byChord = new Map();
+
+  history.forEach(node => {
+    const key = normalize(node.notes).join(',');
+    const existing = byChord.get(key);
+    if (existing) {
+      byChord.set(key, { ...node, x: existing.x, y: existing.y, visits: existing.visits + 1 });
+    } else {
+      byChord.set(key, { ...node, ...foldToTorus(torus, node), visits: 1 });
+    }
+  });
+
+  return [...byChord.values()];
+};
@@ -0,0 +1,486 @@
+/**
+ * @fileoverview Transport: plays a sequence of chords with a look-ahead
+ * scheduler, so playback can pause, seek, loop, count in and change tempo
+ * while it runs
+ * Every TRANSPORT_DEFAULTS.lookAheadMs the scheduler wakes and hands the
+ * player whatever falls within the next scheduleAhead seconds, timed by the
+ * player's own clock (AudioContext.currentTime for the speakers). Beat and
+ * position events are queued with the same times and sent to subscribers
+ * once the clock reaches them, so what is shown follows what is heard
+ * however long the sequence runs.
+ * @module utils/transport
+ */
+
+import { TRANSPORT_DEFAULTS, PLAYBACK_DEFAULTS } from '../constants';
+
+// ============================================================================
+// TIMELINE
+// ============================================================================
+
+/**
+ * Lays a sequence out in beats
+ * @param {Array<{beats?: number}>} chords - Chords, each lasting `beats` (default 1)
+ * @returns {{onsets: number[], total: number}} Beat each chord starts on, and the length in beats
+ * @example
+ * getTimeline([{ beats: 2 }, {}, { beats: 0.5 }]) // { onsets: [0, 2, 3], total: 3.5 }
+ */
+export const getTimeline = (chords) => {
+  const onsets = [];
+  let total = 0;
+  chords.forEach((chord) => {
+    onsets.push(total);
+    total += chord.beats ?? 1;
+  });
+  return { onsets, total };
+};
+
+/**
+ * Finds the chord sounding on a beat
+ * @param {{onsets: number[], total: number}} timeline - Result of getTimeline
+ * @param {number} beat - Beat from the start
+ * @returns {number} Chord index; the number of chords at or after the end
+ */
+export const getChordIndexAt = (timeline, beat) => {
+  const { onsets, total } = timeline;
+  if (beat >= total) return onsets.length;
+
+  let low = 0;
+  let high = onsets.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (onsets[middle] <= beat) low = middle;
+    else high = middle - 1;
+  }
+  return low;
+};
+
+// ============================================================================
+// TRANSPORT
+// ============================================================================
+
+/**
+ * Creates a transport
+ * The player can be swapped with setPlayer, even while playing. It provides:
+ * - getCurrentTime(side): its clock, in seconds
+ * - prepare(voicings, side): resolves once the voicings can start on time,
+ *   with false if it cannot play (no audio context or MIDI access)
+ * - playChord(voicing, duration, startTime, side) and playClick(startTime, isAccent, side)
+ * - stopAll(): silences everything, including notes scheduled to start
+ *
+ * Subscribers receive:
+ * - {type: 'state', ...getState()} when anything but the position changes
+ * - {type: 'position', source, index, chord} as a chord starts, or is sought
+ *   to; index -1 once playback stops
+ * - {type: 'beat', source, beat, bar, beatInBar, isCountIn} on every beat;
+ *   count-in beats are numbered up to -1
+ * @param {Object} options - Transport options
+ * @param {Object} options.player - Player to drive
+ * @param {{setInterval: Function, clearInterval: Function}} [options.timer=globalThis] - Timer; inject a simulated one to test
+ * @returns {Object} Transport
+ */
+export const createTransport = ({ player: initialPlayer, timer = globalThis }) => {
+  const listeners = new Set();
+
+  let currentPlayer = initialPlayer;
+  const getPlayer = () => currentPlayer;
+
+  let chords = [];
+  let timeline = getTimeline(chords);
+  let source = null;
+  let side = 'original';
+  let beatsPerBar = TRANSPORT_DEFAULTS.beatsPerBar;
+  let state = 'stopped';
+  let tempo = PLAYBACK_DEFAULTS.tempo;
+  let loop = null;
+  let countIn = TRANSPORT_DEFAULTS.countInBars;
+
+  // Beat playback starts or resumes from, and the chord last reported
+  let position = 0;
+  let index = -1;
+
+  // While playing: the next moment to schedule, the beats already scheduled
+  // with the clock time of each, and events waiting for the clock
+  let intervalId = null;
+  let cursor = null;
+  let startBeat = 0;
+  let marks = [];
+  let queue = [];
+
+  // Incremented whenever playback starts or halts, so a start still waiting
+  // on the player can tell it has been overtaken
+  let run = 0;
+
+  const emit = (event) => listeners.forEach(listener => listener(event));
+
+  const getState = () => ({
+    state,
+    source,
+    side,
+    beatsPerBar,
+    length: chords.length,
+    tempo,
+    loop,
+    countIn,
+    index,
+    beat: position
+  });
+
+  const emitState = () => emit({ type: 'state', ...getState() });
+
+  const emitPosition = (newIndex) => {
+    index = newIndex;
+    emit({ type: 'position', source, index, chord: chords[index] ?? null });
+  };
+
+  /**
+   * Beats the loop region covers, or null without one
+   */
+  const getLoopBeats = () => (loop ? {
+    start: timeline.onsets[loop.start],
+    end: timeline.onsets[loop.end] + (chords[loop.end].beats ?? 1)
+  } : null);
+
+  /**
+   * Next beat playback must wrap or end at, from a beat
+   */
+  const getBoundary = (beat) => {
+    const region = getLoopBeats();
+    return region && beat >= region.start && beat < region.end
+      ? { beat: region.end, wraps: true }
+      : { beat: timeline.total, wraps: false };
+  };
+
+  /**
+   * Beat being heard at a clock time, from the beats already scheduled
+   */
+  const getBeatAt = (time) => {
+    const mark = marks.findLast(m => m.time <= time);
+    if (!mark) return startBeat;
+    const beat = mark.beat + (time - mark.time) * mark.tempo / 60;
+    return Math.min(beat, getBoundary(mark.beat).beat);
+  };
+
+  /**
+   * Stops scheduling and drops whatever has not been heard yet
+   */
+  const halt = () => {
+    run++;
+    if (intervalId !== null) timer.clearInterval(intervalId);
+    intervalId = null;
+    cursor = null;
+    marks = [];
+    queue = [];
+  };
+
+  /**
+   * Ends playback at the end of the sequence
+   */
+  const finish = () => {
+    halt();
+    state = 'stopped';
+    position = 0;
+    emitPosition(-1);
+    emitState();
+  };
+
+  /**
+   * Sends the queued events the clock has reached
+   * @param {number} now - Player time
+   */
+  const dispatch = (now) => {
+    while (queue.length > 0 && queue[0].time <= now) {
+      const { event } = queue.shift();
+      if (event.type === 'end') {
+        finish();
+        return;
+      }
+      if (event.type === 'position') emitPosition(event.index);
+      else emit({ ...event, source });
+    }
+  };
+
+  /**
+   * Schedules everything due before the look-ahead horizon
+   */
+  const tick = () => {
+    const player = getPlayer();
+    const now = player.getCurrentTime(side);
+    dispatch(now);
+
+    const horizon = now + TRANSPORT_DEFAULTS.scheduleAhead;
+    const { onsets } = timeline;
+
+    while (cursor && cursor.time < horizon) {
+      const beatLength = 60 / tempo;
+
+      if (cursor.countInLeft > 0) {
+        const beatInBar = (countIn * beatsPerBar - cursor.countInLeft) % beatsPerBar;
+        player.playClick(cursor.time, beatInBar === 0, side);
+        queue.push({
+          time: cursor.time,
+          event: { type: 'beat', beat: -cursor.countInLeft, bar: -Math.ceil(cursor.countInLeft / beatsPerBar), beatInBar, isCountIn: true }
+        });
+        cursor.countInLeft--;
+        cursor.time += beatLength;
+        continue;
+      }
+
+      const boundary = getBoundary(cursor.beat);
+      const chordBeat = cursor.nextIndex < chords.length ? Math.max(onsets[cursor.nextIndex], cursor.beat) : Infinity;
+      const beat = Math.min(cursor.nextTick, chordBeat, boundary.beat);
+      const time = cursor.time + (beat - cursor.beat) * beatLength;
+      if (time >= horizon) break;
+
+      cursor.time = time;
+      cursor.beat = beat;
+      marks.push({ time, beat, tempo });
+
+      if (beat === boundary.beat) {
+        if (!boundary.wraps) {
+          queue.push({ time, event: { type: 'end' } });
+          cursor = null;
+          break;
+        }
+        const { start } = getLoopBeats();
+        cursor.beat = start;
+        cursor.nextIndex = getChordIndexAt(timeline, start);
+        cursor.nextTick = Math.ceil(start);
+        marks.push({ time, beat: start, tempo });
+        continue;
+      }
+
+      if (beat === chordBeat) {
+        const chordIndex = cursor.nextIndex;
+        const chord = chords[chordIndex];
+        // A chord resumed part way through sounds for what is left of it;
+        // one without notes is a rest
+        const remaining = onsets[chordIndex] + (chord.beats ?? 1) - beat;
+        if (chord.voicing.length > 0) {
+          player.playChord(chord.voicing, remaining * beatLength * PLAYBACK_DEFAULTS.legato, time, side);
+        }
+        queue.push({ time, event: { type: 'position', index: chordIndex } });
+        cursor.nextIndex++;
+      }
+
+      if (beat === cursor.nextTick) {
+        queue.push({
+          time,
+          event: { type: 'beat', beat, bar: Math.floor(beat / beatsPerBar), beatInBar: beat % beatsPerBar, isCountIn: false }
+        });
+        cursor.nextTick++;
+      }
+    }
+
+    // Trim beats long since heard
+    while (marks.length > 1 && marks[1].time <= now) marks.shift();
+  };
+
+  /**
+   * Starts scheduling from a beat once the player is ready
+   * Stops again if the player cannot play; never rejects.
+   * @param {number} fromBeat - Beat to start on
+   * @param {boolean} withCountIn - Whether to count in first
+   * @returns {Promise<boolean>} Whether playback started
+   */
+  const start = async (fromBeat, withCountIn) => {
+    halt();
+    const token = run;
+    // Pausing while the player gets ready resumes from here
+    startBeat = fromBeat;
+    state = 'playing';
+    emitState();
+
+    const player = getPlayer();
+    let isReady;
+    try {
+      isReady = await player.prepare(chords.map(chord => chord.voicing), side);
+    } catch (error) {
+      console.error('Failed to prepare the player:', error);
+      isReady = false;
+    }
+    if (token !== run) return false;
+    if (isReady === false) {
+      finish();
+      return false;
+    }
+
+    cursor = {
+      time: player.getCurrentTime(side) + TRANSPORT_DEFAULTS.startDelay,
+      beat: fromBeat,
+      countInLeft: withCountIn ? countIn * beatsPerBar : 0,
+      nextIndex: getChordIndexAt(timeline, fromBeat),
+      nextTick: Math.ceil(fromBeat)
+    };
+    intervalId = timer.setInterval(tick, TRANSPORT_DEFAULTS.lookAheadMs);
+    tick();
+    return true;
+  };
+
+  return {
+    getState,
+
+    /**
+     * Listens for events
+     * @param {Function} listener - Called with each event
+     * @returns {Function} Unsubscribes the listener
+     */
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Replaces the sequence, stopping playback and clearing the loop
+     * @param {Array<{voicing: number[], beats?: number}>} newChords - Chords, empty voicings resting; other fields are passed back in position events
+     * @param {Object} [options] - What the sequence is
+     * @param {string} [options.source] - Name subscribers can tell it by
+     * @param {'original'|'reflected'} [options.side='original'] - Side of the reflection it plays on
+     * @param {number} [options.beatsPerBar=TRANSPORT_DEFAULTS.beatsPerBar] - Beats in a bar, for beat events and the count-in
+     */
+    load: (newChords, {
+      source: newSource = null,
+      side: newSide = 'original',
+      beatsPerBar: newBeatsPerBar = TRANSPORT_DEFAULTS.beatsPerBar
+    } = {}) => {
+      if (state !== 'stopped') getPlayer().stopAll();
+      halt();
+      chords = newChords;
+      timeline = getTimeline(chords);
+      source = newSource;
+      side = newSide;
+      beatsPerBar = newBeatsPerBar;
+      loop = null;
+      state = 'stopped';
+      position = 0;
+      emitPosition(-1);
+      emitState();
+    },
+
+    /**
+     * Plays from the current position, counting in if the count-in is set
+     * @returns {Promise<boolean>} Whether playback started; false if already playing or the player cannot play
+     */
+    play: () => {
+      if (state === 'playing' || chords.length === 0) return Promise.resolve(false);
+      const region = getLoopBeats();
+      const fromBeat = position < timeline.total ? position : region?.start ?? 0;
+      return start(fromBeat, true);
+    },
+
+    /**
+     * Stops where playback has got to, so play carries on from there
+     */
+    pause: () => {
+      if (state !== 'playing') return;
+      const player = getPlayer();
+      position = cursor || marks.length > 0 ? getBeatAt(player.getCurrentTime(side)) : startBeat;
+      halt();
+      player.stopAll();
+      state = 'paused';
+      emitState();
+    },
+
+    /**
+     * Stops and returns to the start
+     */
+    stop: () => {
+      if (state !== 'stopped') getPlayer().stopAll();
+      halt();
+      state = 'stopped';
+      position = 0;
+      emitPosition(-1);
+      emitState();
+    },
+
+    /**
+     * Moves to the start of a chord, carrying on playing from there if playing
+     * @param {number} chordIndex - Chord to move to
+     * @returns {Promise<boolean>} Whether playback carries on; false if it was not playing or the player cannot play
+     */
+    seek: (chordIndex) => {
+      if (chords.length === 0) return Promise.resolve(false);
+      const target = Math.max(0, Math.min(chords.length - 1, chordIndex));
+      position = timeline.onsets[target];
+      emitPosition(target);
+      if (state === 'playing') {
+        halt();
+        getPlayer().stopAll();
+        return start(position, false);
+      }
+      state = 'paused';
+      emitState();
+      return Promise.resolve(false);
+    },
+
+    /**
+     * Changes the tempo; beats not yet scheduled follow it at once
+     * @param {number} bpm - Beats per minute
+     */
+    setTempo: (bpm) => {
+      if (!Number.isFinite(bpm)) return;
+      tempo = Math.max(TRANSPORT_DEFAULTS.minTempo, Math.min(TRANSPORT_DEFAULTS.maxTempo, bpm));
+      emitState();
+    },
+
+    /**
+     * Sets the chords to loop between, or clears the loop
+     * @param {{start: number, end: number}|null} region - First and last chord indices, inclusive
+     */
+    setLoop: (region) => {
+      if (!region || chords.length === 0) {
+        loop = null;
+      } else {
+        const clamp = i => Math.max(0, Math.min(chords.length - 1, i));
+        const [first, last] = [clamp(region.start), clamp(region.end)].sort((a, b) => a - b);
+        loop = { start: first, end: last };
+      }
+      emitState();
+    },
+
+    /**
+     * Sets how many bars to count in before playing
+     * @param {number} bars - Bars of count-in (0 for none)
+     */
+    setCountIn: (bars) => {
+      countIn = Math.max(0, Math.floor(bars));
+      emitState();
+    },
+
+    /**
+     * Swaps the player; chords already handed over play out on the old one
+     * @param {Object} player - Player to drive from now on
+     */
+    setPlayer: (player) => {
+      currentPlayer = player;
+    },
+
+    /**
+     * Stops scheduling without touching the player, as on unmount
+     */
+    dispose: halt
+  };
+};
+
+/**
+ * Plays a progression once on a transport of its own, a chord a beat with
+ * no count-in
+ * This is the playProgression of the players; disposing of the transport
+ * stops scheduling, and the player's stopAll silences what it was handed.
+ * @param {Object} player - Player to drive (see createTransport)
+ * @param {Array<number[]>} progression - Chord voicings (MIDI pitches)
+ * @param {Object} options - Playback options
+ * @param {number} options.tempo - Beats per minute
+ * @param {'original'|'reflected'} [options.side='original'] - Side of the reflection it plays on
+ * @param {Function} [options.onChordChange] - Called with the index and voicing of each chord as it starts, and with -1 and null at the end
+ * @returns {{transport: Object, started: Promise<boolean>}} The transport, and whether playback started
+ */
+export const playProgressionOnce = (player, progression, { tempo, side = 'original', onChordChange }) => {
+  const transport = createTransport({ player });
+  transport.setCountIn(0);
+  transport.setTempo(tempo);
+  transport.load(progression.map(voicing => ({ voicing })), { source: 'progression', side });
+  transport.subscribe((event) => {
+    if (event.type === 'position') onChordChange?.(event.index, event.chord?.voicing ?? null);
+  });
+  return { transport, started: transport.play() };
+};
@@ -0,0 +1,231 @@
+/**
+ * @fileoverview Tuning systems: the frequency each MIDI pitch sounds at
+ * @module utils/tuning
+ *
+ * A scale is a list of cents above its first degree, Scala style: one entry
+ * per degree after the first, the last being the period it repeats at
+ * (1200 for an octave). The built-in systems are twelve-note scales; Scala
+ * scales come from .scl files and may have any number of notes.
+ *
+ * Without a keyboard mapping, consecutive keys step through consecutive
+ * degrees, with the first degree on the key centre in the octave of middle C
+ * held at its equal-tempered pitch for the reference A4. A Scala keyboard
+ * mapping (.kbm) places degrees on keys and sets the reference itself.
+ */
+
+import { JUST_RATIOS, FIFTHS_CHAIN_START, TUNING_DEFAULTS } from '../constants';
+import { mod, getMidiFrequency } from './musicUtils';
+
+/**
+ * Converts a frequency ratio to cents
+ * @param {number} ratio - Frequency ratio
+ * @returns {number} Cents
+ */
+export const ratioToCents = ratio => 1200 * Math.log2(ratio);
+
+/**
+ * Builds a twelve-note scale from a chain of equal fifths
+ * @param {number} fifth - Size of the fifth in cents
+ * @returns {number[]} Scale cents
+ */
+const chainOfFifths = (fifth) => {
+  const cents = new Array(12);
+  for (let k = FIFTHS_CHAIN_START; k < FIFTHS_CHAIN_START + 12; k++) {
+    cents[mod(7 * k)] = mod(k * fifth, 1200);
+  }
+  return [...cents.slice(1), 1200];
+};
+
+/**
+ * Scales of the built-in systems
+ */
+const SYSTEM_SCALES = {
+  equal: Array.from({ length: 12 }, (_, i) => 100 * (i + 1)),
+  just: [...JUST_RATIOS.slice(1).map(ratioToCents), 1200],
+  pythagorean: chainOfFifths(ratioToCents(3 / 2)),
+  meantone: chainOfFifths(ratioToCents(5) / 4)
+};
+
+/**
+ * Gets the cents of a degree, counting whole periods
+ * @param {number[]} cents - Scale cents
+ * @param {number} degree - Degree from the first (any integer)
+ * @returns {number} Cents above the first degree
+ */
+const getDegreeCents = (cents, degree) => {
+  const step = mod(degree, cents.length);
+  const periods = (degree - step) / cents.length;
+  return periods * cents[cents.length - 1] + (step === 0 ? 0 : cents[step - 1]);
+};
+
+/**
+ * Gets the scale cents a tuning plays
+ * A Scala tuning without a scale falls back to equal temperament.
+ * @param {{system: string, scale?: {cents: number[]}|null}} tuning - Tuning
+ * @returns {number[]} Scale cents
+ */
+const getTuningCents = (tuning) =>
+  (tuning.system === 'scala' ? tuning.scale?.cents : SYSTEM_SCALES[tuning.system]) ?? SYSTEM_SCALES.equal;
+
+/**
+ * Finds the degree a key plays under a keyboard mapping
+ * @param {Object} keyboardMap - Result of parseKeyboardMap
+ * @param {number[]} cents - Scale cents
+ * @param {number} pitch - MIDI pitch
+ * @returns {number|null} Cents of the key above the middle note, or null if it is unmapped
+ */
+const getMappedCents = (keyboardMap, cents, pitch) => {
+  const { size, middle, mapping, octaveDegree } = keyboardMap;
+  const offset = pitch - middle;
+  if (size === 0) return getDegreeCents(cents, offset);
+
+  const degree = mapping[mod(offset, size)];
+  if (degree === null || degree === undefined) return null;
+  const octaves = Math.floor(offset / size);
+  return octaves * getDegreeCents(cents, octaveDegree) + getDegreeCents(cents, degree);
+};
+
+/**
+ * Calculates the frequency a MIDI pitch sounds at in a tuning
+ * @param {number} pitch - MIDI pitch
+ * @param {Object} tuning - Tuning
+ * @param {string} tuning.system - Id from TUNING_SYSTEMS
+ * @param {number} [tuning.reference=440] - Frequency of A4 in Hz; a keyboard mapping sets its own
+ * @param {number} [tuning.key=0] - Key centre (0-11) the scale is built on
+ * @param {{cents: number[]}|null} [tuning.scale] - Scala scale, for the 'scala' system
+ * @param {Object|null} [tuning.keyboardMap] - Scala keyboard mapping, for the 'scala' system
+ * @returns {number|null} Frequency in Hz, or null for a key the mapping leaves out
+ * @example
+ * getTunedFrequency(64, { system: 'just', key: 0 }) // returns 327.03 (C4 × 5/4)
+ */
+export const getTunedFrequency = (pitch, tuning) => {
+  const { system, reference = TUNING_DEFAULTS.reference, key = 0, keyboardMap } = tuning;
+  if (system === 'equal') return getMidiFrequency(pitch, reference);
+
+  const cents = getTuningCents(tuning);
+  if (system === 'scala' && tuning.scale && keyboardMap) {
+    const { first, last, referenceNote, referenceFrequency } = keyboardMap;
+    if (pitch < first || pitch > last) return null;
+    const pitchCents = getMappedCents(keyboardMap, cents, pitch);
+    if (pitchCents === null) return null;
+    // An unmapped reference note leaves the reference frequency on the middle note
+    const referenceCents = getMappedCents(keyboardMap, cents, referenceNote) ?? 0;
+    return referenceFrequency * Math.pow(2, (pitchCents - referenceCents) / 1200);
+  }
+
+  const tonic = 60 + mod(key);
+  return getMidiFrequency(tonic, reference) * Math.pow(2, getDegreeCents(cents, pitch - tonic) / 1200);
+};
+
+// ============================================================================
+// SCALA FILES
+// ============================================================================
+
+/**
+ * Lists the lines of a Scala file that are not comments
+ * @param {string} text - File contents
+ * @returns {Array<{text: string, line: number}>} Lines, trimmed, with 1-based line numbers
+ */
+const getScalaLines = text => text
+  .split(/\r?\n/)
+  .map((line, i) => ({ text: line.trim(), line: i + 1 }))
+  .filter(({ text: line }) => !line.startsWith('!'));
+
+/**
+ * Reads one pitch of a scale: cents if it has a point, otherwise a ratio
+ * @param {string} text - Pitch line; anything after the first word is ignored
+ * @returns {number|null} Cents, or null if it is not a pitch
+ */
+const parseScalaPitch = (text) => {
+  const [word = ''] = text.split(/\s+/);
+  if (word.includes('.')) {
+    return /^[-+]?(\d+\.?\d*|\.\d+)$/.test(word) ? parseFloat(word) : null;
+  }
+  const match = /^(\d+)(?:\/(\d+))?$/.exec(word);
+  if (!match) return null;
+  const ratio = Number(match[1]) / Number(match[2] ?? 1);
+  return ratio > 0 && Number.isFinite(ratio) ? ratioToCents(ratio) : null;
+};
+
+/**
+ * Parses a Scala scale (.scl) file
+ * @param {string} text - File contents
+ * @returns {{scale: {description: string, cents: number[]}|null, error: {message: string, line: number}|null}}
+ *   Scale, or the error and the line it is on
+ * @example
+ * parseScalaScale('! 12-TET\n12 equal\n 2\n 600.0\n 2/1\n').scale.cents // returns [600, 1200]
+ */
+export const parseScalaScale = (text) => {
+  const lines = getScalaLines(text);
+  const lastLine = text.split(/\r?\n/).length;
+  const fail = (message, line) => ({ scale: null, error: { message, line } });
+
+  if (lines.length === 0) return fail('Missing the description line', lastLine);
+  // The description may be blank; blank lines after it are skipped
+  const [description, ...rest] = lines;
+  const [countLine, ...pitchLines] = rest.filter(({ text: line }) => line.length > 0);
+
+  if (!countLine) return fail('Missing the number of notes', lastLine);
+  const count = /^\d+/.test(countLine.text) ? parseInt(countLine.text, 10) : NaN;
+  if (!Number.isInteger(count) || count < 1) return fail(`Expected the number of notes, found '${countLine.text}'`, countLine.line);
+
+  const cents = [];
+  for (const { text: pitchText, line } of pitchLines.slice(0, count)) {
+    const value = parseScalaPitch(pitchText);
+    if (value === null) return fail(`Expected a pitch in cents or as a ratio, found '${pitchText}'`, line);
+    cents.push(value);
+  }
+  if (cents.length < count) return fail(`Expected ${count} pitches, found ${cents.length}`, lastLine);
+  if (cents[count - 1] <= 0) return fail('The last pitch, the period, must be above the first degree', pitchLines[count - 1].line);
+
+  return { scale: { description: description.text, cents }, error: null };
+};
+
+/**
+ * Parses a Scala keyboard mapping (.kbm) file
+ * Mapping entries left out at the end, or marked 'x', are unmapped keys.
+ * @param {string} text - File contents
+ * @returns {{keyboardMap: {size: number, first: number, last: number, middle: number, referenceNote: number, referenceFrequency: number, octaveDegree: number, mapping: Array<number|null>}|null, error: {message: string, line: number}|null}}
+ *   Keyboard mapping, or the error and the line it is on
+ */
+export const parseKeyboardMap = (text) => {
+  const lines = getScalaLines(text).filter(({ text: line }) => line.length > 0);
+  const lastLine = text.split(/\r?\n/).length;
+  const fail = (message, line) => ({ keyboardMap: null, error: { message, line } });
+
+  const FIELDS = [
+    ['size', 'map size'],
+    ['first', 'first MIDI note'],
+    ['last', 'last MIDI note'],
+    ['middle', 'middle note'],
+    ['referenceNote', 'reference note'],
+    ['referenceFrequency', 'reference frequency'],
+    ['octaveDegree', 'formal octave degree']
+  ];
+
+  const keyboardMap = {};
+  for (let i = 0; i < FIELDS.length; i++) {
+    const [field, name] = FIELDS[i];
+    if (!lines[i]) return fail(`Missing the ${name}`, lastLine);
+    const [word] = lines[i].text.split(/\s+/);
+    const value = field === 'referenceFrequency' ? parseFloat(word) : (/^\d+$/.test(word) ? parseInt(word, 10) : NaN);
+    const isValid = field === 'referenceFrequency' ? value > 0 : Number.isInteger(value);
+    if (!isValid) return fail(`Expected the ${name}, found '${lines[i].text}'`, lines[i].line);
+    keyboardMap[field] = value;
+  }
+
+  const mapping = [];
+  for (const { text: entry, line } of lines.slice(FIELDS.length, FIELDS.length + keyboardMap.size)) {
+    const [word] = entry.split(/\s+/);
+    if (word.toLowerCase() === 'x') {
+      mapping.push(null);
+    } else if (/^\d+$/.test(word)) {
+      mapping.push(parseInt(word, 10));
+    } else {
+      return fail(`Expected a scale degree or x, found '${entry}'`, line);
+    }
+  }
+  while (mapping.length < keyboardMap.size) mapping.push(null);
+
+  return { keyboardMap: { ...keyboardMap, mapping }, error: null };
+};
@@ -0,0 +1,116 @@
+/**
+ * @fileoverview WAV file writer for rendered audio
+ * @module utils/wavFile
+ */
+
+import { downloadFile } from './download';
+
+/**
+ * WAVE format tags
+ */
+const FORMAT = {
+  PCM: 1,
+  FLOAT: 3
+};
+
+/**
+ * Writes an ASCII tag
+ * @param {DataView} view - Output
+ * @param {number} offset - Byte offset
+ * @param {string} text - Four-character tag
+ */
+const writeTag = (view, offset, text) => {
+  [...text].forEach((char, i) => view.setUint8(offset + i, char.charCodeAt(0)));
+};
+
+/**
+ * Writes one sample, clipped to full scale
+ * @param {DataView} view - Output
+ * @param {number} offset - Byte offset
+ * @param {number} sample - Sample, full scale at ±1
+ * @param {16|24|32} bitDepth - Bits per sample; 32 is floating point
+ */
+const writeSample = (view, offset, sample, bitDepth) => {
+  const clipped = Math.max(-1, Math.min(1, sample));
+  if (bitDepth === 32) {
+    view.setFloat32(offset, clipped, true);
+    return;
+  }
+
+  const max = 2 ** (bitDepth - 1) - 1;
+  const value = Math.round(clipped * max);
+  if (bitDepth === 16) {
+    view.setInt16(offset, value, true);
+  } else {
+    view.setUint8(offset, value & 0xFF);
+    view.setUint8(offset + 1, (value >> 8) & 0xFF);
+    view.setInt8(offset + 2, value >> 16);
+  }
+};
+
+/**
+ * Encodes audio as a WAV file
+ * 16 and 24 bits are integer PCM; 32 bits is floating point, which keeps
+ * peaks above full scale only up to the clip applied here.
+ * @param {Float32Array[]} channels - Samples of each channel, all the same length
+ * @param {Object} options - Format
+ * @param {number} options.sampleRate - Samples per second
+ * @param {16|24|32} options.bitDepth - Bits per sample
+ * @returns {Uint8Array} File bytes
+ * @example
+ * encodeWavFile([new Float32Array(44100)], { sampleRate: 44100, bitDepth: 16 }).length // returns 88244
+ */
+export const encodeWavFile = (channels, { sampleRate, bitDepth }) => {
+  const isFloat = bitDepth === 32;
+  const bytesPerSample = bitDepth / 8;
+  const frames = channels[0]?.length ?? 0;
+  const blockAlign = channels.length * bytesPerSample;
+  const dataSize = frames * blockAlign;
+  // Floating point files carry a fact chunk with the frame count
+  const factSize = isFloat ? 12 : 0;
+  const headerSize = 12 + 24 + factSize + 8;
+
+  const bytes = new Uint8Array(headerSize + dataSize);
+  const view = new DataView(bytes.buffer);
+
+  writeTag(view, 0, 'RIFF');
+  view.setUint32(4, bytes.length - 8, true);
+  writeTag(view, 8, 'WAVE');
+
+  writeTag(view, 12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, isFloat ? FORMAT.FLOAT : FORMAT.PCM, true);
+  view.setUint16(22, channels.length, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+
+  let offset = 36;
+  if (isFloat) {
+    writeTag(view, offset, 'fact');
+    view.setUint32(offset + 4, 4, true);
+    view.setUint32(offset + 8, frames, true);
+    offset += factSize;
+  }
+
+  writeTag(view, offset, 'data');
+  view.setUint32(offset + 4, dataSize, true);
+  offset += 8;
+
+  for (let frame = 0; frame < frames; frame++) {
+    for (const channel of channels) {
+      writeSample(view, offset, channel[frame], bitDepth);
+      offset += bytesPerSample;
+    }
+  }
+
+  return bytes;
+};
+
+/**
+ * Offers bytes as a .wav download in the browser
+ * @param {Uint8Array} bytes - File bytes
+ * @param {string} filename - Suggested file name
+ */
+export const downloadWavFile = (bytes, filename) => downloadFile(bytes, filename, 'audio/wav');